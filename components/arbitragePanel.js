@@ -0,0 +1,156 @@
+// components/arbitragePanel.js - Arbitrage / middle opportunities panel for the Game Odds toolbar
+// Summary button with counts, bankroll input, and a collapsible list of opportunities with stake splits
+
+import { formatOdds } from '../shared/utils.js';
+
+const TYPE_STYLES = {
+    'arb': { label: 'ARB', background: '#dcfce7', color: '#15803d' },
+    'middle': { label: 'MIDDLE', background: '#dbeafe', color: '#1d4ed8' },
+    'arb-middle': { label: 'ARB + MID', background: '#fef3c7', color: '#b45309' }
+};
+
+/**
+ * Create the opportunities panel
+ * @param {HTMLElement} container - Element to render into (usually the table toolbar)
+ * @param {object} options - { bankroll, onBankrollChange(bankroll), onFlaggedOnlyChange(flaggedOnly), formatMatchup(matchup) }
+ * @returns {object} { update(opportunities), element }
+ */
+export function createArbitragePanel(container, options = {}) {
+    const formatMatchup = options.formatMatchup || (value => value);
+    let opportunities = [];
+    let isOpen = false;
+    
+    const panel = document.createElement('div');
+    panel.className = 'arbitrage-panel';
+    panel.style.cssText = 'width: 100%; font-size: 12px;';
+    
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; gap: 10px; flex-wrap: wrap;';
+    
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.style.cssText = `
+        padding: 4px 10px;
+        border: 1px solid #f97316;
+        background: white;
+        color: #ea580c;
+        border-radius: 3px;
+        cursor: pointer;
+        font-size: 12px;
+        font-weight: 600;
+    `;
+    
+    const bankrollLabel = document.createElement('label');
+    bankrollLabel.style.cssText = 'display: inline-flex; align-items: center; gap: 4px; color: #333;';
+    bankrollLabel.textContent = 'Bankroll $';
+    
+    const bankrollInput = document.createElement('input');
+    bankrollInput.type = 'number';
+    bankrollInput.min = '1';
+    bankrollInput.step = '1';
+    bankrollInput.value = options.bankroll;
+    bankrollInput.style.cssText = 'width: 70px; padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px;';
+    bankrollLabel.appendChild(bankrollInput);
+    
+    const flaggedLabel = document.createElement('label');
+    flaggedLabel.style.cssText = 'display: inline-flex; align-items: center; gap: 4px; color: #333; cursor: pointer;';
+    
+    const flaggedInput = document.createElement('input');
+    flaggedInput.type = 'checkbox';
+    flaggedLabel.appendChild(flaggedInput);
+    flaggedLabel.appendChild(document.createTextNode('Flagged rows only'));
+    
+    header.appendChild(toggle);
+    header.appendChild(bankrollLabel);
+    header.appendChild(flaggedLabel);
+    
+    const list = document.createElement('div');
+    list.style.cssText = 'display: none; margin-top: 8px; max-height: 260px; overflow-y: auto; background: white; border: 1px solid #fed7aa; border-radius: 4px;';
+    
+    panel.appendChild(header);
+    panel.appendChild(list);
+    container.appendChild(panel);
+    
+    function renderSummary() {
+        const arbs = opportunities.filter(o => o.type !== 'middle').length;
+        const middles = opportunities.filter(o => o.type !== 'arb').length;
+        toggle.textContent = `${isOpen ? '▼' : '▶'} ${arbs} arb${arbs === 1 ? '' : 's'} · ${middles} middle${middles === 1 ? '' : 's'}`;
+    }
+    
+    function renderList() {
+        if (!isOpen) {
+            list.style.display = 'none';
+            return;
+        }
+        list.style.display = 'block';
+        
+        if (opportunities.length === 0) {
+            list.innerHTML = '<div style="padding: 8px; color: #666;">No arbitrage or middle opportunities right now.</div>';
+            return;
+        }
+        
+        list.innerHTML = opportunities.map(opp => {
+            const style = TYPE_STYLES[opp.type];
+            const result = opp.margin > 0
+                ? `+${(opp.margin * 100).toFixed(2)}% locked`
+                : `${(-opp.margin * 100).toFixed(2)}% hold`;
+            const window = opp.gap > 0 ? ` · ${opp.gap.toFixed(1)} pt window` : '';
+            const legs = opp.legs.map((leg, index) => {
+                const line = leg.line === null ? '' : ` ${opp.kind === 'spread' && leg.line > 0 ? '+' : ''}${leg.line}`;
+                const stake = opp.split ? ` → $${opp.split.stakes[index].toFixed(2)}` : '';
+                return `<div><strong>${leg.book}</strong> ${leg.label}${line} ${formatOdds(leg.odds)}${stake}</div>`;
+            }).join('');
+            const payout = opp.split ? `<div style="color: #666;">Returns $${opp.split.payout.toFixed(2)}${opp.gap > 0 ? ' (both win if it lands in the window)' : ''}</div>` : '';
+            
+            return `
+                <div style="display: flex; gap: 10px; align-items: flex-start; padding: 6px 8px; border-bottom: 1px solid #f3f4f6;">
+                    <span style="background: ${style.background}; color: ${style.color}; font-weight: 700; font-size: 10px; padding: 2px 6px; border-radius: 3px; white-space: nowrap;">${style.label}</span>
+                    <div style="flex: 1;">
+                        <div style="font-weight: 600;">${formatMatchup(opp.matchup)} · ${opp.propType}</div>
+                        <div style="color: #555;">${result}${window}</div>
+                    </div>
+                    <div style="text-align: right;">${legs}${payout}</div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    toggle.addEventListener('click', () => {
+        isOpen = !isOpen;
+        renderSummary();
+        renderList();
+    });
+    
+    bankrollInput.addEventListener('change', () => {
+        const bankroll = parseFloat(bankrollInput.value);
+        if (isNaN(bankroll) || bankroll <= 0) {
+            bankrollInput.value = options.bankroll;
+            return;
+        }
+        options.bankroll = bankroll;
+        if (options.onBankrollChange) {
+            options.onBankrollChange(bankroll);
+        }
+    });
+    
+    flaggedInput.addEventListener('change', () => {
+        if (options.onFlaggedOnlyChange) {
+            options.onFlaggedOnlyChange(flaggedInput.checked);
+        }
+    });
+    
+    renderSummary();
+    
+    return {
+        element: panel,
+        update(next) {
+            opportunities = next || [];
+            renderSummary();
+            renderList();
+        }
+    };
+}
+
+export default {
+    createArbitragePanel
+};
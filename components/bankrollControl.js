@@ -0,0 +1,95 @@
+// components/bankrollControl.js - Bankroll / fraction-of-Kelly control shown above the tables
+// Edits the shared bankroll settings (persisted in localStorage); Stake columns redraw on change
+
+import { getBankrollSettings, setBankrollSettings } from '../shared/bankroll.js';
+
+const KELLY_OPTIONS = [
+    { value: 1, label: 'Full Kelly' },
+    { value: 0.5, label: 'Half Kelly' },
+    { value: 0.25, label: 'Quarter Kelly' },
+    { value: 0.125, label: 'Eighth Kelly' }
+];
+
+/**
+ * Create the bankroll control bar
+ * @returns {HTMLElement} Control element
+ */
+export function createBankrollControl() {
+    const settings = getBankrollSettings();
+    
+    const container = document.createElement('div');
+    container.className = 'bankroll-control';
+    container.style.cssText = `
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        justify-content: center;
+        gap: 12px;
+        padding: 6px 10px;
+        margin: 4px 0;
+        font-size: 12px;
+        color: #333;
+    `;
+    
+    const inputStyle = 'padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px;';
+    
+    function createNumberInput(labelText, key, width) {
+        const label = document.createElement('label');
+        label.style.cssText = 'display: inline-flex; align-items: center; gap: 4px;';
+        label.textContent = labelText;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '1';
+        input.value = settings[key];
+        input.style.cssText = `${inputStyle} width: ${width}px;`;
+        
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value < 0) {
+                input.value = getBankrollSettings()[key];
+                return;
+            }
+            setBankrollSettings({ [key]: value });
+        });
+        
+        label.appendChild(input);
+        return label;
+    }
+    
+    const kellyLabel = document.createElement('label');
+    kellyLabel.style.cssText = 'display: inline-flex; align-items: center; gap: 4px;';
+    kellyLabel.textContent = 'Sizing';
+    
+    const kellySelect = document.createElement('select');
+    kellySelect.style.cssText = inputStyle;
+    KELLY_OPTIONS.forEach(option => {
+        const el = document.createElement('option');
+        el.value = option.value;
+        el.textContent = option.label;
+        kellySelect.appendChild(el);
+    });
+    // Keep a stored custom fraction selectable
+    if (!KELLY_OPTIONS.some(option => option.value === settings.kellyFraction)) {
+        const el = document.createElement('option');
+        el.value = settings.kellyFraction;
+        el.textContent = `${settings.kellyFraction} Kelly`;
+        kellySelect.appendChild(el);
+    }
+    kellySelect.value = settings.kellyFraction;
+    kellySelect.addEventListener('change', () => {
+        setBankrollSettings({ kellyFraction: parseFloat(kellySelect.value) });
+    });
+    kellyLabel.appendChild(kellySelect);
+    
+    container.appendChild(createNumberInput('Bankroll $', 'bankroll', 80));
+    container.appendChild(kellyLabel);
+    container.appendChild(createNumberInput('Max Stake $', 'maxStake', 60));
+    
+    return container;
+}
+
+export default {
+    createBankrollControl
+};
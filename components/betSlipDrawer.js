@@ -0,0 +1,188 @@
+// components/betSlipDrawer.js - Bet slip drawer for tracked picks
+// Floating toggle button plus a right-hand drawer listing picks with editable stake / odds taken,
+// remove, clear and CSV/JSON export. Lives on document.body so it survives tab switches.
+// Graded picks show their result, P/L and CLV; the grading panel sits above the footer.
+
+import { loadPicks, getPicks, updatePick, removePick, clearPicks, onPicksChange, picksToCSV } from '../shared/betSlip.js';
+import { formatOdds, downloadFile, escapeHtml } from '../shared/utils.js';
+import { getPickProfit, getPickCLV } from '../shared/grader.js';
+import { createPickGradingPanel } from './pickGradingPanel.js';
+
+const RESULT_STYLES = {
+    won: 'background: #dcfce7; color: #15803d;',
+    lost: 'background: #fee2e2; color: #b91c1c;',
+    push: 'background: #f3f4f6; color: #4b5563;'
+};
+
+/**
+ * Create the bet slip drawer and its toggle button
+ * @returns {object} { open(), close(), toggle(), element }
+ */
+export function createBetSlipDrawer() {
+    let isOpen = false;
+    
+    const toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.className = 'bet-slip-toggle';
+    toggleButton.style.cssText = `
+        position: fixed;
+        right: 16px;
+        bottom: 16px;
+        z-index: 10000;
+        padding: 8px 14px;
+        border: none;
+        border-radius: 20px;
+        background: linear-gradient(135deg, #f97316 0%, #ea580c 100%);
+        color: white;
+        font-size: 13px;
+        font-weight: 600;
+        cursor: pointer;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.25);
+    `;
+    
+    const drawer = document.createElement('div');
+    drawer.className = 'bet-slip-drawer';
+    drawer.style.cssText = `
+        position: fixed;
+        top: 0;
+        right: 0;
+        width: 360px;
+        max-width: 100vw;
+        height: 100vh;
+        z-index: 10001;
+        background: white;
+        box-shadow: -2px 0 12px rgba(0,0,0,0.2);
+        display: none;
+        flex-direction: column;
+        font-size: 12px;
+        color: #333;
+    `;
+    
+    drawer.innerHTML = `
+        <div style="display: flex; align-items: center; justify-content: space-between; padding: 10px 12px; background: linear-gradient(135deg, #f97316 0%, #ea580c 100%); color: white;">
+            <strong style="font-size: 14px;">Bet Slip</strong>
+            <button type="button" data-action="close" style="border: none; background: none; color: white; font-size: 18px; cursor: pointer;">×</button>
+        </div>
+        <div data-role="list" style="flex: 1; overflow-y: auto; padding: 8px 12px;"></div>
+        <div data-role="grading"></div>
+        <div style="display: flex; gap: 6px; padding: 10px 12px; border-top: 1px solid #eee; flex-wrap: wrap;">
+            <button type="button" data-action="export-csv">Export CSV</button>
+            <button type="button" data-action="export-json">Export JSON</button>
+            <button type="button" data-action="clear" style="margin-left: auto; color: #b91c1c;">Clear All</button>
+        </div>
+    `;
+    drawer.querySelectorAll('[data-action^="export"], [data-action="clear"]').forEach(button => {
+        button.style.cssText += 'padding: 4px 10px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;';
+    });
+    
+    const list = drawer.querySelector('[data-role="list"]');
+    createPickGradingPanel(drawer.querySelector('[data-role="grading"]'));
+    
+    function describe(pick) {
+        const title = pick.player ? `${pick.player}${pick.team ? ` (${pick.team})` : ''}` : (pick.matchup || '-');
+        const line = pick.line === null || pick.line === undefined || isNaN(pick.line) ? '' : ` ${pick.line}`;
+        return {
+            title,
+            market: `${pick.market || ''} · ${pick.side || ''}${line}`
+        };
+    }
+    
+    function render(picks) {
+        toggleButton.textContent = `Bet Slip (${picks.length})`;
+        
+        if (picks.length === 0) {
+            list.innerHTML = '<div style="padding: 12px 0; color: #666;">No tracked picks yet. Use the ☆ buttons in the Track column to add rows.</div>';
+            return;
+        }
+        
+        const inputStyle = 'width: 60px; padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px;';
+        list.innerHTML = picks.map(pick => {
+            const { title, market } = describe(pick);
+            const clv = getPickCLV(pick);
+            const clvText = clv === null ? '' : ` · CLV ${clv > 0 ? '+' : ''}${(clv * 100).toFixed(1)}%`;
+            const result = pick.result
+                ? `<div style="margin-top: 4px;"><span style="${RESULT_STYLES[pick.result]} font-weight: 700; padding: 1px 6px; border-radius: 3px; text-transform: uppercase;">${pick.result}</span> actual ${escapeHtml(pick.actual)} · P/L $${getPickProfit(pick).toFixed(2)}${clvText}</div>`
+                : (clvText ? `<div style="margin-top: 4px; color: #666;">Closing ${formatOdds(pick.closingOdds)}${clvText}</div>` : '');
+            return `
+                <div data-pick-id="${escapeHtml(pick.id)}" style="padding: 8px 0; border-bottom: 1px solid #f3f4f6;">
+                    <div style="display: flex; justify-content: space-between; gap: 8px;">
+                        <strong>${escapeHtml(title)}</strong>
+                        <button type="button" data-action="remove" title="Remove" style="border: none; background: none; color: #999; cursor: pointer;">×</button>
+                    </div>
+                    <div>${escapeHtml(market)}</div>
+                    <div style="color: #666;">${escapeHtml(pick.book || '-')} ${formatOdds(pick.odds)} · ${new Date(pick.trackedAt).toLocaleString()}</div>
+                    <div style="display: flex; gap: 12px; margin-top: 4px;">
+                        <label>Odds taken <input type="number" data-field="oddsTaken" value="${pick.oddsTaken ?? ''}" style="${inputStyle}"></label>
+                        <label>Stake $ <input type="number" min="0" step="0.01" data-field="stake" value="${pick.stake ?? ''}" style="${inputStyle}"></label>
+                    </div>
+                    ${result}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Delegated handlers - the list is re-rendered on every change
+    list.addEventListener('change', (e) => {
+        const input = e.target.closest('input[data-field]');
+        const item = e.target.closest('[data-pick-id]');
+        if (!input || !item) return;
+        
+        const value = input.value === '' ? null : parseFloat(input.value);
+        updatePick(item.dataset.pickId, { [input.dataset.field]: isNaN(value) ? null : value })
+            .catch(error => console.error('Could not update pick:', error));
+    });
+    
+    drawer.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const action = button.dataset.action;
+        if (action === 'close') {
+            close();
+        } else if (action === 'remove') {
+            const item = button.closest('[data-pick-id]');
+            removePick(item.dataset.pickId).catch(error => console.error('Could not remove pick:', error));
+        } else if (action === 'clear') {
+            if (confirm('Remove all tracked picks?')) {
+                clearPicks().catch(error => console.error('Could not clear picks:', error));
+            }
+        } else if (action === 'export-csv') {
+            downloadFile('bet-slip.csv', picksToCSV(getPicks()), 'text/csv');
+        } else if (action === 'export-json') {
+            downloadFile('bet-slip.json', JSON.stringify(getPicks(), null, 2), 'application/json');
+        }
+    });
+    
+    function open() {
+        isOpen = true;
+        drawer.style.display = 'flex';
+    }
+    
+    function close() {
+        isOpen = false;
+        drawer.style.display = 'none';
+    }
+    
+    function toggle() {
+        if (isOpen) {
+            close();
+        } else {
+            open();
+        }
+    }
+    
+    toggleButton.addEventListener('click', toggle);
+    
+    document.body.appendChild(toggleButton);
+    document.body.appendChild(drawer);
+    
+    onPicksChange(render);
+    render(getPicks());
+    loadPicks();
+    
+    return { open, close, toggle, element: drawer };
+}
+
+export default {
+    createBetSlipDrawer
+};
@@ -0,0 +1,109 @@
+// components/columnChooser.js - Column chooser for a table toolbar
+// Lists the table's column groups ("Player Stats", "Median Odds", ...) and standalone columns with
+// a tick to show/hide each one and ▲/▼ buttons to reorder them. Changes are saved per table
+// (shared/columnLayout.js) and applied straight away through BaseTable.updateColumnLayout.
+
+import { escapeHtml } from '../shared/utils.js';
+
+/**
+ * Create the column chooser
+ * @param {HTMLElement} container - Element to render into (usually the table toolbar)
+ * @param {BaseTable} tableInstance - Table whose columns are chosen
+ * @returns {object} { element }
+ */
+export function createColumnChooser(container, tableInstance) {
+    let isOpen = false;
+
+    const chooser = document.createElement('div');
+    chooser.className = 'column-chooser';
+    chooser.style.cssText = 'position: relative; display: inline-block; font-size: 12px;';
+
+    const buttonStyle = 'padding: 3px 8px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;';
+    chooser.innerHTML = `
+        <button type="button" data-action="toggle" style="${buttonStyle}">Columns ▾</button>
+        <div data-role="panel" style="display: none; position: absolute; top: 100%; left: 0; z-index: 1000; margin-top: 4px; padding: 10px; min-width: 230px; background: white; border: 1px solid #ddd; border-radius: 4px; box-shadow: 0 4px 12px rgba(0,0,0,0.15);">
+            <div data-role="list" style="max-height: 320px; overflow-y: auto; margin-bottom: 8px;"></div>
+            <button type="button" data-action="reset" style="${buttonStyle} width: 100%;">Reset to default</button>
+        </div>
+    `;
+    container.appendChild(chooser);
+
+    const panel = chooser.querySelector('[data-role="panel"]');
+    const list = chooser.querySelector('[data-role="list"]');
+
+    function render() {
+        const entries = tableInstance.getColumnChooserEntries();
+        const moveStyle = 'padding: 0 4px; border: 1px solid #ddd; background: white; border-radius: 2px; cursor: pointer; font-size: 10px; line-height: 16px;';
+
+        list.innerHTML = entries.map((entry, index) => `
+            <div data-index="${index}" style="display: flex; align-items: center; gap: 4px; padding: 2px 0;">
+                <label style="flex: 1; display: flex; align-items: center; gap: 6px; cursor: pointer; white-space: nowrap;">
+                    <input type="checkbox" data-role="visible"${entry.hidden ? '' : ' checked'}>
+                    ${escapeHtml(entry.title)}
+                </label>
+                <button type="button" data-action="up" title="Move left" style="${moveStyle}"${index === 0 ? ' disabled' : ''}>▲</button>
+                <button type="button" data-action="down" title="Move right" style="${moveStyle}"${index === entries.length - 1 ? ' disabled' : ''}>▼</button>
+            </div>
+        `).join('');
+    }
+
+    function save(entries) {
+        tableInstance.updateColumnLayout({
+            order: entries.map(entry => entry.key),
+            hidden: entries.filter(entry => entry.hidden).map(entry => entry.key)
+        })
+            .then(render)
+            .catch(error => console.error(`Could not update columns for ${tableInstance.elementId}:`, error));
+    }
+
+    function setOpen(open) {
+        isOpen = open;
+        panel.style.display = open ? 'block' : 'none';
+        if (open) render();
+    }
+
+    chooser.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const action = button.dataset.action;
+        if (action === 'toggle') {
+            setOpen(!isOpen);
+        } else if (action === 'reset') {
+            tableInstance.updateColumnLayout(null)
+                .then(render)
+                .catch(error => console.error(`Could not reset columns for ${tableInstance.elementId}:`, error));
+        } else if (action === 'up' || action === 'down') {
+            const entries = tableInstance.getColumnChooserEntries();
+            const index = parseInt(button.closest('[data-index]').dataset.index, 10);
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= entries.length) return;
+
+            [entries[index], entries[target]] = [entries[target], entries[index]];
+            save(entries);
+        }
+    });
+
+    list.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-role="visible"]');
+        if (!input) return;
+
+        const entries = tableInstance.getColumnChooserEntries();
+        const index = parseInt(input.closest('[data-index]').dataset.index, 10);
+        entries[index] = { ...entries[index], hidden: !input.checked };
+        save(entries);
+    });
+
+    // Close when clicking elsewhere (the list is re-rendered, so check the target is still inside)
+    document.addEventListener('click', (e) => {
+        if (isOpen && !chooser.contains(e.target) && document.contains(e.target)) {
+            setOpen(false);
+        }
+    });
+
+    return { element: chooser };
+}
+
+export default {
+    createColumnChooser
+};
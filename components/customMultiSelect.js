@@ -500,6 +500,10 @@ export function createCustomMultiSelect(cell, onRendered, success, cancel, optio
                     selectedValues = currentFilter;
                     updateButtonText();
                 }
+            } else if (selectedValues.length !== allValues.length) {
+                // Filter cleared externally (clearHeaderFilter / URL state) - back to "All"
+                selectedValues = [...allValues];
+                updateButtonText();
             }
         }
     });
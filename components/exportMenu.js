@@ -0,0 +1,94 @@
+// components/exportMenu.js - Export menu for a table toolbar
+// Writes the currently filtered and sorted rows as CSV, XLSX or JSON, with formatted display
+// values or raw field values. Tables with subtables (Matchups) can flatten them into the export.
+
+import { EXPORT_FORMATS } from '../shared/exporter.js';
+
+const FORMAT_LABELS = { csv: 'CSV', xlsx: 'Excel (XLSX)', json: 'JSON' };
+
+/**
+ * Create the export menu
+ * @param {HTMLElement} container - Element to render into (usually the table toolbar)
+ * @param {BaseTable} tableInstance - Table to export
+ * @returns {object} { element }
+ */
+export function createExportMenu(container, tableInstance) {
+    const supportsSubtables = typeof tableInstance.getExportSubtables === 'function';
+    let isOpen = false;
+
+    const menu = document.createElement('div');
+    menu.className = 'export-menu';
+    menu.style.cssText = 'position: relative; display: inline-block; font-size: 12px;';
+
+    const selectStyle = 'padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px;';
+    menu.innerHTML = `
+        <button type="button" data-action="toggle" style="padding: 3px 8px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;">Export ▾</button>
+        <div data-role="panel" style="display: none; position: absolute; top: 100%; left: 0; z-index: 1000; margin-top: 4px; padding: 10px; min-width: 200px; background: white; border: 1px solid #ddd; border-radius: 4px; box-shadow: 0 4px 12px rgba(0,0,0,0.15);">
+            <label style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 6px;">
+                Format
+                <select data-role="format" style="${selectStyle}">
+                    ${EXPORT_FORMATS.map(format => `<option value="${format}">${FORMAT_LABELS[format]}</option>`).join('')}
+                </select>
+            </label>
+            <label style="display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 6px;">
+                Values
+                <select data-role="values" style="${selectStyle}">
+                    <option value="formatted">As displayed</option>
+                    <option value="raw">Raw</option>
+                </select>
+            </label>
+            ${supportsSubtables ? `
+                <label style="display: flex; align-items: center; gap: 6px; margin-bottom: 6px; cursor: pointer;">
+                    <input type="checkbox" data-role="subtables">
+                    Include defense &amp; player subtables
+                </label>
+            ` : ''}
+            <div data-role="status" style="color: #b91c1c; margin-bottom: 6px;"></div>
+            <button type="button" data-action="download" style="width: 100%; padding: 4px 10px; border: none; background: #f97316; color: white; border-radius: 3px; cursor: pointer; font-size: 12px; font-weight: 600;">Download</button>
+        </div>
+    `;
+    container.appendChild(menu);
+
+    const panel = menu.querySelector('[data-role="panel"]');
+    const status = menu.querySelector('[data-role="status"]');
+
+    function setOpen(open) {
+        isOpen = open;
+        panel.style.display = open ? 'block' : 'none';
+        if (open) status.textContent = '';
+    }
+
+    menu.addEventListener('click', (e) => {
+        const action = e.target.getAttribute('data-action');
+
+        if (action === 'toggle') {
+            setOpen(!isOpen);
+        } else if (action === 'download') {
+            const subtables = menu.querySelector('[data-role="subtables"]');
+            try {
+                tableInstance.exportView({
+                    format: menu.querySelector('[data-role="format"]').value,
+                    formatted: menu.querySelector('[data-role="values"]').value === 'formatted',
+                    includeSubtables: !!(subtables && subtables.checked)
+                });
+                setOpen(false);
+            } catch (error) {
+                console.error(`Export failed for ${tableInstance.elementId}:`, error);
+                status.textContent = error.message;
+            }
+        }
+    });
+
+    // Close when clicking elsewhere
+    document.addEventListener('click', (e) => {
+        if (isOpen && !menu.contains(e.target)) {
+            setOpen(false);
+        }
+    });
+
+    return { element: menu };
+}
+
+export default {
+    createExportMenu
+};
@@ -0,0 +1,188 @@
+// components/globalSearch.js - Player search box in the tab bar
+// Searches every tab for a player and shows the hits grouped by tab, plus the player's matchup.
+// Clicking a hit switches tabs through TabManager, filters Player Name and expands the row.
+
+import { searchPlayers } from '../shared/playerSearch.js';
+import { escapeHtml } from '../shared/utils.js';
+
+/**
+ * Create the search box
+ * @param {HTMLElement} container - Tab bar element to append to
+ * @param {TabManager} tabManager - Used to switch tabs and apply the view
+ * @param {object[]} tabs - Registry entries of the enabled tabs ({ id, label })
+ * @returns {object} { element }
+ */
+export function createGlobalSearch(container, tabManager, tabs) {
+    const searchTabs = tabs
+        .filter(entry => tabManager.tables[entry.id])
+        .map(entry => ({ id: entry.id, label: entry.label, instance: tabManager.tables[entry.id] }));
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'global-search';
+    wrapper.style.cssText = 'position: relative; display: inline-flex; align-items: center; margin-left: 8px;';
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.placeholder = 'Search players...';
+    input.setAttribute('aria-label', 'Search players across all tabs');
+    input.style.cssText = 'width: 180px; padding: 8px 10px; border: none; border-radius: 4px; font-size: 13px;';
+    wrapper.appendChild(input);
+
+    const popover = document.createElement('div');
+    popover.className = 'global-search-results';
+    popover.style.cssText = `
+        display: none;
+        position: absolute;
+        top: calc(100% + 6px);
+        right: 0;
+        width: 360px;
+        max-height: 420px;
+        overflow-y: auto;
+        background: white;
+        color: #333;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        box-shadow: 0 6px 18px rgba(0,0,0,0.2);
+        z-index: 2000;
+        font-size: 12px;
+        text-align: left;
+    `;
+    wrapper.appendChild(popover);
+    container.appendChild(wrapper);
+
+    let searchTimeout = null;
+    let searchId = 0;
+
+    function hide() {
+        popover.style.display = 'none';
+    }
+
+    function renderItem(attrs, title, detail) {
+        return `
+            <div class="global-search-item" ${attrs} style="padding: 5px 10px; cursor: pointer; display: flex; justify-content: space-between; gap: 8px;">
+                <span style="font-weight: 500; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${title}</span>
+                <span style="color: #666; white-space: nowrap;">${detail}</span>
+            </div>
+        `;
+    }
+
+    function render({ groups, matchups }, query) {
+        if (groups.length === 0 && matchups.length === 0) {
+            popover.innerHTML = `<div style="padding: 10px; color: #666;">No players match "${escapeHtml(query)}"</div>`;
+            popover.style.display = 'block';
+            return;
+        }
+
+        const headerStyle = 'padding: 6px 10px 3px; font-weight: 700; color: #ea580c; border-top: 1px solid #f3f4f6;';
+        const sections = groups.map(group => {
+            const items = group.results.map(result => renderItem(
+                `data-tab="${escapeHtml(group.tabId)}" data-row-id="${escapeHtml(result.rowId)}" data-player="${escapeHtml(result.player)}"`,
+                `${escapeHtml(result.player)} <span style="color: #999; font-weight: 400;">${escapeHtml(result.team)}</span>`,
+                escapeHtml(result.label)
+            )).join('');
+            const more = group.total > group.results.length
+                ? renderItem(
+                    `data-tab="${escapeHtml(group.tabId)}" data-player="${escapeHtml(group.results[0].player)}"`,
+                    `<span style="color: #f97316;">Show all ${group.total}...</span>`,
+                    ''
+                )
+                : '';
+            return `<div style="${headerStyle}">${escapeHtml(group.label)} (${group.total})</div>${items}${more}`;
+        });
+
+        if (matchups.length > 0) {
+            sections.push(`<div style="${headerStyle}">Matchup</div>` + matchups.map(matchup => renderItem(
+                `data-tab="${escapeHtml(matchup.tabId)}" data-row-id="${escapeHtml(matchup.rowId)}"`,
+                escapeHtml(matchup.matchup),
+                escapeHtml(matchup.players.join(', '))
+            )).join(''));
+        }
+
+        popover.innerHTML = sections.join('');
+        popover.style.display = 'block';
+    }
+
+    async function runSearch() {
+        const query = input.value.trim();
+        if (query.length < 2) {
+            hide();
+            return;
+        }
+
+        const id = ++searchId;
+        popover.innerHTML = '<div style="padding: 10px; color: #666;">Searching...</div>';
+        popover.style.display = 'block';
+
+        try {
+            const results = await searchPlayers(searchTabs, query);
+            // Ignore results of an older query that resolved late
+            if (id === searchId) render(results, query);
+        } catch (error) {
+            console.error('Player search failed:', error);
+            if (id === searchId) {
+                popover.innerHTML = '<div style="padding: 10px; color: #b91c1c;">Search failed - see console</div>';
+            }
+        }
+    }
+
+    async function openResult(item) {
+        const tabId = item.getAttribute('data-tab');
+        const rowId = item.getAttribute('data-row-id');
+        const player = item.getAttribute('data-player');
+        hide();
+
+        // Player rows: filter to the player and expand the row; matchups: expand the game
+        const viewState = {
+            filters: player ? [{ field: "Player Name", value: player }] : [],
+            expanded: rowId ? [rowId] : []
+        };
+        await tabManager.showView(tabId, viewState);
+
+        const instance = tabManager.tables[tabId];
+        const row = rowId && instance && instance.table ? instance.table.getRow(rowId) : null;
+        if (row) {
+            instance.table.scrollToRow(row, "top", false).catch(() => {});
+        }
+    }
+
+    input.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(runSearch, 250);
+    });
+
+    input.addEventListener('focus', () => {
+        if (input.value.trim().length >= 2) runSearch();
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            hide();
+            input.blur();
+        } else if (e.key === 'Enter') {
+            const first = popover.querySelector('.global-search-item');
+            if (first) openResult(first);
+        }
+    });
+
+    popover.addEventListener('mouseover', (e) => {
+        const item = e.target.closest('.global-search-item');
+        popover.querySelectorAll('.global-search-item').forEach(el => {
+            el.style.background = el === item ? '#fff7ed' : '';
+        });
+    });
+
+    popover.addEventListener('click', (e) => {
+        const item = e.target.closest('.global-search-item');
+        if (item) openResult(item);
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!wrapper.contains(e.target)) hide();
+    });
+
+    return { element: wrapper };
+}
+
+export default {
+    createGlobalSearch
+};
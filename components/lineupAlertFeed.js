@@ -0,0 +1,180 @@
+// components/lineupAlertFeed.js - Lineup alert feed
+// Floating button (bottom left, with a count of unseen alerts) and a panel listing lineup status
+// flips newest first, with a browser-notification toggle. Lives on document.body like the bet slip.
+// Player alerts open the player profile.
+
+import {
+    ALERT_KINDS, getLineupAlerts, getUnseenAlertCount, markLineupAlertsSeen, clearLineupAlerts,
+    isBrowserNotifyEnabled, setBrowserNotify, onLineupAlertsChange
+} from '../shared/lineupAlerts.js';
+import { openPlayerProfile } from './playerProfileModal.js';
+import { escapeHtml } from '../shared/utils.js';
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Create the lineup alert feed and its toggle button
+ * @returns {object} { open(), close(), toggle(), element }
+ */
+export function createLineupAlertFeed() {
+    let isOpen = false;
+
+    const toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.className = 'lineup-alert-toggle';
+    toggleButton.style.cssText = `
+        position: fixed;
+        left: 16px;
+        bottom: 16px;
+        z-index: 10000;
+        padding: 8px 14px;
+        border: none;
+        border-radius: 20px;
+        color: white;
+        font-size: 13px;
+        font-weight: 600;
+        cursor: pointer;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.25);
+    `;
+
+    const panel = document.createElement('div');
+    panel.className = 'lineup-alert-feed';
+    panel.style.cssText = `
+        position: fixed;
+        left: 16px;
+        bottom: 56px;
+        width: 340px;
+        max-width: calc(100vw - 32px);
+        max-height: 60vh;
+        z-index: 10001;
+        background: white;
+        border-radius: 6px;
+        box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+        display: none;
+        flex-direction: column;
+        overflow: hidden;
+        font-size: 12px;
+        color: #333;
+    `;
+
+    panel.innerHTML = `
+        <div style="display: flex; align-items: center; justify-content: space-between; padding: 10px 12px; background: linear-gradient(135deg, #f97316 0%, #ea580c 100%); color: white;">
+            <strong style="font-size: 14px;">Lineup Alerts</strong>
+            <button type="button" data-action="close" style="border: none; background: none; color: white; font-size: 18px; cursor: pointer;">×</button>
+        </div>
+        <div data-role="list" style="flex: 1; overflow-y: auto; padding: 4px 12px;"></div>
+        <div style="display: flex; align-items: center; gap: 6px; padding: 8px 12px; border-top: 1px solid #eee;">
+            <label style="display: flex; align-items: center; gap: 4px; cursor: pointer;">
+                <input type="checkbox" data-role="notify"> Browser notifications
+            </label>
+            <button type="button" data-action="clear" style="margin-left: auto; padding: 4px 10px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px; color: #b91c1c;">Clear</button>
+        </div>
+    `;
+
+    const list = panel.querySelector('[data-role="list"]');
+    const notifyInput = panel.querySelector('[data-role="notify"]');
+
+    function renderButton() {
+        const unseen = isOpen ? 0 : getUnseenAlertCount();
+        toggleButton.textContent = unseen > 0 ? `Lineup Alerts (${unseen} new)` : 'Lineup Alerts';
+        toggleButton.style.background = unseen > 0
+            ? 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)'
+            : 'linear-gradient(135deg, #f97316 0%, #ea580c 100%)';
+    }
+
+    function render(alerts) {
+        renderButton();
+        notifyInput.checked = isBrowserNotifyEnabled();
+
+        if (alerts.length === 0) {
+            list.innerHTML = '<div style="padding: 12px 0; color: #666;">No lineup changes yet. Status flips (Expected → Confirmed, Starter → Bench, newly Out) show up here as the tables refresh.</div>';
+            return;
+        }
+
+        list.innerHTML = alerts.map(alert => {
+            const kind = ALERT_KINDS[alert.kind] || ALERT_KINDS.status;
+            const title = alert.playerName
+                ? `<a href="#" data-player="${escapeHtml(alert.playerName)}" data-team="${escapeHtml(alert.team)}" style="color: #333; font-weight: 700;">${escapeHtml(alert.label)}</a>`
+                : `<strong>${escapeHtml(alert.label)}</strong>`;
+            return `
+                <div style="padding: 6px 0 6px 8px; border-bottom: 1px solid #f3f4f6; border-left: 3px solid ${kind.color};">
+                    <div style="display: flex; justify-content: space-between; gap: 8px;">
+                        <span>${title}${alert.team && alert.playerName ? ` <span style="color: #666;">${escapeHtml(alert.team)}</span>` : ''}</span>
+                        <span style="color: #999; white-space: nowrap;">${formatTime(alert.at)}</span>
+                    </div>
+                    <div>
+                        <span style="background: ${kind.background}; color: ${kind.color}; font-weight: 700; padding: 0 5px; border-radius: 3px;">${kind.label}</span>
+                        ${escapeHtml(alert.from)} → <strong>${escapeHtml(alert.to)}</strong>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    panel.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-player]');
+        if (link) {
+            e.preventDefault();
+            openPlayerProfile(link.dataset.player, link.dataset.team);
+            return;
+        }
+
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        if (button.dataset.action === 'close') {
+            close();
+        } else if (button.dataset.action === 'clear') {
+            clearLineupAlerts();
+        }
+    });
+
+    notifyInput.addEventListener('change', async () => {
+        const enabled = await setBrowserNotify(notifyInput.checked);
+        if (notifyInput.checked && !enabled) {
+            alert('Browser notifications are blocked or not supported - allow them for this site to turn them on.');
+        }
+    });
+
+    function open() {
+        isOpen = true;
+        panel.style.display = 'flex';
+        markLineupAlertsSeen();
+    }
+
+    function close() {
+        isOpen = false;
+        panel.style.display = 'none';
+        renderButton();
+    }
+
+    function toggle() {
+        if (isOpen) {
+            close();
+        } else {
+            open();
+        }
+    }
+
+    toggleButton.addEventListener('click', toggle);
+
+    document.body.appendChild(toggleButton);
+    document.body.appendChild(panel);
+
+    onLineupAlertsChange(alerts => {
+        // New alerts while the feed is open count as seen
+        if (isOpen && getUnseenAlertCount() > 0) {
+            markLineupAlertsSeen();
+            return;
+        }
+        render(alerts);
+    });
+    render(getLineupAlerts());
+
+    return { open, close, toggle, element: panel };
+}
+
+export default {
+    createLineupAlertFeed
+};
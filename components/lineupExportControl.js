@@ -0,0 +1,81 @@
+// components/lineupExportControl.js - Hand-built lineup export for the DK / FD DFS tables
+// Rows ticked in the table's "Lineup" column form one lineup; the control shows the running
+// count and salary, and exports it as the site's bulk-upload CSV once it validates.
+
+import { CONFIG } from '../shared/config.js';
+import { toLineupPlayer, validateLineup, exportLineupsCSV } from '../shared/dfsExport.js';
+
+/**
+ * Create the lineup export control
+ * @param {HTMLElement} container - Element to render into (usually the table toolbar)
+ * @param {BaseTable} tableInstance - DK or FD table (rows are selected through its Lineup column)
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @returns {object} { update(), element }
+ */
+export function createLineupExportControl(container, tableInstance, siteKey) {
+    const site = CONFIG.DFS.sites[siteKey];
+    const buttonStyle = 'padding: 3px 8px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;';
+
+    const control = document.createElement('div');
+    control.className = 'lineup-export-control';
+    control.style.cssText = 'display: inline-flex; align-items: center; gap: 6px; font-size: 12px; color: #333;';
+    control.innerHTML = `
+        <span data-role="summary"></span>
+        <button type="button" data-action="export" style="${buttonStyle}">Export lineup CSV</button>
+        <button type="button" data-action="clear" style="${buttonStyle}">Clear</button>
+        <span data-role="status"></span>
+    `;
+    container.appendChild(control);
+
+    const summary = control.querySelector('[data-role="summary"]');
+    const status = control.querySelector('[data-role="status"]');
+
+    const getPlayers = () => tableInstance.table.getSelectedData().map(record => toLineupPlayer(record, siteKey));
+
+    function setStatus(text, isError = false) {
+        status.textContent = text;
+        status.style.color = isError ? '#b91c1c' : '#666';
+    }
+
+    function update() {
+        const players = getPlayers();
+        const { errors, salary } = validateLineup(players, siteKey);
+        const overCap = salary > site.salaryCap;
+
+        summary.innerHTML = `Lineup ${players.length}/${site.slots.length} · ` +
+            `<span style="color: ${overCap ? '#b91c1c' : 'inherit'};">$${salary.toLocaleString()}</span> / $${site.salaryCap.toLocaleString()}`;
+
+        // Only show rule problems once the roster is full (or over the cap early)
+        if (players.length >= site.slots.length || overCap) {
+            setStatus(errors.join('; '), errors.length > 0);
+        } else {
+            setStatus('');
+        }
+    }
+
+    control.addEventListener('click', (e) => {
+        const action = e.target.getAttribute('data-action');
+
+        if (action === 'export') {
+            try {
+                const { missingIds } = exportLineupsCSV([getPlayers()], siteKey);
+                setStatus(missingIds.length > 0
+                    ? `Exported - ${missingIds.length} players without a site ID were written by name`
+                    : 'Exported');
+            } catch (error) {
+                setStatus(error.message, true);
+            }
+        } else if (action === 'clear') {
+            tableInstance.clearLineupSelection();
+        }
+    });
+
+    tableInstance.table.on("rowSelectionChanged", update);
+    update();
+
+    return { update, element: control };
+}
+
+export default {
+    createLineupExportControl
+};
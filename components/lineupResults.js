@@ -0,0 +1,90 @@
+// components/lineupResults.js - Lineups built by the DFS Optimizer tab
+// One row per lineup with the player in each roster slot, total salary and projection,
+// plus an export of the lineups in the site's bulk-upload CSV layout.
+
+import { escapeHtml } from '../shared/utils.js';
+
+function formatSalary(value) {
+    return `$${Math.round(value).toLocaleString()}`;
+}
+
+/**
+ * Create the lineup results list
+ * @param {HTMLElement} container - Element to render into (placed below the player pool)
+ * @param {object} options - { onExport() } - writes the upload CSV, returns a status message or throws
+ * @returns {object} { update(lineups, siteLabel), element }
+ */
+export function createLineupResults(container, options = {}) {
+    const element = document.createElement('div');
+    element.className = 'lineup-results';
+    element.style.cssText = 'width: 100%; margin-top: 10px; font-size: 12px; color: #333;';
+    container.appendChild(element);
+
+    // Delegated so the handler survives re-renders of the list
+    element.addEventListener('click', (e) => {
+        if (e.target.getAttribute('data-action') !== 'export' || !options.onExport) return;
+        const status = element.querySelector('[data-role="export-status"]');
+        try {
+            status.textContent = options.onExport() || '';
+            status.style.color = '#666';
+        } catch (error) {
+            console.error('Lineup export failed:', error);
+            status.textContent = error.message;
+            status.style.color = '#b91c1c';
+        }
+    });
+
+    function update(lineups, siteLabel = '') {
+        if (!lineups || lineups.length === 0) {
+            element.innerHTML = '';
+            return;
+        }
+
+        const cellStyle = 'padding: 4px 6px; border-bottom: 1px solid #f3f4f6; white-space: nowrap; text-align: center;';
+        const headerStyle = `${cellStyle} background: #fff7ed; color: #9a3412; font-weight: 600; position: sticky; top: 0;`;
+        const slotNames = lineups[0].slots.map(entry => entry.slot);
+
+        element.innerHTML = `
+            <div style="display: flex; align-items: center; flex-wrap: wrap; gap: 10px; margin-bottom: 4px;">
+                <span style="font-weight: 700; color: #ea580c;">${lineups.length} ${escapeHtml(siteLabel)} lineup${lineups.length === 1 ? '' : 's'}</span>
+                ${options.onExport ? `
+                    <button type="button" data-action="export" title="Slot headers with site player IDs (names when the data has no ID)" style="padding: 3px 8px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;">Export upload CSV</button>
+                    <span data-role="export-status"></span>
+                ` : ''}
+            </div>
+            <div style="max-height: 420px; overflow: auto; border: 1px solid #fed7aa; border-radius: 4px; background: white;">
+                <table style="border-collapse: collapse; width: 100%;">
+                    <thead>
+                        <tr>
+                            <th style="${headerStyle}">#</th>
+                            ${slotNames.map(slot => `<th style="${headerStyle}">${escapeHtml(slot)}</th>`).join('')}
+                            <th style="${headerStyle}">Salary</th>
+                            <th style="${headerStyle}">Proj</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lineups.map((lineup, index) => `
+                            <tr>
+                                <td style="${cellStyle} color: #999;">${index + 1}</td>
+                                ${lineup.slots.map(({ player }) => `
+                                    <td style="${cellStyle}" title="${escapeHtml(`${player.name} (${player.team}) ${formatSalary(player.salary)} · ${player.projection.toFixed(1)}`)}">
+                                        ${escapeHtml(player.name)}
+                                        <span style="color: #999; font-size: 11px;">${formatSalary(player.salary)}</span>
+                                    </td>
+                                `).join('')}
+                                <td style="${cellStyle} font-weight: 600;">${formatSalary(lineup.salary)}</td>
+                                <td style="${cellStyle} font-weight: 600;">${lineup.projection.toFixed(2)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    return { update, element };
+}
+
+export default {
+    createLineupResults
+};
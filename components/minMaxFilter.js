@@ -1,5 +1,6 @@
 // components/minMaxFilter.js - Min/Max Range Filter for Tabulator
 // UPDATED: More compact inputs to prevent forcing column widths wider than necessary
+// UPDATED: Inputs start from the current header filter value (setHeaderFilterValue / URL state)
 // Provides a dual-input filter for numeric columns (e.g., prop values, odds)
 
 /**
@@ -54,6 +55,13 @@ export function createMinMaxFilter(cell, onRendered, success, cancel, editorPara
     maxInput.placeholder = 'Max';
     maxInput.style.cssText = inputStyle;
     
+    // Start from the existing filter value - Tabulator rebuilds the element on setHeaderFilterValue
+    const initialValue = cell.getValue();
+    if (initialValue && typeof initialValue === 'object') {
+        minInput.value = initialValue.min ?? '';
+        maxInput.value = initialValue.max ?? '';
+    }
+    
     // Debounce timer
     let filterTimeout = null;
     
@@ -0,0 +1,174 @@
+// components/oddsHeatmapPanel.js - Book heatmap for the Game Odds toolbar
+// Collapsible pivot of one game + market: books across, side/line down, each price shaded by its
+// distance from the median price so stale books stand out (see shared/oddsMatrix.js).
+
+import { formatOdds, escapeHtml } from '../shared/utils.js';
+import { getMatrixMarkets, buildOddsMatrix, getHeatColor } from '../shared/oddsMatrix.js';
+
+const SELECT_STYLE = 'padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px; max-width: 260px;';
+
+// Spreads get a sign, totals don't ("Over 220.5")
+function formatLine(label, line) {
+    if (line === null) return '';
+    const signed = line > 0 && !/^(over|under)/i.test(label);
+    return ` ${signed ? '+' : ''}${line}`;
+}
+
+function formatGap(gap) {
+    if (gap === null) return 'no median';
+    return `${gap >= 0 ? '+' : ''}${gap.toFixed(1)} pts implied vs median`;
+}
+
+/**
+ * Create the heatmap panel
+ * @param {HTMLElement} container - Element to render into (usually the table toolbar)
+ * @param {object} options - { parseOdds(value) -> number|null, formatMatchup(matchup) }
+ * @returns {object} { update(rows), element }
+ */
+export function createOddsHeatmapPanel(container, options) {
+    const formatMatchup = options.formatMatchup || (value => value);
+    let rows = [];
+    let isOpen = false;
+    let matchup = null;
+    let propType = null;
+
+    const panel = document.createElement('div');
+    panel.className = 'odds-heatmap-panel';
+    panel.style.cssText = 'width: 100%; font-size: 12px;';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; gap: 10px; flex-wrap: wrap;';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.style.cssText = `
+        padding: 4px 10px;
+        border: 1px solid #f97316;
+        background: white;
+        color: #ea580c;
+        border-radius: 3px;
+        cursor: pointer;
+        font-size: 12px;
+        font-weight: 600;
+    `;
+
+    const matchupSelect = document.createElement('select');
+    matchupSelect.style.cssText = SELECT_STYLE;
+    matchupSelect.setAttribute('aria-label', 'Game');
+
+    const propSelect = document.createElement('select');
+    propSelect.style.cssText = SELECT_STYLE;
+    propSelect.setAttribute('aria-label', 'Market');
+
+    header.appendChild(toggle);
+    header.appendChild(matchupSelect);
+    header.appendChild(propSelect);
+
+    const grid = document.createElement('div');
+    grid.style.cssText = 'display: none; margin-top: 8px; max-height: 320px; overflow: auto; background: white; border: 1px solid #fed7aa; border-radius: 4px;';
+
+    panel.appendChild(header);
+    panel.appendChild(grid);
+    container.appendChild(panel);
+
+    function renderSelects() {
+        const markets = getMatrixMarkets(rows);
+        if (!markets.has(matchup)) {
+            matchup = markets.size > 0 ? markets.keys().next().value : null;
+        }
+        const propTypes = matchup ? markets.get(matchup) : [];
+        if (!propTypes.includes(propType)) {
+            propType = propTypes[0] || null;
+        }
+
+        matchupSelect.innerHTML = [...markets.keys()].map(value =>
+            `<option value="${escapeHtml(value)}"${value === matchup ? ' selected' : ''}>${escapeHtml(formatMatchup(value))}</option>`
+        ).join('');
+        propSelect.innerHTML = propTypes.map(value =>
+            `<option value="${escapeHtml(value)}"${value === propType ? ' selected' : ''}>${escapeHtml(value)}</option>`
+        ).join('');
+        matchupSelect.disabled = propSelect.disabled = markets.size === 0;
+    }
+
+    function renderGrid() {
+        toggle.textContent = `${isOpen ? '▼' : '▶'} Book heatmap`;
+        matchupSelect.style.display = propSelect.style.display = isOpen ? '' : 'none';
+        if (!isOpen) {
+            grid.style.display = 'none';
+            return;
+        }
+        grid.style.display = 'block';
+
+        if (!matchup || !propType) {
+            grid.innerHTML = '<div style="padding: 8px; color: #666;">No games match the Matchup filter.</div>';
+            return;
+        }
+
+        const matrix = buildOddsMatrix(rows, { matchup, propType, parseOdds: options.parseOdds });
+        const cellStyle = 'padding: 4px 8px; border-bottom: 1px solid #f3f4f6; text-align: center; white-space: nowrap;';
+        const headStyle = `${cellStyle} color: #666; font-weight: 600; position: sticky; top: 0; background: white;`;
+
+        const body = matrix.lines.map(entry => `
+            <tr>
+                <td style="${cellStyle} text-align: left; font-weight: 600;">${escapeHtml(entry.label)}${formatLine(entry.label, entry.line)}</td>
+                <td style="${cellStyle} color: #666;">${formatOdds(entry.median)}</td>
+                ${matrix.books.map(book => {
+                    const price = entry.prices[book];
+                    if (!price) return `<td style="${cellStyle} color: #ccc;">-</td>`;
+                    return `<td style="${cellStyle} background: ${getHeatColor(price.gap)};" title="${escapeHtml(book)}: ${formatGap(price.gap)}">${formatOdds(price.odds)}</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+
+        grid.innerHTML = `
+            <table style="border-collapse: collapse; font-size: 12px; min-width: 100%;">
+                <thead>
+                    <tr>
+                        <th style="${headStyle} text-align: left;">Side / Line</th>
+                        <th style="${headStyle}">Median</th>
+                        ${matrix.books.map(book => `<th style="${headStyle}">${escapeHtml(book)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+            <div style="padding: 6px 8px; color: #666;">
+                <span style="display: inline-block; width: 10px; height: 10px; vertical-align: middle; background: ${getHeatColor(3)};"></span> pays more than the median
+                &nbsp;<span style="display: inline-block; width: 10px; height: 10px; vertical-align: middle; background: ${getHeatColor(-3)};"></span> pays less - darker is further off the market
+            </div>
+        `;
+    }
+
+    toggle.addEventListener('click', () => {
+        isOpen = !isOpen;
+        renderGrid();
+    });
+
+    matchupSelect.addEventListener('change', () => {
+        matchup = matchupSelect.value;
+        renderSelects();
+        renderGrid();
+    });
+
+    propSelect.addEventListener('change', () => {
+        propType = propSelect.value;
+        renderGrid();
+    });
+
+    /**
+     * Replace the rows shown (already limited to the games passing the Matchup filter)
+     * @param {object[]} nextRows - Game Odds rows
+     */
+    function update(nextRows) {
+        rows = nextRows;
+        renderSelects();
+        renderGrid();
+    }
+
+    renderGrid();
+
+    return { update, element: panel };
+}
+
+export default {
+    createOddsHeatmapPanel
+};
@@ -0,0 +1,118 @@
+// components/optimizerPanel.js - Settings bar for the DFS Optimizer tab
+// Site, split, projection, lineup count, exposure and team stacking limits, plus Build / Stop.
+// The table owns the settings; the panel only reports changes through the callbacks.
+
+const INPUT_STYLE = 'padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px;';
+const LABEL_STYLE = 'display: inline-flex; align-items: center; gap: 4px; color: #333;';
+
+/**
+ * Create the optimizer settings bar
+ * @param {HTMLElement} container - Element to render into (usually the table toolbar)
+ * @param {object} options - { sites: { key: { label } }, projections: [], settings,
+ *                             onSettingsChange(changes), onRun(), onCancel() }
+ *                           settings: { site, projection, split, count, maxCount, maxExposure (%),
+ *                                       maxPerTeam, minStack, skipInactive }
+ * @returns {object} { setSplits(splits, selected), setStatus(text, isError), setRunning(running), element }
+ */
+export function createOptimizerPanel(container, options) {
+    const { sites, projections, settings } = options;
+
+    const panel = document.createElement('div');
+    panel.className = 'optimizer-panel';
+    panel.style.cssText = 'display: flex; flex-wrap: wrap; align-items: center; gap: 10px; width: 100%; font-size: 12px;';
+
+    panel.innerHTML = `
+        <label style="${LABEL_STYLE}">Site
+            <select data-setting="site" style="${INPUT_STYLE}">
+                ${Object.entries(sites).map(([key, site]) => `<option value="${key}">${site.label}</option>`).join('')}
+            </select>
+        </label>
+        <label style="${LABEL_STYLE}">Split
+            <select data-setting="split" style="${INPUT_STYLE}"></select>
+        </label>
+        <label style="${LABEL_STYLE}">Projection
+            <select data-setting="projection" style="${INPUT_STYLE}">
+                ${projections.map(projection => `<option value="${projection}">${projection}</option>`).join('')}
+            </select>
+        </label>
+        <label style="${LABEL_STYLE}">Lineups
+            <input type="number" data-setting="count" min="1" max="${settings.maxCount}" step="1" style="${INPUT_STYLE} width: 55px;">
+        </label>
+        <label style="${LABEL_STYLE}" title="Default cap on the share of lineups any one player appears in (override per player in the Max % column)">Max exposure %
+            <input type="number" data-setting="maxExposure" min="0" max="100" step="5" style="${INPUT_STYLE} width: 55px;">
+        </label>
+        <label style="${LABEL_STYLE}" title="Most players from one team (blank = site rule only)">Max/team
+            <input type="number" data-setting="maxPerTeam" min="1" max="9" step="1" style="${INPUT_STYLE} width: 45px;">
+        </label>
+        <label style="${LABEL_STYLE}" title="Require at least this many players from one team (blank = no stack)">Min stack
+            <input type="number" data-setting="minStack" min="2" max="9" step="1" style="${INPUT_STYLE} width: 45px;">
+        </label>
+        <label style="${LABEL_STYLE} cursor: pointer;" title="Leave Out / OFS players out of the pool">
+            <input type="checkbox" data-setting="skipInactive"> Skip Out
+        </label>
+        <button type="button" data-action="run" style="padding: 4px 12px; border: none; background: #f97316; color: white; border-radius: 3px; cursor: pointer; font-size: 12px; font-weight: 600;">Build Lineups</button>
+        <button type="button" data-action="cancel" style="display: none; padding: 4px 10px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;">Stop</button>
+        <span data-role="status" style="color: #666;"></span>
+    `;
+    container.appendChild(panel);
+
+    const field = (name) => panel.querySelector(`[data-setting="${name}"]`);
+    const status = panel.querySelector('[data-role="status"]');
+    const runButton = panel.querySelector('[data-action="run"]');
+    const cancelButton = panel.querySelector('[data-action="cancel"]');
+
+    field('site').value = settings.site;
+    field('projection').value = settings.projection;
+    field('count').value = settings.count;
+    field('maxExposure').value = settings.maxExposure;
+    field('maxPerTeam').value = settings.maxPerTeam ?? '';
+    field('minStack').value = settings.minStack || '';
+    field('skipInactive').checked = settings.skipInactive;
+
+    // Blank or invalid numbers fall back to null ("no limit")
+    const readNumber = (input, min, max) => {
+        const value = parseInt(input.value, 10);
+        if (isNaN(value)) return null;
+        const clamped = Math.min(max, Math.max(min, value));
+        if (clamped !== value) input.value = clamped;
+        return clamped;
+    };
+
+    panel.addEventListener('change', (e) => {
+        const name = e.target.getAttribute('data-setting');
+        if (!name) return;
+
+        let value;
+        if (name === 'count') value = readNumber(e.target, 1, settings.maxCount) || 1;
+        else if (name === 'maxExposure') value = readNumber(e.target, 0, 100) ?? 100;
+        else if (name === 'maxPerTeam' || name === 'minStack') value = readNumber(e.target, 1, 9);
+        else if (name === 'skipInactive') value = e.target.checked;
+        else value = e.target.value;
+
+        options.onSettingsChange({ [name]: value });
+    });
+
+    runButton.addEventListener('click', () => options.onRun());
+    cancelButton.addEventListener('click', () => options.onCancel());
+
+    return {
+        setSplits(splits, selected) {
+            field('split').innerHTML = splits.map(split => `<option value="${split}">${split}</option>`).join('');
+            field('split').value = selected || '';
+        },
+        setStatus(text, isError = false) {
+            status.textContent = text;
+            status.style.color = isError ? '#b91c1c' : '#666';
+        },
+        setRunning(running) {
+            runButton.disabled = running;
+            runButton.style.opacity = running ? '0.6' : '';
+            cancelButton.style.display = running ? '' : 'none';
+        },
+        element: panel
+    };
+}
+
+export default {
+    createOptimizerPanel
+};
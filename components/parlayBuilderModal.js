@@ -0,0 +1,325 @@
+// components/parlayBuilderModal.js - Same-game parlay builder modal
+// Opened from the parlay button in a Matchups row. Legs are picked from the game's Prop
+// Clearances, DD-TD, Prop Odds and Game Odds rows; the slip shows the combined book price, the
+// independent and correlated hit rates, and warnings for legs that conflict (see shared/parlay.js).
+
+import { CONFIG } from '../shared/config.js';
+import { loadMatchupSources } from '../shared/playerProfile.js';
+import {
+    CORRELATION_SETTINGS, buildParlayLegs, describeLeg, analyzeParlay,
+    getParlaySettings, setParlaySettings, onParlaySettingsChange
+} from '../shared/parlay.js';
+import { formatOdds, formatPercentage, escapeHtml } from '../shared/utils.js';
+
+const SOURCES = ['Prop Clearances', 'DD-TD', 'Prop Odds', 'Game Odds'];
+const INPUT_STYLE = 'padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px;';
+const ISSUE_STYLES = {
+    conflict: 'background: #fee2e2; color: #b91c1c;',
+    warning: 'background: #fef3c7; color: #b45309;'
+};
+
+let modal = null;
+let requestId = 0;
+// { sources, split, legs, selected: Map(id -> leg), query, source } for the open game
+let current = null;
+
+function formatEv(value) {
+    if (value === null || value === undefined) return '-';
+    const percent = (value * 100).toFixed(1);
+    return value > 0 ? `+${percent}%` : `${percent}%`;
+}
+
+function getSplits(sources) {
+    const splits = [...new Set([...sources.clearances, ...sources.ddtd].map(row => row["Split"]).filter(Boolean))];
+    return splits.sort((a, b) => (b === 'Full Season') - (a === 'Full Season') || a.localeCompare(b));
+}
+
+// Rebuild the candidate legs (split change) and re-point selected legs at the new objects
+function rebuildLegs() {
+    current.legs = buildParlayLegs(current.sources, { split: current.split });
+    const byId = new Map(current.legs.map(leg => [leg.id, leg]));
+    const selected = new Map();
+    current.selected.forEach((leg, id) => {
+        if (byId.has(id)) selected.set(id, byId.get(id));
+    });
+    current.selected = selected;
+}
+
+function renderControls(splits) {
+    modal.controls.innerHTML = `
+        <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 8px;">
+            <input type="search" data-role="query" placeholder="Search player or market" style="${INPUT_STYLE} flex: 1; min-width: 160px;">
+            <select data-role="source" style="${INPUT_STYLE}">
+                <option value="">All sources</option>
+                ${SOURCES.map(source => `<option value="${source}">${source}</option>`).join('')}
+            </select>
+            ${splits.length > 0 ? `
+                <label style="font-size: 12px; color: #666;">Clearance split
+                    <select data-role="split" style="${INPUT_STYLE}">
+                        ${splits.map(split => `<option value="${escapeHtml(split)}"${split === current.split ? ' selected' : ''}>${escapeHtml(split)}</option>`).join('')}
+                    </select>
+                </label>` : ''}
+        </div>
+    `;
+}
+
+function renderCandidates() {
+    const terms = current.query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = current.legs.filter(leg => {
+        if (current.source && leg.source !== current.source) return false;
+        const text = `${describeLeg(leg)} ${leg.book || ''} ${leg.team || ''}`.toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+    const shown = matches.slice(0, CONFIG.PARLAY.maxLegResults);
+
+    if (shown.length === 0) {
+        modal.candidates.innerHTML = '<div style="padding: 8px; color: #999;">No legs match</div>';
+        return;
+    }
+
+    modal.candidates.innerHTML = shown.map(leg => {
+        const added = current.selected.has(leg.id);
+        return `
+            <div style="display: flex; align-items: center; gap: 8px; padding: 3px 6px; border-bottom: 1px solid #f3f4f6;">
+                <button type="button" data-add="${escapeHtml(leg.id)}" ${added ? 'disabled' : ''} title="${added ? 'In the parlay' : 'Add leg'}" style="border: 1px solid #f97316; background: ${added ? '#f97316' : 'white'}; color: ${added ? 'white' : '#ea580c'}; border-radius: 3px; cursor: ${added ? 'default' : 'pointer'}; font-size: 11px; width: 22px;">${added ? '✓' : '+'}</button>
+                <span style="flex: 1;">${escapeHtml(describeLeg(leg))}</span>
+                <span style="color: #666;">${escapeHtml(leg.book || '')} ${formatOdds(leg.odds)}</span>
+                <span style="width: 48px; text-align: right;" title="${escapeHtml(leg.probabilitySource)}">${formatPercentage(leg.probability)}</span>
+                <span style="width: 96px; color: #999; font-size: 11px;">${leg.source}</span>
+            </div>
+        `;
+    }).join('') + (matches.length > shown.length
+        ? `<div style="padding: 6px; color: #666;">Showing ${shown.length} of ${matches.length} - refine the search to see more</div>`
+        : '');
+}
+
+function renderSettings() {
+    const values = getParlaySettings();
+    modal.settings.innerHTML = `
+        <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 10px; font-size: 12px; color: #333;">
+            <span style="color: #666;" title="Correlation between two legs going over; an over and an under use the opposite sign">Correlation:</span>
+            ${Object.entries(CORRELATION_SETTINGS).map(([key, label]) => `
+                <label style="display: inline-flex; align-items: center; gap: 4px;">${label}
+                    <input type="number" data-setting="${key}" min="-1" max="1" step="0.05" value="${values[key]}" style="${INPUT_STYLE} width: 56px;">
+                </label>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderSlip() {
+    const legs = [...current.selected.values()];
+    if (legs.length === 0) {
+        modal.slip.innerHTML = '<div style="padding: 8px; color: #999;">Add legs from the list above</div>';
+        return;
+    }
+
+    const result = analyzeParlay(legs);
+    const cellStyle = 'padding: 3px 6px; border-bottom: 1px solid #f3f4f6; white-space: nowrap;';
+
+    const rows = legs.map(leg => `
+        <tr>
+            <td style="${cellStyle}">${escapeHtml(describeLeg(leg))}</td>
+            <td style="${cellStyle} color: #666;">${escapeHtml(leg.book || '-')}</td>
+            <td style="${cellStyle} text-align: center;">${formatOdds(leg.odds)}</td>
+            <td style="${cellStyle} text-align: center;" title="${escapeHtml(leg.probabilitySource)}">${formatPercentage(leg.probability)}</td>
+            <td style="${cellStyle} text-align: center;"><button type="button" data-remove="${escapeHtml(leg.id)}" aria-label="Remove leg" style="border: none; background: none; color: #999; cursor: pointer;">×</button></td>
+        </tr>
+    `).join('');
+
+    const warnings = result.warnings.map(issue => `
+        <div style="${ISSUE_STYLES[issue.level]} padding: 4px 8px; border-radius: 3px; margin-top: 4px;">
+            <strong>${issue.level === 'conflict' ? 'Conflict' : 'Warning'}:</strong> ${escapeHtml(issue.message)}
+        </div>
+    `).join('');
+
+    const stat = (label, value, title = '') => `
+        <div style="text-align: center;"${title ? ` title="${title}"` : ''}>
+            <div style="color: #666; font-size: 11px;">${label}</div>
+            <div style="font-weight: 600; font-size: 14px;">${value}</div>
+        </div>
+    `;
+    const evColor = result.ev === null ? '' : result.ev > 0 ? 'color: #166534;' : 'color: #b91c1c;';
+
+    modal.slip.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+            <tbody>${rows}</tbody>
+        </table>
+        ${warnings}
+        <div style="display: flex; justify-content: space-around; gap: 10px; margin-top: 10px; padding: 8px; background: #fff7ed; border-radius: 4px;">
+            ${stat('Parlay odds', `${formatOdds(result.odds)} <span style="font-weight: 400; color: #666;">(${result.decimal.toFixed(2)})</span>`)}
+            ${stat('Independent', formatPercentage(result.independent), 'Product of the legs\' hit rates')}
+            ${stat('Correlated', formatPercentage(result.joint), `Adjusted with ${result.pairs.length} correlated pair${result.pairs.length === 1 ? '' : 's'}`)}
+            ${stat('Fair odds', formatOdds(result.fairOdds))}
+            ${stat('EV', `<span style="${evColor}">${formatEv(result.ev)}</span>`, 'Expected profit per unit at the correlated hit rate')}
+        </div>
+    `;
+}
+
+function close() {
+    if (modal) modal.overlay.style.display = 'none';
+    requestId++;
+    current = null;
+}
+
+function getModal() {
+    if (modal) return modal;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'parlay-builder-overlay';
+    overlay.style.cssText = `
+        position: fixed;
+        inset: 0;
+        z-index: 10002;
+        background: rgba(0,0,0,0.45);
+        display: none;
+        align-items: center;
+        justify-content: center;
+    `;
+
+    overlay.innerHTML = `
+        <div class="parlay-builder-modal" role="dialog" aria-modal="true" style="width: 820px; max-width: 95vw; max-height: 90vh; display: flex; flex-direction: column; background: white; border-radius: 6px; box-shadow: 0 8px 24px rgba(0,0,0,0.3); color: #333; text-align: left; font-size: 12px;">
+            <div style="display: flex; align-items: flex-start; justify-content: space-between; gap: 12px; padding: 10px 14px; background: linear-gradient(135deg, #f97316 0%, #ea580c 100%); color: white; border-radius: 6px 6px 0 0;">
+                <div data-role="header"></div>
+                <button type="button" data-action="close" aria-label="Close" style="border: none; background: none; color: white; font-size: 20px; cursor: pointer; line-height: 1;">×</button>
+            </div>
+            <div data-role="body" style="flex: 1; overflow-y: auto; padding: 12px 14px;">
+                <div data-role="status"></div>
+                <div data-role="content" style="display: none;">
+                    <div data-role="controls"></div>
+                    <div data-role="candidates" style="max-height: 240px; overflow-y: auto; border: 1px solid #fed7aa; border-radius: 4px;"></div>
+                    <h4 style="margin: 12px 0 4px; font-size: 13px; color: #ea580c;">Parlay</h4>
+                    <div data-role="slip"></div>
+                    <div data-role="settings" style="margin-top: 10px;"></div>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const find = role => overlay.querySelector(`[data-role="${role}"]`);
+    modal = {
+        overlay,
+        header: find('header'),
+        status: find('status'),
+        content: find('content'),
+        controls: find('controls'),
+        candidates: find('candidates'),
+        slip: find('slip'),
+        settings: find('settings')
+    };
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay || e.target.getAttribute('data-action') === 'close') {
+            close();
+            return;
+        }
+        if (!current || !current.legs) return;
+
+        const addId = e.target.getAttribute('data-add');
+        const removeId = e.target.getAttribute('data-remove');
+        if (addId) {
+            const leg = current.legs.find(candidate => candidate.id === addId);
+            if (leg) current.selected.set(leg.id, leg);
+        } else if (removeId) {
+            current.selected.delete(removeId);
+        } else {
+            return;
+        }
+        renderCandidates();
+        renderSlip();
+    });
+
+    overlay.addEventListener('input', (e) => {
+        if (e.target.getAttribute('data-role') === 'query' && current && current.legs) {
+            current.query = e.target.value;
+            renderCandidates();
+        }
+    });
+
+    overlay.addEventListener('change', (e) => {
+        if (!current || !current.legs) return;
+        const role = e.target.getAttribute('data-role');
+        const setting = e.target.getAttribute('data-setting');
+
+        if (role === 'source') {
+            current.source = e.target.value;
+            renderCandidates();
+        } else if (role === 'split') {
+            current.split = e.target.value;
+            rebuildLegs();
+            renderCandidates();
+            renderSlip();
+        } else if (setting) {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) {
+                setParlaySettings({ [setting]: Math.max(-1, Math.min(1, value)) });
+            }
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && overlay.style.display !== 'none') {
+            close();
+        }
+    });
+
+    onParlaySettingsChange(() => {
+        if (current && current.legs) {
+            renderSettings();
+            renderSlip();
+        }
+    });
+
+    return modal;
+}
+
+/**
+ * Open the same-game parlay builder for a game
+ * @param {number|string} matchupId - "Matchup ID" from the Matchups tab
+ * @param {string} matchup - Matchup text for the header
+ */
+export async function openParlayBuilder(matchupId, matchup = '') {
+    const { overlay, header, status, content } = getModal();
+    const id = ++requestId;
+
+    current = { sources: null, legs: null, split: null, selected: new Map(), query: '', source: '' };
+    header.innerHTML = `
+        <strong style="font-size: 16px;">Same-game parlay</strong>
+        <div style="font-size: 12px; opacity: 0.9;">${escapeHtml(matchup)}</div>
+    `;
+    status.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Loading legs...</div>';
+    content.style.display = 'none';
+    overlay.style.display = 'flex';
+
+    try {
+        const sources = await loadMatchupSources(matchupId);
+        // Closed or reopened for another game while loading
+        if (id !== requestId) return;
+        if (!sources) {
+            status.innerHTML = '<div style="padding: 20px; text-align: center; color: #999;">Game not found</div>';
+            return;
+        }
+
+        const splits = getSplits(sources);
+        current.sources = sources;
+        current.split = splits[0] || null;
+        rebuildLegs();
+
+        status.innerHTML = '';
+        content.style.display = 'block';
+        renderControls(splits);
+        renderCandidates();
+        renderSlip();
+        renderSettings();
+    } catch (error) {
+        console.error(`Parlay builder failed for matchup ${matchupId}:`, error);
+        if (id === requestId) {
+            status.innerHTML = '<div style="padding: 20px; text-align: center; color: #b91c1c;">Could not load legs - see console</div>';
+        }
+    }
+}
+
+export default {
+    openParlayBuilder
+};
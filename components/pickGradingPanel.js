@@ -0,0 +1,153 @@
+// components/pickGradingPanel.js - Grades tracked picks and shows performance in the bet slip
+// Results come from the configured Supabase box score endpoint or an uploaded CSV; the summary
+// shows record, ROI, units and average CLV overall, by prop type and by book.
+
+import { CONFIG } from '../shared/config.js';
+import { getPicks, updatePick, onPicksChange } from '../shared/betSlip.js';
+import { getBankrollSettings } from '../shared/bankroll.js';
+import { fetchResults, parseResultsCSV, gradePicks, summarizePicks, hasResultDates } from '../shared/grader.js';
+import { escapeHtml } from '../shared/utils.js';
+
+function formatMoney(value) {
+    const sign = value < 0 ? '-' : value > 0 ? '+' : '';
+    return `${sign}$${Math.abs(value).toFixed(2)}`;
+}
+
+function formatPercent(value) {
+    if (value === null || value === undefined) return '-';
+    return `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+}
+
+function formatUnits(value) {
+    if (value === null || value === undefined) return '-';
+    return `${value > 0 ? '+' : ''}${value.toFixed(2)}u`;
+}
+
+function renderSummaryTable(title, rows) {
+    if (rows.length === 0) return '';
+    
+    const cell = 'padding: 2px 6px; text-align: right;';
+    return `
+        <h4 style="margin: 10px 0 4px 0; color: #f97316; font-size: 12px;">${title}</h4>
+        <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+            <thead>
+                <tr style="color: #666;">
+                    <th style="padding: 2px 6px; text-align: left;"></th>
+                    <th style="${cell}">W-L-P</th>
+                    <th style="${cell}">P/L</th>
+                    <th style="${cell}">ROI</th>
+                    <th style="${cell}">Units</th>
+                    <th style="${cell}">CLV</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr style="border-top: 1px solid #f3f4f6;">
+                        <td style="padding: 2px 6px;">${escapeHtml(row.key)}</td>
+                        <td style="${cell}">${row.won}-${row.lost}-${row.push}</td>
+                        <td style="${cell} color: ${row.profit >= 0 ? '#15803d' : '#b91c1c'};">${formatMoney(row.profit)}</td>
+                        <td style="${cell}">${formatPercent(row.roi)}</td>
+                        <td style="${cell}">${formatUnits(row.units)}</td>
+                        <td style="${cell}">${formatPercent(row.clv)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Create the grading panel
+ * @param {HTMLElement} container - Element to render into
+ * @returns {object} { element }
+ */
+export function createPickGradingPanel(container) {
+    const panel = document.createElement('div');
+    panel.className = 'pick-grading-panel';
+    panel.style.cssText = 'padding: 8px 12px; border-top: 1px solid #eee; font-size: 12px; max-height: 40vh; overflow-y: auto;';
+    
+    const buttonStyle = 'padding: 4px 10px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;';
+    panel.innerHTML = `
+        <div style="display: flex; gap: 6px; align-items: center; flex-wrap: wrap;">
+            <strong style="margin-right: auto;">Results</strong>
+            <button type="button" data-action="grade-remote" style="${buttonStyle}">Grade from Supabase</button>
+            <label style="${buttonStyle} display: inline-block;">
+                Upload CSV
+                <input type="file" accept=".csv,text/csv" data-action="grade-csv" style="display: none;">
+            </label>
+        </div>
+        <div data-role="status" style="color: #666; margin-top: 4px;"></div>
+        <div data-role="summary"></div>
+    `;
+    container.appendChild(panel);
+    
+    const status = panel.querySelector('[data-role="status"]');
+    const summary = panel.querySelector('[data-role="summary"]');
+    
+    async function applyResults(rows, sourceLabel) {
+        const updates = gradePicks(getPicks(), rows);
+        await Promise.all(updates.map(update => updatePick(update.id, update.changes)));
+        
+        const openPicks = getPicks().filter(pick => !pick.result);
+        const undatedNote = !hasResultDates(rows) && openPicks.length > 0
+            ? ` (game picks, and players with more than one box score row, need a "${CONFIG.GRADING.columns.date}" column in the results)`
+            : '';
+        status.textContent = `${sourceLabel}: ${rows.length} box score rows, graded ${updates.length} pick${updates.length === 1 ? '' : 's'}, ${openPicks.length} still open${undatedNote}`;
+    }
+    
+    function render(picks) {
+        if (picks.length === 0) {
+            summary.innerHTML = '';
+            return;
+        }
+        
+        const unitSize = getBankrollSettings().bankroll * CONFIG.GRADING.unitPercent;
+        const { overall, byMarket, byBook } = summarizePicks(picks, unitSize);
+        
+        summary.innerHTML = `
+            <div style="margin-top: 6px;">
+                <strong>${overall.won}-${overall.lost}-${overall.push}</strong>
+                · P/L <strong style="color: ${overall.profit >= 0 ? '#15803d' : '#b91c1c'};">${formatMoney(overall.profit)}</strong>
+                · ROI ${formatPercent(overall.roi)}
+                · ${formatUnits(overall.units)}
+                · CLV ${formatPercent(overall.clv)}
+            </div>
+            ${renderSummaryTable('By Prop Type', byMarket)}
+            ${renderSummaryTable('By Book', byBook)}
+        `;
+    }
+    
+    panel.querySelector('[data-action="grade-remote"]').addEventListener('click', async () => {
+        status.textContent = `Loading results from ${CONFIG.GRADING.resultsEndpoint}...`;
+        try {
+            const rows = await fetchResults();
+            await applyResults(rows, CONFIG.GRADING.resultsEndpoint);
+        } catch (error) {
+            console.error('Error grading picks from Supabase:', error);
+            status.textContent = `Could not load results: ${error.message}`;
+        }
+    });
+    
+    panel.querySelector('[data-action="grade-csv"]').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        try {
+            const rows = parseResultsCSV(await file.text());
+            await applyResults(rows, file.name);
+        } catch (error) {
+            console.error('Error grading picks from CSV:', error);
+            status.textContent = `Could not read ${file.name}: ${error.message}`;
+        }
+        e.target.value = '';
+    });
+    
+    onPicksChange(render);
+    render(getPicks());
+    
+    return { element: panel };
+}
+
+export default {
+    createPickGradingPanel
+};
@@ -0,0 +1,230 @@
+// components/playerProfileModal.js - Player profile modal
+// Opened from the player name cell in any table. Shows the player's prop clearances across
+// splits, DD/TD clearances, book odds, DK/FD salary and ratios, and the team's matchup,
+// all joined by loadPlayerProfile() on player name + team.
+
+import { loadPlayerProfile } from '../shared/playerProfile.js';
+import { formatOdds, formatOddsWithBook, formatPercentage, formatRatio, escapeHtml } from '../shared/utils.js';
+
+let modal = null;
+let requestId = 0;
+
+function display(value) {
+    return value === null || value === undefined || value === '' ? '-' : escapeHtml(value);
+}
+
+function formatPrice(value) {
+    const num = parseFloat(value);
+    return isNaN(num) ? '-' : `$${num.toLocaleString()}`;
+}
+
+// Small table: columns = [{ title, value(record) }]
+function renderTable(records, columns) {
+    const cellStyle = 'padding: 3px 6px; border-bottom: 1px solid #f3f4f6; text-align: center; white-space: nowrap;';
+    return `
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+            <thead>
+                <tr>${columns.map(column => `<th style="${cellStyle} color: #666; font-weight: 600;">${column.title}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${records.map(record => `
+                    <tr>${columns.map(column => `<td style="${cellStyle}">${column.value(record)}</td>`).join('')}</tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderSection(title, records, columns) {
+    const body = records.length > 0
+        ? `<div style="overflow-x: auto;">${renderTable(records, columns)}</div>`
+        : '<div style="color: #999; padding: 4px 0;">No data</div>';
+    return `
+        <section style="margin-bottom: 14px;">
+            <h4 style="margin: 0 0 4px; font-size: 13px; color: #ea580c;">${title}</h4>
+            ${body}
+        </section>
+    `;
+}
+
+// Order rows by prop then split so each prop's splits sit together
+function byPropAndSplit(a, b) {
+    return String(a["Player Prop"] || '').localeCompare(String(b["Player Prop"] || '')) ||
+        (parseFloat(a["Player Prop Value"]) || 0) - (parseFloat(b["Player Prop Value"]) || 0) ||
+        String(a["Split"] || '').localeCompare(String(b["Split"] || ''));
+}
+
+function renderHeader(profile) {
+    const statusRow = [...profile.clearances, ...profile.ddtd, ...profile.dk, ...profile.fd]
+        .find(record => record["Lineup Status"]);
+    const game = profile.matchup ? profile.matchup.game : null;
+    const details = [
+        profile.teamName,
+        statusRow ? statusRow["Lineup Status"] : '',
+        game ? `${game["Matchup"]} · Spread ${game["Spread"] ?? '-'} · Total ${game["Total"] ?? '-'}` : ''
+    ].filter(Boolean);
+
+    return `
+        <div>
+            <strong style="font-size: 16px;">${escapeHtml(profile.name)}</strong>
+            <div style="font-size: 12px; opacity: 0.9;">${details.map(escapeHtml).join(' · ')}</div>
+        </div>
+    `;
+}
+
+function renderDfs(profile) {
+    const rows = [
+        ...profile.dk.map(record => ({ site: 'DK', record, prefix: 'Player DK' })),
+        ...profile.fd.map(record => ({ site: 'FD', record, prefix: 'Player FD' }))
+    ];
+    return renderSection('DFS', rows, [
+        { title: 'Site', value: row => row.site },
+        { title: 'Pos', value: row => display(row.record[`${row.prefix} Position`]) },
+        { title: 'Price', value: row => formatPrice(row.record[`${row.prefix} Price`]) },
+        { title: 'Split', value: row => display(row.record["Split"]) },
+        { title: 'Med', value: row => display(row.record[`${row.prefix} Median`]) },
+        { title: 'High', value: row => display(row.record[`${row.prefix} High`]) },
+        { title: 'Med Ratio', value: row => formatRatio(row.record["Player Median Ratio"]) },
+        { title: 'High Ratio', value: row => formatRatio(row.record["Player High Ratio"]) }
+    ]);
+}
+
+function renderMatchupPlayers(profile) {
+    const players = profile.matchup ? profile.matchup.players : [];
+    return renderSection('Matchup Stats', players, [
+        { title: 'Lineup', value: row => display(row["Lineup"]) },
+        { title: 'Split', value: row => display(row["Split"]) },
+        { title: 'G', value: row => display(row["Games"]) },
+        { title: 'Min', value: row => display(row["Minutes"]) },
+        { title: 'Pts', value: row => display(row["Pts"]) },
+        { title: 'Reb', value: row => display(row["Rebs"]) },
+        { title: 'Ast', value: row => display(row["Assists"]) },
+        { title: '3PM', value: row => display(row["3P"]) },
+        { title: 'Stl', value: row => display(row["Steals"]) },
+        { title: 'Blk', value: row => display(row["Blocks"]) },
+        { title: 'TO', value: row => display(row["TOs"]) }
+    ]);
+}
+
+function renderProfile(profile) {
+    const clearances = [...profile.clearances].sort(byPropAndSplit);
+    const ddtd = [...profile.ddtd].sort(byPropAndSplit);
+    const odds = [...profile.odds].sort((a, b) =>
+        String(a["Player Prop Type"] || '').localeCompare(String(b["Player Prop Type"] || '')) ||
+        (parseFloat(a["Player Prop Line"]) || 0) - (parseFloat(b["Player Prop Line"]) || 0)
+    );
+
+    return [
+        renderSection('Prop Clearances', clearances, [
+            { title: 'Prop', value: row => display(row["Player Prop"]) },
+            { title: 'Line', value: row => display(row["Player Prop Value"]) },
+            { title: 'Split', value: row => display(row["Split"]) },
+            { title: '% Over', value: row => formatPercentage(row["Player Clearance"]) },
+            { title: 'G', value: row => display(row["Player Games"]) },
+            { title: 'Med', value: row => display(row["Player Prop Median"]) },
+            { title: 'Best Over', value: row => escapeHtml(formatOddsWithBook(row["Player Best Over Odds"])) },
+            { title: 'Best Under', value: row => escapeHtml(formatOddsWithBook(row["Player Best Under Odds"])) }
+        ]),
+        renderSection('DD / TD', ddtd, [
+            { title: 'Prop', value: row => display(row["Player Prop"]) },
+            { title: 'Split', value: row => display(row["Split"]) },
+            { title: '% Clear', value: row => formatPercentage(row["Player Clearance"]) },
+            { title: 'G', value: row => display(row["Player Games"]) },
+            { title: 'Best Over', value: row => escapeHtml(formatOddsWithBook(row["Player Best Over Odds"])) },
+            { title: 'Best Under', value: row => escapeHtml(formatOddsWithBook(row["Player Best Under Odds"])) }
+        ]),
+        renderSection('Book Odds', odds, [
+            { title: 'Prop', value: row => display(row["Player Prop Type"]) },
+            { title: 'O/U', value: row => display(row["Player Over/Under"]) },
+            { title: 'Line', value: row => display(row["Player Prop Line"]) },
+            { title: 'Book', value: row => display(row["Player Book"]) },
+            { title: 'Odds', value: row => formatOdds(row["Player Prop Odds"]) },
+            { title: 'Median', value: row => formatOdds(row["Player Median Odds"]) },
+            { title: 'Best', value: row => formatOdds(row["Player Best Odds"]) }
+        ]),
+        renderDfs(profile),
+        renderMatchupPlayers(profile)
+    ].join('');
+}
+
+function close() {
+    if (modal) modal.overlay.style.display = 'none';
+    requestId++;
+}
+
+function getModal() {
+    if (modal) return modal;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'player-profile-overlay';
+    overlay.style.cssText = `
+        position: fixed;
+        inset: 0;
+        z-index: 10002;
+        background: rgba(0,0,0,0.45);
+        display: none;
+        align-items: center;
+        justify-content: center;
+    `;
+
+    overlay.innerHTML = `
+        <div class="player-profile-modal" role="dialog" aria-modal="true" style="width: 760px; max-width: 95vw; max-height: 90vh; display: flex; flex-direction: column; background: white; border-radius: 6px; box-shadow: 0 8px 24px rgba(0,0,0,0.3); color: #333; text-align: left;">
+            <div style="display: flex; align-items: flex-start; justify-content: space-between; gap: 12px; padding: 10px 14px; background: linear-gradient(135deg, #f97316 0%, #ea580c 100%); color: white; border-radius: 6px 6px 0 0;">
+                <div data-role="header"></div>
+                <button type="button" data-action="close" aria-label="Close" style="border: none; background: none; color: white; font-size: 20px; cursor: pointer; line-height: 1;">×</button>
+            </div>
+            <div data-role="body" style="flex: 1; overflow-y: auto; padding: 12px 14px;"></div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay || e.target.getAttribute('data-action') === 'close') {
+            close();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && overlay.style.display !== 'none') {
+            close();
+        }
+    });
+
+    modal = {
+        overlay,
+        header: overlay.querySelector('[data-role="header"]'),
+        body: overlay.querySelector('[data-role="body"]')
+    };
+    return modal;
+}
+
+/**
+ * Open the profile modal for a player
+ * @param {string} playerName - Player name as shown in the tables
+ * @param {string} team - Team abbreviation (optional)
+ */
+export async function openPlayerProfile(playerName, team = '') {
+    const { overlay, header, body } = getModal();
+    const id = ++requestId;
+
+    header.innerHTML = `<strong style="font-size: 16px;">${escapeHtml(playerName)}</strong>`;
+    body.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Loading profile...</div>';
+    overlay.style.display = 'flex';
+
+    try {
+        const profile = await loadPlayerProfile(playerName, team);
+        // Closed or reopened for another player while loading
+        if (id !== requestId) return;
+        header.innerHTML = renderHeader(profile);
+        body.innerHTML = renderProfile(profile);
+    } catch (error) {
+        console.error(`Player profile failed for ${playerName}:`, error);
+        if (id === requestId) {
+            body.innerHTML = '<div style="padding: 20px; text-align: center; color: #b91c1c;">Could not load profile - see console</div>';
+        }
+    }
+}
+
+export default {
+    openPlayerProfile
+};
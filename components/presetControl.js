@@ -0,0 +1,132 @@
+// components/presetControl.js - Saved filter preset ("view") picker for a table toolbar
+// Dropdown of the table's presets plus Save / Delete / Default and JSON export/import.
+// Presets capture header filters, sort and hidden columns (see shared/filterPresets.js).
+
+import {
+    getPresets, getPreset, savePreset, deletePreset,
+    getDefaultPresetName, setDefaultPreset, exportPresets, importPresets, onPresetsChange
+} from '../shared/filterPresets.js';
+import { downloadFile } from '../shared/utils.js';
+
+const BUTTON_STYLE = 'padding: 3px 8px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;';
+
+/**
+ * Create the preset picker
+ * @param {HTMLElement} container - Element to render into (usually the table toolbar)
+ * @param {BaseTable} tableInstance - Table the presets belong to
+ * @returns {object} { refresh(), element }
+ */
+export function createPresetControl(container, tableInstance) {
+    const tableKey = tableInstance.endpoint;
+
+    const control = document.createElement('div');
+    control.className = 'preset-control';
+    control.style.cssText = 'display: inline-flex; align-items: center; gap: 6px; flex-wrap: wrap; font-size: 12px;';
+    control.innerHTML = `
+        <label style="display: inline-flex; align-items: center; gap: 4px; color: #333;">
+            View
+            <select data-role="preset" style="padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px; max-width: 200px;"></select>
+        </label>
+        <button type="button" data-action="save" style="${BUTTON_STYLE}" title="Save current filters, sort and columns">Save</button>
+        <button type="button" data-action="delete" style="${BUTTON_STYLE}" title="Delete the selected view">Delete</button>
+        <button type="button" data-action="default" style="${BUTTON_STYLE}" title="Apply the selected view when the table loads">☆ Default</button>
+        <button type="button" data-action="export" style="${BUTTON_STYLE}" title="Download all saved views as JSON">Export</button>
+        <label style="${BUTTON_STYLE} display: inline-block;" title="Import views from a JSON file">
+            Import
+            <input type="file" accept=".json,application/json" data-action="import" style="display: none;">
+        </label>
+    `;
+    container.appendChild(control);
+
+    const select = control.querySelector('[data-role="preset"]');
+    const deleteButton = control.querySelector('[data-action="delete"]');
+    const defaultButton = control.querySelector('[data-action="default"]');
+
+    function refresh() {
+        const selected = select.value;
+        const defaultName = getDefaultPresetName(tableKey);
+        const presets = getPresets(tableKey);
+
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = presets.length > 0 ? '— Select a view —' : '— No saved views —';
+        select.appendChild(placeholder);
+
+        presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name === defaultName ? `★ ${preset.name}` : preset.name;
+            select.appendChild(option);
+        });
+
+        select.value = presets.some(preset => preset.name === selected) ? selected : '';
+        updateButtons();
+    }
+
+    function updateButtons() {
+        const name = select.value;
+        deleteButton.disabled = !name;
+        defaultButton.disabled = !name;
+        defaultButton.textContent = name && name === getDefaultPresetName(tableKey) ? '★ Default' : '☆ Default';
+    }
+
+    select.addEventListener('change', () => {
+        updateButtons();
+        const preset = getPreset(tableKey, select.value);
+        if (preset) {
+            tableInstance.applyPreset(preset);
+        }
+    });
+
+    control.addEventListener('click', (e) => {
+        const action = e.target.getAttribute('data-action');
+
+        if (action === 'save') {
+            const name = window.prompt('Save current view as:', select.value || '');
+            if (!name || !name.trim()) return;
+
+            const { filters, sort } = tableInstance.getViewState();
+            const preset = savePreset(tableKey, {
+                name,
+                filters,
+                sort,
+                hiddenColumns: tableInstance.getHiddenColumns()
+            });
+            select.value = preset.name;
+            updateButtons();
+        } else if (action === 'delete' && select.value) {
+            if (window.confirm(`Delete the view "${select.value}"?`)) {
+                deletePreset(tableKey, select.value);
+            }
+        } else if (action === 'default' && select.value) {
+            const isDefault = select.value === getDefaultPresetName(tableKey);
+            setDefaultPreset(tableKey, isDefault ? null : select.value);
+        } else if (action === 'export') {
+            downloadFile('basketball-views.json', exportPresets(), 'application/json');
+        }
+    });
+
+    control.querySelector('[data-action="import"]').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const count = importPresets(await file.text());
+            console.log(`Imported ${count} filter presets from ${file.name}`);
+        } catch (error) {
+            console.error('Error importing filter presets:', error);
+            window.alert(`Could not import ${file.name}: ${error.message}`);
+        }
+        e.target.value = '';
+    });
+
+    onPresetsChange(refresh);
+    refresh();
+
+    return { refresh, element: control };
+}
+
+export default {
+    createPresetControl
+};
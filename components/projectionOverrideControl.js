@@ -0,0 +1,74 @@
+// components/projectionOverrideControl.js - Projection override count, CSV import and reset
+// Toolbar control for the DK / FD DFS tables; the overrides themselves are edited inline in
+// the Med / High cells and the subtable's minutes (see shared/projectionOverrides.js).
+
+import {
+    countProjectionOverrides, clearProjectionOverrides, importProjectionCSV, onProjectionOverridesChange
+} from '../shared/projectionOverrides.js';
+
+const BUTTON_STYLE = 'padding: 3px 8px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;';
+
+/**
+ * Create the projection override control
+ * @param {HTMLElement} container - Element to render into (usually the table toolbar)
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @returns {object} { refresh(), element }
+ */
+export function createProjectionOverrideControl(container, siteKey) {
+    const control = document.createElement('div');
+    control.className = 'projection-override-control';
+    control.style.cssText = 'display: inline-flex; align-items: center; gap: 6px; font-size: 12px; color: #333;';
+    control.innerHTML = `
+        <span data-role="count" title="Edit Med / High in the table, or minutes in a player's details"></span>
+        <label style="${BUTTON_STYLE} display: inline-block;" title="CSV with Player Name, Player Team and Median / High / Minutes columns">
+            Import projections
+            <input type="file" accept=".csv,text/csv" data-action="import" style="display: none;">
+        </label>
+        <button type="button" data-action="clear" style="${BUTTON_STYLE}">Reset</button>
+        <span data-role="status" style="color: #666;"></span>
+    `;
+    container.appendChild(control);
+
+    const countLabel = control.querySelector('[data-role="count"]');
+    const clearButton = control.querySelector('[data-action="clear"]');
+    const status = control.querySelector('[data-role="status"]');
+
+    function refresh() {
+        const count = countProjectionOverrides(siteKey);
+        countLabel.innerHTML = `<span style="display: inline-block; width: 10px; height: 10px; background: #ede9fe; border: 1px solid #a78bfa; vertical-align: middle;"></span> ` +
+            `${count} projection override${count === 1 ? '' : 's'}`;
+        clearButton.disabled = count === 0;
+    }
+
+    clearButton.addEventListener('click', () => {
+        if (window.confirm('Remove every projection override on this site?')) {
+            clearProjectionOverrides(siteKey);
+            status.textContent = '';
+        }
+    });
+
+    control.querySelector('[data-action="import"]').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const { imported, skipped } = importProjectionCSV(siteKey, await file.text());
+            status.style.color = '#666';
+            status.textContent = `Imported ${imported} from ${file.name}${skipped > 0 ? ` (${skipped} rows skipped)` : ''}`;
+        } catch (error) {
+            console.error('Error importing projections:', error);
+            status.style.color = '#b91c1c';
+            status.textContent = `Could not import ${file.name}: ${error.message}`;
+        }
+        e.target.value = '';
+    });
+
+    onProjectionOverridesChange(refresh);
+    refresh();
+
+    return { refresh, element: control };
+}
+
+export default {
+    createProjectionOverrideControl
+};
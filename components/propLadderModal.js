@@ -0,0 +1,209 @@
+// components/propLadderModal.js - Alt-line ladder modal
+// Opened from the ladder button in the Prop Odds "Prop" cell. One row per line, one column per
+// book; the best price on each line is highlighted, with the clearance rate and EV at that line
+// so the best rung stands out (see shared/propLadder.js).
+
+import { loadPropLadder, buildPropLadder, getLadderSplits } from '../shared/propLadder.js';
+import { formatOdds, formatPercentage, escapeHtml } from '../shared/utils.js';
+
+const BEST_PRICE_STYLE = 'background: #dcfce7; color: #166534; font-weight: 600;';
+const BEST_RUNG_STYLE = 'background: #fff7ed;';
+
+let modal = null;
+let requestId = 0;
+// { data: { odds, clearances }, side, split } for the open ladder
+let current = null;
+
+function formatEv(value) {
+    if (value === null) return '-';
+    const percent = (value * 100).toFixed(1);
+    return value > 0 ? `+${percent}%` : `${percent}%`;
+}
+
+function isUnder(side) {
+    return String(side || '').toLowerCase().startsWith('under');
+}
+
+function renderControls(splits) {
+    const sideButton = (side) => {
+        const active = current.side === side;
+        return `<button type="button" data-side="${side}" style="padding: 3px 10px; border: 1px solid #f97316; cursor: pointer; font-size: 12px; ${active ? 'background: #f97316; color: white;' : 'background: white; color: #ea580c;'}">${side}</button>`;
+    };
+
+    const splitSelect = splits.length > 0
+        ? `<label style="font-size: 12px; color: #666;">Clearance split
+                <select data-role="split" style="margin-left: 4px; font-size: 12px;">
+                    ${splits.map(split => `<option value="${escapeHtml(split)}"${split === current.split ? ' selected' : ''}>${escapeHtml(split)}</option>`).join('')}
+                </select>
+            </label>`
+        : '<span style="font-size: 12px; color: #999;">No clearance data for this prop</span>';
+
+    return `
+        <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; margin-bottom: 10px;">
+            <div style="display: inline-flex;">${sideButton('Over')}${sideButton('Under')}</div>
+            ${splitSelect}
+        </div>
+    `;
+}
+
+function renderLadder(ladder) {
+    if (ladder.rungs.length === 0) {
+        return `<div style="padding: 20px; text-align: center; color: #999;">No ${current.side.toLowerCase()} prices for this prop</div>`;
+    }
+
+    const cellStyle = 'padding: 4px 8px; border-bottom: 1px solid #f3f4f6; text-align: center; white-space: nowrap;';
+    const headStyle = `${cellStyle} color: #666; font-weight: 600;`;
+
+    const rows = ladder.rungs.map(rung => {
+        const isBestRung = rung === ladder.bestRung && rung.ev > 0;
+        const prices = ladder.books.map(book => {
+            const price = rung.prices[book];
+            const isBest = price !== undefined && rung.bestBooks.includes(book);
+            return `<td style="${cellStyle} ${isBest ? BEST_PRICE_STYLE : ''}">${price !== undefined ? formatOdds(price) : '-'}</td>`;
+        }).join('');
+        const evColor = rung.ev === null ? '' : rung.ev > 0 ? 'color: #166534;' : 'color: #b91c1c;';
+
+        return `
+            <tr style="${isBestRung ? BEST_RUNG_STYLE : ''}"${isBestRung ? ' title="Best rung by EV at the clearance rate"' : ''}>
+                <td style="${cellStyle} font-weight: 600;">${rung.line.toFixed(1)}</td>
+                ${prices}
+                <td style="${cellStyle} font-weight: 600;" title="${escapeHtml(rung.bestBooks.join(', '))}">${formatOdds(rung.best)}</td>
+                <td style="${cellStyle}"${rung.games ? ` title="${escapeHtml(rung.games)} games"` : ''}>${formatPercentage(rung.clearance)}</td>
+                <td style="${cellStyle} ${evColor}">${formatEv(rung.ev)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <div style="overflow-x: auto;">
+            <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                <thead>
+                    <tr>
+                        <th style="${headStyle}">Line</th>
+                        ${ladder.books.map(book => `<th style="${headStyle}">${escapeHtml(book)}</th>`).join('')}
+                        <th style="${headStyle}">Best</th>
+                        <th style="${headStyle}">Clear %</th>
+                        <th style="${headStyle}" title="Expected value of the best price at the clearance rate">EV</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <div style="margin-top: 8px; font-size: 11px; color: #666;">
+            <span style="display: inline-block; width: 10px; height: 10px; vertical-align: middle; ${BEST_PRICE_STYLE}"></span> best price on the line
+            &nbsp;<span style="display: inline-block; width: 10px; height: 10px; vertical-align: middle; border: 1px solid #fed7aa; ${BEST_RUNG_STYLE}"></span> best rung by EV
+        </div>
+    `;
+}
+
+function render() {
+    const splits = getLadderSplits(current.data.clearances);
+    if (!splits.includes(current.split)) {
+        current.split = splits[0] || null;
+    }
+
+    const ladder = buildPropLadder(current.data.odds, current.data.clearances, {
+        side: current.side,
+        split: current.split
+    });
+    modal.body.innerHTML = renderControls(splits) + renderLadder(ladder);
+}
+
+function close() {
+    if (modal) modal.overlay.style.display = 'none';
+    requestId++;
+    current = null;
+}
+
+function getModal() {
+    if (modal) return modal;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'prop-ladder-overlay';
+    overlay.style.cssText = `
+        position: fixed;
+        inset: 0;
+        z-index: 10002;
+        background: rgba(0,0,0,0.45);
+        display: none;
+        align-items: center;
+        justify-content: center;
+    `;
+
+    overlay.innerHTML = `
+        <div class="prop-ladder-modal" role="dialog" aria-modal="true" style="width: 720px; max-width: 95vw; max-height: 90vh; display: flex; flex-direction: column; background: white; border-radius: 6px; box-shadow: 0 8px 24px rgba(0,0,0,0.3); color: #333; text-align: left;">
+            <div style="display: flex; align-items: flex-start; justify-content: space-between; gap: 12px; padding: 10px 14px; background: linear-gradient(135deg, #f97316 0%, #ea580c 100%); color: white; border-radius: 6px 6px 0 0;">
+                <div data-role="header"></div>
+                <button type="button" data-action="close" aria-label="Close" style="border: none; background: none; color: white; font-size: 20px; cursor: pointer; line-height: 1;">×</button>
+            </div>
+            <div data-role="body" style="flex: 1; overflow-y: auto; padding: 12px 14px;"></div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay || e.target.getAttribute('data-action') === 'close') {
+            close();
+            return;
+        }
+        const side = e.target.getAttribute('data-side');
+        if (side && current && current.data) {
+            current.side = side;
+            render();
+        }
+    });
+
+    overlay.addEventListener('change', (e) => {
+        if (e.target.getAttribute('data-role') === 'split' && current && current.data) {
+            current.split = e.target.value;
+            render();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && overlay.style.display !== 'none') {
+            close();
+        }
+    });
+
+    modal = {
+        overlay,
+        header: overlay.querySelector('[data-role="header"]'),
+        body: overlay.querySelector('[data-role="body"]')
+    };
+    return modal;
+}
+
+/**
+ * Open the alt-line ladder for a player's prop
+ * @param {object} options - { name, team, propType, side ('Over' | 'Under', default 'Over') }
+ */
+export async function openPropLadder({ name, team = '', propType, side = 'Over' }) {
+    const { overlay, header, body } = getModal();
+    const id = ++requestId;
+
+    current = { data: null, side: isUnder(side) ? 'Under' : 'Over', split: 'Full Season' };
+    header.innerHTML = `
+        <strong style="font-size: 16px;">${escapeHtml(name)}</strong>
+        <div style="font-size: 12px; opacity: 0.9;">${escapeHtml(propType)}${team ? ` · ${escapeHtml(team)}` : ''} - alt lines</div>
+    `;
+    body.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">Loading ladder...</div>';
+    overlay.style.display = 'flex';
+
+    try {
+        const data = await loadPropLadder(name, team, propType);
+        // Closed or reopened for another prop while loading
+        if (id !== requestId) return;
+        current.data = data;
+        render();
+    } catch (error) {
+        console.error(`Prop ladder failed for ${name} ${propType}:`, error);
+        if (id === requestId) {
+            body.innerHTML = '<div style="padding: 20px; text-align: center; color: #b91c1c;">Could not load ladder - see console</div>';
+        }
+    }
+}
+
+export default {
+    openPropLadder
+};
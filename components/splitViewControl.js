@@ -0,0 +1,66 @@
+// components/splitViewControl.js - Split view picker in the tab bar
+// "Split with" select that opens a second tab beside the active one (TabManager.setSplitTab),
+// plus a "Link by player" toggle that keeps the two panes' Player Name filters in step.
+
+import { escapeHtml } from '../shared/utils.js';
+
+/**
+ * Create the split view control
+ * @param {HTMLElement} container - Tab bar element to append to
+ * @param {TabManager} tabManager - Owns the panes
+ * @param {object[]} tabs - Registry entries of the enabled tabs ({ id, label })
+ * @returns {object} { element }
+ */
+export function createSplitViewControl(container, tabManager, tabs) {
+    const splitTabs = tabs.filter(entry => tabManager.tables[entry.id]);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'split-view-control';
+    wrapper.style.cssText = 'display: inline-flex; align-items: center; gap: 6px; margin-left: 8px; color: white; font-size: 12px;';
+
+    wrapper.innerHTML = `
+        <select data-role="split" aria-label="Show a second tab beside this one" style="padding: 7px 8px; border: none; border-radius: 4px; font-size: 13px;">
+            <option value="">Split view: off</option>
+            ${splitTabs.map(entry => `<option value="${escapeHtml(entry.id)}">Split with ${escapeHtml(entry.label)}</option>`).join('')}
+        </select>
+        <label data-role="link-label" style="display: none; align-items: center; gap: 4px; cursor: pointer; white-space: nowrap;" title="Filtering or clicking a player in one pane filters the other">
+            <input type="checkbox" data-role="link">
+            Link by player
+        </label>
+    `;
+    container.appendChild(wrapper);
+
+    const select = wrapper.querySelector('[data-role="split"]');
+    const linkLabel = wrapper.querySelector('[data-role="link-label"]');
+    const linkInput = wrapper.querySelector('[data-role="link"]');
+
+    // The active tab can't also be the split pane
+    function render() {
+        Array.from(select.options).forEach(option => {
+            option.disabled = !!option.value && option.value === tabManager.currentActiveTab;
+        });
+        select.value = tabManager.splitTab || '';
+        linkLabel.style.display = tabManager.splitTab ? 'inline-flex' : 'none';
+        linkInput.checked = tabManager.linkByPlayer;
+    }
+
+    select.addEventListener('change', () => {
+        tabManager.setSplitTab(select.value || null)
+            .then(render)
+            .catch(error => console.error('Could not change split view:', error));
+    });
+
+    linkInput.addEventListener('change', () => {
+        tabManager.setLinkByPlayer(linkInput.checked);
+    });
+
+    // Also called after tab switches, which change the option that is disabled
+    tabManager.onSplitChange(render);
+    render();
+
+    return { element: wrapper };
+}
+
+export default {
+    createSplitViewControl
+};
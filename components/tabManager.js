@@ -4,6 +4,17 @@
 //          to fix container not contracting properly on mobile/tablet tab switches
 // UPDATED: Mobile uses constrained widths to enable frozen columns
 //          Key fix: tabulator needs min-width:0 and max-width:100% on mobile
+// UPDATED: Default tab and container IDs now come from shared/tableRegistry.js
+
+// UPDATED: Tab switching moved into activateTab(); the active tab, filters, sort and expanded
+//          rows are mirrored in the URL hash (shared/urlState.js) with back/forward support
+// UPDATED: Lazily initialized tabs get their toolbar (saved views, export) and default preset
+// UPDATED: Split view - a second tab shown beside the active one (setSplitTab), optionally linked
+//          by player (setLinkByPlayer); split panes are width-constrained and scroll horizontally
+// UPDATED: Hidden tabs close their realtime channel; it reopens (with a catch-up refresh) when shown
+
+import { getContainerId, getDefaultTabId } from '../shared/tableRegistry.js';
+import { readUrlState, writeUrlState, onUrlStateChange } from '../shared/urlState.js';
 
 export const TAB_STYLES = `
     /* Table wrapper */
@@ -77,6 +88,40 @@ export const TAB_STYLES = `
         display: none !important;
     }
     
+    /* Split view - two panes side by side. !important so the tables' own width
+       fitting (fit-content / fixed pixel widths) can't push a pane past half the page */
+    .tables-container.split-view {
+        display: flex;
+        align-items: flex-start;
+        gap: 10px;
+    }
+    
+    .tables-container.split-view > .table-container.active-table {
+        flex: 1 1 0;
+        width: auto !important;
+        min-width: 0 !important;
+        max-width: none !important;
+        overflow-x: hidden !important;
+    }
+    
+    .tables-container.split-view > .table-container > .tabulator {
+        width: 100% !important;
+        min-width: 0 !important;
+        max-width: 100% !important;
+    }
+    
+    .tables-container.split-view > .table-container > .tabulator > .tabulator-header,
+    .tables-container.split-view > .table-container > .tabulator > .tabulator-tableholder {
+        width: 100% !important;
+        max-width: 100% !important;
+    }
+    
+    .tab-button.split-tab {
+        background: rgba(255, 255, 255, 0.85);
+        color: #9a3412;
+        box-shadow: inset 0 -3px 0 #ea580c;
+    }
+    
     /* Ensure table connects visually to tabs */
     .table-container .tabulator {
         border-radius: 0 0 6px 6px;
@@ -94,17 +139,33 @@ export const TAB_STYLES = `
             padding: 8px;
         }
     }
+    
+    /* Too narrow for two tables side by side - stack the split panes */
+    @media screen and (max-width: 1024px) {
+        .tables-container.split-view {
+            flex-direction: column;
+            align-items: stretch;
+        }
+    }
 `;
 
 export class TabManager {
     constructor(tables) {
         this.tables = tables;
-        this.currentActiveTab = 'table0';
+        this.defaultTab = getDefaultTabId(Object.keys(tables));
+        this.currentActiveTab = this.defaultTab;
         this.scrollPositions = {};
         this.tableStates = {};
         this.tabInitialized = {};
         this.isTransitioning = false;
         this.expandedRowsStates = {};
+        this.urlWatchers = {};
+        this.urlSyncTimeout = null;
+        this.pendingUrlState = null;
+        this.splitTab = null;
+        this.linkByPlayer = false;
+        this.paneLinks = [];
+        this.splitListeners = new Set();
         
         // Mark all tabs as not initialized
         Object.keys(tables).forEach(tabId => {
@@ -117,8 +178,17 @@ export class TabManager {
         // Setup tab switching
         this.setupTabSwitching();
         
-        // Initialize the first tab only
-        this.initializeTab(this.currentActiveTab);
+        // A shared link can open a different tab than the default
+        const urlState = readUrlState();
+        if (urlState && tables[urlState.tab] && urlState.tab !== this.currentActiveTab) {
+            this.hideTabContainer(this.currentActiveTab);
+            this.setActiveButton(urlState.tab);
+            this.showTabContainer(urlState.tab);
+            this.currentActiveTab = urlState.tab;
+        }
+        
+        // Initialize the first tab only, then restore/sync the URL state
+        this.setupUrlState(urlState);
         
         console.log("TabManager: Initialized with tabs:", Object.keys(tables));
     }
@@ -134,23 +204,15 @@ export class TabManager {
     }
 
     getContainerIdForTab(tabId) {
-        // Maps tab IDs to their container element IDs
-        const containerMap = {
-            'table0': 'table0-container',
-            'table1': 'table1-container',
-            'table2': 'table2-container',
-            'table3': 'table3-container',
-            'table4': 'table4-container',
-            'table5': 'table5-container',
-            'table6': 'table6-container'
-        };
-        return containerMap[tabId] || `${tabId}-container`;
+        // Container IDs are derived from the tab registry
+        return getContainerId(tabId);
     }
 
     /**
      * Apply appropriate container and tabulator width based on screen size
      * - Mobile/tablet: Constrain both container AND tabulator to enable frozen columns
      *   Key: tabulator needs min-width:0 to prevent flexbox expansion
+     * - Split view: same constraints at any size - each pane scrolls horizontally
      * - Desktop: fit-content for proper dynamic sizing
      */
     applyContainerWidth(tableContainer) {
@@ -158,8 +220,8 @@ export class TabManager {
         
         const tabulator = tableContainer.querySelector('.tabulator');
         
-        if (window.innerWidth <= 1024) {
-            // Mobile/tablet: constrain to viewport for frozen column support
+        if (window.innerWidth <= 1024 || this.isSplitView()) {
+            // Mobile/tablet/split pane: constrain to the available width for frozen column support
             tableContainer.style.width = '100%';
             tableContainer.style.maxWidth = '100vw';
             tableContainer.style.overflowX = 'hidden';
@@ -172,7 +234,7 @@ export class TabManager {
                 tabulator.style.maxWidth = '100%';
             }
             
-            console.log('TabManager: Applied mobile container constraints (100%, min-width:0)');
+            console.log(`TabManager: Applied ${this.isSplitView() ? 'split pane' : 'mobile'} container constraints (100%, min-width:0)`);
         } else {
             // Desktop: use fit-content for dynamic sizing
             tableContainer.style.width = 'fit-content';
@@ -198,129 +260,444 @@ export class TabManager {
             if (e.target.classList.contains('tab-button')) {
                 e.preventDefault();
                 
-                if (self.isTransitioning) {
-                    console.log("TabManager: Already transitioning, ignoring click");
-                    return;
-                }
-                
                 const targetTab = e.target.getAttribute('data-tab');
                 console.log(`TabManager: Tab clicked - target: ${targetTab}, current: ${self.currentActiveTab}`);
                 
-                if (targetTab === self.currentActiveTab) {
-                    console.log("TabManager: Already on this tab");
-                    return;
+                await self.activateTab(targetTab);
+            }
+        });
+        
+        console.log("TabManager: Tab switching setup complete");
+    }
+
+    /**
+     * Switch to a tab
+     * @param {string} targetTab - Tab ID
+     * @param {object} options - { viewState: apply this view state instead of the in-memory one,
+     *                             pushHistory: add a history entry (default: only without viewState,
+     *                             since back/forward already moved the URL) }
+     * @returns {Promise} Resolves once the view state (if any) has been applied
+     */
+    async activateTab(targetTab, options = {}) {
+        const { viewState = null, pushHistory = !viewState } = options;
+        let applied = Promise.resolve();
+        
+        if (this.isTransitioning) {
+            console.log("TabManager: Already transitioning, ignoring switch");
+            return;
+        }
+        
+        if (targetTab === this.currentActiveTab) {
+            console.log("TabManager: Already on this tab");
+            return;
+        }
+        
+        if (!this.tables[targetTab]) {
+            console.error(`TabManager: Unknown tab ${targetTab}`);
+            return;
+        }
+        
+        this.isTransitioning = true;
+        
+        // Picking the tab shown in the split pane swaps the two panes - both stay live
+        const previousTab = this.currentActiveTab;
+        const swapWithSplit = targetTab === this.splitTab;
+        
+        try {
+            // Save current state
+            this.saveTabState(previousTab);
+            
+            // Hide current table container (or move it to the split pane)
+            if (swapWithSplit) {
+                this.splitTab = previousTab;
+            } else {
+                this.hideTabContainer(previousTab);
+            }
+            
+            // Update active tab button
+            this.setActiveButton(targetTab);
+            
+            // Initialize target tab if needed
+            await this.initializeTab(targetTab, { applyDefaultPreset: !viewState });
+            
+            // Show target table container
+            this.showTabContainer(targetTab);
+            
+            this.currentActiveTab = targetTab;
+            
+            // Wait for display change
+            await new Promise(resolve => setTimeout(resolve, 50));
+            
+            // Redraw and restore state
+            const targetTableWrapper = this.tables[targetTab];
+            if (targetTableWrapper && targetTableWrapper.table) {
+                targetTableWrapper.table.redraw(true);
+                if (viewState && targetTableWrapper.applyViewState) {
+                    // Not awaited here - a freshly initialized tab may still be loading its data
+                    applied = targetTableWrapper.applyViewState(viewState).then(() => {
+                        if (pushHistory && this.currentActiveTab === targetTab) {
+                            this.syncUrlState({ push: true });
+                        }
+                    });
+                } else if (!swapWithSplit) {
+                    // A tab coming from the split pane already shows its live state
+                    this.restoreTabState(targetTab);
                 }
                 
-                self.isTransitioning = true;
+                this.refitTab(targetTab);
+            }
+            
+            // The split pane stays open - link it to the new active tab
+            if (this.splitTab) {
+                this.setPaneOrder();
+                if (swapWithSplit) {
+                    this.refitTab(this.splitTab);
+                }
+                this.linkPanes();
+            }
+            this.notifySplitChange();
+            
+            this.watchViewState(targetTab);
+            if (!viewState && pushHistory) {
+                this.syncUrlState({ push: true });
+            }
+            
+            console.log(`TabManager: Successfully switched to ${targetTab}`);
+            
+        } catch (error) {
+            console.error("TabManager: Error during tab switch:", error);
+        } finally {
+            this.isTransitioning = false;
+        }
+        
+        // Back/forward pressed mid-transition - apply the latest URL state now
+        if (this.pendingUrlState) {
+            const pending = this.pendingUrlState;
+            this.pendingUrlState = null;
+            await this.handleUrlStateChange(pending);
+        }
+        
+        return applied;
+    }
+
+    /**
+     * Show a tab with a specific view (e.g. a search result) as a new history entry
+     * @param {string} tabId - Tab ID
+     * @param {object} viewState - { filters, sort, expanded } (see BaseTable.applyViewState)
+     */
+    async showView(tabId, viewState) {
+        if (tabId !== this.currentActiveTab) {
+            await this.activateTab(tabId, { viewState, pushHistory: true });
+            return;
+        }
+        
+        const tableWrapper = this.tables[tabId];
+        if (tableWrapper && tableWrapper.applyViewState) {
+            await tableWrapper.applyViewState(viewState);
+            this.syncUrlState({ push: true });
+        }
+    }
+
+    // Re-equalize columns and recalculate widths after a tab is shown or resized
+    refitTab(tabId) {
+        const tableWrapper = this.tables[tabId];
+        if (!tableWrapper || !tableWrapper.table) return;
+        
+        setTimeout(() => {
+            // Desktop-specific column equalization
+            if (window.innerWidth > 1024) {
+                if (tableWrapper.equalizeClusteredColumns) {
+                    tableWrapper.equalizeClusteredColumns();
+                }
+                if (tableWrapper.expandNameColumnToFill) {
+                    tableWrapper.expandNameColumnToFill();
+                }
                 
-                try {
-                    // Save current state
-                    self.saveTabState(self.currentActiveTab);
-                    
-                    // Hide current table container
-                    const currentContainerId = self.getContainerIdForTab(self.currentActiveTab);
-                    const currentContainer = document.querySelector(`#${currentContainerId}`);
-                    console.log(`TabManager: Looking for current container #${currentContainerId}:`, currentContainer);
-                    
-                    if (currentContainer) {
-                        currentContainer.style.display = 'none';
-                        currentContainer.classList.remove('active-table');
-                        currentContainer.classList.add('inactive-table');
-                        
-                        // Reset width styles to prevent stale dimensions carrying over
-                        currentContainer.style.width = '';
-                        currentContainer.style.minWidth = '';
-                        currentContainer.style.maxWidth = '';
-                        currentContainer.style.overflowX = '';
-                        
-                        // Also reset the tabulator element inside
-                        const currentTableElement = currentContainer.querySelector('.tabulator');
-                        if (currentTableElement) {
-                            currentTableElement.style.width = '';
-                            currentTableElement.style.minWidth = '';
-                            currentTableElement.style.maxWidth = '';
-                        }
-                        
-                        console.log(`TabManager: Hidden container #${currentContainerId}`);
-                    } else {
-                        console.error(`TabManager: Could not find current container #${currentContainerId}`);
-                    }
-                    
-                    // Update active tab button
-                    document.querySelectorAll('.tab-button').forEach(btn => {
-                        btn.classList.remove('active');
-                    });
-                    e.target.classList.add('active');
-                    
-                    // Initialize target tab if needed
-                    await self.initializeTab(targetTab);
-                    
-                    // Show target table container
-                    const targetContainerId = self.getContainerIdForTab(targetTab);
-                    const targetContainer = document.querySelector(`#${targetContainerId}`);
-                    console.log(`TabManager: Looking for target container #${targetContainerId}:`, targetContainer);
-                    
-                    if (targetContainer) {
-                        targetContainer.style.display = 'block';
-                        targetContainer.classList.add('active-table');
-                        targetContainer.classList.remove('inactive-table');
-                        console.log(`TabManager: Shown container #${targetContainerId}`);
-                    } else {
-                        console.error(`TabManager: Could not find target container #${targetContainerId}`);
-                    }
-                    
-                    self.currentActiveTab = targetTab;
-                    
-                    // Wait for display change
-                    await new Promise(resolve => setTimeout(resolve, 50));
-                    
-                    // Redraw and restore state
-                    const targetTableWrapper = self.tables[targetTab];
-                    if (targetTableWrapper && targetTableWrapper.table) {
-                        targetTableWrapper.table.redraw(true);
-                        self.restoreTabState(targetTab);
-                        
-                        // Re-equalize columns and recalculate widths after tab switch
-                        setTimeout(() => {
-                            // Desktop-specific column equalization
-                            if (window.innerWidth > 1024) {
-                                if (targetTableWrapper.equalizeClusteredColumns) {
-                                    targetTableWrapper.equalizeClusteredColumns();
-                                }
-                                if (targetTableWrapper.expandNameColumnToFill) {
-                                    targetTableWrapper.expandNameColumnToFill();
-                                }
-                                
-                                // Desktop: run width recalculation
-                                if (targetTableWrapper.forceRecalculateWidths) {
-                                    targetTableWrapper.forceRecalculateWidths();
-                                } else if (targetTableWrapper.calculateAndApplyWidths) {
-                                    targetTableWrapper.calculateAndApplyWidths();
-                                }
-                            }
-                            
-                            // Apply appropriate container width based on screen size
-                            const tableContainer = targetTableWrapper.table?.element?.closest('.table-container');
-                            requestAnimationFrame(() => {
-                                self.applyContainerWidth(tableContainer);
-                            });
-                        }, 100);
-                    }
-                    
-                    console.log(`TabManager: Successfully switched to ${targetTab}`);
-                    
-                } catch (error) {
-                    console.error("TabManager: Error during tab switch:", error);
-                } finally {
-                    self.isTransitioning = false;
+                // Desktop: run width recalculation
+                if (tableWrapper.forceRecalculateWidths) {
+                    tableWrapper.forceRecalculateWidths();
+                } else if (tableWrapper.calculateAndApplyWidths) {
+                    tableWrapper.calculateAndApplyWidths();
                 }
             }
+            
+            // Apply appropriate container width based on screen size (and split view)
+            const tableContainer = tableWrapper.table?.element?.closest('.table-container');
+            requestAnimationFrame(() => {
+                this.applyContainerWidth(tableContainer);
+            });
+        }, 100);
+    }
+
+    hideTabContainer(tabId) {
+        const containerId = this.getContainerIdForTab(tabId);
+        const container = document.querySelector(`#${containerId}`);
+        console.log(`TabManager: Looking for current container #${containerId}:`, container);
+        
+        if (!container) {
+            console.error(`TabManager: Could not find current container #${containerId}`);
+            return;
+        }
+        
+        container.style.display = 'none';
+        container.classList.remove('active-table');
+        container.classList.add('inactive-table');
+        
+        // Reset width styles to prevent stale dimensions carrying over
+        container.style.width = '';
+        container.style.minWidth = '';
+        container.style.maxWidth = '';
+        container.style.overflowX = '';
+        
+        // Also reset the tabulator element inside
+        const tableElement = container.querySelector('.tabulator');
+        if (tableElement) {
+            tableElement.style.width = '';
+            tableElement.style.minWidth = '';
+            tableElement.style.maxWidth = '';
+        }
+        
+        // No live updates for tables off screen - showTabContainer reopens the channel
+        const tableWrapper = this.tables[tabId];
+        if (tableWrapper && tableWrapper.pauseRealtime) {
+            tableWrapper.pauseRealtime();
+        }
+        
+        console.log(`TabManager: Hidden container #${containerId}`);
+    }
+
+    showTabContainer(tabId) {
+        const containerId = this.getContainerIdForTab(tabId);
+        const container = document.querySelector(`#${containerId}`);
+        console.log(`TabManager: Looking for target container #${containerId}:`, container);
+        
+        if (!container) {
+            console.error(`TabManager: Could not find target container #${containerId}`);
+            return;
+        }
+        
+        container.style.display = 'block';
+        container.classList.add('active-table');
+        container.classList.remove('inactive-table');
+        
+        const tableWrapper = this.tables[tabId];
+        if (tableWrapper && tableWrapper.resumeRealtime) {
+            tableWrapper.resumeRealtime();
+        }
+        console.log(`TabManager: Shown container #${containerId}`);
+    }
+
+    setActiveButton(tabId) {
+        document.querySelectorAll('.tab-button').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-tab') === tabId);
+            btn.classList.toggle('split-tab', btn.getAttribute('data-tab') === this.splitTab);
         });
+    }
+
+    // =====================================================
+    // Split view - a second tab beside the active one
+    // =====================================================
+
+    isSplitView() {
+        return !!this.splitTab;
+    }
+
+    /**
+     * Show a second tab beside the active one, or close the split pane
+     * @param {string|null} tabId - Tab for the split pane (null to close it)
+     * @returns {Promise} Resolves once the pane is shown
+     */
+    async setSplitTab(tabId) {
+        const targetTab = tabId && this.tables[tabId] && tabId !== this.currentActiveTab ? tabId : null;
+        if (this.isTransitioning || targetTab === this.splitTab) return;
         
-        console.log("TabManager: Tab switching setup complete");
+        this.isTransitioning = true;
+        
+        try {
+            const previousSplit = this.splitTab;
+            if (previousSplit) {
+                this.saveTabState(previousSplit);
+                this.hideTabContainer(previousSplit);
+            }
+            
+            this.splitTab = targetTab;
+            const tablesContainer = document.querySelector('.tables-container');
+            if (tablesContainer) {
+                tablesContainer.classList.toggle('split-view', !!targetTab);
+            }
+            
+            if (targetTab) {
+                await this.initializeTab(targetTab);
+                this.showTabContainer(targetTab);
+                
+                const tableWrapper = this.tables[targetTab];
+                if (tableWrapper && tableWrapper.table) {
+                    tableWrapper.table.redraw(true);
+                }
+                this.refitTab(targetTab);
+            }
+            
+            // The active pane switches between half width and its normal fitted width
+            this.setPaneOrder();
+            this.setActiveButton(this.currentActiveTab);
+            this.refitTab(this.currentActiveTab);
+            this.linkPanes();
+            
+            console.log(`TabManager: Split pane ${targetTab ? `showing ${targetTab}` : 'closed'}`);
+        } catch (error) {
+            console.error("TabManager: Error changing split view:", error);
+        } finally {
+            this.isTransitioning = false;
+        }
+        
+        this.notifySplitChange();
+    }
+
+    // Active tab on the left, split tab on the right
+    setPaneOrder() {
+        Object.keys(this.tables).forEach(tabId => {
+            const container = document.querySelector(`#${this.getContainerIdForTab(tabId)}`);
+            if (!container) return;
+            container.style.order = this.splitTab && tabId === this.splitTab ? '1' : '';
+        });
+    }
+
+    /**
+     * Link the two panes by player: filtering Player Name or clicking a player's name in one pane
+     * filters the other pane to that player. Panes without a Player Name column aren't linked.
+     * @param {boolean} enabled - Link on/off
+     */
+    setLinkByPlayer(enabled) {
+        this.linkByPlayer = !!enabled;
+        this.linkPanes();
+        this.notifySplitChange();
     }
 
-    initializeTab(tabId) {
+    linkPanes() {
+        this.paneLinks.forEach(unsubscribe => unsubscribe());
+        this.paneLinks = [];
+        
+        if (!this.linkByPlayer || !this.splitTab) return;
+        
+        const panes = [this.tables[this.currentActiveTab], this.tables[this.splitTab]]
+            .filter(tableWrapper => tableWrapper && tableWrapper.hasPlayerColumn && tableWrapper.hasPlayerColumn());
+        if (panes.length < 2) {
+            console.log("TabManager: Split panes not linked - both need a Player Name column");
+            return;
+        }
+        
+        // Last Player Name filter seen per pane - only a change in the source pane is passed on,
+        // and a value set by the link doesn't echo back
+        const lastSeen = new Map(panes.map(pane => [pane, pane.getPlayerFilter()]));
+        const setPlayer = (target, value) => {
+            lastSeen.set(target, value);
+            if (target.getPlayerFilter() !== value) {
+                target.setPlayerFilter(value);
+            }
+        };
+        
+        panes.forEach((source, index) => {
+            const target = panes[1 - index];
+            
+            this.paneLinks.push(source.onViewStateChange(() => {
+                const value = source.getPlayerFilter();
+                if (value === lastSeen.get(source)) return;
+                lastSeen.set(source, value);
+                setPlayer(target, value);
+            }));
+            this.paneLinks.push(source.onPlayerSelected(name => setPlayer(target, name)));
+        });
+        
+        // Start in step with the active pane's player filter
+        const activeFilter = panes[0].getPlayerFilter();
+        if (activeFilter) {
+            setPlayer(panes[1], activeFilter);
+        }
+    }
+
+    /**
+     * Subscribe to split view changes (pane opened/closed/swapped, link toggled, active tab changed)
+     * @param {function} callback - Called with { activeTab, splitTab, linkByPlayer }
+     * @returns {function} Unsubscribe function
+     */
+    onSplitChange(callback) {
+        this.splitListeners.add(callback);
+        return () => this.splitListeners.delete(callback);
+    }
+
+    notifySplitChange() {
+        const state = { activeTab: this.currentActiveTab, splitTab: this.splitTab, linkByPlayer: this.linkByPlayer };
+        this.splitListeners.forEach(callback => callback(state));
+    }
+
+    // =====================================================
+    // URL hash state (shared/urlState.js)
+    // =====================================================
+
+    // Restore the tab and view state from a pasted link, then keep the hash in sync
+    setupUrlState(initialState) {
+        const ready = this.initializeTab(this.currentActiveTab, { applyDefaultPreset: !initialState }).then(async () => {
+            const tableWrapper = this.tables[this.currentActiveTab];
+            if (initialState && tableWrapper && tableWrapper.applyViewState) {
+                await tableWrapper.applyViewState(initialState);
+            }
+            this.watchViewState(this.currentActiveTab);
+            this.syncUrlState({ push: false });
+        });
+        
+        onUrlStateChange(state => {
+            ready.then(() => this.handleUrlStateChange(state));
+        });
+        
+        return ready;
+    }
+
+    // Back/forward or a manual hash edit
+    async handleUrlStateChange(state) {
+        if (this.isTransitioning) {
+            this.pendingUrlState = state;
+            return;
+        }
+        
+        const targetTab = state && this.tables[state.tab] ? state.tab : this.defaultTab;
+        const viewState = state || { filters: [], expanded: [] };
+        
+        if (targetTab !== this.currentActiveTab) {
+            await this.activateTab(targetTab, { viewState });
+        } else {
+            const tableWrapper = this.tables[targetTab];
+            if (tableWrapper && tableWrapper.applyViewState) {
+                await tableWrapper.applyViewState(viewState);
+            }
+        }
+    }
+
+    // Write the active tab's view state to the hash on filter/sort/expansion changes
+    watchViewState(tabId) {
+        const tableWrapper = this.tables[tabId];
+        if (this.urlWatchers[tabId] || !tableWrapper || !tableWrapper.table || !tableWrapper.onViewStateChange) {
+            return;
+        }
+        
+        this.urlWatchers[tabId] = tableWrapper.onViewStateChange(() => {
+            if (tabId !== this.currentActiveTab || this.isTransitioning) return;
+            
+            clearTimeout(this.urlSyncTimeout);
+            this.urlSyncTimeout = setTimeout(() => this.syncUrlState({ push: false }), 300);
+        });
+    }
+
+    syncUrlState({ push = false } = {}) {
+        const tableWrapper = this.getActiveTable();
+        const viewState = tableWrapper && tableWrapper.getViewState
+            ? tableWrapper.getViewState()
+            : {};
+        
+        writeUrlState({ tab: this.currentActiveTab, ...viewState }, { push });
+    }
+
+    // applyDefaultPreset: false when the tab's view comes from the URL instead of a saved preset
+    initializeTab(tabId, { applyDefaultPreset = true } = {}) {
         if (this.tabInitialized[tabId]) {
             console.log(`TabManager: Tab ${tabId} already initialized`);
             return Promise.resolve();
@@ -339,6 +716,10 @@ export class TabManager {
                         console.log(`TabManager: Calling initialize() on ${tabId}`);
                         tableWrapper.initialize();
                         this.tabInitialized[tabId] = true;
+                        
+                        if (tableWrapper.setupToolbar) {
+                            tableWrapper.setupToolbar({ applyDefaultPreset });
+                        }
                         console.log(`TabManager: Tab ${tabId} initialized successfully`);
                         
                         // Apply appropriate container width after initialization
@@ -451,6 +832,13 @@ export class TabManager {
         return this.tables[this.currentActiveTab];
     }
 
+    // Table instances currently on screen (the active tab, plus the split pane if open)
+    getVisibleTables() {
+        return [this.currentActiveTab, this.splitTab]
+            .filter(tabId => tabId && this.tables[tabId])
+            .map(tabId => this.tables[tabId]);
+    }
+
     // Refresh current tab's data
     refreshCurrentTab() {
         const table = this.getActiveTable();
@@ -471,9 +859,6 @@ export class TabManager {
     
     // Switch to specific tab programmatically
     switchTab(tabId) {
-        const tabButton = document.querySelector(`.tab-button[data-tab="${tabId}"]`);
-        if (tabButton) {
-            tabButton.click();
-        }
+        return this.activateTab(tabId);
     }
 }
@@ -0,0 +1,171 @@
+// components/watchEditor.js - Watch editor popover
+// Opened from the 🔔 button in a table's Track column: one line per watchable field of the row
+// with its current value, a tick to watch it and an optional "above/below" threshold. Rows with
+// a player get a second set of lines that watch the same fields on any of that player's rows.
+
+import {
+    WATCH_OPERATORS, getRowWatches, createWatchId, getPlayerWatches, createPlayerWatchId, formatWatchValue,
+    addWatch, updateWatch, removeWatch
+} from '../shared/watchlist.js';
+import { escapeHtml } from '../shared/utils.js';
+
+let popover = null;
+let closeHandlersBound = false;
+
+function close() {
+    if (popover) {
+        popover.remove();
+        popover = null;
+    }
+}
+
+function bindCloseHandlers() {
+    if (closeHandlersBound) return;
+    closeHandlersBound = true;
+
+    document.addEventListener('click', (e) => {
+        if (popover && !popover.contains(e.target) && !e.target.closest('button[data-watch]')) {
+            close();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') close();
+    });
+}
+
+/**
+ * Open the watch editor for a row
+ * @param {HTMLElement} anchor - Element the popover is placed under
+ * @param {object} options - { source, rowId, label, player, fields: [{ field, label, type, value }] }
+ *   (value is the current value in threshold units, see toWatchValue; player is { key, label }
+ *   from getPlayerKey, or null when the row has no player)
+ */
+export function openWatchEditor(anchor, options) {
+    close();
+    bindCloseHandlers();
+
+    // One set of lines for the row and, when it has a player, one for the player
+    const scopes = [{
+        scope: 'row',
+        existing: new Map(getRowWatches(options.source, options.rowId).map(watch => [watch.field, watch])),
+        createWatch: field => ({
+            id: createWatchId(options.source, options.rowId, field.field),
+            source: options.source,
+            rowId: options.rowId,
+            label: options.label
+        })
+    }];
+    if (options.player) {
+        scopes.push({
+            scope: 'player',
+            title: `⭐ Any ${options.player.label} row`,
+            existing: new Map(getPlayerWatches(options.player.key).map(watch => [watch.field, watch])),
+            createWatch: field => ({
+                id: createPlayerWatchId(options.player.key, field.field),
+                playerKey: options.player.key,
+                label: options.player.label,
+                matchLabel: options.label
+            })
+        });
+    }
+    const inputStyle = 'padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px;';
+
+    popover = document.createElement('div');
+    popover.className = 'watch-editor';
+    popover.style.cssText = `
+        position: fixed;
+        z-index: 10002;
+        width: 340px;
+        max-width: calc(100vw - 16px);
+        padding: 10px;
+        background: white;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+        font-size: 12px;
+        color: #333;
+    `;
+
+    popover.innerHTML = `
+        ${scopes.map(({ scope, title, existing }) => `
+            <div style="font-weight: 700; margin: ${scope === 'row' ? '0' : '10px'} 0 8px;">${escapeHtml(title || options.label)}</div>
+            ${options.fields.map((field, index) => {
+                const watch = existing.get(field.field);
+                const operator = watch ? watch.operator : WATCH_OPERATORS.above;
+                const threshold = watch ? (watch.threshold ?? '') : (field.value ?? '');
+                return `
+                    <div data-scope="${scope}" data-index="${index}" style="display: flex; align-items: center; gap: 6px; margin-bottom: 6px;">
+                        <label style="flex: 1; display: flex; align-items: center; gap: 4px; cursor: pointer;">
+                            <input type="checkbox" data-role="watch"${watch ? ' checked' : ''}>
+                            ${escapeHtml(field.label)}
+                            <span style="color: #666;">(${formatWatchValue(field.value, field.type)})</span>
+                        </label>
+                        <select data-role="operator" style="${inputStyle}">
+                            ${Object.values(WATCH_OPERATORS).map(value => `<option value="${value}"${value === operator ? ' selected' : ''}>${value}</option>`).join('')}
+                        </select>
+                        <input type="number" step="any" data-role="threshold" value="${threshold}" placeholder="no alert" title="${field.type === 'percent' ? 'Percent, e.g. 75' : 'American odds, e.g. -115'}" style="${inputStyle} width: 70px;">
+                    </div>
+                `;
+            }).join('')}
+        `).join('')}
+        <div style="color: #666; margin: 4px 0 8px;">Leave the threshold empty to just keep the row on the watchlist.${options.player ? ' Player lines check every row of the player, in any table with that field.' : ''}</div>
+        <div style="display: flex; justify-content: flex-end; gap: 6px;">
+            <button type="button" data-action="cancel" style="padding: 4px 10px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px;">Cancel</button>
+            <button type="button" data-action="save" style="padding: 4px 10px; border: none; background: #f97316; color: white; border-radius: 3px; cursor: pointer; font-size: 12px; font-weight: 600;">Save</button>
+        </div>
+    `;
+
+    document.body.appendChild(popover);
+
+    // Below the anchor, kept inside the viewport
+    const rect = anchor.getBoundingClientRect();
+    const width = popover.offsetWidth;
+    const height = popover.offsetHeight;
+    const left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+    const top = rect.bottom + 4 + height > window.innerHeight ? Math.max(8, rect.top - height - 4) : rect.bottom + 4;
+    popover.style.left = `${left}px`;
+    popover.style.top = `${top}px`;
+
+    popover.addEventListener('click', (e) => {
+        const action = e.target.getAttribute('data-action');
+        if (action === 'cancel') {
+            close();
+            return;
+        }
+        if (action !== 'save') return;
+
+        const saves = scopes.flatMap(({ scope, existing, createWatch }) => options.fields.map((field, index) => {
+            const line = popover.querySelector(`[data-scope="${scope}"][data-index="${index}"]`);
+            const watched = line.querySelector('[data-role="watch"]').checked;
+            const watch = existing.get(field.field);
+            const thresholdText = line.querySelector('[data-role="threshold"]').value;
+            const threshold = thresholdText === '' ? null : parseFloat(thresholdText);
+            const condition = {
+                operator: line.querySelector('[data-role="operator"]').value,
+                threshold: isNaN(threshold) ? null : threshold
+            };
+
+            if (!watched) {
+                return watch ? removeWatch(watch.id) : null;
+            }
+            if (watch) {
+                return updateWatch(watch.id, condition);
+            }
+            return addWatch({
+                ...createWatch(field),
+                field: field.field,
+                fieldLabel: field.label,
+                type: field.type,
+                value: field.value,
+                ...condition
+            });
+        }));
+
+        Promise.all(saves).catch(error => console.error('Could not save watches:', error));
+        close();
+    });
+}
+
+export default {
+    openWatchEditor
+};
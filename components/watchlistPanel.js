@@ -0,0 +1,217 @@
+// components/watchlistPanel.js - Watchlist drawer and in-page alerts
+// Floating toggle button (above the bet slip button) and a right-hand drawer listing every watch
+// with its current value against the threshold; conditions can be edited in place. Watches that
+// fire show a toast in the bottom-right corner (and a browser notification when enabled).
+// Player watches show which of the player's rows currently has the best value.
+
+import {
+    WATCH_OPERATORS, loadWatches, getWatches, updateWatch, removeWatch, clearWatches, formatWatchValue,
+    describeCondition, isWatchNotifyEnabled, setWatchNotify, onWatchesChange, onWatchTriggered
+} from '../shared/watchlist.js';
+import { CONFIG } from '../shared/config.js';
+import { escapeHtml } from '../shared/utils.js';
+
+function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : '-';
+}
+
+/**
+ * Create the watchlist drawer, its toggle button and the alert toasts
+ * @returns {object} { open(), close(), toggle(), element }
+ */
+export function createWatchlistPanel() {
+    let isOpen = false;
+
+    const toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.className = 'watchlist-toggle';
+    toggleButton.style.cssText = `
+        position: fixed;
+        right: 16px;
+        bottom: 56px;
+        z-index: 10000;
+        padding: 8px 14px;
+        border: none;
+        border-radius: 20px;
+        background: linear-gradient(135deg, #f97316 0%, #ea580c 100%);
+        color: white;
+        font-size: 13px;
+        font-weight: 600;
+        cursor: pointer;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.25);
+    `;
+
+    const drawer = document.createElement('div');
+    drawer.className = 'watchlist-drawer';
+    drawer.style.cssText = `
+        position: fixed;
+        top: 0;
+        right: 0;
+        width: 380px;
+        max-width: 100vw;
+        height: 100vh;
+        z-index: 10001;
+        background: white;
+        box-shadow: -2px 0 12px rgba(0,0,0,0.2);
+        display: none;
+        flex-direction: column;
+        font-size: 12px;
+        color: #333;
+    `;
+
+    drawer.innerHTML = `
+        <div style="display: flex; align-items: center; justify-content: space-between; padding: 10px 12px; background: linear-gradient(135deg, #f97316 0%, #ea580c 100%); color: white;">
+            <strong style="font-size: 14px;">Watchlist</strong>
+            <button type="button" data-action="close" style="border: none; background: none; color: white; font-size: 18px; cursor: pointer;">×</button>
+        </div>
+        <div data-role="list" style="flex: 1; overflow-y: auto; padding: 8px 12px;"></div>
+        <div style="display: flex; align-items: center; gap: 6px; padding: 10px 12px; border-top: 1px solid #eee;">
+            <label style="display: flex; align-items: center; gap: 4px; cursor: pointer;">
+                <input type="checkbox" data-role="notify"> Browser notifications
+            </label>
+            <button type="button" data-action="clear" style="margin-left: auto; padding: 4px 10px; border: 1px solid #ccc; background: white; border-radius: 3px; cursor: pointer; font-size: 12px; color: #b91c1c;">Clear All</button>
+        </div>
+    `;
+
+    const toasts = document.createElement('div');
+    toasts.className = 'watchlist-toasts';
+    toasts.style.cssText = 'position: fixed; right: 16px; bottom: 100px; z-index: 10003; display: flex; flex-direction: column; gap: 6px; max-width: 320px;';
+
+    const list = drawer.querySelector('[data-role="list"]');
+    const notifyInput = drawer.querySelector('[data-role="notify"]');
+
+    function render(watches) {
+        const firing = watches.filter(watch => watch.triggered).length;
+        toggleButton.textContent = firing > 0 ? `Watchlist (${watches.length}, ${firing} hit)` : `Watchlist (${watches.length})`;
+        notifyInput.checked = isWatchNotifyEnabled();
+
+        if (watches.length === 0) {
+            list.innerHTML = '<div style="padding: 12px 0; color: #666;">Nothing watched yet. Use the 🔔 button in a table\'s Track column to watch a row\'s (or its player\'s) odds or clearance.</div>';
+            return;
+        }
+
+        const inputStyle = 'padding: 2px 4px; border: 1px solid #ccc; border-radius: 2px; font-size: 12px;';
+        list.innerHTML = watches.map(watch => {
+            const status = watch.triggered
+                ? '<span style="background: #dcfce7; color: #15803d; font-weight: 700; padding: 0 5px; border-radius: 3px;">HIT</span>'
+                : '';
+            const playerLine = watch.playerKey
+                ? `<div style="color: #666; margin-top: 2px;">⭐ Any row${watch.matchLabel ? ` - best: ${escapeHtml(watch.matchLabel)}` : ''}</div>`
+                : '';
+            return `
+                <div data-watch-id="${escapeHtml(watch.id)}" style="padding: 8px 0; border-bottom: 1px solid #f3f4f6;">
+                    <div style="display: flex; justify-content: space-between; gap: 8px;">
+                        <strong>${escapeHtml(watch.label)}</strong>
+                        <button type="button" data-action="remove" title="Remove" style="border: none; background: none; color: #999; cursor: pointer;">×</button>
+                    </div>
+                    ${playerLine}
+                    <div style="display: flex; align-items: center; gap: 6px; margin-top: 4px;">
+                        <span>${escapeHtml(watch.fieldLabel)}</span>
+                        <strong style="font-size: 13px;">${formatWatchValue(watch.value, watch.type)}</strong>
+                        ${status}
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 6px; margin-top: 4px;">
+                        Alert when
+                        <select data-field="operator" style="${inputStyle}">
+                            ${Object.values(WATCH_OPERATORS).map(value => `<option value="${value}"${value === watch.operator ? ' selected' : ''}>${value}</option>`).join('')}
+                        </select>
+                        <input type="number" step="any" data-field="threshold" value="${watch.threshold ?? ''}" placeholder="no alert" style="${inputStyle} width: 70px;">
+                        <span style="margin-left: auto; color: #999;" title="Last checked">${formatTime(watch.checkedAt)}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function showToast(watch) {
+        const toast = document.createElement('div');
+        toast.style.cssText = 'padding: 8px 12px; background: white; border-left: 4px solid #16a34a; border-radius: 4px; box-shadow: 0 2px 8px rgba(0,0,0,0.25); font-size: 12px; color: #333; cursor: pointer;';
+        toast.innerHTML = `
+            <div style="font-weight: 700;">${escapeHtml(watch.label)}</div>
+            <div>${escapeHtml(describeCondition(watch))} - now <strong>${formatWatchValue(watch.value, watch.type)}</strong></div>
+            ${watch.matchLabel ? `<div style="color: #666;">${escapeHtml(watch.matchLabel)}</div>` : ''}
+        `;
+        toast.addEventListener('click', () => {
+            toast.remove();
+            open();
+        });
+        toasts.appendChild(toast);
+        setTimeout(() => toast.remove(), CONFIG.WATCHLIST.toastDuration);
+    }
+
+    // Delegated handlers - the list is re-rendered on every change
+    list.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-field]');
+        const item = e.target.closest('[data-watch-id]');
+        if (!input || !item) return;
+
+        let value = input.value;
+        if (input.dataset.field === 'threshold') {
+            value = value === '' ? null : parseFloat(value);
+            if (value !== null && isNaN(value)) value = null;
+        }
+        updateWatch(item.dataset.watchId, { [input.dataset.field]: value })
+            .catch(error => console.error('Could not update watch:', error));
+    });
+
+    drawer.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const action = button.dataset.action;
+        if (action === 'close') {
+            close();
+        } else if (action === 'remove') {
+            const item = button.closest('[data-watch-id]');
+            removeWatch(item.dataset.watchId).catch(error => console.error('Could not remove watch:', error));
+        } else if (action === 'clear') {
+            if (confirm('Remove every watch?')) {
+                clearWatches().catch(error => console.error('Could not clear watchlist:', error));
+            }
+        }
+    });
+
+    notifyInput.addEventListener('change', async () => {
+        const wanted = notifyInput.checked;
+        const enabled = await setWatchNotify(wanted);
+        notifyInput.checked = enabled;
+        if (wanted && !enabled) {
+            alert('Browser notifications are blocked or not supported - allow them for this site to turn them on.');
+        }
+    });
+
+    function open() {
+        isOpen = true;
+        drawer.style.display = 'flex';
+    }
+
+    function close() {
+        isOpen = false;
+        drawer.style.display = 'none';
+    }
+
+    function toggle() {
+        if (isOpen) {
+            close();
+        } else {
+            open();
+        }
+    }
+
+    toggleButton.addEventListener('click', toggle);
+
+    document.body.appendChild(toggleButton);
+    document.body.appendChild(drawer);
+    document.body.appendChild(toasts);
+
+    onWatchesChange(render);
+    onWatchTriggered(triggered => triggered.forEach(showToast));
+    render(getWatches());
+    loadWatches();
+
+    return { open, close, toggle, element: drawer };
+}
+
+export default {
+    createWatchlistPanel
+};
@@ -4,13 +4,15 @@
 
 import { injectStyles } from './styles/tableStyles.js';
 import { BasketPlayerPropClearancesTable } from './tables/basketPlayerPropClearances.js';
-import { BasketPlayerDDTDTable } from './tables/basketPlayerDDTD.js';
-import { BasketPlayerDKTable } from './tables/basketPlayerDK.js';
-import { BasketPlayerFDTable } from './tables/basketPlayerFD.js';
-import { BasketPlayerPropOddsTable } from './tables/basketPlayerPropOdds.js';
-import { BasketGameOddsTable } from './tables/basketGameOdds.js';
-import { BasketMatchupsTable } from './tables/basketMatchups.js';
 import { TabManager } from './components/tabManager.js';
+import { createBankrollControl } from './components/bankrollControl.js';
+import { createBetSlipDrawer } from './components/betSlipDrawer.js';
+import { createLineupAlertFeed } from './components/lineupAlertFeed.js';
+import { createWatchlistPanel } from './components/watchlistPanel.js';
+import { createGlobalSearch } from './components/globalSearch.js';
+import { createSplitViewControl } from './components/splitViewControl.js';
+import { registerProfileSources } from './shared/playerProfile.js';
+import { getRegisteredTabs, getContainerId, getDefaultTabId, parseTabList } from './shared/tableRegistry.js';
 
 // Global state for expanded rows - shared across all tables
 window.globalExpandedState = window.globalExpandedState || new Map();
@@ -34,12 +36,19 @@ document.addEventListener("DOMContentLoaded", function() {
     console.log("Found existing basketball-table element, creating complete structure...");
 
     try {
+        // Resolve the tabs to show - an optional data-tabs="table1,table3" attribute
+        // restricts and orders them for trimmed embeds
+        const tabs = getRegisteredTabs(parseTabList(existingTable.dataset.tabs));
+        if (tabs.length === 0) {
+            throw new Error("No registered tabs to display");
+        }
+        
         // Create the complete DOM structure
-        createCompleteTableStructure(existingTable);
+        createCompleteTableStructure(existingTable, tabs);
         
         // Create all table instances but don't initialize them yet (lazy loading)
         console.log("Creating table instances...");
-        const tableInstances = createAllTableInstances();
+        const tableInstances = createAllTableInstances(tabs);
         
         // Initialize TabManager with all table instances
         console.log("Initializing TabManager with all tables...");
@@ -49,6 +58,29 @@ document.addEventListener("DOMContentLoaded", function() {
         // Store references globally for debugging
         window.basketballTables = tableInstances;
         
+        // Player search in the tab bar (searches every tab, loading unopened tabs' data on demand)
+        const tabButtons = document.querySelector('.tab-buttons');
+        if (tabButtons) {
+            createGlobalSearch(tabButtons, tabManager, tabs);
+            
+            // Split view - a second tab beside the active one (needs at least two tabs)
+            if (tabs.length > 1) {
+                createSplitViewControl(tabButtons, tabManager, tabs);
+            }
+        }
+        
+        // Player profile modal joins every tab's data (opened from the name cells)
+        registerProfileSources(tableInstances);
+        
+        // Bet slip drawer (tracked picks persist in IndexedDB across reloads and tab switches)
+        window.betSlip = createBetSlipDrawer();
+        
+        // Watchlist drawer (watched rows and thresholds persist in IndexedDB)
+        window.watchlist = createWatchlistPanel();
+        
+        // Lineup alert feed (status flips found when the tables refresh)
+        window.lineupAlerts = createLineupAlertFeed();
+        
         console.log("✅ Basketball table system initialized successfully!");
         
     } catch (error) {
@@ -64,7 +96,7 @@ document.addEventListener("DOMContentLoaded", function() {
     }
 });
 
-function createCompleteTableStructure(existingTable) {
+function createCompleteTableStructure(existingTable, tabs) {
     console.log("Creating complete DOM structure...");
     
     // Create main wrapper
@@ -72,20 +104,22 @@ function createCompleteTableStructure(existingTable) {
     tabWrapper.className = 'table-wrapper';
     tabWrapper.style.cssText = 'display: flex; flex-direction: column; align-items: center; width: 100%; margin: 0 auto;';
     
-    // Create tabs container with all tab buttons
+    // Create tabs container with one button per registered tab
     const tabsContainer = document.createElement('div');
     tabsContainer.className = 'tabs-container';
-    tabsContainer.innerHTML = `
-        <div class="tab-buttons">
-            <button class="tab-button active" data-tab="table0">Matchups</button>
-            <button class="tab-button" data-tab="table1">Prop Clearances</button>
-            <button class="tab-button" data-tab="table2">DD-TD Clearances</button>
-            <button class="tab-button" data-tab="table3">Prop Odds</button>
-            <button class="tab-button" data-tab="table4">Game Odds</button>
-            <button class="tab-button" data-tab="table5">DraftKings DFS</button>
-            <button class="tab-button" data-tab="table6">FanDuel DFS</button>
-        </div>
-    `;
+    
+    const tabButtons = document.createElement('div');
+    tabButtons.className = 'tab-buttons';
+    
+    const defaultTabId = getDefaultTabId(tabs.map(entry => entry.id));
+    tabs.forEach(entry => {
+        const button = document.createElement('button');
+        button.className = entry.id === defaultTabId ? 'tab-button active' : 'tab-button';
+        button.setAttribute('data-tab', entry.id);
+        button.textContent = entry.label;
+        tabButtons.appendChild(button);
+    });
+    tabsContainer.appendChild(tabButtons);
     
     // Create tables container that will hold all table divs
     const tablesContainer = document.createElement('div');
@@ -93,7 +127,9 @@ function createCompleteTableStructure(existingTable) {
     tablesContainer.style.cssText = 'width: 100%; position: relative;';
     
     // Build the main structure FIRST (before inserting into DOM)
+    // Bankroll / Kelly control sits between the tabs and the tables (drives every Stake column)
     tabWrapper.appendChild(tabsContainer);
+    tabWrapper.appendChild(createBankrollControl());
     tabWrapper.appendChild(tablesContainer);
     
     // Insert into DOM - insert before the existing element
@@ -105,107 +141,41 @@ function createCompleteTableStructure(existingTable) {
     }
     
     // Create all individual table containers and elements
-    createAllTableContainers(tablesContainer);
+    createAllTableContainers(tablesContainer, tabs, defaultTabId);
     
     console.log("✅ Complete DOM structure created");
 }
 
-function createAllTableContainers(tablesContainer) {
+function createAllTableContainers(tablesContainer, tabs, defaultTabId) {
     console.log("Creating all table containers...");
     
-    // Table 0 - Matchups (Active by default)
-    const matchupsElement = document.createElement('div');
-    matchupsElement.id = 'matchups-table';
-    const table0Container = document.createElement('div');
-    table0Container.className = 'table-container active-table';
-    table0Container.id = 'table0-container';
-    table0Container.style.cssText = 'width: 100%; display: block;';
-    table0Container.appendChild(matchupsElement);
-    tablesContainer.appendChild(table0Container);
-    console.log("✅ Created table0-container (Matchups)");
-    
-    // Table 1 - Prop Clearances (Inactive)
-    const propClearancesElement = document.createElement('div');
-    propClearancesElement.id = 'prop-clearances-table';
-    const table1Container = document.createElement('div');
-    table1Container.className = 'table-container inactive-table';
-    table1Container.id = 'table1-container';
-    table1Container.style.cssText = 'width: 100%; display: none;';
-    table1Container.appendChild(propClearancesElement);
-    tablesContainer.appendChild(table1Container);
-    console.log("✅ Created table1-container (Prop Clearances)");
-    
-    // Table 2 - DD-TD Clearances (Inactive)
-    const ddtdElement = document.createElement('div');
-    ddtdElement.id = 'ddtd-clearances-table';
-    const table2Container = document.createElement('div');
-    table2Container.className = 'table-container inactive-table';
-    table2Container.id = 'table2-container';
-    table2Container.style.cssText = 'width: 100%; display: none;';
-    table2Container.appendChild(ddtdElement);
-    tablesContainer.appendChild(table2Container);
-    console.log("✅ Created table2-container (DD-TD Clearances)");
-    
-    // Table 3 - Prop Odds (Inactive)
-    const propOddsElement = document.createElement('div');
-    propOddsElement.id = 'prop-odds-table';
-    const table3Container = document.createElement('div');
-    table3Container.className = 'table-container inactive-table';
-    table3Container.id = 'table3-container';
-    table3Container.style.cssText = 'width: 100%; display: none;';
-    table3Container.appendChild(propOddsElement);
-    tablesContainer.appendChild(table3Container);
-    console.log("✅ Created table3-container (Prop Odds)");
-    
-    // Table 4 - Game Odds (Inactive)
-    const gameOddsElement = document.createElement('div');
-    gameOddsElement.id = 'game-odds-table';
-    const table4Container = document.createElement('div');
-    table4Container.className = 'table-container inactive-table';
-    table4Container.id = 'table4-container';
-    table4Container.style.cssText = 'width: 100%; display: none;';
-    table4Container.appendChild(gameOddsElement);
-    tablesContainer.appendChild(table4Container);
-    console.log("✅ Created table4-container (Game Odds)");
-    
-    // Table 5 - DraftKings DFS (Inactive)
-    const dkElement = document.createElement('div');
-    dkElement.id = 'dk-dfs-table';
-    const table5Container = document.createElement('div');
-    table5Container.className = 'table-container inactive-table';
-    table5Container.id = 'table5-container';
-    table5Container.style.cssText = 'width: 100%; display: none;';
-    table5Container.appendChild(dkElement);
-    tablesContainer.appendChild(table5Container);
-    console.log("✅ Created table5-container (DraftKings DFS)");
-    
-    // Table 6 - FanDuel DFS (Inactive)
-    const fdElement = document.createElement('div');
-    fdElement.id = 'fd-dfs-table';
-    const table6Container = document.createElement('div');
-    table6Container.className = 'table-container inactive-table';
-    table6Container.id = 'table6-container';
-    table6Container.style.cssText = 'width: 100%; display: none;';
-    table6Container.appendChild(fdElement);
-    tablesContainer.appendChild(table6Container);
-    console.log("✅ Created table6-container (FanDuel DFS)");
+    tabs.forEach(entry => {
+        const isActive = entry.id === defaultTabId;
+        
+        const tableElement = document.createElement('div');
+        tableElement.id = entry.elementId;
+        
+        const container = document.createElement('div');
+        container.className = isActive ? 'table-container active-table' : 'table-container inactive-table';
+        container.id = getContainerId(entry.id);
+        container.style.cssText = `width: 100%; display: ${isActive ? 'block' : 'none'};`;
+        container.appendChild(tableElement);
+        tablesContainer.appendChild(container);
+        
+        console.log(`✅ Created ${container.id} (${entry.label})`);
+    });
     
     console.log("✅ All table containers created");
 }
 
-function createAllTableInstances() {
+function createAllTableInstances(tabs) {
     console.log("Creating all table instances (with lazy loading)...");
     
     // Create table instances but DON'T initialize them yet - TabManager handles lazy loading
-    const tableInstances = {
-        table0: new BasketMatchupsTable("#matchups-table"),
-        table1: new BasketPlayerPropClearancesTable("#prop-clearances-table"),
-        table2: new BasketPlayerDDTDTable("#ddtd-clearances-table"),
-        table3: new BasketPlayerPropOddsTable("#prop-odds-table"),
-        table4: new BasketGameOddsTable("#game-odds-table"),
-        table5: new BasketPlayerDKTable("#dk-dfs-table"),
-        table6: new BasketPlayerFDTable("#fd-dfs-table")
-    };
+    const tableInstances = {};
+    tabs.forEach(entry => {
+        tableInstances[entry.id] = new entry.TableClass(`#${entry.elementId}`, entry.endpoint);
+    });
     
     // Enhance each table instance with state management
     Object.keys(tableInstances).forEach(key => {
@@ -307,8 +277,9 @@ function initializeGlobalState() {
 // Handle window resize
 window.addEventListener('resize', debounce(function() {
     if (window.tabManager) {
-        const activeTable = window.tabManager.getActiveTable();
-        if (activeTable && activeTable.table) {
+        // Both panes in split view
+        window.tabManager.getVisibleTables().forEach(activeTable => {
+            if (!activeTable.table) return;
             activeTable.table.redraw(true);
             
             if (window.innerWidth > 1024) {
@@ -319,7 +290,7 @@ window.addEventListener('resize', debounce(function() {
                     setTimeout(() => activeTable.expandNameColumnToFill(), 150);
                 }
             }
-        }
+        });
     }
 }, 250));
 
@@ -0,0 +1,196 @@
+// shared/arbitrage.js - Cross-book arbitrage and middle scanner for game odds
+// Groups complementary sides (over/under, both spread sides, both moneylines) of each
+// "Game Matchup" / "Game Prop Type" across "Game Book" values, then:
+// - arbitrage: the best prices on both sides of the same line imply less than 100%
+// - middle: the lines differ between books so both bets can win (e.g. Over 220.5 / Under 222.5)
+
+import { CONFIG } from './config.js';
+import { americanToImpliedProbability, americanToDecimal } from './utils.js';
+
+/**
+ * Classify a game prop type
+ * @param {string} propType - "Game Prop Type" value (e.g., "Moneyline", "Spread", "Total")
+ * @returns {string|null} 'moneyline' | 'spread' | 'total', or null when not a two-way market
+ */
+export function getMarketKind(propType) {
+    const str = String(propType || '').toLowerCase();
+    if (str.includes('moneyline') || str === 'ml' || str.includes('h2h')) return 'moneyline';
+    if (str.includes('spread') || str.includes('handicap')) return 'spread';
+    if (str.includes('total') || str.includes('over/under')) return 'total';
+    return null;
+}
+
+/**
+ * Split a bankroll across both legs so either result returns the same amount
+ * @param {Array<number|string>} oddsList - American odds for each leg
+ * @param {number} bankroll - Total amount to stake
+ * @returns {object|null} { stakes, payout, profit } or null when odds are invalid
+ */
+export function calculateStakeSplit(oddsList, bankroll) {
+    const decimals = oddsList.map(americanToDecimal);
+    if (decimals.some(d => d === null)) return null;
+    
+    const inverseSum = decimals.reduce((sum, d) => sum + 1 / d, 0);
+    const stakes = decimals.map(d => Math.round((bankroll / d / inverseSum) * 100) / 100);
+    const payout = Math.round((bankroll / inverseSum) * 100) / 100;
+    
+    return { stakes, payout, profit: Math.round((payout - bankroll) * 100) / 100 };
+}
+
+// Side of a two-way market for one row ('over'/'under' for totals, the team label otherwise)
+function getSide(kind, label) {
+    const str = String(label || '').trim();
+    if (kind === 'total') {
+        const lower = str.toLowerCase();
+        if (lower.startsWith('over') || lower === 'o') return 'over';
+        if (lower.startsWith('under') || lower === 'u') return 'under';
+        return null;
+    }
+    return str || null;
+}
+
+// Best prices per (side, line) at the two best distinct books, best first. The runner-up is
+// kept so a line whose best price on both sides is at one book can still pair across books.
+function bestLegsBySide(rows, kind) {
+    const sides = new Map();
+    
+    rows.forEach(row => {
+        const side = getSide(kind, row["Game Label"]);
+        const odds = americanToImpliedProbability(row["Game Prop Odds"]);
+        if (!side || odds === null) return;
+        
+        const line = kind === 'moneyline' ? 0 : parseFloat(row["Game Line"]);
+        if (isNaN(line)) return;
+        
+        if (!sides.has(side)) sides.set(side, new Map());
+        const lines = sides.get(side);
+        const leg = { row, side, line, implied: odds, odds: parseInt(row["Game Prop Odds"], 10) };
+        const legs = (lines.get(line) || []).filter(current => current.row["Game Book"] !== row["Game Book"]);
+        const sameBook = (lines.get(line) || []).find(current => current.row["Game Book"] === row["Game Book"]);
+        legs.push(sameBook && sameBook.implied <= odds ? sameBook : leg);
+        lines.set(line, legs.sort((a, b) => a.implied - b.implied).slice(0, 2));
+    });
+    
+    return sides;
+}
+
+// How far apart two legs' lines are in the bettor's favour (0 = same line, > 0 = middle window)
+function getLineGap(kind, a, b) {
+    if (kind === 'moneyline') return 0;
+    if (kind === 'total') {
+        const over = a.side === 'over' ? a : b;
+        const under = a.side === 'over' ? b : a;
+        return under.line - over.line;
+    }
+    // Spreads are quoted per team: +6.5 / -4.5 leaves a 2-point window
+    return a.line + b.line;
+}
+
+/**
+ * Scan game odds rows for arbitrage and middle opportunities
+ * @param {object[]} rows - BasketGameOdds rows
+ * @param {object} options - { bankroll, maxMiddleHold }
+ * @returns {object[]} Opportunities: { id, type, kind, matchup, propType, legs, margin, gap, split }
+ *   - type: 'arb' | 'middle' | 'arb-middle'
+ *   - kind: market kind (see getMarketKind)
+ *   - legs: [{ rowId, book, label, line, odds }]
+ *   - margin: 1 - combined implied probability (positive = guaranteed profit)
+ *   - split: stake split for the bankroll (see calculateStakeSplit)
+ */
+export function findOpportunities(rows, options = {}) {
+    const bankroll = options.bankroll || CONFIG.ARBITRAGE.defaultBankroll;
+    const maxMiddleHold = options.maxMiddleHold ?? CONFIG.ARBITRAGE.maxMiddleHold;
+    
+    const groups = new Map();
+    rows.forEach(row => {
+        const kind = getMarketKind(row["Game Prop Type"]);
+        if (!kind) return;
+        const key = `${row["Game Matchup"]}|${row["Game Prop Type"]}`;
+        if (!groups.has(key)) groups.set(key, { kind, rows: [] });
+        groups.get(key).rows.push(row);
+    });
+    
+    const opportunities = [];
+    
+    groups.forEach(({ kind, rows: groupRows }, key) => {
+        const sides = bestLegsBySide(groupRows, kind);
+        if (sides.size !== 2) return;
+        
+        const [sideA, sideB] = Array.from(sides.values());
+        sideA.forEach(legsA => {
+            sideB.forEach(legsB => {
+                // Cheapest pair at two different books - both legs at one book is just that
+                // book's own market
+                let pair = null;
+                legsA.forEach(a => legsB.forEach(b => {
+                    if (a.row["Game Book"] === b.row["Game Book"]) return;
+                    if (!pair || a.implied + b.implied < pair[0].implied + pair[1].implied) pair = [a, b];
+                }));
+                if (!pair) return;
+                const [legA, legB] = pair;
+                
+                const gap = getLineGap(kind, legA, legB);
+                if (gap < 0) return;
+                
+                const margin = 1 - (legA.implied + legB.implied);
+                const isArb = margin > 0;
+                const isMiddle = gap > 0 && -margin <= maxMiddleHold;
+                if (!isArb && !isMiddle) return;
+                
+                const legs = [legA, legB].map(leg => ({
+                    rowId: leg.row._rowId,
+                    book: leg.row["Game Book"],
+                    label: leg.row["Game Label"],
+                    line: kind === 'moneyline' ? null : leg.line,
+                    odds: leg.odds
+                }));
+                
+                opportunities.push({
+                    id: `${key}|${legs.map(l => `${l.book}:${l.label}:${l.line}`).join('|')}`,
+                    type: isArb && isMiddle ? 'arb-middle' : isArb ? 'arb' : 'middle',
+                    kind,
+                    matchup: legA.row["Game Matchup"],
+                    propType: legA.row["Game Prop Type"],
+                    legs,
+                    margin,
+                    gap,
+                    split: calculateStakeSplit(legs.map(l => l.odds), bankroll)
+                });
+            });
+        });
+    });
+    
+    // Guaranteed profit first, then the widest middles
+    return opportunities.sort((a, b) => (b.margin - a.margin) || (b.gap - a.gap));
+}
+
+/**
+ * Map each row ID to the signal badge it should carry
+ * @param {object[]} opportunities - Result of findOpportunities
+ * @returns {Map<string, string>} rowId -> "Arb" | "Middle" | "Arb + Middle"
+ */
+export function getRowSignals(opportunities) {
+    const flags = new Map();
+    
+    opportunities.forEach(opp => {
+        opp.legs.forEach(leg => {
+            const current = flags.get(leg.rowId) || { arb: false, middle: false };
+            if (opp.type !== 'middle') current.arb = true;
+            if (opp.type !== 'arb') current.middle = true;
+            flags.set(leg.rowId, current);
+        });
+    });
+    
+    const signals = new Map();
+    flags.forEach((flag, rowId) => {
+        signals.set(rowId, flag.arb && flag.middle ? 'Arb + Middle' : flag.arb ? 'Arb' : 'Middle');
+    });
+    return signals;
+}
+
+export default {
+    getMarketKind,
+    calculateStakeSplit,
+    findOpportunities,
+    getRowSignals
+};
@@ -0,0 +1,108 @@
+// shared/bankroll.js - Bankroll settings and Kelly stake sizing
+// Settings (bankroll, fraction of Kelly, max stake) are shared by every table and
+// persisted in localStorage; tables subscribe to redraw their Stake column on change.
+
+import { CONFIG } from './config.js';
+import { kellyFraction } from './utils.js';
+
+const listeners = new Set();
+let settings = loadSettings();
+
+function getDefaults() {
+    return {
+        bankroll: CONFIG.BANKROLL.defaultBankroll,
+        kellyFraction: CONFIG.BANKROLL.defaultKellyFraction,
+        maxStake: CONFIG.BANKROLL.defaultMaxStake
+    };
+}
+
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.BANKROLL.storageKey) || 'null');
+        return { ...getDefaults(), ...(stored || {}) };
+    } catch (error) {
+        console.warn('Could not read bankroll settings, using defaults:', error);
+        return getDefaults();
+    }
+}
+
+/**
+ * Current bankroll settings
+ * @returns {object} { bankroll, kellyFraction, maxStake }
+ */
+export function getBankrollSettings() {
+    return { ...settings };
+}
+
+/**
+ * Update and persist bankroll settings, then notify subscribers
+ * @param {object} changes - Any of { bankroll, kellyFraction, maxStake }
+ */
+export function setBankrollSettings(changes) {
+    settings = { ...settings, ...changes };
+    
+    try {
+        localStorage.setItem(CONFIG.BANKROLL.storageKey, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save bankroll settings:', error);
+    }
+    
+    listeners.forEach(listener => {
+        try {
+            listener(getBankrollSettings());
+        } catch (error) {
+            console.error('Error in bankroll settings listener:', error);
+        }
+    });
+}
+
+/**
+ * Subscribe to bankroll settings changes
+ * @param {function} listener - Called with the new settings
+ * @returns {function} Unsubscribe function
+ */
+export function onBankrollChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Suggested stake for a bet: bankroll x fraction of Kelly, capped at the max stake
+ * @param {number} probability - Win probability between 0 and 1
+ * @param {number|string} odds - American odds taken
+ * @returns {number} Stake in dollars (0 when there is no edge)
+ */
+export function calculateKellyStake(probability, odds) {
+    const fraction = kellyFraction(probability, odds);
+    if (fraction === null || fraction <= 0) return 0;
+    
+    const stake = Math.min(settings.bankroll * settings.kellyFraction * fraction, settings.maxStake);
+    return Math.round(stake * 100) / 100;
+}
+
+/**
+ * Stake for a clearance row (prop clearances, DD-TD): the better of the over side at the
+ * clearance rate and the under side at 1 - clearance, each priced at the best odds
+ * @param {object} data - Row data with "Player Clearance" and best over/under odds
+ * @returns {object|null} { side, stake, probability, odds } or null when nothing has an edge
+ */
+export function getClearanceStake(data) {
+    const clearance = parseFloat(String(data["Player Clearance"] ?? '').replace('%', ''));
+    if (isNaN(clearance)) return null;
+    
+    const candidates = [
+        { side: 'Over', probability: clearance, odds: data["Player Best Over Odds"] },
+        { side: 'Under', probability: 1 - clearance, odds: data["Player Best Under Odds"] }
+    ].map(candidate => ({ ...candidate, stake: calculateKellyStake(candidate.probability, candidate.odds) }));
+    
+    const best = candidates.sort((a, b) => b.stake - a.stake)[0];
+    return best.stake > 0 ? best : null;
+}
+
+export default {
+    getBankrollSettings,
+    setBankrollSettings,
+    onBankrollChange,
+    calculateKellyStake,
+    getClearanceStake
+};
@@ -0,0 +1,232 @@
+// shared/betSlip.js - Tracked picks (bet slip) store
+// Picks live in the trackedPicks IndexedDB store (see cacheManager.js) and are mirrored in
+// memory so table formatters can check tracked state synchronously. Listeners are notified
+// on every change so the drawer and the Track columns stay in sync across tabs.
+
+import { cacheManager } from './cacheManager.js';
+import { calculateKellyStake } from './bankroll.js';
+import { toCSV } from './utils.js';
+
+const picks = new Map();
+const listeners = new Set();
+let loadPromise = null;
+
+// Columns written by the CSV export, in order
+const EXPORT_FIELDS = [
+    'trackedAt', 'source', 'player', 'team', 'matchup', 'market', 'side', 'line',
+    'book', 'odds', 'oddsTaken', 'stake', 'closingOdds', 'result', 'actual'
+];
+
+function notify() {
+    const current = getPicks();
+    listeners.forEach(listener => {
+        try {
+            listener(current);
+        } catch (error) {
+            console.error('Error in bet slip listener:', error);
+        }
+    });
+}
+
+/**
+ * Load picks from IndexedDB (once per page)
+ * @returns {Promise<object[]>} Picks, newest first
+ */
+export function loadPicks() {
+    if (!loadPromise) {
+        loadPromise = cacheManager.getAllPicks()
+            .then(stored => {
+                stored.forEach(pick => picks.set(pick.id, pick));
+                notify();
+                return getPicks();
+            })
+            .catch(error => {
+                console.error('Could not load tracked picks:', error);
+                return [];
+            });
+    }
+    return loadPromise;
+}
+
+/**
+ * Current picks, newest first
+ * @returns {object[]} Picks
+ */
+export function getPicks() {
+    return Array.from(picks.values()).sort((a, b) => b.trackedAt - a.trackedAt);
+}
+
+export function isTracked(id) {
+    return picks.has(id);
+}
+
+/**
+ * Build a pick id - one pick per table row and side
+ * @param {string} source - Table endpoint
+ * @param {string} rowId - Row _rowId
+ * @param {string} side - Side tracked (e.g., "Over")
+ * @returns {string} Pick id
+ */
+export function createPickId(source, rowId, side) {
+    return `${source}|${rowId}|${side || ''}`;
+}
+
+/**
+ * Add a pick to the slip
+ * @param {object} pick - { id, source, rowId, player, team, matchup, market, side, line, book, odds, stake, closingOdds }
+ * @returns {Promise<object>} Stored pick
+ */
+export async function addPick(pick) {
+    const stored = {
+        ...pick,
+        oddsTaken: pick.oddsTaken ?? pick.odds ?? null,
+        stake: pick.stake ?? null,
+        trackedAt: pick.trackedAt || Date.now()
+    };
+    
+    picks.set(stored.id, stored);
+    notify();
+    await cacheManager.putPick(stored);
+    return stored;
+}
+
+/**
+ * Edit a tracked pick (stake, odds taken, ...)
+ * @param {string} id - Pick id
+ * @param {object} changes - Fields to update
+ */
+export async function updatePick(id, changes) {
+    const pick = picks.get(id);
+    if (!pick) return;
+    
+    const updated = { ...pick, ...changes };
+    picks.set(id, updated);
+    notify();
+    await cacheManager.putPick(updated);
+}
+
+export async function removePick(id) {
+    if (!picks.has(id)) return;
+    picks.delete(id);
+    notify();
+    await cacheManager.deletePick(id);
+}
+
+export async function clearPicks() {
+    const ids = Array.from(picks.keys());
+    picks.clear();
+    notify();
+    await Promise.all(ids.map(id => cacheManager.deletePick(id)));
+}
+
+/**
+ * Track or untrack a pick
+ * @param {object} pick - Pick to toggle (see addPick)
+ * @returns {Promise<boolean>} true when the pick is now tracked
+ */
+export async function togglePick(pick) {
+    if (picks.has(pick.id)) {
+        await removePick(pick.id);
+        return false;
+    }
+    await addPick(pick);
+    return true;
+}
+
+/**
+ * Refresh the last-seen median ("closing") odds of open picks from freshly fetched rows
+ * @param {string} source - Table endpoint the rows came from
+ * @param {object[]} records - Rows with _rowId
+ * @param {function} getOdds - (record, side) => median odds for that side, or null
+ */
+export async function updateClosingOdds(source, records, getOdds) {
+    await loadPicks();
+    const open = getPicks().filter(pick => pick.source === source && !pick.result);
+    if (open.length === 0) return;
+    
+    const byRowId = new Map(records.map(record => [record._rowId, record]));
+    const changed = [];
+    
+    open.forEach(pick => {
+        const record = byRowId.get(pick.rowId);
+        if (!record) return;
+        
+        const odds = getOdds(record, pick.side);
+        if (odds !== null && odds !== undefined && odds !== pick.closingOdds) {
+            const updated = { ...pick, closingOdds: odds, closingSeenAt: Date.now() };
+            picks.set(pick.id, updated);
+            changed.push(updated);
+        }
+    });
+    
+    if (changed.length === 0) return;
+    notify();
+    await Promise.all(changed.map(pick => cacheManager.putPick(pick)));
+}
+
+/**
+ * Subscribe to bet slip changes
+ * @param {function} listener - Called with the current picks
+ * @returns {function} Unsubscribe function
+ */
+export function onPicksChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Pick candidates for a clearance row (prop clearances, DD-TD): Over and Under at the best odds,
+ * each with a Kelly stake at the clearance rate
+ * @param {object} data - Row data
+ * @returns {object[]} Partial picks (without id/source/rowId)
+ */
+export function getClearancePickCandidates(data) {
+    const clearance = parseFloat(String(data["Player Clearance"] ?? '').replace('%', ''));
+    const line = data["Player Prop Value"] ?? null;
+    
+    return ['Over', 'Under'].map(side => {
+        const odds = parseInt(data[`Player Best ${side} Odds`], 10);
+        const probability = side === 'Over' ? clearance : 1 - clearance;
+        return {
+            side,
+            label: side === 'Over' ? 'O' : 'U',
+            player: data["Player Name"],
+            team: data["Player Team"],
+            matchup: data["Matchup"] || null,
+            market: data["Player Prop"],
+            line: line === null || line === '' ? null : parseFloat(line),
+            book: data[`Player Best ${side} Odds Books`] || null,
+            odds: isNaN(odds) ? null : odds,
+            stake: isNaN(clearance) || isNaN(odds) ? null : (calculateKellyStake(probability, odds) || null)
+        };
+    });
+}
+
+/**
+ * Serialize picks as CSV
+ * @param {object[]} list - Picks
+ * @returns {string} CSV text with a header row
+ */
+export function picksToCSV(list) {
+    const rows = list.map(pick => EXPORT_FIELDS.map(field => {
+        if (field === 'trackedAt') return new Date(pick.trackedAt).toISOString();
+        return pick[field];
+    }));
+    return toCSV(EXPORT_FIELDS, rows);
+}
+
+export default {
+    loadPicks,
+    getPicks,
+    isTracked,
+    createPickId,
+    addPick,
+    updatePick,
+    removePick,
+    clearPicks,
+    togglePick,
+    onPicksChange,
+    updateClosingOdds,
+    getClearancePickCandidates,
+    picksToCSV
+};
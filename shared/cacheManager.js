@@ -0,0 +1,280 @@
+// shared/cacheManager.js - IndexedDB persistence for the basketball tables
+// Stores: tableData (cached datasets), rowHistory (line-movement snapshots),
+// trackedPicks (bet slip), watchlist (threshold alerts). One shared instance is used by BaseTable,
+// the bet slip and the watchlist.
+
+export const CACHE_DURATION = 15 * 60 * 1000; // 15 minutes
+
+// IndexedDB for persistent caching
+const DB_NAME = 'BasketballTabulatorCache';
+const DB_VERSION = 4;
+const STORE_NAME = 'tableData';
+const HISTORY_STORE_NAME = 'rowHistory';
+const PICKS_STORE_NAME = 'trackedPicks';
+const WATCHLIST_STORE_NAME = 'watchlist';
+const MAX_HISTORY_SNAPSHOTS = 200;
+// Give up opening the database after this long so callers fall back to the network
+const DB_OPEN_TIMEOUT = 5000;
+
+export class CacheManager {
+    constructor() {
+        this.db = null;
+        this.openPromise = null;
+        // Failures are reported to whichever call needs the database next (it retries the open)
+        this.initDB().catch(() => {});
+    }
+
+    // Open the database once; concurrent callers share the same request. Rejects when another
+    // tab still holds an older version open (the upgrade is blocked) or the open times out,
+    // so callers like BaseTable.loadData fall through to a network fetch instead of hanging.
+    async initDB() {
+        if (this.db) return;
+        if (this.openPromise) return this.openPromise;
+        
+        this.openPromise = new Promise((resolve, reject) => {
+            let settled = false;
+            const settle = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeout);
+                this.openPromise = null;
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            const timeout = setTimeout(() => {
+                console.warn(`IndexedDB open timed out after ${DB_OPEN_TIMEOUT}ms`);
+                settle(new Error('IndexedDB open timed out'));
+            }, DB_OPEN_TIMEOUT);
+            
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            
+            request.onerror = () => {
+                console.error('Failed to open IndexedDB');
+                settle(request.error);
+            };
+            
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade blocked - the dashboard is open in another tab with an older version');
+                settle(new Error('IndexedDB upgrade blocked by another tab'));
+            };
+            
+            request.onsuccess = () => {
+                const db = request.result;
+                // A newer version opened in another tab - close so its upgrade isn't blocked
+                db.onversionchange = () => {
+                    db.close();
+                    if (this.db === db) this.db = null;
+                    console.log('IndexedDB closed for a version upgrade in another tab');
+                };
+                // Opens that succeed after a timeout/block still serve later calls
+                this.db = db;
+                settle();
+            };
+            
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    store.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
+                    db.createObjectStore(HISTORY_STORE_NAME, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(PICKS_STORE_NAME)) {
+                    db.createObjectStore(PICKS_STORE_NAME, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(WATCHLIST_STORE_NAME)) {
+                    db.createObjectStore(WATCHLIST_STORE_NAME, { keyPath: 'id' });
+                }
+            };
+        });
+        
+        return this.openPromise;
+    }
+
+    async getCachedData(key) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORE_NAME], 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.get(key);
+            
+            request.onsuccess = () => {
+                const result = request.result;
+                if (result && Date.now() - result.timestamp < CACHE_DURATION) {
+                    console.log(`IndexedDB cache hit for ${key}`);
+                    resolve(result.data);
+                } else {
+                    resolve(null);
+                }
+            };
+            
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Get the raw cache entry (data + sync metadata) even if it has expired
+    async getCachedEntry(key) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORE_NAME], 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.get(key);
+            
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async setCachedData(key, data, syncMeta = {}) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.put({
+                key: key,
+                data: data,
+                timestamp: Date.now(),
+                syncedAt: syncMeta.syncedAt || null,
+                fullSyncedAt: syncMeta.fullSyncedAt || null
+            });
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Append snapshots to per-row histories in one transaction
+    // entries: [{ key, build(lastSnapshot) }] - build returns the next snapshot, or null to skip
+    async appendHistorySnapshots(entries) {
+        if (!entries || entries.length === 0) return;
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([HISTORY_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(HISTORY_STORE_NAME);
+            
+            entries.forEach(({ key, build }) => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    const record = request.result || { key: key, snapshots: [] };
+                    const last = record.snapshots[record.snapshots.length - 1] || null;
+                    const snapshot = build(last);
+                    if (!snapshot) return;
+                    
+                    record.snapshots.push(snapshot);
+                    if (record.snapshots.length > MAX_HISTORY_SNAPSHOTS) {
+                        record.snapshots = record.snapshots.slice(-MAX_HISTORY_SNAPSHOTS);
+                    }
+                    store.put(record);
+                };
+            });
+            
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getRowHistory(key) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([HISTORY_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(HISTORY_STORE_NAME);
+            const request = store.get(key);
+            
+            request.onsuccess = () => resolve(request.result ? request.result.snapshots : []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Tracked picks (bet slip) - one record per pick, keyed by pick id
+    async getAllPicks() {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PICKS_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(PICKS_STORE_NAME);
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async putPick(pick) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PICKS_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(PICKS_STORE_NAME);
+            const request = store.put(pick);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deletePick(id) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([PICKS_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(PICKS_STORE_NAME);
+            const request = store.delete(id);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Watchlist - one record per watched row and field, keyed by watch id
+    async getAllWatches() {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([WATCHLIST_STORE_NAME], 'readonly');
+            const store = transaction.objectStore(WATCHLIST_STORE_NAME);
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async putWatch(watch) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([WATCHLIST_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(WATCHLIST_STORE_NAME);
+            const request = store.put(watch);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async deleteWatch(id) {
+        if (!this.db) await this.initDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([WATCHLIST_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(WATCHLIST_STORE_NAME);
+            const request = store.delete(id);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+export const cacheManager = new CacheManager();
+
+export default cacheManager;
@@ -0,0 +1,131 @@
+// shared/columnLayout.js - Per-table column layout (column chooser)
+// A table's top-level columns - header groups like "Player Stats" or "Median Odds", or standalone
+// columns like "Team" - can be hidden and reordered. Layouts are kept per endpoint in localStorage
+// and applied to the column definitions before the table is built (BaseTable.applyColumnLayout).
+// Frozen columns (the Name column) always stay where they are.
+
+import { CONFIG } from './config.js';
+
+let layouts = loadLayouts();
+
+function loadLayouts() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.COLUMN_LAYOUT.storageKey) || 'null') || {};
+    } catch (error) {
+        console.warn('Could not read column layouts, using table defaults:', error);
+        return {};
+    }
+}
+
+function saveLayouts() {
+    try {
+        localStorage.setItem(CONFIG.COLUMN_LAYOUT.storageKey, JSON.stringify(layouts));
+    } catch (error) {
+        console.warn('Could not save column layouts:', error);
+    }
+}
+
+function isFrozen(definition) {
+    return !!definition.frozen || (definition.columns || []).some(isFrozen);
+}
+
+/**
+ * Key of a top-level column definition (group title, or field for a standalone column)
+ * @param {object} definition - Tabulator column definition
+ * @returns {string} Key
+ */
+export function getColumnKey(definition) {
+    return definition.columns ? `group:${definition.title}` : definition.field;
+}
+
+/**
+ * The top-level columns a chooser can move or hide, in definition order
+ * @param {object[]} definitions - Tabulator column definitions
+ * @returns {object[]} [{ key, title, fields }] - fields are the leaf fields under the entry
+ */
+export function getLayoutEntries(definitions) {
+    const leafFields = (definition) => definition.columns
+        ? definition.columns.flatMap(leafFields)
+        : (definition.field ? [definition.field] : []);
+
+    return definitions
+        .filter(definition => !isFrozen(definition))
+        .map(definition => ({
+            key: getColumnKey(definition),
+            title: definition.title || definition.field,
+            fields: leafFields(definition)
+        }));
+}
+
+/**
+ * Saved layout for a table
+ * @param {string} endpoint - Table endpoint
+ * @returns {object} { order: string[], hidden: string[] } of column keys (empty = table default)
+ */
+export function getColumnLayout(endpoint) {
+    const layout = layouts[endpoint] || {};
+    return {
+        order: Array.isArray(layout.order) ? [...layout.order] : [],
+        hidden: Array.isArray(layout.hidden) ? [...layout.hidden] : []
+    };
+}
+
+export function setColumnLayout(endpoint, layout) {
+    layouts = { ...layouts, [endpoint]: { order: layout.order || [], hidden: layout.hidden || [] } };
+    saveLayouts();
+}
+
+export function resetColumnLayout(endpoint) {
+    const { [endpoint]: removed, ...rest } = layouts;
+    layouts = rest;
+    saveLayouts();
+}
+
+/**
+ * Column keys in layout order: saved order first (keys no longer in the table are dropped),
+ * then any columns added since the layout was saved, in definition order
+ * @param {object[]} definitions - Tabulator column definitions
+ * @param {object} layout - From getColumnLayout()
+ * @returns {string[]} Keys of the movable columns
+ */
+export function getOrderedKeys(definitions, layout) {
+    const keys = getLayoutEntries(definitions).map(entry => entry.key);
+    const saved = layout.order.filter(key => keys.includes(key));
+    return [...saved, ...keys.filter(key => !saved.includes(key))];
+}
+
+/**
+ * Apply a layout to column definitions. Frozen columns keep their position; the movable
+ * columns fill the remaining slots in layout order. Hidden entries get visible: false on
+ * their leaf columns. The input definitions aren't modified.
+ * @param {object[]} definitions - Tabulator column definitions
+ * @param {object} layout - From getColumnLayout()
+ * @returns {object[]} Definitions to build the table with
+ */
+export function arrangeColumns(definitions, layout) {
+    const hidden = new Set(layout.hidden);
+    const byKey = new Map(definitions.filter(definition => !isFrozen(definition))
+        .map(definition => [getColumnKey(definition), definition]));
+    const ordered = getOrderedKeys(definitions, layout).map(key => byKey.get(key));
+
+    const hide = (definition) => definition.columns
+        ? { ...definition, columns: definition.columns.map(hide) }
+        : { ...definition, visible: false };
+
+    let next = 0;
+    return definitions.map(definition => {
+        if (isFrozen(definition)) return definition;
+        const placed = ordered[next++];
+        return hidden.has(getColumnKey(placed)) ? hide(placed) : placed;
+    });
+}
+
+export default {
+    getColumnKey,
+    getLayoutEntries,
+    getColumnLayout,
+    setColumnLayout,
+    resetColumnLayout,
+    getOrderedKeys,
+    arrangeColumns
+};
@@ -10,6 +10,169 @@ export const CONFIG = {
     CACHE_TTL: 15 * 60 * 1000, // 15 minutes in milliseconds
     CACHE_VERSION: '1.0.0',
     
+    // Delta Sync Configuration
+    // When the cache expires, endpoints listed here re-fetch only rows whose updated-at
+    // column is newer than the last sync and merge them into the cached dataset.
+    // Deleted rows are only picked up by the periodic full re-download.
+    DELTA_SYNC: {
+        enabled: true,
+        fullResyncInterval: 6 * 60 * 60 * 1000, // 6 hours in milliseconds
+        primaryKey: 'id', // Matches a changed row to the cached row it replaces when its line moved
+        columns: {
+            'BasketPlayerPropClearances': 'updated_at',
+            'BasketPlayerDDTD': 'updated_at',
+            'BasketPlayerPropOdds': 'updated_at',
+            'BasketGameOdds': 'updated_at',
+            'BasketPlayerDK': 'updated_at',
+            'BasketPlayerFD': 'updated_at'
+        }
+    },
+    
+    // Realtime Configuration (Supabase Realtime websocket)
+    // Tables opt in via realtimeEnabled; transport can be swapped for local testing
+    REALTIME: {
+        enabled: true,
+        url: 'wss://hcwolbvmffkmjcxsumwn.supabase.co/realtime/v1/websocket',
+        heartbeatInterval: 30 * 1000,
+        reconnectDelay: 5 * 1000,
+        highlightDuration: 2000, // How long changed cells stay highlighted
+        persistDelay: 2000 // Debounce before realtime patches are written to IndexedDB
+    },
+    
+    // Kelly Stake Sizing (Stake column on clearance, DD-TD and prop odds tabs)
+    // Defaults only - the bankroll control above the tables persists the user's values
+    BANKROLL: {
+        storageKey: 'basketballBankrollSettings',
+        defaultBankroll: 1000,
+        defaultKellyFraction: 0.25, // Quarter Kelly
+        defaultMaxStake: 50 // Hard cap per bet in dollars
+    },
+    
+    // Pick Grading (bet slip)
+    // Final player box scores come from this Supabase endpoint or an uploaded CSV with the
+    // same columns. Stat columns map prop keywords to box score columns.
+    GRADING: {
+        resultsEndpoint: 'BasketPlayerBoxScores',
+        columns: {
+            name: 'Player Name',
+            team: 'Player Team',
+            date: 'Game Date', // Results must be on/after the pick date; required to grade game picks and players with several rows
+            stats: {
+                points: 'Points',
+                rebounds: 'Rebounds',
+                assists: 'Assists',
+                threes: '3-Pointers',
+                steals: 'Steals',
+                blocks: 'Blocks',
+                turnovers: 'Turnovers'
+            }
+        },
+        unitPercent: 0.01 // One unit = 1% of the bankroll
+    },
+    
+    // Arbitrage / Middle Scanner (Game Odds)
+    ARBITRAGE: {
+        defaultBankroll: 100,
+        maxMiddleHold: 0.05 // Only flag middles whose two prices cost at most 5% combined hold
+    },
+    
+    // Same-Game Parlay Builder - default correlation between two legs' results (over/over);
+    // the sign flips for an over and an under. Tunable in the builder, persisted in localStorage.
+    PARLAY: {
+        storageKey: 'basketballParlaySettings',
+        samePlayerCorrelation: 0.35, // Two props of the same player
+        teammateCorrelation: 0.05, // Players on the same team
+        opponentCorrelation: 0.1, // Players on opposing teams
+        totalCorrelation: 0.25, // A player's prop and their team total or the game total
+        maxLegResults: 150 // Candidate legs listed at once in the picker
+    },
+    
+    // Lineup Alerts - status flips found by diffing each refresh against the previous snapshot
+    LINEUP_ALERTS: {
+        storageKey: 'basketballLineupAlerts',
+        maxAlerts: 100, // Alerts kept in the feed
+        highlightDuration: 2 * 60 * 60 * 1000, // Affected rows stay highlighted for 2 hours
+        maxSnapshotAge: 12 * 60 * 60 * 1000, // Older snapshots (e.g. yesterday's slate) aren't diffed
+        notificationGroupSize: 3 // More changes than this at once get one combined browser notification
+    },
+    
+    // Watchlist - threshold alerts on watched rows (watches themselves live in IndexedDB)
+    WATCHLIST: {
+        settingsKey: 'basketballWatchlistSettings', // Browser notification toggle
+        toastDuration: 8000 // How long an in-page alert stays on screen
+    },
+    
+    // Column chooser - per-table column order and hidden groups, saved in localStorage
+    COLUMN_LAYOUT: {
+        storageKey: 'basketballColumnLayouts'
+    },
+    
+    // Prop Outcome Simulation ("Sim %" column and histogram on Prop Clearances)
+    SIMULATION: {
+        draws: 2000, // Simulated games per row (about ±1 point of standard error on Sim %)
+        priorGames: 10, // Weight of the fitted distribution against the clearance history, in games
+        minutesCv: 0.15 // Game-to-game spread of minutes as a fraction of the median minutes
+    },
+    
+    // Saved Filter Presets ("views") - per table, keyed by endpoint
+    PRESETS: {
+        storageKey: 'basketballFilterPresets',
+        fileVersion: 1 // Import/export JSON format version
+    },
+    
+    // DFS Lineup Optimizer (DFS Optimizer tab)
+    // Roster rules per site; each slot lists the positions that may fill it
+    DFS: {
+        sites: {
+            dk: {
+                label: 'DraftKings',
+                endpoint: 'BasketPlayerDK',
+                fieldPrefix: 'Player DK', // "Player DK Position", "Player DK Price", "Player DK Median"...
+                idField: 'Player DK ID', // Site player ID for upload CSVs (names are written when missing)
+                salaryCap: 50000,
+                slots: [
+                    { name: 'PG', positions: ['PG'] },
+                    { name: 'SG', positions: ['SG'] },
+                    { name: 'SF', positions: ['SF'] },
+                    { name: 'PF', positions: ['PF'] },
+                    { name: 'C', positions: ['C'] },
+                    { name: 'G', positions: ['PG', 'SG'] },
+                    { name: 'F', positions: ['SF', 'PF'] },
+                    { name: 'UTIL', positions: ['PG', 'SG', 'SF', 'PF', 'C'] }
+                ],
+                maxPerTeam: null,
+                minTeams: 2,
+                minGames: 2
+            },
+            fd: {
+                label: 'FanDuel',
+                endpoint: 'BasketPlayerFD',
+                fieldPrefix: 'Player FD',
+                idField: 'Player FD ID',
+                salaryCap: 60000,
+                slots: [
+                    { name: 'PG', positions: ['PG'] },
+                    { name: 'PG', positions: ['PG'] },
+                    { name: 'SG', positions: ['SG'] },
+                    { name: 'SG', positions: ['SG'] },
+                    { name: 'SF', positions: ['SF'] },
+                    { name: 'SF', positions: ['SF'] },
+                    { name: 'PF', positions: ['PF'] },
+                    { name: 'PF', positions: ['PF'] },
+                    { name: 'C', positions: ['C'] }
+                ],
+                maxPerTeam: 4,
+                minTeams: 3,
+                minGames: 1
+            }
+        },
+        projections: ['Median', 'Average', 'High'],
+        defaultLineups: 20,
+        maxLineups: 150,
+        nodeLimit: 5000000, // Branch-and-bound nodes per lineup before returning the best found
+        overridesStorageKey: 'basketballProjectionOverrides' // Analyst projections on the DK/FD tabs
+    },
+
     // API Configuration
     API_CONFIG: {
         baseURL: "https://hcwolbvmffkmjcxsumwn.supabase.co/rest/v1/",
@@ -172,5 +335,15 @@ export function getResponsiveFontSize(baseSize = 12) {
 // Export API config helper
 export const API_CONFIG = CONFIG.API_CONFIG;
 
+/**
+ * Get the updated-at column used for delta sync on an endpoint
+ * @param {string} endpoint - Supabase table name
+ * @returns {string|null} Column name, or null when delta sync is not available
+ */
+export function getDeltaSyncColumn(endpoint) {
+    if (!CONFIG.DELTA_SYNC.enabled) return null;
+    return CONFIG.DELTA_SYNC.columns[endpoint] || null;
+}
+
 // Default export
 export default CONFIG;
@@ -0,0 +1,163 @@
+// shared/dfsExport.js - DFS lineups as DraftKings / FanDuel bulk-upload CSV
+// Headers are the site's roster slots in order (DK: PG,SG,SF,PF,C,G,F,UTIL; FD: PG,PG,...,C);
+// each cell is the player's site ID, or the player name when the data has no ID.
+// Every lineup is checked against the roster slots, salary cap and team rules before writing.
+
+import { CONFIG } from './config.js';
+import { toCSV, downloadFile } from './utils.js';
+import { parsePositions, assignSlots } from './lineupOptimizer.js';
+
+function getSiteConfig(siteKey) {
+    const site = CONFIG.DFS.sites[siteKey];
+    if (!site) throw new Error(`Unknown DFS site: ${siteKey}`);
+    return site;
+}
+
+/**
+ * Lineup player from a DK/FD table row ("Player DK Position", "Player DK Price", ...)
+ * @param {object} record - Row data
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @returns {object} { name, team, game, positions, salary, uploadId }
+ */
+export function toLineupPlayer(record, siteKey) {
+    const site = getSiteConfig(siteKey);
+    const prefix = site.fieldPrefix;
+    return {
+        name: record["Player Name"],
+        team: record["Player Team"],
+        game: record["Matchup"] || record["Player Team"],
+        positions: parsePositions(record[`${prefix} Position`]),
+        salary: parseFloat(String(record[`${prefix} Price`] ?? '').replace(/[$,]/g, '')),
+        uploadId: record[site.idField] ?? null
+    };
+}
+
+/**
+ * Check a lineup against the site's roster rules
+ * @param {object[]} players - Lineup players ({ name, team, game, positions, salary })
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @returns {object} { errors: string[], slots: [{ slot, player }] | null, salary }
+ */
+export function validateLineup(players, siteKey) {
+    const site = getSiteConfig(siteKey);
+    const errors = [];
+    const salary = players.reduce((sum, player) => sum + (isNaN(player.salary) ? 0 : player.salary), 0);
+
+    if (players.length !== site.slots.length) {
+        errors.push(`${site.label} lineups need ${site.slots.length} players (got ${players.length})`);
+    }
+
+    const seen = new Set();
+    players.forEach(player => {
+        const key = `${player.name}|${player.team}`;
+        if (seen.has(key)) errors.push(`${player.name} is in the lineup twice`);
+        seen.add(key);
+
+        if (isNaN(player.salary)) errors.push(`${player.name} has no ${site.label} salary`);
+        if (player.positions.length === 0) errors.push(`${player.name} has no ${site.label} position`);
+    });
+
+    if (salary > site.salaryCap) {
+        errors.push(`Salary $${salary.toLocaleString()} is over the $${site.salaryCap.toLocaleString()} cap`);
+    }
+
+    // Eligibility: every slot filled by a player listed at one of the slot's positions
+    const assignment = players.length <= site.slots.length ? assignSlots(players, site.slots) : null;
+    if (!assignment && players.length === site.slots.length) {
+        errors.push(`Positions don't fill the ${site.label} roster (${site.slots.map(slot => slot.name).join(', ')})`);
+    }
+
+    const teamCounts = new Map();
+    players.forEach(player => teamCounts.set(player.team, (teamCounts.get(player.team) || 0) + 1));
+    if (site.maxPerTeam) {
+        teamCounts.forEach((count, team) => {
+            if (count > site.maxPerTeam) errors.push(`${count} players from ${team} (max ${site.maxPerTeam})`);
+        });
+    }
+    if (players.length === site.slots.length) {
+        if (teamCounts.size < (site.minTeams || 1)) {
+            errors.push(`Players must come from at least ${site.minTeams} teams`);
+        }
+        const games = new Set(players.map(player => player.game || player.team));
+        if (games.size < (site.minGames || 1)) {
+            errors.push(`Players must come from at least ${site.minGames} games`);
+        }
+    }
+
+    return {
+        errors,
+        slots: assignment && errors.length === 0
+            ? site.slots.map((slot, index) => ({ slot: slot.name, player: players[assignment[index]] }))
+            : null,
+        salary
+    };
+}
+
+/**
+ * Bulk-upload CSV for validated lineups
+ * @param {object[][]} slotLineups - Per lineup, [{ slot, player }] in the site's slot order
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @returns {string} CSV text
+ */
+export function lineupsToUploadCSV(slotLineups, siteKey) {
+    const site = getSiteConfig(siteKey);
+    const headers = site.slots.map(slot => slot.name);
+    const rows = slotLineups.map(slots => slots.map(({ player }) =>
+        player.uploadId !== null && player.uploadId !== undefined && player.uploadId !== ''
+            ? player.uploadId
+            : player.name
+    ));
+    return toCSV(headers, rows);
+}
+
+/**
+ * Validate lineups and download them as the site's upload CSV.
+ * Nothing is written when any lineup is invalid.
+ * @param {object[][]} lineups - Lineups as arrays of lineup players
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @returns {object} { count, missingIds } - missingIds: players written by name
+ */
+export function exportLineupsCSV(lineups, siteKey) {
+    const site = getSiteConfig(siteKey);
+    if (!lineups || lineups.length === 0) {
+        throw new Error('No lineups to export');
+    }
+
+    const results = lineups.map(players => validateLineup(players, siteKey));
+    const invalid = results
+        .map((result, index) => ({ index, errors: result.errors }))
+        .filter(result => result.errors.length > 0);
+
+    if (invalid.length > 0) {
+        const details = invalid.slice(0, 3)
+            .map(result => `${lineups.length > 1 ? `Lineup ${result.index + 1}: ` : ''}${result.errors.join('; ')}`)
+            .join(' | ');
+        throw new Error(invalid.length > 3 ? `${details} (+${invalid.length - 3} more)` : details);
+    }
+
+    const missingIds = new Set();
+    lineups.flat().forEach(player => {
+        if (player.uploadId === null || player.uploadId === undefined || player.uploadId === '') {
+            missingIds.add(player.name);
+        }
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+        `${siteKey}-lineups-${date}.csv`,
+        lineupsToUploadCSV(results.map(result => result.slots), siteKey),
+        'text/csv'
+    );
+
+    if (missingIds.size > 0) {
+        console.warn(`${site.label} export: no player ID for ${[...missingIds].join(', ')} - wrote names instead`);
+    }
+    return { count: lineups.length, missingIds: [...missingIds] };
+}
+
+export default {
+    toLineupPlayer,
+    validateLineup,
+    lineupsToUploadCSV,
+    exportLineupsCSV
+};
@@ -0,0 +1,182 @@
+// shared/exporter.js - Export a table's filtered/sorted view as CSV, JSON or XLSX
+// Formatted mode runs each column's own formatter (team names, odds with book, percentages...)
+// and keeps the displayed text; raw mode writes the underlying field values.
+// XLSX uses SheetJS (global XLSX), loaded from CDN like Tabulator itself.
+
+import { toCSV, downloadFile } from './utils.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// Scratch element handed to formatters that style their cell (e.g. rank background colors)
+function createCellShim(table, row, column, data, field) {
+    const element = document.createElement('div');
+    return {
+        getValue: () => data[field],
+        getData: () => data,
+        getField: () => field,
+        getRow: () => row,
+        getColumn: () => column,
+        getTable: () => table,
+        getElement: () => element
+    };
+}
+
+// Formatter output (HTML string or element) -> plain text
+function toText(output) {
+    if (output === null || output === undefined) return '';
+
+    const holder = document.createElement('div');
+    if (output instanceof HTMLElement) {
+        holder.appendChild(output);
+    } else {
+        holder.innerHTML = String(output);
+    }
+
+    // Drop decoration such as the row expander arrow, profile, ladder and parlay buttons
+    holder.querySelectorAll('.expand-icon, .player-profile-button, .prop-ladder-button, .parlay-button').forEach(icon => icon.remove());
+    return holder.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function toRawValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Visible data columns in display order (internal "_" fields such as Track are skipped)
+ * @param {Tabulator} table - Tabulator instance
+ * @returns {object[]} [{ field, title, column }]
+ */
+export function getExportColumns(table) {
+    return table.getColumns()
+        .filter(column => column.isVisible() && column.getField() && !column.getField().startsWith('_'))
+        .map(column => {
+            const definition = column.getDefinition();
+            const parent = column.getParentColumn ? column.getParentColumn() : false;
+            const parentTitle = parent ? parent.getDefinition().title : '';
+            const title = definition.title || column.getField();
+            return {
+                field: column.getField(),
+                title: parentTitle ? `${parentTitle} ${title}` : title,
+                column
+            };
+        });
+}
+
+/**
+ * Value of one cell for export
+ * @param {Tabulator} table - Tabulator instance
+ * @param {RowComponent} row - Row
+ * @param {object} exportColumn - Entry from getExportColumns()
+ * @param {boolean} formatted - Use the column formatter's display text
+ * @returns {*} Cell value
+ */
+export function getExportValue(table, row, exportColumn, formatted) {
+    const data = row.getData();
+    const { field, column } = exportColumn;
+
+    if (!formatted) {
+        return toRawValue(data[field]);
+    }
+
+    const definition = column.getDefinition();
+    if (typeof definition.formatter !== 'function') {
+        return toRawValue(data[field]);
+    }
+
+    try {
+        const cell = createCellShim(table, row, column, data, field);
+        return toText(definition.formatter(cell, definition.formatterParams || {}, () => {}));
+    } catch (error) {
+        console.warn(`Export: formatter failed for ${field}, using raw value`, error);
+        return toRawValue(data[field]);
+    }
+}
+
+/**
+ * Rows currently shown (after filters and sort) as a header row plus value arrays
+ * @param {Tabulator} table - Tabulator instance
+ * @param {object} options - { formatted }
+ * @returns {object} { headers, rows }
+ */
+export function getExportSheet(table, { formatted = true } = {}) {
+    const columns = getExportColumns(table);
+    const rows = table.getRows('active').map(row =>
+        columns.map(exportColumn => getExportValue(table, row, exportColumn, formatted))
+    );
+    return { headers: columns.map(column => column.title), rows };
+}
+
+/**
+ * Turn plain records into a sheet, using the union of their keys as headers
+ * @param {object[]} records - Records (internal "_" keys are skipped)
+ * @returns {object} { headers, rows }
+ */
+export function recordsToSheet(records) {
+    const headers = [];
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!key.startsWith('_') && !headers.includes(key)) headers.push(key);
+        });
+    });
+    return {
+        headers,
+        rows: records.map(record => headers.map(key => toRawValue(record[key])))
+    };
+}
+
+function sheetToRecords(sheet) {
+    return sheet.rows.map(row => {
+        const record = {};
+        sheet.headers.forEach((header, index) => {
+            record[header] = row[index];
+        });
+        return record;
+    });
+}
+
+/**
+ * Download sheets in the requested format
+ * - csv: one file per sheet
+ * - json: one file, an array (single sheet) or an object keyed by sheet name
+ * - xlsx: one workbook with a worksheet per sheet
+ * @param {object[]} sheets - [{ name, headers, rows }]
+ * @param {string} format - 'csv' | 'json' | 'xlsx'
+ * @param {string} baseName - File name without extension
+ */
+export function downloadSheets(sheets, format, baseName) {
+    if (format === 'csv') {
+        sheets.forEach((sheet, index) => {
+            const suffix = index === 0 ? '' : `-${sheet.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+            downloadFile(`${baseName}${suffix}.csv`, toCSV(sheet.headers, sheet.rows), 'text/csv');
+        });
+    } else if (format === 'json') {
+        const content = sheets.length === 1
+            ? sheetToRecords(sheets[0])
+            : Object.fromEntries(sheets.map(sheet => [sheet.name, sheetToRecords(sheet)]));
+        downloadFile(`${baseName}.json`, JSON.stringify(content, null, 2), 'application/json');
+    } else if (format === 'xlsx') {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('XLSX export needs SheetJS - add the xlsx.full.min.js script tag to the page');
+        }
+        const workbook = XLSX.utils.book_new();
+        sheets.forEach(sheet => {
+            const worksheet = XLSX.utils.aoa_to_sheet([sheet.headers, ...sheet.rows]);
+            // Worksheet names are limited to 31 characters
+            XLSX.utils.book_append_sheet(workbook, worksheet, sheet.name.slice(0, 31));
+        });
+        XLSX.writeFile(workbook, `${baseName}.xlsx`);
+    } else {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+export default {
+    EXPORT_FORMATS,
+    getExportColumns,
+    getExportValue,
+    getExportSheet,
+    recordsToSheet,
+    downloadSheets
+};
@@ -0,0 +1,193 @@
+// shared/filterPresets.js - Saved filter presets ("views") per table
+// A preset is a named snapshot of a table's header filters, sort and hidden columns.
+// Presets persist in localStorage keyed by the table's endpoint, one can be the default
+// applied on load, and the whole store can be exported/imported as JSON.
+
+import { CONFIG } from './config.js';
+
+const listeners = new Set();
+let store = loadStore();
+
+function loadStore() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.PRESETS.storageKey) || 'null');
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        console.warn('Could not read filter presets:', error);
+        return {};
+    }
+}
+
+function saveStore() {
+    try {
+        localStorage.setItem(CONFIG.PRESETS.storageKey, JSON.stringify(store));
+    } catch (error) {
+        console.warn('Could not save filter presets:', error);
+    }
+    
+    listeners.forEach(listener => {
+        try {
+            listener();
+        } catch (error) {
+            console.error('Error in filter preset listener:', error);
+        }
+    });
+}
+
+function getTableEntry(tableKey) {
+    if (!store[tableKey]) {
+        store[tableKey] = { presets: [], defaultName: null };
+    }
+    return store[tableKey];
+}
+
+function normalizePreset(preset) {
+    return {
+        name: String(preset.name).trim(),
+        filters: Array.isArray(preset.filters) ? preset.filters : [],
+        sort: Array.isArray(preset.sort) ? preset.sort : [],
+        hiddenColumns: Array.isArray(preset.hiddenColumns) ? preset.hiddenColumns : [],
+        savedAt: preset.savedAt || new Date().toISOString()
+    };
+}
+
+/**
+ * Presets saved for a table, sorted by name
+ * @param {string} tableKey - Table endpoint
+ * @returns {object[]} [{ name, filters, sort, hiddenColumns, savedAt }]
+ */
+export function getPresets(tableKey) {
+    const entry = store[tableKey];
+    if (!entry) return [];
+    return [...entry.presets].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Look up a preset by name
+ * @param {string} tableKey - Table endpoint
+ * @param {string} name - Preset name
+ * @returns {object|null} Preset
+ */
+export function getPreset(tableKey, name) {
+    return getPresets(tableKey).find(preset => preset.name === name) || null;
+}
+
+/**
+ * Save a preset, replacing any preset with the same name
+ * @param {string} tableKey - Table endpoint
+ * @param {object} preset - { name, filters, sort, hiddenColumns }
+ * @returns {object} Stored preset
+ */
+export function savePreset(tableKey, preset) {
+    const stored = normalizePreset({ ...preset, savedAt: null });
+    if (!stored.name) {
+        throw new Error('Preset name is required');
+    }
+    
+    const entry = getTableEntry(tableKey);
+    entry.presets = entry.presets.filter(existing => existing.name !== stored.name);
+    entry.presets.push(stored);
+    saveStore();
+    return stored;
+}
+
+/**
+ * Delete a preset (clears the default if it pointed at it)
+ * @param {string} tableKey - Table endpoint
+ * @param {string} name - Preset name
+ */
+export function deletePreset(tableKey, name) {
+    const entry = store[tableKey];
+    if (!entry) return;
+    
+    entry.presets = entry.presets.filter(preset => preset.name !== name);
+    if (entry.defaultName === name) {
+        entry.defaultName = null;
+    }
+    saveStore();
+}
+
+/**
+ * Name of the preset applied when the table loads
+ * @param {string} tableKey - Table endpoint
+ * @returns {string|null} Preset name
+ */
+export function getDefaultPresetName(tableKey) {
+    const entry = store[tableKey];
+    return entry ? entry.defaultName : null;
+}
+
+/**
+ * Set (or clear with null) the default preset for a table
+ * @param {string} tableKey - Table endpoint
+ * @param {string|null} name - Preset name
+ */
+export function setDefaultPreset(tableKey, name) {
+    getTableEntry(tableKey).defaultName = name || null;
+    saveStore();
+}
+
+/**
+ * Export every table's presets as JSON
+ * @returns {string} JSON file content
+ */
+export function exportPresets() {
+    return JSON.stringify({ version: CONFIG.PRESETS.fileVersion, presets: store }, null, 2);
+}
+
+/**
+ * Merge presets from an exported JSON file - same-named presets are replaced,
+ * a table's default is only taken from the file when none is set locally
+ * @param {string} json - File content from exportPresets()
+ * @returns {number} Number of presets imported
+ */
+export function importPresets(json) {
+    const parsed = JSON.parse(json);
+    if (!parsed || typeof parsed.presets !== 'object') {
+        throw new Error('Not a filter preset file');
+    }
+    
+    let count = 0;
+    Object.entries(parsed.presets).forEach(([tableKey, imported]) => {
+        if (!imported || !Array.isArray(imported.presets)) return;
+        
+        const entry = getTableEntry(tableKey);
+        imported.presets.forEach(preset => {
+            if (!preset || !preset.name) return;
+            const stored = normalizePreset(preset);
+            entry.presets = entry.presets.filter(existing => existing.name !== stored.name);
+            entry.presets.push(stored);
+            count++;
+        });
+        
+        if (!entry.defaultName && imported.defaultName &&
+            entry.presets.some(preset => preset.name === imported.defaultName)) {
+            entry.defaultName = imported.defaultName;
+        }
+    });
+    
+    saveStore();
+    return count;
+}
+
+/**
+ * Subscribe to preset changes (save, delete, default, import)
+ * @param {function} listener - Called with no arguments
+ * @returns {function} Unsubscribe function
+ */
+export function onPresetsChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export default {
+    getPresets,
+    getPreset,
+    savePreset,
+    deletePreset,
+    getDefaultPresetName,
+    setDefaultPreset,
+    exportPresets,
+    importPresets,
+    onPresetsChange
+};
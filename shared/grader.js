@@ -0,0 +1,363 @@
+// shared/grader.js - Grades tracked picks against final box scores
+// Player props compare the stat total for the pick's prop type with the stored line and side;
+// game picks (moneyline, spread, total) use team points summed from the same box scores.
+// Also computes ROI, units and CLV (closing line value vs the last-seen median odds).
+
+import { CONFIG, API_CONFIG, TEAM_NAME_MAP } from './config.js';
+import { americanToDecimal, parseCSV, normalizePlayerName } from './utils.js';
+import { getMarketKind } from './arbitrage.js';
+
+// Prop type keywords -> stat keys in CONFIG.GRADING.columns.stats
+const STAT_KEYWORDS = [
+    { pattern: /3-?p(oin)?t|three|3pm/, stat: 'threes' },
+    { pattern: /point|pts/, stat: 'points' },
+    { pattern: /rebound|reb/, stat: 'rebounds' },
+    { pattern: /assist|ast/, stat: 'assists' },
+    { pattern: /steal|stl/, stat: 'steals' },
+    { pattern: /block|blk/, stat: 'blocks' },
+    { pattern: /turnover|\bto\b/, stat: 'turnovers' }
+];
+
+// Categories that count toward double/triple doubles
+const DOUBLE_CATEGORIES = ['points', 'rebounds', 'assists', 'steals', 'blocks'];
+
+// Local midnight of a date. Date-only values ("2026-10-19") are read as local dates - new Date()
+// takes them as UTC midnight, which is the previous day in US timezones.
+function dayStart(value) {
+    const match = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Fetch final box scores from the configured Supabase endpoint
+ * @param {string} endpoint - Table name (defaults to CONFIG.GRADING.resultsEndpoint)
+ * @returns {Promise<object[]>} Box score rows
+ */
+export async function fetchResults(endpoint = CONFIG.GRADING.resultsEndpoint) {
+    const pageSize = API_CONFIG.fetchConfig.pageSize;
+    const results = [];
+    let offset = 0;
+    
+    while (true) {
+        const response = await fetch(`${API_CONFIG.baseURL}${endpoint}?limit=${pageSize}&offset=${offset}`, {
+            method: 'GET',
+            headers: API_CONFIG.headers
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const page = await response.json();
+        results.push(...page);
+        if (page.length < pageSize) break;
+        offset += pageSize;
+    }
+    
+    return results;
+}
+
+/**
+ * Parse an uploaded box score CSV (same columns as the Supabase endpoint)
+ * @param {string} text - CSV text
+ * @returns {object[]} Box score rows
+ */
+export function parseResultsCSV(text) {
+    return parseCSV(text);
+}
+
+/**
+ * Whether box score rows carry a game date (CONFIG.GRADING.columns.date)
+ * @param {object[]} rows - Box score rows
+ * @returns {boolean}
+ */
+export function hasResultDates(rows) {
+    const dateColumn = CONFIG.GRADING.columns.date;
+    return !!dateColumn && rows.some(row => row[dateColumn]);
+}
+
+/**
+ * Index box score rows by player and team. Team game totals are only built from dated rows -
+ * without a date every game of a team would sum into one total, so game picks stay ungraded.
+ * @param {object[]} rows - Box score rows
+ * @returns {object} { players: Map(name -> rows[]), teams: Map(team -> [{ points, date }]) }
+ */
+export function buildResultsIndex(rows) {
+    const columns = CONFIG.GRADING.columns;
+    const players = new Map();
+    const teamGames = new Map();
+    
+    rows.forEach(row => {
+        const name = normalizePlayerName(row[columns.name]);
+        if (!name) return;
+        if (!players.has(name)) players.set(name, []);
+        players.get(name).push(row);
+        
+        const team = row[columns.team];
+        if (!columns.date || !row[columns.date]) return;
+        const date = dayStart(row[columns.date]);
+        const key = `${team}|${date}`;
+        if (!teamGames.has(key)) teamGames.set(key, { team, date, points: 0 });
+        teamGames.get(key).points += parseFloat(row[columns.stats.points]) || 0;
+    });
+    
+    const teams = new Map();
+    teamGames.forEach(game => {
+        if (!teams.has(game.team)) teams.set(game.team, []);
+        teams.get(game.team).push(game);
+    });
+    
+    return { players, teams };
+}
+
+// Earliest result on/after the pick date
+function pickResultRow(rows, pick, getDate) {
+    const pickDay = dayStart(pick.trackedAt);
+    const candidates = rows
+        .map(row => ({ row, date: getDate(row) }))
+        .filter(({ date }) => date >= pickDay)
+        .sort((a, b) => a.date - b.date);
+    return candidates.length > 0 ? candidates[0].row : null;
+}
+
+/**
+ * Stat total for a prop type from a box score row
+ * @param {string} market - Prop type (e.g., "Points", "Pts + Reb + Ast", "Double Double")
+ * @param {object} row - Box score row
+ * @returns {number|null} Stat value (1/0 for double/triple doubles), or null when unknown
+ */
+export function getStatValue(market, row) {
+    const stats = CONFIG.GRADING.columns.stats;
+    const value = (stat) => parseFloat(row[stats[stat]]);
+    const lower = String(market || '').toLowerCase();
+    
+    if (lower.includes('double double') || lower.includes('triple double') || lower.includes('double-double') || lower.includes('triple-double')) {
+        const needed = lower.includes('triple') ? 3 : 2;
+        const categories = DOUBLE_CATEGORIES.filter(stat => value(stat) >= 10).length;
+        return categories >= needed ? 1 : 0;
+    }
+    
+    // Combos: "Pts + Reb + Ast", "Points + Rebounds", "PRA"
+    const parts = lower === 'pra' ? ['pts', 'reb', 'ast'] : lower.split(/\+|&|,/).map(part => part.trim());
+    let total = 0;
+    for (const part of parts) {
+        const match = STAT_KEYWORDS.find(entry => entry.pattern.test(part));
+        if (!match) return null;
+        const stat = value(match.stat);
+        if (isNaN(stat)) return null;
+        total += stat;
+    }
+    return parts.length > 0 ? total : null;
+}
+
+/**
+ * Canonical key for a prop type, so differently worded markets can be matched
+ * (e.g., "Pts + Reb + Ast", "PRA" and "Points + Rebounds + Assists" all give "assists+points+rebounds")
+ * @param {string} market - Prop type
+ * @returns {string|null} Sorted stats joined by "+", "double"/"triple", or null when unknown
+ */
+export function getPropStatKey(market) {
+    const lower = String(market || '').toLowerCase();
+    if (/triple[\s-]double/.test(lower)) return 'triple';
+    if (/double[\s-]double/.test(lower)) return 'double';
+
+    const parts = lower === 'pra' ? ['pts', 'reb', 'ast'] : lower.split(/\+|&|,/).map(part => part.trim());
+    const stats = [];
+    for (const part of parts) {
+        const match = STAT_KEYWORDS.find(entry => entry.pattern.test(part));
+        if (!match) return null;
+        stats.push(match.stat);
+    }
+    return stats.length > 0 ? stats.sort().join('+') : null;
+}
+
+// Over/under (and yes/no for line-less props) against the actual value
+function compareToLine(side, actual, line) {
+    const lower = String(side || '').toLowerCase();
+    const isOver = lower.startsWith('over') || lower === 'yes';
+    const isUnder = lower.startsWith('under') || lower === 'no';
+    if (!isOver && !isUnder) return null;
+    
+    // Line-less yes/no props (double/triple doubles) are over 0.5
+    const target = line === null || line === undefined || isNaN(line) ? 0.5 : line;
+    if (actual === target) return 'push';
+    return (actual > target) === isOver ? 'won' : 'lost';
+}
+
+// Find the team in the box scores whose nickname appears in a label/matchup string
+function findTeamGame(index, text, pick) {
+    const lower = String(text || '').toLowerCase();
+    for (const [team, games] of index.teams) {
+        const nickname = (TEAM_NAME_MAP[team] || team || '').toLowerCase();
+        if (nickname && lower.includes(nickname)) {
+            const game = pickResultRow(games, pick, g => g.date);
+            if (game) return game;
+        }
+    }
+    return null;
+}
+
+function gradeGamePick(pick, index) {
+    const kind = getMarketKind(pick.market);
+    if (!kind) return null;
+    
+    // Matchup is "Away @ Home" (or "A vs B") - find both teams' points
+    const sides = String(pick.matchup || '').split(/\s+@\s+|\s+vs\.?\s+/i);
+    if (sides.length !== 2) return null;
+    const games = sides.map(side => findTeamGame(index, side, pick));
+    if (games.some(game => !game)) return null;
+    const [away, home] = games.map(game => game.points);
+    
+    if (kind === 'total') {
+        const actual = away + home;
+        return { result: compareToLine(pick.side, actual, pick.line), actual };
+    }
+    
+    // Moneyline / spread: the label names the team
+    const label = String(pick.side || '').toLowerCase();
+    const pickedIndex = games.findIndex(game => label.includes((TEAM_NAME_MAP[game.team] || game.team).toLowerCase()));
+    if (pickedIndex === -1) return null;
+    
+    const margin = pickedIndex === 0 ? away - home : home - away;
+    const adjusted = kind === 'spread' ? margin + (pick.line || 0) : margin;
+    const result = adjusted > 0 ? 'won' : adjusted < 0 ? 'lost' : 'push';
+    return { result, actual: margin };
+}
+
+/**
+ * Grade one pick
+ * @param {object} pick - Tracked pick
+ * @param {object} index - Result of buildResultsIndex
+ * @returns {object|null} { result: 'won'|'lost'|'push', actual } or null when no result yet
+ */
+export function gradePick(pick, index) {
+    if (!pick.player) {
+        return gradeGamePick(pick, index);
+    }
+    
+    const rows = index.players.get(normalizePlayerName(pick.player));
+    if (!rows) return null;
+    
+    // Undated rows can't be tied to the pick's game, so they only grade a player with a single row
+    const dateColumn = CONFIG.GRADING.columns.date;
+    const datedRows = dateColumn ? rows.filter(r => r[dateColumn]) : [];
+    const row = datedRows.length > 0
+        ? pickResultRow(datedRows, pick, r => dayStart(r[dateColumn]))
+        : (rows.length === 1 ? rows[0] : null);
+    if (!row) return null;
+    
+    const actual = getStatValue(pick.market, row);
+    if (actual === null) return null;
+    
+    const result = compareToLine(pick.side, actual, pick.line);
+    return result ? { result, actual } : null;
+}
+
+/**
+ * Profit for a graded pick at its stake and odds taken
+ * @param {object} pick - Graded pick
+ * @returns {number} Profit in dollars (0 when ungraded or unstaked)
+ */
+export function getPickProfit(pick) {
+    const stake = pick.stake || 0;
+    if (!pick.result || stake <= 0) return 0;
+    if (pick.result === 'push') return 0;
+    if (pick.result === 'lost') return -stake;
+    
+    const decimal = americanToDecimal(pick.oddsTaken ?? pick.odds);
+    return decimal === null ? 0 : stake * (decimal - 1);
+}
+
+/**
+ * Closing line value: how much better the odds taken were than the last-seen median
+ * @param {object} pick - Pick with oddsTaken and closingOdds
+ * @returns {number|null} CLV as a fraction (0.03 = 3% better than close), or null
+ */
+export function getPickCLV(pick) {
+    const taken = americanToDecimal(pick.oddsTaken ?? pick.odds);
+    const closing = americanToDecimal(pick.closingOdds);
+    if (taken === null || closing === null) return null;
+    return taken / closing - 1;
+}
+
+/**
+ * Grade every ungraded pick against box score rows
+ * @param {object[]} picks - Tracked picks
+ * @param {object[]} rows - Box score rows
+ * @returns {object[]} [{ id, changes }] for picks that got a result
+ */
+export function gradePicks(picks, rows) {
+    const index = buildResultsIndex(rows);
+    const updates = [];
+    
+    picks.forEach(pick => {
+        if (pick.result) return;
+        const graded = gradePick(pick, index);
+        if (graded && graded.result) {
+            updates.push({ id: pick.id, changes: { result: graded.result, actual: graded.actual, gradedAt: Date.now() } });
+        }
+    });
+    
+    return updates;
+}
+
+function summarizeGroup(picks, unitSize) {
+    const settled = picks.filter(pick => pick.result);
+    const staked = settled.reduce((sum, pick) => sum + (pick.stake || 0), 0);
+    const profit = settled.reduce((sum, pick) => sum + getPickProfit(pick), 0);
+    const clvValues = picks.map(getPickCLV).filter(value => value !== null);
+    
+    return {
+        count: picks.length,
+        won: settled.filter(pick => pick.result === 'won').length,
+        lost: settled.filter(pick => pick.result === 'lost').length,
+        push: settled.filter(pick => pick.result === 'push').length,
+        staked,
+        profit,
+        roi: staked > 0 ? profit / staked : null,
+        units: unitSize > 0 ? profit / unitSize : null,
+        clv: clvValues.length > 0 ? clvValues.reduce((sum, value) => sum + value, 0) / clvValues.length : null
+    };
+}
+
+function groupBy(picks, getKey) {
+    const groups = new Map();
+    picks.forEach(pick => {
+        const key = getKey(pick) || 'Unknown';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(pick);
+    });
+    return groups;
+}
+
+/**
+ * Performance summary overall, by prop type and by book
+ * @param {object[]} picks - Tracked picks
+ * @param {number} unitSize - Dollar value of one unit
+ * @returns {object} { overall, byMarket: [{ key, ...summary }], byBook: [{ key, ...summary }] }
+ */
+export function summarizePicks(picks, unitSize) {
+    const toRows = (groups) => Array.from(groups, ([key, group]) => ({ key, ...summarizeGroup(group, unitSize) }))
+        .sort((a, b) => b.profit - a.profit);
+    
+    return {
+        overall: summarizeGroup(picks, unitSize),
+        byMarket: toRows(groupBy(picks, pick => pick.market)),
+        byBook: toRows(groupBy(picks, pick => pick.book))
+    };
+}
+
+export default {
+    fetchResults,
+    parseResultsCSV,
+    hasResultDates,
+    buildResultsIndex,
+    getStatValue,
+    getPropStatKey,
+    gradePick,
+    gradePicks,
+    getPickProfit,
+    getPickCLV,
+    summarizePicks
+};
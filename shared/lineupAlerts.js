@@ -0,0 +1,306 @@
+// shared/lineupAlerts.js - Lineup status change alerts
+// Tables diff each refreshed dataset against their previous snapshot (BaseTable.detectLineupChanges)
+// and report players whose lineup status flipped - Expected -> Confirmed, Starter -> Bench, newly
+// Out/OFS. Alerts feed the in-page alert list, optional browser notifications and the row
+// highlights every tab applies to affected players. Persisted in localStorage.
+
+import { CONFIG } from './config.js';
+import { normalizePlayerName } from './utils.js';
+
+const INACTIVE_STATUS = /\b(out|ofs)\b/i;
+
+// Most to least important - the strongest recent alert decides a row's highlight
+const KIND_ORDER = ['out', 'role', 'confirmed', 'status'];
+
+export const ALERT_KINDS = {
+    out: { label: 'Out', color: '#dc2626', background: '#fef2f2' },
+    role: { label: 'Role', color: '#d97706', background: '#fffbeb' },
+    confirmed: { label: 'Confirmed', color: '#2563eb', background: '#eff6ff' },
+    status: { label: 'Status', color: '#6b7280', background: '#f9fafb' }
+};
+
+const listeners = new Set();
+let state = loadState();
+
+function getDefaults() {
+    return { alerts: [], lastSeenAt: 0, notify: false };
+}
+
+function loadState() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.LINEUP_ALERTS.storageKey) || 'null');
+        return { ...getDefaults(), ...(stored || {}) };
+    } catch (error) {
+        console.warn('Could not read lineup alerts, starting empty:', error);
+        return getDefaults();
+    }
+}
+
+function saveState() {
+    try {
+        localStorage.setItem(CONFIG.LINEUP_ALERTS.storageKey, JSON.stringify(state));
+    } catch (error) {
+        console.warn('Could not save lineup alerts:', error);
+    }
+
+    listeners.forEach(listener => {
+        try {
+            listener(getLineupAlerts());
+        } catch (error) {
+            console.error('Error in lineup alerts listener:', error);
+        }
+    });
+}
+
+function cleanStatus(status) {
+    return String(status ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function parseStatus(status) {
+    const text = cleanStatus(status);
+    let role = null;
+    if (INACTIVE_STATUS.test(text)) role = 'inactive';
+    else if (/starter/i.test(text)) role = 'starter';
+    else if (/bench/i.test(text)) role = 'bench';
+
+    let certainty = null;
+    if (/confirmed/i.test(text)) certainty = 'confirmed';
+    else if (/expected/i.test(text)) certainty = 'expected';
+
+    return { role, certainty };
+}
+
+// Whether two statuses say the same thing, allowing for sources that leave out part of it
+// ("Bench" in the Matchups subtable vs "Bench (Confirmed)" in the player tables)
+function isSameStatus(a, b) {
+    const first = parseStatus(a);
+    const second = parseStatus(b);
+    if (!first.role && !second.role && !first.certainty && !second.certainty) {
+        return cleanStatus(a).toLowerCase() === cleanStatus(b).toLowerCase();
+    }
+    if (first.role && second.role && first.role !== second.role) return false;
+    if (first.certainty && second.certainty && first.certainty !== second.certainty) return false;
+    return true;
+}
+
+/**
+ * Matching key for a player across tables ("(Out)"/"(OFS)" name suffixes are ignored)
+ * @param {string} name - Player name
+ * @param {string} team - Team abbreviation
+ * @returns {string} Key
+ */
+export function getPlayerKey(name, team = '') {
+    const cleaned = String(name || '').replace(/\((out|ofs)\)/ig, '');
+    return `${normalizePlayerName(cleaned)}|${String(team || '').trim().toUpperCase()}`;
+}
+
+/**
+ * Key for a whole team's lineup (Matchups "Lineup Status Away/Home")
+ * @param {string} team - Team abbreviation
+ * @returns {string} Key
+ */
+export function getTeamKey(team) {
+    return `team:${String(team || '').trim().toUpperCase()}`;
+}
+
+/**
+ * Classify a status change
+ * @param {string} from - Previous status
+ * @param {string} to - New status
+ * @returns {string|null} 'out' (newly Out/OFS), 'role' (Starter/Bench/back from Out),
+ *   'confirmed' (Expected -> Confirmed or back), 'status' (any other change) or null if unchanged
+ */
+export function classifyStatusChange(from, to) {
+    if (cleanStatus(from).toLowerCase() === cleanStatus(to).toLowerCase()) return null;
+
+    const before = parseStatus(from);
+    const after = parseStatus(to);
+    if (after.role === 'inactive' && before.role !== 'inactive') return 'out';
+    if (before.role && after.role && before.role !== after.role) return 'role';
+    if (before.certainty && after.certainty && before.certainty !== after.certainty) return 'confirmed';
+    return 'status';
+}
+
+/**
+ * Compare two status snapshots. Only entries present in both are compared: players who appear
+ * or drop out of a dataset aren't flips, and a delta sync only carries the changed rows.
+ * @param {Map<string, object>} previous - key -> { label, team, status, playerName? }
+ * @param {Map<string, object>} next - Same shape, from the refreshed rows
+ * @returns {object[]} Changes: { key, label, team, playerName, from, to, kind }
+ */
+export function diffLineupStatuses(previous, next) {
+    const changes = [];
+    next.forEach((entry, key) => {
+        const before = previous.get(key);
+        if (!before || !cleanStatus(before.status) || !cleanStatus(entry.status)) return;
+
+        const kind = classifyStatusChange(before.status, entry.status);
+        if (!kind) return;
+        changes.push({
+            key,
+            label: entry.label,
+            team: entry.team || '',
+            playerName: entry.playerName || null,
+            from: cleanStatus(before.status),
+            to: cleanStatus(entry.status),
+            kind
+        });
+    });
+    return changes;
+}
+
+function notifyBrowser(alerts) {
+    if (!state.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+    try {
+        if (alerts.length > CONFIG.LINEUP_ALERTS.notificationGroupSize) {
+            new Notification(`${alerts.length} lineup changes`, {
+                body: alerts.slice(0, CONFIG.LINEUP_ALERTS.notificationGroupSize)
+                    .map(alert => `${alert.label}: ${alert.to}`).join('\n') + '\n...',
+                tag: 'lineup-alerts'
+            });
+            return;
+        }
+        alerts.forEach(alert => {
+            new Notification(`${alert.label}${alert.team ? ` (${alert.team})` : ''}`, {
+                body: `${alert.from} → ${alert.to}`,
+                tag: alert.id
+            });
+        });
+    } catch (error) {
+        console.warn('Could not show lineup notification:', error);
+    }
+}
+
+/**
+ * Record detected changes as alerts. The same flip reported by several tables (clearances,
+ * DD-TD, DK, FD all carry "Lineup Status") is only recorded once.
+ * @param {object[]} changes - From diffLineupStatuses()
+ * @param {string} source - Endpoint the changes were detected in
+ * @returns {object[]} Newly recorded alerts
+ */
+export function addLineupAlerts(changes, source) {
+    const added = [];
+    const now = Date.now();
+
+    changes.forEach(change => {
+        const latest = state.alerts.find(alert => alert.key === change.key);
+        if (latest && isSameStatus(latest.to, change.to)) return;
+
+        added.push({
+            id: `${change.key}|${now}|${added.length}`,
+            ...change,
+            teamKey: change.team ? getTeamKey(change.team) : null,
+            source,
+            at: now
+        });
+    });
+
+    if (added.length === 0) return added;
+
+    state = {
+        ...state,
+        alerts: [...added.reverse(), ...state.alerts].slice(0, CONFIG.LINEUP_ALERTS.maxAlerts)
+    };
+    saveState();
+    notifyBrowser(added);
+    return added;
+}
+
+/**
+ * All alerts, newest first
+ * @returns {object[]} Alerts: { id, key, teamKey, label, team, playerName, from, to, kind, source, at }
+ */
+export function getLineupAlerts() {
+    return [...state.alerts];
+}
+
+/**
+ * Number of alerts newer than the last time the feed was opened
+ * @returns {number} Count
+ */
+export function getUnseenAlertCount() {
+    return state.alerts.filter(alert => alert.at > state.lastSeenAt).length;
+}
+
+export function markLineupAlertsSeen() {
+    state = { ...state, lastSeenAt: Date.now() };
+    saveState();
+}
+
+export function clearLineupAlerts() {
+    state = { ...state, alerts: [], lastSeenAt: Date.now() };
+    saveState();
+}
+
+/**
+ * Strongest recent alert for any of the keys (player keys match the player's alerts,
+ * team keys match team-level alerts and every alert for a player on that team)
+ * @param {string[]} keys - From getPlayerKey() / getTeamKey()
+ * @returns {object|null} Alert, or null when nothing changed within CONFIG.LINEUP_ALERTS.highlightDuration
+ */
+export function getActiveAlert(keys) {
+    if (state.alerts.length === 0) return null;
+
+    const cutoff = Date.now() - CONFIG.LINEUP_ALERTS.highlightDuration;
+    let strongest = null;
+    for (const alert of state.alerts) {
+        if (alert.at < cutoff) break;
+        if (!keys.includes(alert.key) && !keys.includes(alert.teamKey)) continue;
+        if (!strongest || KIND_ORDER.indexOf(alert.kind) < KIND_ORDER.indexOf(strongest.kind)) {
+            strongest = alert;
+        }
+    }
+    return strongest;
+}
+
+export function isBrowserNotifyEnabled() {
+    return state.notify;
+}
+
+/**
+ * Turn browser notifications on or off (asks for permission when turning on)
+ * @param {boolean} enabled - Desired state
+ * @returns {Promise<boolean>} Whether notifications are now on
+ */
+export async function setBrowserNotify(enabled) {
+    let notify = enabled;
+    if (enabled) {
+        if (typeof Notification === 'undefined') {
+            notify = false;
+        } else if (Notification.permission !== 'granted') {
+            notify = await Notification.requestPermission() === 'granted';
+        }
+    }
+
+    state = { ...state, notify };
+    saveState();
+    return notify;
+}
+
+/**
+ * Subscribe to alert changes
+ * @param {Function} listener - Called with the alerts after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function onLineupAlertsChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export default {
+    ALERT_KINDS,
+    getPlayerKey,
+    getTeamKey,
+    classifyStatusChange,
+    diffLineupStatuses,
+    addLineupAlerts,
+    getLineupAlerts,
+    getUnseenAlertCount,
+    markLineupAlertsSeen,
+    clearLineupAlerts,
+    getActiveAlert,
+    isBrowserNotifyEnabled,
+    setBrowserNotify,
+    onLineupAlertsChange
+};
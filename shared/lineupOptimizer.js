@@ -0,0 +1,326 @@
+// shared/lineupOptimizer.js - DFS lineup optimizer (branch-and-bound)
+// Pure solver used by the DFS Optimizer tab; it runs inside shared/lineupOptimizerWorker.js
+// so large slates don't block the page, and on the main thread when workers are unavailable.
+//
+// Lineups are built one at a time: each pass finds the highest-projected roster that is
+// salary-cap valid, fills every slot, respects team/game rules and differs from every earlier
+// lineup. Players that reach their exposure limit are dropped from the following passes.
+//
+// The search walks players in projection order (take / skip) and prunes with two bounds:
+// - the cheapest salaries still available must fit under the cap
+// - a Lagrangian bound on points: for any lambda >= 0, points <= lambda * budget + best sum of
+//   (projection - lambda * salary) over the remaining picks. Suffix tables for a small grid of
+//   lambdas make each bound check O(grid size).
+
+import { createModuleWorker } from './utils.js';
+
+const EPSILON = 1e-9;
+
+/**
+ * Split a position string into positions ("PG/SG" -> ["PG", "SG"])
+ * @param {string} value - Position as listed by the site
+ * @returns {string[]} Positions
+ */
+export function parsePositions(value) {
+    if (!value) return [];
+    return String(value)
+        .split(/[\/,]/)
+        .map(position => position.trim().toUpperCase())
+        .filter(Boolean);
+}
+
+/**
+ * Assign players to roster slots (bipartite matching)
+ * @param {object[]} players - Players with a positions array
+ * @param {object[]} slots - [{ name, positions }]
+ * @returns {number[]|null} Player index per slot, or null when the players can't share a roster
+ */
+export function assignSlots(players, slots) {
+    const slotOwner = new Array(slots.length).fill(-1);
+
+    const tryPlace = (playerIndex, visited) => {
+        const positions = players[playerIndex].positions;
+        for (let slotIndex = 0; slotIndex < slots.length; slotIndex++) {
+            if (visited[slotIndex]) continue;
+            if (!slots[slotIndex].positions.some(position => positions.includes(position))) continue;
+            visited[slotIndex] = true;
+            if (slotOwner[slotIndex] === -1 || tryPlace(slotOwner[slotIndex], visited)) {
+                slotOwner[slotIndex] = playerIndex;
+                return true;
+            }
+        }
+        return false;
+    };
+
+    for (let i = 0; i < players.length; i++) {
+        if (!tryPlace(i, new Array(slots.length).fill(false))) return null;
+    }
+    return slotOwner;
+}
+
+// Lambda grid from the pool's points-per-dollar ratios (0 gives the plain top-k bound)
+function getLambdaGrid(players) {
+    const ratios = players
+        .map(player => player.projection / player.salary)
+        .filter(ratio => ratio > 0 && isFinite(ratio))
+        .sort((a, b) => a - b);
+    if (ratios.length === 0) return [0];
+
+    const grid = [0];
+    [0.5, 0.6, 0.7, 0.8, 0.85, 0.9, 0.95, 0.99].forEach(quantile => {
+        grid.push(ratios[Math.min(ratios.length - 1, Math.floor(quantile * ratios.length))]);
+    });
+    return [...new Set(grid)];
+}
+
+// best[i][k]: best total of value(player) choosing exactly k players from index i onward
+function buildSuffixTable(players, maxPicks, value, pickBetter) {
+    const n = players.length;
+    const table = new Array(n + 1);
+    table[n] = new Float64Array(maxPicks + 1).fill(NaN);
+    table[n][0] = 0;
+
+    for (let i = n - 1; i >= 0; i--) {
+        const row = new Float64Array(maxPicks + 1);
+        const next = table[i + 1];
+        const itemValue = value(players[i]);
+        row[0] = 0;
+        for (let k = 1; k <= maxPicks; k++) {
+            const skip = next[k];
+            const take = next[k - 1] + itemValue;
+            if (isNaN(skip)) row[k] = take;
+            else if (isNaN(take)) row[k] = skip;
+            else row[k] = pickBetter(skip, take);
+        }
+        table[i] = row;
+    }
+    return table;
+}
+
+function lineupKey(ids) {
+    return [...ids].sort().join('|');
+}
+
+// Best single lineup: locked players plus picks from candidates (sorted by projection, desc)
+function findBestLineup(locked, candidates, rules, options, seenKeys, nodeBudget) {
+    const { salaryCap, slots } = rules;
+    const picks = slots.length - locked.length;
+    const maxPerTeam = options.maxPerTeam || Infinity;
+    const minTeams = rules.minTeams || 1;
+    const minGames = rules.minGames || 1;
+    const minStack = options.minStack || 0;
+
+    const lambdas = getLambdaGrid(candidates);
+    const pointTables = lambdas.map(lambda =>
+        buildSuffixTable(candidates, picks, player => player.projection - lambda * player.salary, Math.max)
+    );
+    const salaryTable = buildSuffixTable(candidates, picks, player => player.salary, Math.min);
+
+    const chosen = [...locked];
+    const teamCounts = new Map();
+    locked.forEach(player => teamCounts.set(player.team, (teamCounts.get(player.team) || 0) + 1));
+    const lockedSalary = locked.reduce((sum, player) => sum + player.salary, 0);
+    const lockedPoints = locked.reduce((sum, player) => sum + player.projection, 0);
+
+    let best = null;
+    let bestPoints = -Infinity;
+    let nodes = 0;
+    let exhausted = false;
+
+    const isValidRoster = () => {
+        const teams = new Set(chosen.map(player => player.team));
+        if (teams.size < minTeams) return false;
+        if (minGames > 1 && new Set(chosen.map(player => player.game || player.team)).size < minGames) return false;
+        if (minStack > 1 && Math.max(...teamCounts.values()) < minStack) return false;
+        return !seenKeys.has(lineupKey(chosen.map(player => player.id)));
+    };
+
+    const search = (index, remaining, salary, points) => {
+        if (++nodes > nodeBudget) {
+            exhausted = true;
+            return;
+        }
+
+        if (remaining === 0) {
+            if (points > bestPoints + EPSILON && isValidRoster()) {
+                bestPoints = points;
+                best = { players: [...chosen], salary, projection: points };
+            }
+            return;
+        }
+
+        if (candidates.length - index < remaining) return;
+        if (salary + salaryTable[index][remaining] > salaryCap) return;
+
+        const budget = salaryCap - salary;
+        for (let l = 0; l < lambdas.length; l++) {
+            if (points + lambdas[l] * budget + pointTables[l][index][remaining] <= bestPoints + EPSILON) return;
+        }
+
+        const player = candidates[index];
+        const teamCount = teamCounts.get(player.team) || 0;
+        if (salary + player.salary <= salaryCap && teamCount < maxPerTeam) {
+            chosen.push(player);
+            if (assignSlots(chosen, slots)) {
+                teamCounts.set(player.team, teamCount + 1);
+                search(index + 1, remaining - 1, salary + player.salary, points + player.projection);
+                teamCounts.set(player.team, teamCount);
+            }
+            chosen.pop();
+            if (exhausted) return;
+        }
+
+        search(index + 1, remaining, salary, points);
+    };
+
+    search(0, picks, lockedSalary, lockedPoints);
+    return { best, nodes, exhausted };
+}
+
+/**
+ * Build the top lineups for a roster format
+ * @param {object[]} players - [{ id, name, team, game, positions, salary, projection }]
+ * @param {object} rules - { salaryCap, slots: [{ name, positions }], maxPerTeam, minTeams, minGames }
+ * @param {object} options - { count, locks: [id], excludes: [id], maxExposure (0-1),
+ *                             exposures: { id: 0-1 } per-player overrides, maxPerTeam, minStack, nodeLimit }
+ * @param {function} onProgress - Called with { built, count } after each lineup
+ * @returns {object} { lineups: [{ slots: [{ slot, player }], salary, projection }], nodeLimitHit }
+ */
+export function optimizeLineups(players, rules, options = {}, onProgress = null) {
+    const count = Math.max(1, options.count || 1);
+    const excludes = new Set(options.excludes || []);
+    const locks = new Set(options.locks || []);
+    const exposures = options.exposures || {};
+    const maxExposure = options.maxExposure ?? 1;
+    const nodeLimit = options.nodeLimit || Infinity;
+    const maxPerTeam = Math.min(options.maxPerTeam || Infinity, rules.maxPerTeam || Infinity);
+    const searchOptions = { maxPerTeam, minStack: options.minStack || 0 };
+
+    // A 0% max exposure excludes the player outright (locked or not)
+    const exposureFor = (player) => exposures[player.id] ?? maxExposure;
+    const pool = players.filter(player =>
+        !excludes.has(player.id) &&
+        exposureFor(player) > 0 &&
+        player.salary > 0 &&
+        isFinite(player.projection) &&
+        rules.slots.some(slot => slot.positions.some(position => player.positions.includes(position)))
+    );
+
+    const locked = pool.filter(player => locks.has(player.id));
+    if (locked.length > rules.slots.length) {
+        throw new Error(`Too many locked players (${locked.length}) for a ${rules.slots.length}-player roster`);
+    }
+    if (!assignSlots(locked, rules.slots)) {
+        throw new Error('Locked players can\'t fill the roster slots together');
+    }
+    if (locked.reduce((sum, player) => sum + player.salary, 0) > rules.salaryCap) {
+        throw new Error('Locked players are over the salary cap');
+    }
+    const lockedTeams = new Map();
+    locked.forEach(player => lockedTeams.set(player.team, (lockedTeams.get(player.team) || 0) + 1));
+    if ([...lockedTeams.values()].some(teamCount => teamCount > maxPerTeam)) {
+        throw new Error(`Locked players exceed ${maxPerTeam} per team`);
+    }
+
+    // Any exposure above 0% allows at least one lineup - 30% of 3 lineups would otherwise round
+    // down to none and drop the player from every pass
+    const limitFor = (player) => Math.max(1, Math.floor(exposureFor(player) * count + EPSILON));
+    const usage = new Map();
+    const seenKeys = new Set();
+    const lineups = [];
+    let nodeLimitHit = false;
+
+    const byProjection = pool
+        .filter(player => !locks.has(player.id))
+        .sort((a, b) => b.projection - a.projection || a.salary - b.salary);
+
+    for (let n = 0; n < count; n++) {
+        const candidates = byProjection.filter(player => (usage.get(player.id) || 0) < limitFor(player));
+        const { best, exhausted } = findBestLineup(locked, candidates, rules, searchOptions, seenKeys, nodeLimit);
+        if (exhausted) nodeLimitHit = true;
+        if (!best) break;
+
+        const assignment = assignSlots(best.players, rules.slots);
+        lineups.push({
+            slots: rules.slots.map((slot, slotIndex) => ({ slot: slot.name, player: best.players[assignment[slotIndex]] })),
+            salary: best.salary,
+            projection: best.projection
+        });
+        seenKeys.add(lineupKey(best.players.map(player => player.id)));
+        best.players.forEach(player => usage.set(player.id, (usage.get(player.id) || 0) + 1));
+
+        if (onProgress) onProgress({ built: lineups.length, count });
+    }
+
+    return { lineups, nodeLimitHit };
+}
+
+/**
+ * Run optimizeLineups() in a Web Worker (falls back to the main thread without worker support)
+ * @param {object[]} players - See optimizeLineups()
+ * @param {object} rules - See optimizeLineups()
+ * @param {object} options - See optimizeLineups()
+ * @param {function} onProgress - Progress callback
+ * @returns {object} { promise, cancel() } - promise resolves with the optimizeLineups() result
+ */
+export function runLineupOptimizer(players, rules, options = {}, onProgress = null) {
+    let worker = null;
+    try {
+        worker = createModuleWorker(new URL('./lineupOptimizerWorker.js', import.meta.url));
+    } catch (error) {
+        console.warn('Lineup optimizer: Web Worker unavailable, running on the main thread', error);
+    }
+
+    if (!worker) {
+        let cancelled = false;
+        const promise = new Promise((resolve, reject) => {
+            // Let the page paint the "running" state first
+            setTimeout(() => {
+                if (cancelled) return reject(new Error('Cancelled'));
+                try {
+                    resolve(optimizeLineups(players, rules, options, onProgress));
+                } catch (error) {
+                    reject(error);
+                }
+            }, 0);
+        });
+        return { promise, cancel: () => { cancelled = true; } };
+    }
+
+    let rejectPromise = null;
+    const promise = new Promise((resolve, reject) => {
+        rejectPromise = reject;
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                if (onProgress) onProgress(message.progress);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.error));
+            }
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'Lineup optimizer worker failed'));
+        };
+        worker.postMessage({ players, rules, options });
+    });
+
+    return {
+        promise,
+        cancel: () => {
+            worker.terminate();
+            rejectPromise(new Error('Cancelled'));
+        }
+    };
+}
+
+export default {
+    parsePositions,
+    assignSlots,
+    optimizeLineups,
+    runLineupOptimizer
+};
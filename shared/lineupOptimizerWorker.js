@@ -0,0 +1,16 @@
+// shared/lineupOptimizerWorker.js - Web Worker entry for the DFS lineup optimizer
+// Started by runLineupOptimizer() (shared/lineupOptimizer.js) as a module worker; one job per worker.
+
+import { optimizeLineups } from './lineupOptimizer.js';
+
+self.onmessage = (e) => {
+    const { players, rules, options } = e.data;
+    try {
+        const result = optimizeLineups(players, rules, options, progress => {
+            self.postMessage({ type: 'progress', progress });
+        });
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', error: error.message });
+    }
+};
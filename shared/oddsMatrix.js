@@ -0,0 +1,96 @@
+// shared/oddsMatrix.js - Book x line price matrix for one game and market
+// Pivots the Game Odds rows (one per side/line/book) so each book is a column and each side/line
+// a row. Every price is compared with the row's "Game Median Odds" in implied probability, so a
+// book that hasn't moved with the market stands out.
+
+import { americanToImpliedProbability } from './utils.js';
+
+// Implied-probability gap (percentage points) that gets the strongest heat color
+const MAX_HEAT_GAP = 5;
+
+function toLine(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * Games and their markets, in table order
+ * @param {object[]} rows - Game Odds rows
+ * @returns {Map<string, string[]>} Matchup -> prop types
+ */
+export function getMatrixMarkets(rows) {
+    const markets = new Map();
+    rows.forEach(row => {
+        const matchup = row["Game Matchup"];
+        const propType = row["Game Prop Type"];
+        if (!matchup || !propType) return;
+        if (!markets.has(matchup)) markets.set(matchup, []);
+        if (!markets.get(matchup).includes(propType)) markets.get(matchup).push(propType);
+    });
+    return markets;
+}
+
+/**
+ * Build the matrix for one game and market
+ * @param {object[]} rows - Game Odds rows
+ * @param {object} options - { matchup, propType, parseOdds(value) -> number|null }
+ * @returns {object} { books, lines: [{ label, line, median, prices: { book: { odds, gap } } }] }
+ *   gap is median implied % - book implied % (positive: the book pays more than the market)
+ */
+export function buildOddsMatrix(rows, options) {
+    const { matchup, propType, parseOdds } = options;
+    const books = new Set();
+    const lines = new Map();
+
+    rows.forEach(row => {
+        if (row["Game Matchup"] !== matchup || row["Game Prop Type"] !== propType) return;
+        const book = row["Game Book"];
+        const odds = parseOdds(row["Game Prop Odds"]);
+        if (!book || odds === null) return;
+
+        const line = toLine(row["Game Line"]);
+        const key = `${row["Game Label"] ?? ''}|${line ?? ''}`;
+        if (!lines.has(key)) {
+            lines.set(key, { label: row["Game Label"] || '', line, median: null, prices: {} });
+        }
+        const entry = lines.get(key);
+        if (entry.median === null) {
+            entry.median = parseOdds(row["Game Median Odds"]);
+        }
+        books.add(book);
+        entry.prices[book] = { odds, gap: null };
+    });
+
+    lines.forEach(entry => {
+        const medianImplied = americanToImpliedProbability(entry.median);
+        Object.values(entry.prices).forEach(price => {
+            const implied = americanToImpliedProbability(price.odds);
+            price.gap = medianImplied !== null && implied !== null ? (medianImplied - implied) * 100 : null;
+        });
+    });
+
+    const sorted = [...lines.values()].sort((a, b) =>
+        a.label.localeCompare(b.label) || (a.line ?? 0) - (b.line ?? 0));
+
+    return { books: [...books].sort(), lines: sorted };
+}
+
+/**
+ * Cell background for a price's gap from the median: green when the book pays more than the
+ * market, red when it pays less, stronger the further away (full strength at MAX_HEAT_GAP points)
+ * @param {number|null} gap - Percentage points from buildOddsMatrix()
+ * @returns {string} CSS color ('' at the median or when there's no median to compare with)
+ */
+export function getHeatColor(gap) {
+    if (gap === null || Math.abs(gap) < 0.25) return '';
+    const strength = Math.min(Math.abs(gap) / MAX_HEAT_GAP, 1);
+    const alpha = (0.1 + strength * 0.6).toFixed(2);
+    return gap >= 0 ? `rgba(22, 163, 74, ${alpha})` : `rgba(220, 38, 38, ${alpha})`;
+}
+
+export default {
+    getMatrixMarkets,
+    buildOddsMatrix,
+    getHeatColor
+};
@@ -0,0 +1,387 @@
+// shared/parlay.js - Same-game parlay legs, pricing and correlation
+// Legs come from one game's Prop Clearances, DD-TD, Prop Odds and Game Odds rows. The parlay
+// price is the product of the legs' book prices; the hit rate starts from each leg's own rate
+// (clearance history, or the market median price) and is adjusted pair by pair with the
+// correlation settings: P(A and B) = pA pB + rho sqrt(pA qA pB qB).
+
+import { CONFIG, TEAM_NAME_MAP } from './config.js';
+import { americanToDecimal, americanToImpliedProbability, probabilityToAmerican, normalizePlayerName } from './utils.js';
+import { getPropStatKey } from './grader.js';
+import { getMarketKind } from './arbitrage.js';
+import { getClearancePickCandidates } from './betSlip.js';
+
+// Settings key -> label, for the builder and pair descriptions
+export const CORRELATION_SETTINGS = {
+    samePlayer: 'Same player',
+    teammates: 'Teammates',
+    opponents: 'Opponents',
+    totals: 'Player vs team/game total'
+};
+
+const listeners = new Set();
+let settings = loadSettings();
+
+function getDefaults() {
+    return {
+        samePlayer: CONFIG.PARLAY.samePlayerCorrelation,
+        teammates: CONFIG.PARLAY.teammateCorrelation,
+        opponents: CONFIG.PARLAY.opponentCorrelation,
+        totals: CONFIG.PARLAY.totalCorrelation
+    };
+}
+
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.PARLAY.storageKey) || 'null');
+        return { ...getDefaults(), ...(stored || {}) };
+    } catch (error) {
+        console.warn('Could not read parlay settings, using defaults:', error);
+        return getDefaults();
+    }
+}
+
+/**
+ * Current correlation settings
+ * @returns {object} { samePlayer, teammates, opponents, totals } between -1 and 1
+ */
+export function getParlaySettings() {
+    return { ...settings };
+}
+
+/**
+ * Update and persist correlation settings, then notify subscribers
+ * @param {object} changes - Any of { samePlayer, teammates, opponents, totals }
+ */
+export function setParlaySettings(changes) {
+    settings = { ...settings, ...changes };
+
+    try {
+        localStorage.setItem(CONFIG.PARLAY.storageKey, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save parlay settings:', error);
+    }
+
+    listeners.forEach(listener => {
+        try {
+            listener(getParlaySettings());
+        } catch (error) {
+            console.error('Error in parlay settings listener:', error);
+        }
+    });
+}
+
+/**
+ * Subscribe to correlation settings changes
+ * @param {function} listener - Called with the current settings
+ * @returns {function} Unsubscribe function
+ */
+export function onParlaySettingsChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// +1 for over/yes, -1 for under/no, 0 for sides without a direction (spread, moneyline).
+// Team totals may carry the team in the label ("Lakers Over").
+function getDirection(side) {
+    const lower = String(side || '').toLowerCase().trim();
+    if (/\bover\b/.test(lower) || lower === 'yes') return 1;
+    if (/\bunder\b/.test(lower) || lower === 'no') return -1;
+    return 0;
+}
+
+function toLine(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+}
+
+// Team abbreviation (of the two playing) whose nickname appears in a Game Odds label/prop type
+function findTeam(text, teams, teamNames) {
+    const lower = String(text || '').toLowerCase();
+    return teams.find((team, index) => teamNames[index] && lower.includes(teamNames[index])) || null;
+}
+
+function clearanceKey(name, statKey, line) {
+    return `${normalizePlayerName(name)}|${statKey}|${line}`;
+}
+
+function clearanceLegs(rows, source, split) {
+    const legs = [];
+    rows.forEach(row => {
+        if (split && row["Split"] && row["Split"] !== split) return;
+        const clearance = parseFloat(row["Player Clearance"]);
+
+        getClearancePickCandidates(row).forEach(candidate => {
+            if (candidate.odds === null || isNaN(clearance)) return;
+            legs.push({
+                id: `${source}|${row._rowId}|${candidate.side}`,
+                source,
+                kind: 'player',
+                player: candidate.player,
+                team: candidate.team,
+                market: candidate.market,
+                statKey: getPropStatKey(candidate.market),
+                side: candidate.side,
+                direction: getDirection(candidate.side),
+                line: candidate.line,
+                book: candidate.book,
+                odds: candidate.odds,
+                probability: candidate.side === 'Over' ? clearance : 1 - clearance,
+                probabilitySource: `${row["Split"] || 'clearance'} clearance`
+            });
+        });
+    });
+    return legs;
+}
+
+/**
+ * Candidate legs for one game
+ * @param {object} sources - From loadMatchupSources(): { teams, clearances, ddtd, odds, gameOdds }
+ * @param {object} options - { split } clearance split used for clearance legs and Prop Odds hit rates
+ * @returns {object[]} Legs: { id, source, kind, player, team, market, statKey, side, direction, line,
+ *   book, odds, probability, probabilitySource }
+ */
+export function buildParlayLegs(sources, options = {}) {
+    const split = options.split || null;
+    const teamNames = sources.teams.map(team => String(TEAM_NAME_MAP[team] || '').toLowerCase());
+
+    const legs = [
+        ...clearanceLegs(sources.clearances, 'Prop Clearances', split),
+        ...clearanceLegs(sources.ddtd, 'DD-TD', split)
+    ];
+
+    // Prop Odds hit rates come from the clearance at the same player, stat and line when there is one
+    const clearances = new Map();
+    sources.clearances.forEach(row => {
+        if (split && row["Split"] && row["Split"] !== split) return;
+        const clearance = parseFloat(row["Player Clearance"]);
+        const statKey = getPropStatKey(row["Player Prop"]);
+        if (!isNaN(clearance) && statKey) {
+            clearances.set(clearanceKey(row["Player Name"], statKey, toLine(row["Player Prop Value"])), clearance);
+        }
+    });
+
+    sources.odds.forEach(row => {
+        const odds = parseInt(row["Player Prop Odds"], 10);
+        const side = row["Player Over/Under"];
+        if (isNaN(odds) || !side) return;
+
+        const statKey = getPropStatKey(row["Player Prop Type"]);
+        const line = toLine(row["Player Prop Line"]);
+        const direction = getDirection(side);
+        const clearance = statKey ? clearances.get(clearanceKey(row["Player Name"], statKey, line)) : undefined;
+        const median = americanToImpliedProbability(row["Player Median Odds"]);
+
+        legs.push({
+            id: `Prop Odds|${row._rowId}`,
+            source: 'Prop Odds',
+            kind: 'player',
+            player: row["Player Name"],
+            team: row["Player Team"],
+            market: row["Player Prop Type"],
+            statKey,
+            side,
+            direction,
+            line,
+            book: row["Player Book"],
+            odds,
+            probability: clearance !== undefined && direction !== 0
+                ? (direction > 0 ? clearance : 1 - clearance)
+                : (median ?? americanToImpliedProbability(odds)),
+            probabilitySource: clearance !== undefined && direction !== 0 ? `${split || 'clearance'} clearance` : 'median price'
+        });
+    });
+
+    sources.gameOdds.forEach(row => {
+        const odds = parseInt(row["Game Prop Odds"], 10);
+        const propType = row["Game Prop Type"];
+        const marketKind = getMarketKind(propType);
+        if (isNaN(odds) || !marketKind) return;
+
+        const isTeamTotal = marketKind === 'total' && String(propType).toLowerCase().includes('team');
+        const kind = isTeamTotal ? 'teamTotal' : marketKind;
+        const side = row["Game Label"];
+        const median = americanToImpliedProbability(row["Game Median Odds"]);
+
+        legs.push({
+            id: `Game Odds|${row._rowId}`,
+            source: 'Game Odds',
+            kind,
+            player: null,
+            team: kind === 'total' ? null : findTeam(`${side} ${propType}`, sources.teams, teamNames),
+            market: propType,
+            statKey: null,
+            side,
+            direction: kind === 'total' || kind === 'teamTotal' ? getDirection(side) : 0,
+            line: toLine(row["Game Line"]),
+            book: row["Game Book"],
+            odds,
+            probability: median ?? americanToImpliedProbability(odds),
+            probabilitySource: 'median price'
+        });
+    });
+
+    return legs.filter(leg => leg.probability !== null && leg.probability > 0 && leg.probability < 1);
+}
+
+/**
+ * Short description of a leg, e.g. "LeBron James Over 25.5 Points" or "Lakers -3.5 Spread"
+ * @param {object} leg - Leg from buildParlayLegs()
+ * @returns {string}
+ */
+export function describeLeg(leg) {
+    const line = leg.line === null ? '' : ` ${leg.line}`;
+    if (leg.kind === 'player') {
+        return `${leg.player} ${leg.side}${line} ${leg.market}`;
+    }
+    if (leg.kind === 'spread') {
+        return `${leg.side} ${leg.line > 0 ? '+' : ''}${leg.line ?? ''} ${leg.market}`.replace(/\s+/g, ' ');
+    }
+    return `${leg.side}${line} ${leg.market}`;
+}
+
+// Correlation setting that links two legs, or null when they're treated as independent
+function getRelation(a, b) {
+    if (a.kind === 'player' && b.kind === 'player') {
+        if (normalizePlayerName(a.player) === normalizePlayerName(b.player)) return 'samePlayer';
+        return a.team === b.team ? 'teammates' : 'opponents';
+    }
+
+    const player = a.kind === 'player' ? a : b.kind === 'player' ? b : null;
+    const game = player === a ? b : a;
+    if (!player) return null;
+    if (game.kind === 'total') return 'totals';
+    if (game.kind === 'teamTotal') return game.team === player.team ? 'totals' : 'opponents';
+    return null;
+}
+
+function getPairCorrelation(a, b, current) {
+    const relation = getRelation(a, b);
+    if (!relation || a.direction === 0 || b.direction === 0) return { relation, rho: 0 };
+    return { relation, rho: (Number(current[relation]) || 0) * a.direction * b.direction };
+}
+
+// Over at overLine and under at underLine of the same number can only both win strictly between them
+function canBothWin(over, under) {
+    return over.line === null || under.line === null || over.line < under.line;
+}
+
+function isScoringStat(statKey) {
+    return !!statKey && (statKey.includes('points') || statKey.includes('threes'));
+}
+
+// Conflict/warning for a pair of legs ({ level, message, impossible? }), or null
+function getPairIssue(a, b) {
+    const label = `${describeLeg(a)} + ${describeLeg(b)}`;
+
+    if (a.kind === 'player' && b.kind === 'player' &&
+        normalizePlayerName(a.player) === normalizePlayerName(b.player) && a.statKey && a.statKey === b.statKey) {
+        if (a.direction === b.direction) {
+            return { level: 'warning', message: `${label}: two legs on the same stat and side` };
+        }
+        const [over, under] = a.direction > 0 ? [a, b] : [b, a];
+        return canBothWin(over, under)
+            ? { level: 'warning', message: `${label}: both only win between ${over.line} and ${under.line}` }
+            : { level: 'conflict', message: `${label}: can't both win`, impossible: true };
+    }
+
+    const player = a.kind === 'player' ? a : b.kind === 'player' ? b : null;
+    const game = player === a ? b : a;
+    if (player && isScoringStat(player.statKey) && player.direction !== 0 && game.direction !== 0 &&
+        player.direction !== game.direction) {
+        if (game.kind === 'teamTotal' && game.team === player.team) {
+            return { level: 'conflict', message: `${label}: the player's scoring and the team total pull in opposite directions` };
+        }
+        if (game.kind === 'total') {
+            return { level: 'warning', message: `${label}: the player's scoring and the game total pull in opposite directions` };
+        }
+    }
+
+    if (a.kind !== 'player' && a.kind === b.kind && a.market === b.market) {
+        if (a.kind === 'total' || (a.kind === 'teamTotal' && a.team === b.team)) {
+            if (a.direction === b.direction) return null;
+            const [over, under] = a.direction > 0 ? [a, b] : [b, a];
+            return canBothWin(over, under)
+                ? { level: 'warning', message: `${label}: both only win between ${over.line} and ${under.line}` }
+                : { level: 'conflict', message: `${label}: can't both win`, impossible: true };
+        }
+        if ((a.kind === 'spread' || a.kind === 'moneyline') && a.side !== b.side) {
+            return { level: 'conflict', message: `${label}: both sides of the same market` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Price a parlay and estimate its correlated hit rate
+ * @param {object[]} legs - Legs from buildParlayLegs()
+ * @param {object} current - Correlation settings (defaults to getParlaySettings())
+ * @returns {object} { decimal, odds, independent, joint, fairOdds, ev, pairs: [{ a, b, relation, rho }],
+ *   warnings: [{ level: 'conflict' | 'warning', message }] } - ev is the expected profit per unit at the joint rate
+ */
+export function analyzeParlay(legs, current = getParlaySettings()) {
+    const pairs = [];
+    const warnings = [];
+    let impossible = false;
+    let factor = 1;
+
+    for (let i = 0; i < legs.length; i++) {
+        for (let j = i + 1; j < legs.length; j++) {
+            const a = legs[i];
+            const b = legs[j];
+            const { relation, rho } = getPairCorrelation(a, b, current);
+            if (rho !== 0) {
+                pairs.push({ a, b, relation, rho });
+                const pa = a.probability;
+                const pb = b.probability;
+                factor *= 1 + rho * Math.sqrt(((1 - pa) * (1 - pb)) / (pa * pb));
+            }
+
+            const issue = getPairIssue(a, b);
+            if (issue) {
+                warnings.push(issue);
+                if (issue.impossible) impossible = true;
+            }
+        }
+    }
+
+    const books = [...new Set(legs.map(leg => leg.book).filter(Boolean))];
+    if (books.length > 1) {
+        warnings.push({
+            level: 'warning',
+            message: `Legs are priced at ${books.length} books (${books.join(', ')}) - a same-game parlay is placed at one book, so the combined price is a best case`
+        });
+    }
+
+    const decimal = legs.reduce((product, leg) => product * (americanToDecimal(leg.odds) || 1), 1);
+    const independent = legs.reduce((product, leg) => product * leg.probability, 1);
+
+    // Keep the estimate inside the bounds any joint distribution must respect
+    const upper = Math.min(...legs.map(leg => leg.probability));
+    const lower = Math.max(0, legs.reduce((sum, leg) => sum + leg.probability, 0) - (legs.length - 1));
+    const joint = legs.length === 0 ? null
+        : impossible ? 0
+        : Math.min(upper, Math.max(lower, independent * factor));
+
+    return {
+        decimal: legs.length > 0 ? decimal : null,
+        odds: legs.length > 0 ? probabilityToAmerican(1 / decimal) : null,
+        independent: legs.length > 0 ? independent : null,
+        joint,
+        fairOdds: joint ? probabilityToAmerican(joint) : null,
+        ev: joint !== null ? joint * decimal - 1 : null,
+        pairs,
+        warnings
+    };
+}
+
+export default {
+    CORRELATION_SETTINGS,
+    getParlaySettings,
+    setParlaySettings,
+    onParlaySettingsChange,
+    buildParlayLegs,
+    describeLeg,
+    analyzeParlay
+};
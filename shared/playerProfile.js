@@ -0,0 +1,153 @@
+// shared/playerProfile.js - Joins every dataset for one player (name + team)
+// Sources are the registered table instances; tables that haven't been opened are loaded
+// through getSearchableData() so the profile works from any tab.
+
+import { TEAM_NAME_MAP } from './config.js';
+import { normalizePlayerName } from './utils.js';
+import { getSearchableData } from './playerSearch.js';
+
+// Profile section -> Supabase endpoint of the table that provides it
+const PROFILE_SOURCES = {
+    clearances: 'BasketPlayerPropClearances',
+    ddtd: 'BasketPlayerDDTD',
+    odds: 'BasketPlayerPropOdds',
+    dk: 'BasketPlayerDK',
+    fd: 'BasketPlayerFD',
+    matchups: 'BasketMatchupsGame',
+    // Only used by loadMatchupSources() (parlay builder)
+    gameOdds: 'BasketGameOdds'
+};
+
+// endpoint -> table instance
+const instances = new Map();
+
+/**
+ * Register the table instances the profile reads from
+ * @param {object} tables - Table instances keyed by tab ID (as passed to TabManager)
+ */
+export function registerProfileSources(tables) {
+    Object.values(tables).forEach(instance => {
+        if (instance && instance.endpoint) {
+            instances.set(instance.endpoint, instance);
+        }
+    });
+}
+
+async function loadPlayerRows(endpoint, name, team) {
+    const instance = instances.get(endpoint);
+    if (!instance) return [];
+
+    const records = await getSearchableData(instance);
+    return records.filter(record =>
+        normalizePlayerName(record["Player Name"]) === name &&
+        (!team || !record["Player Team"] || record["Player Team"] === team)
+    );
+}
+
+async function loadMatchup(name, team) {
+    const instance = instances.get(PROFILE_SOURCES.matchups);
+    if (!instance || !team || typeof instance.findTeamMatchup !== 'function') return null;
+
+    const records = await getSearchableData(instance);
+    const game = instance.findTeamMatchup(records, team);
+    if (!game) return null;
+
+    let players = [];
+    try {
+        players = (await instance.getMatchupPlayers(game["Matchup ID"]))
+            .filter(row => normalizePlayerName(row["Player"]) === name);
+    } catch (error) {
+        console.warn('Player profile: could not load matchup players:', error);
+    }
+
+    return { game, players };
+}
+
+/**
+ * A player's rows from one profile source
+ * @param {string} section - Source key: clearances, ddtd, odds, dk, fd
+ * @param {string} playerName - Player name as shown in the tables
+ * @param {string} team - Team abbreviation (optional)
+ * @returns {Promise<object[]>} Matching rows (empty when the source table isn't registered)
+ */
+export function loadPlayerSource(section, playerName, team = '') {
+    return loadPlayerRows(PROFILE_SOURCES[section], normalizePlayerName(playerName), team);
+}
+
+/**
+ * Every row for one game: player rows for both teams plus the game's book odds
+ * @param {number|string} matchupId - "Matchup ID" from the Matchups tab
+ * @returns {Promise<object|null>} { game, teams: [away, home] abbreviations, clearances, ddtd, odds, gameOdds },
+ *   or null when the matchup isn't found
+ */
+export async function loadMatchupSources(matchupId) {
+    const instance = instances.get(PROFILE_SOURCES.matchups);
+    if (!instance) return null;
+
+    const game = (await getSearchableData(instance)).find(record => String(record["Matchup ID"]) === String(matchupId));
+    if (!game) return null;
+
+    const { away, home } = instance.parseMatchup(game["Matchup"]);
+    if (!away || !home) return null;
+    const teams = [instance.getTeamAbbrev(away), instance.getTeamAbbrev(home)];
+    const nicknames = teams.map(team => String(TEAM_NAME_MAP[team] || team || '').toLowerCase()).filter(Boolean);
+
+    const loadSource = async (section, matches) => {
+        const source = instances.get(PROFILE_SOURCES[section]);
+        if (!source) return [];
+        return (await getSearchableData(source)).filter(matches);
+    };
+    const onTeam = record => teams.includes(record["Player Team"]);
+    // Game Odds matchups use full team names - both nicknames must appear
+    const inGame = record => {
+        const matchup = String(record["Game Matchup"] || '').toLowerCase();
+        return nicknames.length === 2 && nicknames.every(nickname => matchup.includes(nickname));
+    };
+
+    const [clearances, ddtd, odds, gameOdds] = await Promise.all([
+        loadSource('clearances', onTeam),
+        loadSource('ddtd', onTeam),
+        loadSource('odds', onTeam),
+        loadSource('gameOdds', inGame)
+    ]);
+
+    return { game, teams, clearances, ddtd, odds, gameOdds };
+}
+
+/**
+ * Everything known about a player, grouped by source
+ * @param {string} playerName - Player name as shown in the tables
+ * @param {string} team - Team abbreviation (optional, disambiguates same-named players)
+ * @returns {Promise<object>} { name, team, teamName, clearances, ddtd, odds, dk, fd, matchup }
+ */
+export async function loadPlayerProfile(playerName, team = '') {
+    const name = normalizePlayerName(playerName);
+
+    const [clearances, ddtd, odds, dk, fd, matchup] = await Promise.all([
+        loadPlayerRows(PROFILE_SOURCES.clearances, name, team),
+        loadPlayerRows(PROFILE_SOURCES.ddtd, name, team),
+        loadPlayerRows(PROFILE_SOURCES.odds, name, team),
+        loadPlayerRows(PROFILE_SOURCES.dk, name, team),
+        loadPlayerRows(PROFILE_SOURCES.fd, name, team),
+        loadMatchup(name, team)
+    ]);
+
+    return {
+        name: playerName,
+        team,
+        teamName: TEAM_NAME_MAP[team] || team,
+        clearances,
+        ddtd,
+        odds,
+        dk,
+        fd,
+        matchup
+    };
+}
+
+export default {
+    registerProfileSources,
+    loadPlayerSource,
+    loadMatchupSources,
+    loadPlayerProfile
+};
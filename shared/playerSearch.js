@@ -0,0 +1,113 @@
+// shared/playerSearch.js - Player search across every tab's dataset
+// Built tables are searched through their live Tabulator data; tabs that haven't been opened
+// are loaded with BaseTable.loadData() (memory cache -> IndexedDB -> fetch) without building
+// their Tabulator. Matchups are resolved from the player's team via findTeamMatchup().
+
+import { normalizePlayerName } from './utils.js';
+import { CACHE_DURATION } from './cacheManager.js';
+
+// instance -> { promise, loadedAt } for tables searched before they were opened
+const pendingLoads = new Map();
+
+/**
+ * Rows to search for one table instance
+ * @param {BaseTable} instance - Table instance
+ * @returns {Promise<object[]>} Records
+ */
+export function getSearchableData(instance) {
+    if (instance.table && instance.table.getDataCount() > 0) {
+        return Promise.resolve(instance.table.getData());
+    }
+
+    const cached = pendingLoads.get(instance);
+    if (cached && Date.now() - cached.loadedAt < CACHE_DURATION) {
+        return cached.promise;
+    }
+
+    const promise = instance.loadData()
+        .then(records => records || [])
+        .catch(error => {
+            console.warn(`Player search: could not load ${instance.endpoint}:`, error);
+            pendingLoads.delete(instance);
+            return [];
+        });
+    pendingLoads.set(instance, { promise, loadedAt: Date.now() });
+    return promise;
+}
+
+/**
+ * Search every tab for players whose name contains the query
+ * @param {object[]} tabs - [{ id, label, instance }] in display order
+ * @param {string} query - Name or part of a name
+ * @param {object} options - { limitPerTab }
+ * @returns {Promise<object>} { groups: [{ tabId, label, total, results: [{ rowId, player, team, label }] }],
+ *                              matchups: [{ tabId, label, rowId, matchup, players }] }
+ */
+export async function searchPlayers(tabs, query, { limitPerTab = 8 } = {}) {
+    const needle = normalizePlayerName(query);
+    if (needle.length < 2) return { groups: [], matchups: [] };
+
+    const groups = [];
+    const teams = new Map(); // team -> Set of player names
+    const matchupsTab = tabs.find(tab => typeof tab.instance.findTeamMatchup === 'function');
+
+    const datasets = await Promise.all(tabs.map(tab =>
+        tab === matchupsTab ? Promise.resolve([]) : getSearchableData(tab.instance)
+    ));
+
+    tabs.forEach((tab, index) => {
+        const matches = datasets[index].filter(record =>
+            record["Player Name"] && normalizePlayerName(record["Player Name"]).includes(needle)
+        );
+        if (matches.length === 0) return;
+
+        // Names starting with the query first, then alphabetical
+        matches.sort((a, b) => {
+            const aStarts = normalizePlayerName(a["Player Name"]).startsWith(needle) ? 0 : 1;
+            const bStarts = normalizePlayerName(b["Player Name"]).startsWith(needle) ? 0 : 1;
+            return aStarts - bStarts || a["Player Name"].localeCompare(b["Player Name"]);
+        });
+
+        matches.forEach(record => {
+            if (!record["Player Team"]) return;
+            if (!teams.has(record["Player Team"])) teams.set(record["Player Team"], new Set());
+            teams.get(record["Player Team"]).add(record["Player Name"]);
+        });
+
+        groups.push({
+            tabId: tab.id,
+            label: tab.label,
+            total: matches.length,
+            results: matches.slice(0, limitPerTab).map(record => ({
+                rowId: record._rowId || tab.instance.generateRowId(record),
+                player: record["Player Name"],
+                team: record["Player Team"] || '',
+                label: tab.instance.getSearchLabel(record)
+            }))
+        });
+    });
+
+    const matchups = [];
+    if (matchupsTab && teams.size > 0) {
+        const records = await getSearchableData(matchupsTab.instance);
+        teams.forEach((players, team) => {
+            const record = matchupsTab.instance.findTeamMatchup(records, team);
+            if (!record) return;
+
+            const rowId = record._rowId || matchupsTab.instance.generateRowId(record);
+            let entry = matchups.find(matchup => matchup.rowId === rowId);
+            if (!entry) {
+                entry = { tabId: matchupsTab.id, label: matchupsTab.label, rowId, matchup: record["Matchup"], players: [] };
+                matchups.push(entry);
+            }
+            entry.players.push(...players);
+        });
+    }
+
+    return { groups, matchups };
+}
+
+export default {
+    getSearchableData,
+    searchPlayers
+};
@@ -0,0 +1,280 @@
+// shared/projectionOverrides.js - Analyst projection overrides for the DK / FD DFS tables
+// An override replaces a player's Median and/or High projection, or their minutes (which scales
+// every projection by new minutes / site minutes). Overrides are keyed by site, player name and
+// team, apply to every split, and persist in localStorage. The Points/Price ratios are recomputed
+// from the overridden points; the site's own values are kept on the row for reverting.
+
+import { CONFIG } from './config.js';
+import { parseCSV, normalizePlayerName } from './utils.js';
+
+const PROJECTION_STATS = ['Median', 'Average', 'High', 'Low'];
+const MINUTES_FIELD = 'Player Median Minutes';
+
+// Ratio column -> projection stat it is computed from
+const RATIO_FIELDS = {
+    'Player Median Ratio': 'Median',
+    'Player High Ratio': 'High'
+};
+
+// CSV header aliases (case-insensitive) for bulk import
+const CSV_COLUMNS = {
+    name: ['player name', 'name', 'player'],
+    team: ['player team', 'team'],
+    median: ['median', 'projection', 'proj', 'points', 'fpts'],
+    high: ['high', 'ceiling'],
+    minutes: ['minutes', 'mins', 'min']
+};
+
+const listeners = new Set();
+let store = loadStore();
+
+function loadStore() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.DFS.overridesStorageKey) || 'null');
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        console.warn('Could not read projection overrides:', error);
+        return {};
+    }
+}
+
+function saveStore() {
+    try {
+        localStorage.setItem(CONFIG.DFS.overridesStorageKey, JSON.stringify(store));
+    } catch (error) {
+        console.warn('Could not save projection overrides:', error);
+    }
+
+    listeners.forEach(listener => {
+        try {
+            listener();
+        } catch (error) {
+            console.error('Error in projection override listener:', error);
+        }
+    });
+}
+
+function getPlayerKey(name, team) {
+    return `${normalizePlayerName(name)}|${team || ''}`;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = parseFloat(String(value).replace(/[$,]/g, ''));
+    return isFinite(num) ? num : null;
+}
+
+// Merge a patch into a player's override; null values remove that part
+function mergeOverride(siteKey, name, team, patch) {
+    if (!store[siteKey]) store[siteKey] = {};
+    const key = getPlayerKey(name, team);
+    const entry = { ...(store[siteKey][key] || {}) };
+
+    ['median', 'high', 'minutes'].forEach(part => {
+        if (!(part in patch)) return;
+        const value = toNumber(patch[part]);
+        if (value === null || value < 0) {
+            delete entry[part];
+        } else {
+            entry[part] = value;
+        }
+    });
+
+    if (['median', 'high', 'minutes'].some(part => part in entry)) {
+        store[siteKey][key] = { ...entry, name, team, updatedAt: new Date().toISOString() };
+    } else {
+        delete store[siteKey][key];
+    }
+}
+
+/**
+ * Override for a player, if any
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @param {string} name - Player name
+ * @param {string} team - Player team
+ * @returns {object|null} { median?, high?, minutes?, name, team, updatedAt }
+ */
+export function getProjectionOverride(siteKey, name, team) {
+    const entries = store[siteKey];
+    return (entries && entries[getPlayerKey(name, team)]) || null;
+}
+
+/**
+ * Set part of a player's override (null or '' for a part reverts it to the site value)
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @param {string} name - Player name
+ * @param {string} team - Player team
+ * @param {object} patch - { median?, high?, minutes? }
+ */
+export function setProjectionOverride(siteKey, name, team, patch) {
+    mergeOverride(siteKey, name, team, patch);
+    saveStore();
+}
+
+/**
+ * Number of players with an override on a site
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @returns {number}
+ */
+export function countProjectionOverrides(siteKey) {
+    return Object.keys(store[siteKey] || {}).length;
+}
+
+/**
+ * Remove every override for a site
+ * @param {string} siteKey - 'dk' | 'fd'
+ */
+export function clearProjectionOverrides(siteKey) {
+    delete store[siteKey];
+    saveStore();
+}
+
+/**
+ * Import overrides from CSV keyed by player name and team. Recognized columns (any case):
+ * Name/Player Name, Team/Player Team, Median/Projection/Points/FPTS, High/Ceiling, Minutes/Min.
+ * Blank cells leave that part of an existing override untouched.
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @param {string} text - CSV text
+ * @returns {object} { imported, skipped }
+ */
+export function importProjectionCSV(siteKey, text) {
+    const rows = parseCSV(text);
+    if (rows.length === 0) {
+        throw new Error('The file has no rows');
+    }
+
+    const headers = Object.keys(rows[0]);
+    const columns = {};
+    Object.entries(CSV_COLUMNS).forEach(([part, aliases]) => {
+        columns[part] = headers.find(header => aliases.includes(header.toLowerCase())) || null;
+    });
+
+    if (!columns.name || !columns.team) {
+        throw new Error('Expected "Player Name" and "Player Team" columns');
+    }
+    if (!columns.median && !columns.high && !columns.minutes) {
+        throw new Error('Expected a Median/Projection, High or Minutes column');
+    }
+
+    let imported = 0;
+    let skipped = 0;
+    rows.forEach(row => {
+        const name = row[columns.name];
+        const team = row[columns.team];
+        const patch = {};
+        ['median', 'high', 'minutes'].forEach(part => {
+            if (columns[part] && toNumber(row[columns[part]]) !== null) {
+                patch[part] = row[columns[part]];
+            }
+        });
+
+        if (!name || !team || Object.keys(patch).length === 0) {
+            skipped++;
+            return;
+        }
+        mergeOverride(siteKey, name, team, patch);
+        imported++;
+    });
+
+    saveStore();
+    return { imported, skipped };
+}
+
+/**
+ * Row fields an override can change on a site's table
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @returns {string[]} Field names
+ */
+export function getProjectionFields(siteKey) {
+    const prefix = CONFIG.DFS.sites[siteKey].fieldPrefix;
+    return [...PROJECTION_STATS.map(stat => `${prefix} ${stat}`), ...Object.keys(RATIO_FIELDS), MINUTES_FIELD];
+}
+
+/**
+ * Apply the player's override to a DK/FD row in place (idempotent - the site values are kept in
+ * _projectionBase). Sets _overriddenFields to the fields that no longer hold the site value.
+ * @param {object} record - DK or FD row
+ * @param {string} siteKey - 'dk' | 'fd'
+ * @returns {boolean} True when the row has an override
+ */
+export function applyProjectionOverride(record, siteKey) {
+    const prefix = CONFIG.DFS.sites[siteKey].fieldPrefix;
+    const fields = getProjectionFields(siteKey);
+
+    if (!record._projectionBase) {
+        record._projectionBase = {};
+        fields.forEach(field => {
+            record._projectionBase[field] = record[field];
+        });
+    }
+    const base = record._projectionBase;
+    fields.forEach(field => {
+        record[field] = base[field];
+    });
+
+    const override = getProjectionOverride(siteKey, record["Player Name"], record["Player Team"]);
+    record._overriddenFields = [];
+    if (!override) return false;
+
+    const setField = (field, value) => {
+        if (value === null || !isFinite(value)) return;
+        record[field] = Math.round(value * 100) / 100;
+        record._overriddenFields.push(field);
+    };
+
+    const baseMinutes = toNumber(base[MINUTES_FIELD]);
+    const minutesFactor = override.minutes !== undefined && baseMinutes > 0 ? override.minutes / baseMinutes : 1;
+    if (override.minutes !== undefined) {
+        setField(MINUTES_FIELD, override.minutes);
+    }
+
+    PROJECTION_STATS.forEach(stat => {
+        const field = `${prefix} ${stat}`;
+        const explicit = stat === 'Median' ? override.median : stat === 'High' ? override.high : undefined;
+        if (explicit !== undefined) {
+            setField(field, explicit);
+        } else if (minutesFactor !== 1 && toNumber(base[field]) !== null) {
+            setField(field, toNumber(base[field]) * minutesFactor);
+        }
+    });
+
+    // Ratios move with the points at the same price; rows without a site ratio use points per $1K
+    Object.entries(RATIO_FIELDS).forEach(([ratioField, stat]) => {
+        const pointsField = `${prefix} ${stat}`;
+        if (!record._overriddenFields.includes(pointsField)) return;
+
+        const points = record[pointsField];
+        const basePoints = toNumber(base[pointsField]);
+        const baseRatio = toNumber(base[ratioField]);
+        const price = toNumber(record[`${prefix} Price`]);
+
+        if (baseRatio !== null && basePoints) {
+            setField(ratioField, baseRatio * points / basePoints);
+        } else if (price > 0) {
+            setField(ratioField, points / price * 1000);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Subscribe to override changes (edit, import, clear)
+ * @param {function} listener - Called with no arguments
+ * @returns {function} Unsubscribe function
+ */
+export function onProjectionOverridesChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export default {
+    getProjectionOverride,
+    setProjectionOverride,
+    countProjectionOverrides,
+    clearProjectionOverrides,
+    importProjectionCSV,
+    getProjectionFields,
+    applyProjectionOverride,
+    onProjectionOverridesChange
+};
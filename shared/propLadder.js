@@ -0,0 +1,119 @@
+// shared/propLadder.js - Alt-line ladder for one player + prop type
+// Pivots the Prop Odds rows (one per book/line/side) into one rung per line with every book's
+// price, the best price, and the clearance rate at that line from the Prop Clearances data.
+
+import { americanToDecimal, expectedValue, parseAmericanOdds } from './utils.js';
+import { getPropStatKey } from './grader.js';
+import { loadPlayerSource } from './playerProfile.js';
+
+function toLine(value) {
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+}
+
+function isSide(value, side) {
+    return String(value || '').toLowerCase().startsWith(side.toLowerCase());
+}
+
+function samePropType(a, b) {
+    const key = getPropStatKey(a);
+    return key !== null ? key === getPropStatKey(b) : String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+/**
+ * Splits available in a player's clearance rows, "Full Season" first
+ * @param {object[]} clearanceRows - Prop Clearances rows for the player and prop type
+ * @returns {string[]} Split names
+ */
+export function getLadderSplits(clearanceRows) {
+    const splits = [...new Set(clearanceRows.map(row => row["Split"]).filter(Boolean))];
+    return splits.sort((a, b) => (b === 'Full Season') - (a === 'Full Season') || a.localeCompare(b));
+}
+
+/**
+ * Build the ladder for one side of a prop
+ * @param {object[]} oddsRows - Prop Odds rows for the player and prop type
+ * @param {object[]} clearanceRows - Prop Clearances rows for the player and prop type
+ * @param {object} options - { side: 'Over' | 'Under', split }
+ * @returns {object} { books, rungs: [{ line, prices, best, bestBooks, clearance, games, ev }], bestRung }
+ */
+export function buildPropLadder(oddsRows, clearanceRows, options = {}) {
+    const side = options.side || 'Over';
+    const split = options.split || null;
+    const books = new Set();
+    const byLine = new Map();
+
+    oddsRows.forEach(row => {
+        const line = toLine(row["Player Prop Line"]);
+        const odds = parseAmericanOdds(row["Player Prop Odds"]);
+        const book = row["Player Book"];
+        if (line === null || odds === null || !book || !isSide(row["Player Over/Under"], side)) return;
+
+        books.add(book);
+        if (!byLine.has(line)) byLine.set(line, {});
+        const prices = byLine.get(line);
+        // A book listing the same line twice keeps its better price
+        if (prices[book] === undefined || americanToDecimal(odds) > americanToDecimal(prices[book])) {
+            prices[book] = odds;
+        }
+    });
+
+    const clearances = new Map();
+    clearanceRows.forEach(row => {
+        const line = toLine(row["Player Prop Value"]);
+        const clearance = parseFloat(row["Player Clearance"]);
+        if (line === null || isNaN(clearance) || (split && row["Split"] !== split)) return;
+        clearances.set(line, { clearance, games: row["Player Games"] });
+    });
+
+    const rungs = [...byLine.keys()].sort((a, b) => a - b).map(line => {
+        const prices = byLine.get(line);
+        const bestDecimal = Math.max(...Object.values(prices).map(americanToDecimal));
+        const bestBooks = Object.keys(prices).filter(book => americanToDecimal(prices[book]) === bestDecimal).sort();
+        const best = prices[bestBooks[0]];
+
+        const history = clearances.get(line);
+        const clearance = history ? (isSide(side, 'under') ? 1 - history.clearance : history.clearance) : null;
+
+        return {
+            line,
+            prices,
+            best,
+            bestBooks,
+            clearance,
+            games: history ? history.games : null,
+            ev: clearance !== null ? expectedValue(clearance, best) : null
+        };
+    });
+
+    const bestRung = rungs.reduce((top, rung) =>
+        rung.ev !== null && (top === null || rung.ev > top.ev) ? rung : top, null);
+
+    return { books: [...books].sort(), rungs, bestRung };
+}
+
+/**
+ * Load a player's odds and clearance rows for one prop type (prop names are matched by stat,
+ * so "Pts + Reb + Ast" on Prop Odds finds "PRA" on Prop Clearances)
+ * @param {string} playerName - Player name as shown in the tables
+ * @param {string} team - Team abbreviation (optional)
+ * @param {string} propType - "Player Prop Type" from the Prop Odds row
+ * @returns {Promise<object>} { odds, clearances }
+ */
+export async function loadPropLadder(playerName, team, propType) {
+    const [odds, clearances] = await Promise.all([
+        loadPlayerSource('odds', playerName, team),
+        loadPlayerSource('clearances', playerName, team)
+    ]);
+
+    return {
+        odds: odds.filter(row => samePropType(row["Player Prop Type"], propType)),
+        clearances: clearances.filter(row => samePropType(row["Player Prop"], propType))
+    };
+}
+
+export default {
+    getLadderSplits,
+    buildPropLadder,
+    loadPropLadder
+};
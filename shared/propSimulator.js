@@ -0,0 +1,330 @@
+// shared/propSimulator.js - Monte Carlo simulation of player prop outcomes
+// Each Prop Clearances row is fitted as minutes x per-minute rate: the centre comes from the
+// stat's Average (Median / Mode when missing), the spread from High - Low over the games played,
+// playing time from Median Minutes. The centre is then pulled toward the row's clearance history
+// (shrunk by CONFIG.SIMULATION.priorGames), and games are simulated with a gamma-Poisson draw.
+// Rows are seeded by row ID, so the "Sim %" column and the subtable histogram always agree.
+
+import { CONFIG } from './config.js';
+import { createModuleWorker } from './utils.js';
+
+const MAX_MINUTES = 48;
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = parseFloat(String(value).replace('%', ''));
+    return isFinite(num) ? num : null;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// FNV-1a hash of the row ID -> PRNG seed
+function hashString(str) {
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32 - small seeded PRNG, uniform in [0, 1)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function normalSample(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Marsaglia-Tsang; shape < 1 uses the boost gamma(shape + 1) * U^(1/shape)
+function gammaSample(shape, random) {
+    if (shape < 1) {
+        return gammaSample(shape + 1, random) * Math.pow(1 - random(), 1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x;
+        let v;
+        do {
+            x = normalSample(random);
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = random();
+        if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+        if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+}
+
+// Inversion for the rates a box score stat reaches; normal approximation beyond
+function poissonSample(lambda, random) {
+    if (lambda <= 0) return 0;
+    if (lambda > 500) {
+        return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * normalSample(random)));
+    }
+    const u = random();
+    let x = 0;
+    let p = Math.exp(-lambda);
+    let cumulative = p;
+    while (u > cumulative && x < 10000) {
+        x++;
+        p *= lambda / x;
+        cumulative += p;
+    }
+    return x;
+}
+
+// Abramowitz-Stegun 7.1.26
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+        Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Acklam's rational approximation of the standard normal quantile
+function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Expected High - Low of n normal draws, in standard deviations (Blom's approximation)
+function expectedRange(n) {
+    if (!n || n < 2) return null;
+    return 2 * normalQuantile((n - 0.375) / (n + 0.25));
+}
+
+/**
+ * Games behind a clearance row ("Player Games" may carry more than one count, e.g. "12/20")
+ * @param {*} value - "Player Games" value
+ * @returns {number} Games played (0 when unknown)
+ */
+export function parseGamesPlayed(value) {
+    const numbers = String(value ?? '').match(/\d+/g);
+    return numbers ? Math.max(...numbers.map(Number)) : 0;
+}
+
+/**
+ * Fit the simulation inputs for a Prop Clearances row
+ * @param {object} record - Clearance row
+ * @returns {object|null} { id, line, mean, sd, minutes, games } - null when the row has no usable stats
+ */
+export function fitPropInputs(record) {
+    const line = toNumber(record["Player Prop Value"]);
+    const center = toNumber(record["Player Prop Average"]) ??
+        toNumber(record["Player Prop Median"]) ??
+        toNumber(record["Player Prop Mode"]);
+    if (line === null || center === null || center < 0) return null;
+
+    const games = parseGamesPlayed(record["Player Games"]);
+    const high = toNumber(record["Player Prop High"]);
+    const low = toNumber(record["Player Prop Low"]);
+    const range = expectedRange(games);
+
+    // Spread from the observed range; without one assume 1.5x Poisson variance.
+    // A count stat is never tighter than Poisson.
+    let sd = high !== null && low !== null && high > low && range
+        ? (high - low) / range
+        : Math.sqrt(1.5 * center);
+    sd = Math.max(sd, Math.sqrt(center), 0.5);
+
+    // Pull the centre so P(over) at the row's line matches the clearance rate, shrunk toward
+    // the fitted distribution by priorGames
+    let mean = center;
+    const clearance = toNumber(record["Player Clearance"]);
+    if (clearance !== null && games > 0) {
+        const threshold = Math.floor(line) + 0.5; // Over = at least floor(line) + 1
+        const modelOver = 1 - normalCdf((threshold - center) / sd);
+        const priorGames = CONFIG.SIMULATION.priorGames;
+        const target = clamp((clearance * games + modelOver * priorGames) / (games + priorGames), 0.01, 0.99);
+        mean = Math.max(0, threshold - sd * normalQuantile(1 - target));
+    }
+
+    const minutes = toNumber(record["Player Median Minutes"]);
+    return {
+        id: String(record._rowId ?? `${record["Player Name"]}|${record["Player Prop"]}|${line}|${record["Split"]}`),
+        line,
+        mean,
+        sd,
+        minutes: minutes > 0 ? minutes : null,
+        games
+    };
+}
+
+/**
+ * Simulate one row
+ * @param {object} inputs - From fitPropInputs()
+ * @param {object} options - { draws, histogram } - histogram: also return counts per outcome
+ * @returns {object} { id, over, mean, sd, draws, histogram: number[] | null } - over is P(stat > line)
+ */
+export function simulateProp(inputs, { draws = CONFIG.SIMULATION.draws, histogram = false } = {}) {
+    const random = createRandom(hashString(inputs.id));
+    const counts = histogram ? [] : null;
+    let over = 0;
+
+    if (inputs.mean > 0) {
+        const minutes = inputs.minutes || 1;
+        const minutesSd = inputs.minutes ? inputs.minutes * CONFIG.SIMULATION.minutesCv : 0;
+        const rate = inputs.mean / minutes;
+
+        // Gamma noise on the rate covers the variance Poisson and minutes don't explain:
+        // Var = mean + rate^2 * ((m^2 + s^2)(1 + 1/shape) - m^2)
+        const extra = (minutes * minutes + Math.max(inputs.sd * inputs.sd - inputs.mean, 0) / (rate * rate)) /
+            (minutes * minutes + minutesSd * minutesSd) - 1;
+        const shape = extra > 1e-6 ? 1 / extra : null;
+
+        for (let i = 0; i < draws; i++) {
+            const played = minutesSd ? clamp(minutes + minutesSd * normalSample(random), 0, MAX_MINUTES) : minutes;
+            const lambda = rate * played * (shape ? gammaSample(shape, random) / shape : 1);
+            const outcome = poissonSample(lambda, random);
+            if (outcome > inputs.line) over++;
+            if (counts) counts[outcome] = (counts[outcome] || 0) + 1;
+        }
+    } else {
+        // Never records the stat - every game is a 0
+        if (inputs.line < 0) over = draws;
+        if (counts) counts[0] = draws;
+    }
+
+    return {
+        id: inputs.id,
+        over: over / draws,
+        mean: inputs.mean,
+        sd: inputs.sd,
+        draws,
+        histogram: counts ? Array.from(counts, count => count || 0) : null
+    };
+}
+
+/**
+ * P(outcome > line) from a simulated histogram, for any line
+ * @param {number[]} histogram - Counts per outcome (index = stat value)
+ * @param {number} line - Prop line
+ * @returns {number|null} Probability
+ */
+export function probabilityOver(histogram, line) {
+    if (!histogram || histogram.length === 0) return null;
+    let total = 0;
+    let over = 0;
+    histogram.forEach((count, value) => {
+        total += count;
+        if (value > line) over += count;
+    });
+    return total > 0 ? over / total : null;
+}
+
+/**
+ * Simulate many rows (used by the worker)
+ * @param {object[]} inputsList - From fitPropInputs()
+ * @param {function} onProgress - Optional, called with the fraction done
+ * @returns {object[]} [{ id, over, mean, sd }]
+ */
+export function simulateProps(inputsList, onProgress = null) {
+    const results = [];
+    inputsList.forEach((inputs, index) => {
+        const { id, over, mean, sd } = simulateProp(inputs);
+        results.push({ id, over, mean, sd });
+        if (onProgress && (index + 1) % 500 === 0) {
+            onProgress((index + 1) / inputsList.length);
+        }
+    });
+    return results;
+}
+
+/**
+ * Simulate rows in a Web Worker (falls back to the main thread when module workers are unavailable)
+ * @param {object[]} inputsList - From fitPropInputs()
+ * @param {function} onProgress - Optional progress callback
+ * @returns {object} { promise, cancel } - promise resolves to simulateProps() results
+ */
+export function runPropSimulation(inputsList, onProgress = null) {
+    let worker = null;
+    try {
+        worker = createModuleWorker(new URL('./propSimulatorWorker.js', import.meta.url));
+    } catch (error) {
+        console.warn('Prop simulation: Web Worker unavailable, running on the main thread', error);
+    }
+
+    if (!worker) {
+        let cancelled = false;
+        const promise = new Promise((resolve, reject) => {
+            setTimeout(() => {
+                if (cancelled) return reject(new Error('Cancelled'));
+                try {
+                    resolve(simulateProps(inputsList, onProgress));
+                } catch (error) {
+                    reject(error);
+                }
+            }, 0);
+        });
+        return { promise, cancel: () => { cancelled = true; } };
+    }
+
+    let rejectPromise = null;
+    const promise = new Promise((resolve, reject) => {
+        rejectPromise = reject;
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                if (onProgress) onProgress(message.progress);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.error));
+            }
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'Prop simulation worker failed'));
+        };
+        worker.postMessage({ inputsList });
+    });
+
+    return {
+        promise,
+        cancel: () => {
+            worker.terminate();
+            rejectPromise(new Error('Cancelled'));
+        }
+    };
+}
+
+export default {
+    parseGamesPlayed,
+    fitPropInputs,
+    simulateProp,
+    probabilityOver,
+    simulateProps,
+    runPropSimulation
+};
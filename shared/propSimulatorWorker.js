@@ -0,0 +1,16 @@
+// shared/propSimulatorWorker.js - Web Worker entry for the prop outcome simulation
+// Started by runPropSimulation() (shared/propSimulator.js) as a module worker; one job per worker.
+
+import { simulateProps } from './propSimulator.js';
+
+self.onmessage = (e) => {
+    const { inputsList } = e.data;
+    try {
+        const result = simulateProps(inputsList, progress => {
+            self.postMessage({ type: 'progress', progress });
+        });
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', error: error.message });
+    }
+};
@@ -0,0 +1,169 @@
+// shared/realtimeClient.js - Minimal Supabase Realtime (Phoenix channel) client
+// Subscribes to INSERT/UPDATE/DELETE on one table and hands normalized changes to a callback.
+// The socket is created through a pluggable transport so a mock WebSocket server can be used
+// for local testing, e.g. setDefaultTransport(url => new WebSocket('ws://localhost:4000')).
+
+import { CONFIG } from './config.js';
+
+// Default transport: a browser WebSocket to the given URL
+let defaultTransport = (url) => new WebSocket(url);
+
+/**
+ * Replace the transport used by channels that don't pass their own
+ * @param {function} transport - (url) => WebSocket-compatible object
+ */
+export function setDefaultTransport(transport) {
+    defaultTransport = transport;
+}
+
+/**
+ * Build the Supabase Realtime websocket URL
+ * @returns {string} Websocket URL including API key and protocol version
+ */
+export function getRealtimeUrl() {
+    const base = CONFIG.REALTIME.url;
+    return `${base}?apikey=${encodeURIComponent(CONFIG.SUPABASE_ANON_KEY)}&vsn=1.0.0`;
+}
+
+export class RealtimeChannel {
+    /**
+     * @param {string} table - Supabase table to listen on (public schema)
+     * @param {object} options - { transport, url, heartbeatInterval, reconnectDelay }
+     */
+    constructor(table, options = {}) {
+        this.table = table;
+        this.topic = `realtime:public:${table}`;
+        this.transport = options.transport || null;
+        this.url = options.url || getRealtimeUrl();
+        this.heartbeatInterval = options.heartbeatInterval || CONFIG.REALTIME.heartbeatInterval;
+        this.reconnectDelay = options.reconnectDelay || CONFIG.REALTIME.reconnectDelay;
+
+        this.socket = null;
+        this.onChange = null;
+        this.ref = 0;
+        this.heartbeatTimer = null;
+        this.reconnectTimer = null;
+        this.closedByUser = false;
+    }
+
+    // Open the socket and join the channel
+    subscribe(onChange) {
+        this.onChange = onChange;
+        this.closedByUser = false;
+        this.connect();
+        return this;
+    }
+
+    // Leave the channel and close the socket for good
+    unsubscribe() {
+        this.closedByUser = true;
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.reconnectTimer);
+
+        if (this.socket) {
+            try {
+                this.send(this.topic, 'phx_leave', {});
+                this.socket.close();
+            } catch (error) {
+                console.warn(`Realtime: error closing channel for ${this.table}:`, error);
+            }
+            this.socket = null;
+        }
+    }
+
+    connect() {
+        const transport = this.transport || defaultTransport;
+
+        try {
+            this.socket = transport(this.url);
+        } catch (error) {
+            console.error(`Realtime: could not open socket for ${this.table}:`, error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.socket.onopen = () => {
+            console.log(`Realtime: connected, joining ${this.topic}`);
+            this.send(this.topic, 'phx_join', {
+                config: {
+                    postgres_changes: [
+                        { event: '*', schema: 'public', table: this.table }
+                    ]
+                },
+                access_token: CONFIG.SUPABASE_ANON_KEY
+            });
+
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = setInterval(() => {
+                this.send('phoenix', 'heartbeat', {});
+            }, this.heartbeatInterval);
+        };
+
+        this.socket.onmessage = (event) => {
+            this.handleMessage(event.data);
+        };
+
+        this.socket.onerror = (error) => {
+            console.error(`Realtime: socket error for ${this.table}:`, error);
+        };
+
+        this.socket.onclose = () => {
+            clearInterval(this.heartbeatTimer);
+            if (!this.closedByUser) {
+                console.log(`Realtime: connection to ${this.table} closed, reconnecting...`);
+                this.scheduleReconnect();
+            }
+        };
+    }
+
+    scheduleReconnect() {
+        if (this.closedByUser) return;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    }
+
+    send(topic, event, payload) {
+        if (!this.socket || this.socket.readyState !== 1) return;
+        this.ref++;
+        this.socket.send(JSON.stringify({ topic, event, payload, ref: String(this.ref) }));
+    }
+
+    // Normalize a postgres_changes message to { type, record, oldRecord }
+    handleMessage(raw) {
+        let message;
+        try {
+            message = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+            console.warn('Realtime: ignoring malformed message', raw);
+            return;
+        }
+
+        if (!message || message.topic !== this.topic || message.event !== 'postgres_changes') {
+            return;
+        }
+
+        const data = message.payload && message.payload.data;
+        if (!data || !data.type) return;
+
+        const change = {
+            type: data.type,
+            record: data.record || null,
+            oldRecord: data.old_record || null,
+            commitTimestamp: data.commit_timestamp || null
+        };
+
+        if (this.onChange) {
+            try {
+                this.onChange(change);
+            } catch (error) {
+                console.error(`Realtime: error applying change for ${this.table}:`, error);
+            }
+        }
+    }
+}
+
+export default {
+    RealtimeChannel,
+    setDefaultTransport,
+    getRealtimeUrl
+};
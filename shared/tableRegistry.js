@@ -0,0 +1,155 @@
+// shared/tableRegistry.js - Declarative tab/table registry
+// Single source of truth for the tab bar: main.js builds the tab buttons, table containers
+// and table instances from TABLE_REGISTRY, and TabManager resolves containers from it.
+// To add, reorder or hide a tab, edit the registry only - no bootstrap code changes needed.
+
+import { BasketMatchupsTable } from '../tables/basketMatchups.js';
+import { BasketPlayerPropClearancesTable } from '../tables/basketPlayerPropClearances.js';
+import { BasketPlayerDDTDTable } from '../tables/basketPlayerDDTD.js';
+import { BasketPlayerPropOddsTable } from '../tables/basketPlayerPropOdds.js';
+import { BasketGameOddsTable } from '../tables/basketGameOdds.js';
+import { BasketPlayerDKTable } from '../tables/basketPlayerDK.js';
+import { BasketPlayerFDTable } from '../tables/basketPlayerFD.js';
+import { BasketDfsOptimizerTable } from '../tables/basketDfsOptimizer.js';
+
+/**
+ * Registered tabs, in display order.
+ * - id: tab ID used by TabManager (container ID is `${id}-container`)
+ * - label: tab button text
+ * - TableClass: BaseTable subclass to instantiate
+ * - elementId: ID of the element Tabulator renders into
+ * - endpoint: Supabase table the instance reads from
+ * - active: true for the tab shown on load (first enabled tab if none is flagged)
+ * - hidden: true to leave the tab out entirely
+ */
+export const TABLE_REGISTRY = [
+    {
+        id: 'table0',
+        label: 'Matchups',
+        TableClass: BasketMatchupsTable,
+        elementId: 'matchups-table',
+        endpoint: 'BasketMatchupsGame',
+        active: true
+    },
+    {
+        id: 'table1',
+        label: 'Prop Clearances',
+        TableClass: BasketPlayerPropClearancesTable,
+        elementId: 'prop-clearances-table',
+        endpoint: 'BasketPlayerPropClearances'
+    },
+    {
+        id: 'table2',
+        label: 'DD-TD Clearances',
+        TableClass: BasketPlayerDDTDTable,
+        elementId: 'ddtd-clearances-table',
+        endpoint: 'BasketPlayerDDTD'
+    },
+    {
+        id: 'table3',
+        label: 'Prop Odds',
+        TableClass: BasketPlayerPropOddsTable,
+        elementId: 'prop-odds-table',
+        endpoint: 'BasketPlayerPropOdds'
+    },
+    {
+        id: 'table4',
+        label: 'Game Odds',
+        TableClass: BasketGameOddsTable,
+        elementId: 'game-odds-table',
+        endpoint: 'BasketGameOdds'
+    },
+    {
+        id: 'table5',
+        label: 'DraftKings DFS',
+        TableClass: BasketPlayerDKTable,
+        elementId: 'dk-dfs-table',
+        endpoint: 'BasketPlayerDK'
+    },
+    {
+        id: 'table6',
+        label: 'FanDuel DFS',
+        TableClass: BasketPlayerFDTable,
+        elementId: 'fd-dfs-table',
+        endpoint: 'BasketPlayerFD'
+    },
+    {
+        id: 'table7',
+        label: 'DFS Optimizer',
+        TableClass: BasketDfsOptimizerTable,
+        elementId: 'dfs-optimizer-table',
+        endpoint: 'BasketDfsOptimizer' // No Supabase table - the pool is read from BasketPlayerDK / BasketPlayerFD
+    }
+];
+
+/**
+ * Get the enabled registry entries in display order
+ * @param {string[]|null} tabIds - Optional list of tab IDs to restrict (and order) the tabs,
+ *                                 e.g. from a trimmed embed's data-tabs attribute
+ * @returns {object[]} Registry entries
+ */
+export function getRegisteredTabs(tabIds = null) {
+    const visible = TABLE_REGISTRY.filter(entry => !entry.hidden);
+
+    if (!tabIds || tabIds.length === 0) {
+        return visible;
+    }
+
+    return tabIds
+        .map(id => visible.find(entry => entry.id === id))
+        .filter(Boolean);
+}
+
+/**
+ * Look up a registry entry by tab ID
+ * @param {string} tabId - Tab ID (e.g., "table3")
+ * @returns {object|null} Registry entry
+ */
+export function getTabEntry(tabId) {
+    return TABLE_REGISTRY.find(entry => entry.id === tabId) || null;
+}
+
+/**
+ * Get the container element ID for a tab
+ * @param {string} tabId - Tab ID
+ * @returns {string} Container element ID
+ */
+export function getContainerId(tabId) {
+    return `${tabId}-container`;
+}
+
+/**
+ * Get the tab that should be active on load
+ * @param {string[]} tabIds - Enabled tab IDs in display order
+ * @returns {string|null} Default tab ID
+ */
+export function getDefaultTabId(tabIds) {
+    if (!tabIds || tabIds.length === 0) return null;
+
+    const flagged = tabIds.find(id => {
+        const entry = getTabEntry(id);
+        return entry && entry.active;
+    });
+
+    return flagged || tabIds[0];
+}
+
+/**
+ * Parse a comma-separated tab list (e.g., data-tabs="table1,table3")
+ * @param {string} value - Attribute value
+ * @returns {string[]|null} Tab IDs, or null when not set
+ */
+export function parseTabList(value) {
+    if (!value) return null;
+    const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+    return ids.length > 0 ? ids : null;
+}
+
+export default {
+    TABLE_REGISTRY,
+    getRegisteredTabs,
+    getTabEntry,
+    getContainerId,
+    getDefaultTabId,
+    parseTabList
+};
@@ -0,0 +1,97 @@
+// shared/urlState.js - Shareable view state in the URL hash
+// Encodes the active tab plus the active table's header filters, sort and expanded rows as
+// #tab=table3&filters=[...]&sort=[...]&expanded=[...] (JSON values, URI-encoded), so a pasted
+// link reopens the same slice. Tab switches push history entries; filter/sort/expand changes
+// replace the current one.
+
+const STATE_KEYS = ['filters', 'sort', 'expanded'];
+
+/**
+ * Encode a view state as a URL hash
+ * @param {object} state - { tab, filters: [{field, value}], sort: [{field, dir}], expanded: [rowId] }
+ * @returns {string} Hash including the leading "#"
+ */
+export function encodeUrlState(state) {
+    const params = new URLSearchParams();
+    if (state.tab) params.set('tab', state.tab);
+
+    STATE_KEYS.forEach(key => {
+        if (Array.isArray(state[key]) && state[key].length > 0) {
+            params.set(key, JSON.stringify(state[key]));
+        }
+    });
+
+    return `#${params.toString()}`;
+}
+
+/**
+ * Decode a URL hash produced by encodeUrlState
+ * @param {string} hash - location.hash
+ * @returns {object|null} { tab, filters, sort, expanded } or null when the hash has no tab.
+ *                        A missing sort stays undefined so the table keeps its initial sort.
+ */
+export function decodeUrlState(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const tab = params.get('tab');
+    if (!tab) return null;
+
+    const state = { tab };
+    STATE_KEYS.forEach(key => {
+        const raw = params.get(key);
+        if (key !== 'sort') state[key] = [];
+        if (!raw) return;
+
+        try {
+            const value = JSON.parse(raw);
+            if (Array.isArray(value)) state[key] = value;
+        } catch (error) {
+            console.warn(`URL state: ignoring malformed "${key}" value`);
+        }
+    });
+
+    return state;
+}
+
+/**
+ * Read the view state from the current URL
+ * @returns {object|null} Decoded state
+ */
+export function readUrlState() {
+    return decodeUrlState(window.location.hash);
+}
+
+/**
+ * Write a view state to the URL without reloading
+ * @param {object} state - View state (see encodeUrlState)
+ * @param {object} options - { push: true to add a history entry instead of replacing }
+ */
+export function writeUrlState(state, { push = false } = {}) {
+    const hash = encodeUrlState(state);
+    if (hash === window.location.hash) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (push) {
+        window.history.pushState(null, '', url);
+    } else {
+        window.history.replaceState(null, '', url);
+    }
+}
+
+/**
+ * Listen for back/forward navigation and manual hash edits
+ * @param {function} callback - Receives the decoded state (or null)
+ * @returns {function} Unsubscribe function
+ */
+export function onUrlStateChange(callback) {
+    const handler = () => callback(readUrlState());
+    window.addEventListener('popstate', handler);
+    return () => window.removeEventListener('popstate', handler);
+}
+
+export default {
+    encodeUrlState,
+    decodeUrlState,
+    readUrlState,
+    writeUrlState,
+    onUrlStateChange
+};
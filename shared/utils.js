@@ -173,6 +173,315 @@ export function formatOddsWithBook(value) {
     return formatOdds(str);
 }
 
+/**
+ * Parse American odds to a number
+ * @param {number|string} value - Odds value (e.g., "+150", "-110", "-110 (DraftKings)")
+ * @returns {number|null} Numeric odds or null when not parseable
+ */
+export function parseAmericanOdds(value) {
+    if (value === null || value === undefined || value === '' || value === '-') return null;
+    const num = parseInt(String(value).trim(), 10);
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * Convert American odds to implied probability
+ * @param {number|string} value - American odds (e.g., "-110", "+150")
+ * @returns {number|null} Probability between 0 and 1, or null when not parseable
+ */
+export function americanToImpliedProbability(value) {
+    const odds = parseAmericanOdds(value);
+    if (odds === null || odds === 0) return null;
+    return odds < 0 ? -odds / (-odds + 100) : 100 / (odds + 100);
+}
+
+/**
+ * Convert American odds to decimal odds
+ * @param {number|string} value - American odds
+ * @returns {number|null} Decimal odds (e.g., -110 -> 1.909), or null when not parseable
+ */
+export function americanToDecimal(value) {
+    const odds = parseAmericanOdds(value);
+    if (odds === null || odds === 0) return null;
+    return odds < 0 ? 1 + 100 / -odds : 1 + odds / 100;
+}
+
+/**
+ * Convert a probability to American odds
+ * @param {number} probability - Probability between 0 and 1 (exclusive)
+ * @returns {number|null} Rounded American odds, or null when out of range
+ */
+export function probabilityToAmerican(probability) {
+    if (probability === null || probability === undefined || isNaN(probability)) return null;
+    if (probability <= 0 || probability >= 1) return null;
+    return probability >= 0.5
+        ? Math.round(-100 * probability / (1 - probability))
+        : Math.round(100 * (1 - probability) / probability);
+}
+
+/**
+ * Remove the vig from a two-way market
+ * @param {number|string} overOdds - American odds for one side
+ * @param {number|string} underOdds - American odds for the other side
+ * @returns {object|null} { over, under, vig } fair probabilities and bookmaker margin, or null
+ */
+export function removeVig(overOdds, underOdds) {
+    const over = americanToImpliedProbability(overOdds);
+    const under = americanToImpliedProbability(underOdds);
+    if (over === null || under === null) return null;
+    
+    const total = over + under;
+    return { over: over / total, under: under / total, vig: total - 1 };
+}
+
+/**
+ * Expected value of a 1-unit bet
+ * @param {number} probability - Win probability between 0 and 1
+ * @param {number|string} odds - American odds taken
+ * @returns {number|null} Expected profit per unit staked (0.05 = +5%), or null
+ */
+export function expectedValue(probability, odds) {
+    const decimal = americanToDecimal(odds);
+    if (decimal === null || probability === null || probability === undefined || isNaN(probability)) return null;
+    return probability * decimal - 1;
+}
+
+/**
+ * Full-Kelly fraction of bankroll for a bet
+ * @param {number} probability - Win probability between 0 and 1
+ * @param {number|string} odds - American odds taken
+ * @returns {number|null} Fraction of bankroll (negative when there is no edge), or null
+ */
+export function kellyFraction(probability, odds) {
+    const decimal = americanToDecimal(odds);
+    if (decimal === null || probability === null || probability === undefined || isNaN(probability)) return null;
+    return (probability * decimal - 1) / (decimal - 1);
+}
+
+/**
+ * Build an inline SVG sparkline
+ * @param {Array<number|null>} values - Series values (nulls are skipped)
+ * @param {object} options - { width, height, color }
+ * @returns {string} SVG markup, or empty string with fewer than two points
+ */
+export function createSparkline(values, options = {}) {
+    const width = options.width || 120;
+    const height = options.height || 28;
+    const color = options.color || '#f97316';
+    const PAD = 3;
+    
+    const points = values
+        .map((value, index) => ({ index, value }))
+        .filter(point => point.value !== null && point.value !== undefined && !isNaN(point.value));
+    if (points.length < 2) return '';
+    
+    const min = Math.min(...points.map(p => p.value));
+    const max = Math.max(...points.map(p => p.value));
+    const range = max - min || 1;
+    const lastIndex = values.length - 1 || 1;
+    
+    const coords = points.map(p => {
+        const x = PAD + (p.index / lastIndex) * (width - PAD * 2);
+        const y = max === min ? height / 2 : PAD + (1 - (p.value - min) / range) * (height - PAD * 2);
+        return [x.toFixed(1), y.toFixed(1)];
+    });
+    const [lastX, lastY] = coords[coords.length - 1];
+    
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block;">` +
+        `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${coords.map(c => c.join(',')).join(' ')}"/>` +
+        `<circle cx="${lastX}" cy="${lastY}" r="2.5" fill="${color}"/>` +
+        `</svg>`;
+}
+
+/**
+ * Build an inline SVG histogram of counts per integer outcome, with bars above a line highlighted
+ * @param {number[]} counts - Counts per outcome (index = value)
+ * @param {object} options - { width, height, line, color, overColor }
+ * @returns {string} SVG markup, or empty string when there are no counts
+ */
+export function createHistogram(counts, options = {}) {
+    const width = options.width || 220;
+    const height = options.height || 70;
+    const color = options.color || '#d1d5db';
+    const overColor = options.overColor || '#f97316';
+    const line = options.line ?? null;
+    const PAD = 2;
+    const LABEL_HEIGHT = 12;
+    
+    const total = (counts || []).reduce((sum, count) => sum + count, 0);
+    if (total === 0) return '';
+    
+    // Trim the empty tails (values nobody reached in 0.1% of draws)
+    let first = counts.findIndex(count => count / total >= 0.001);
+    let last = counts.length - 1;
+    while (last > first && counts[last] / total < 0.001) last--;
+    if (first < 0) first = 0;
+    
+    const bins = last - first + 1;
+    const barWidth = (width - PAD * 2) / bins;
+    const max = Math.max(...counts.slice(first, last + 1));
+    const plotHeight = height - LABEL_HEIGHT - PAD;
+    
+    const bars = [];
+    for (let value = first; value <= last; value++) {
+        const barHeight = (counts[value] || 0) / max * plotHeight;
+        const x = PAD + (value - first) * barWidth;
+        const fill = line !== null && value > line ? overColor : color;
+        const percent = ((counts[value] || 0) / total * 100).toFixed(1);
+        bars.push(`<rect x="${x.toFixed(1)}" y="${(PAD + plotHeight - barHeight).toFixed(1)}" width="${Math.max(barWidth - 1, 1).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${fill}"><title>${value}: ${percent}%</title></rect>`);
+    }
+    
+    let marker = '';
+    if (line !== null && line >= first - 1 && line <= last + 1) {
+        // Between the last bar at or under the line and the first bar over it
+        const x = PAD + (Math.floor(line) + 1 - first) * barWidth;
+        marker = `<line x1="${x.toFixed(1)}" x2="${x.toFixed(1)}" y1="${PAD}" y2="${PAD + plotHeight}" stroke="#333" stroke-width="1" stroke-dasharray="3,2"/>`;
+    }
+    
+    const labelY = height - 2;
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block;">` +
+        bars.join('') + marker +
+        `<text x="${PAD}" y="${labelY}" font-size="10" fill="#666">${first}</text>` +
+        `<text x="${width - PAD}" y="${labelY}" font-size="10" fill="#666" text-anchor="end">${last}</text>` +
+        `</svg>`;
+}
+
+/**
+ * Parse CSV text into row objects keyed by the header row
+ * Handles quoted fields with commas, escaped quotes ("") and CRLF line endings.
+ * @param {string} text - CSV text
+ * @returns {object[]} Rows
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    const [header, ...body] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) return [];
+    
+    const keys = header.map(key => key.trim());
+    return body.map(values => {
+        const record = {};
+        keys.forEach((key, index) => {
+            record[key] = values[index] !== undefined ? values[index].trim() : '';
+        });
+        return record;
+    });
+}
+
+/**
+ * Normalize a player name for matching across sources
+ * (case, accents, punctuation and extra spaces are ignored: "Luka Dončić" -> "luka doncic")
+ * @param {string} name - Player name
+ * @returns {string} Normalized name
+ */
+export function normalizePlayerName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9 ]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Serialize rows as CSV (fields with commas, quotes or newlines are quoted)
+ * @param {string[]} headers - Header row
+ * @param {Array[]} rows - Rows as arrays of values, in header order
+ * @returns {string} CSV text
+ */
+export function toCSV(headers, rows) {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const str = String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return [headers, ...rows].map(row => row.map(escape).join(',')).join('\n');
+}
+
+/**
+ * Escape text for use in HTML markup (element content and quoted attributes)
+ * @param {*} value - Value to escape (null/undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[ch]));
+}
+
+/**
+ * Download text content as a file
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Start a module Web Worker. Worker scripts must be same-origin, and the modules may be served
+ * from a CDN (jsDelivr), so a cross-origin script is started through a same-origin Blob worker
+ * that just imports it (the CDN sends CORS headers, which module imports need).
+ * @param {URL} url - Worker module, e.g. new URL('./worker.js', import.meta.url)
+ * @returns {Worker} Worker
+ */
+export function createModuleWorker(url) {
+    if (url.origin === window.location.origin) {
+        return new Worker(url, { type: 'module' });
+    }
+
+    const blob = new Blob([`import ${JSON.stringify(url.href)};`], { type: 'text/javascript' });
+    const blobUrl = URL.createObjectURL(blob);
+    const worker = new Worker(blobUrl, { type: 'module' });
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+    return worker;
+}
+
 /**
  * Debounce function execution
  * @param {function} func - Function to debounce
@@ -235,6 +544,21 @@ export default {
     getPlayerLocation,
     formatOdds,
     formatOddsWithBook,
+    parseAmericanOdds,
+    americanToImpliedProbability,
+    americanToDecimal,
+    probabilityToAmerican,
+    removeVig,
+    expectedValue,
+    kellyFraction,
+    createSparkline,
+    createHistogram,
+    parseCSV,
+    normalizePlayerName,
+    toCSV,
+    escapeHtml,
+    downloadFile,
+    createModuleWorker,
     debounce,
     throttle,
     removeLeadingZeroFromValue
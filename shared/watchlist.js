@@ -0,0 +1,407 @@
+// shared/watchlist.js - Watched rows with threshold alerts
+// A watch is one table row + one field (e.g. "Player Best Over Odds") with an optional condition
+// ("above -115", "below 60%"). Watches live in the watchlist IndexedDB store (see cacheManager.js)
+// and are mirrored in memory like the bet slip. Every fetch of a table's rows (full, delta or
+// realtime - BaseTable.notifyRecordsFetched) re-evaluates its watches; a watch fires once when its
+// condition becomes true and re-arms when it stops being true.
+// A player watch (playerKey instead of source/rowId) covers every row of one player in any table
+// that has the watched field, matched by normalized name and team (lineupAlerts.getPlayerKey).
+
+import { CONFIG } from './config.js';
+import { cacheManager } from './cacheManager.js';
+import { parseAmericanOdds, formatOdds } from './utils.js';
+import { getPlayerKey } from './lineupAlerts.js';
+
+const watches = new Map();
+const listeners = new Set();
+const triggerListeners = new Set();
+let loadPromise = null;
+let settings = loadSettings();
+
+export const WATCH_OPERATORS = {
+    above: 'above',
+    below: 'below'
+};
+
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.WATCHLIST.settingsKey) || 'null');
+        return { notify: false, ...(stored || {}) };
+    } catch (error) {
+        console.warn('Could not read watchlist settings, using defaults:', error);
+        return { notify: false };
+    }
+}
+
+function notify() {
+    const current = getWatches();
+    listeners.forEach(listener => {
+        try {
+            listener(current);
+        } catch (error) {
+            console.error('Error in watchlist listener:', error);
+        }
+    });
+}
+
+function notifyTriggered(triggered) {
+    triggerListeners.forEach(listener => {
+        try {
+            listener(triggered);
+        } catch (error) {
+            console.error('Error in watchlist trigger listener:', error);
+        }
+    });
+
+    if (!settings.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    triggered.forEach(watch => {
+        try {
+            const where = watch.matchLabel ? ` (${watch.matchLabel})` : '';
+            new Notification(watch.label, {
+                body: `${describeCondition(watch)} - now ${formatWatchValue(watch.value, watch.type)}${where}`,
+                tag: watch.id
+            });
+        } catch (error) {
+            console.warn('Could not show watchlist notification:', error);
+        }
+    });
+}
+
+/**
+ * Load watches from IndexedDB (once per page)
+ * @returns {Promise<object[]>} Watches, newest first
+ */
+export function loadWatches() {
+    if (!loadPromise) {
+        loadPromise = cacheManager.getAllWatches()
+            .then(stored => {
+                stored.forEach(watch => watches.set(watch.id, watch));
+                notify();
+                return getWatches();
+            })
+            .catch(error => {
+                console.error('Could not load watchlist:', error);
+                return [];
+            });
+    }
+    return loadPromise;
+}
+
+/**
+ * Current watches, newest first
+ * @returns {object[]} Watches
+ */
+export function getWatches() {
+    return Array.from(watches.values()).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Watches on one table row
+ * @param {string} source - Table endpoint
+ * @param {string} rowId - Row _rowId
+ * @returns {object[]} Watches
+ */
+export function getRowWatches(source, rowId) {
+    return getWatches().filter(watch => watch.source === source && watch.rowId === rowId);
+}
+
+/**
+ * Build a watch id - one watch per table row and field
+ * @param {string} source - Table endpoint
+ * @param {string} rowId - Row _rowId
+ * @param {string} field - Watched field
+ * @returns {string} Watch id
+ */
+export function createWatchId(source, rowId, field) {
+    return `${source}|${rowId}|${field}`;
+}
+
+/**
+ * Watches on one player, across every table
+ * @param {string} playerKey - From getPlayerKey()
+ * @returns {object[]} Watches
+ */
+export function getPlayerWatches(playerKey) {
+    return getWatches().filter(watch => watch.playerKey === playerKey);
+}
+
+/**
+ * Build a player watch id - one watch per player and field
+ * @param {string} playerKey - From getPlayerKey()
+ * @param {string} field - Watched field
+ * @returns {string} Watch id
+ */
+export function createPlayerWatchId(playerKey, field) {
+    return `player|${playerKey}|${field}`;
+}
+
+/**
+ * A row value in the units thresholds are entered in
+ * @param {*} raw - Cell value
+ * @param {string} type - 'odds' (American), 'percent' (stored as a 0-1 fraction) or 'number'
+ * @returns {number|null} Value, or null when missing
+ */
+export function toWatchValue(raw, type) {
+    if (raw === null || raw === undefined || raw === '') return null;
+    if (type === 'odds') return parseAmericanOdds(raw);
+
+    const num = parseFloat(String(raw).replace('%', ''));
+    if (isNaN(num)) return null;
+    return type === 'percent' ? Math.round(num * 1000) / 10 : num;
+}
+
+export function formatWatchValue(value, type) {
+    if (value === null || value === undefined) return '-';
+    if (type === 'odds') return formatOdds(value);
+    if (type === 'percent') return `${value.toFixed(1)}%`;
+    return String(value);
+}
+
+/**
+ * Whether a watch's condition holds for a value (watches without a threshold never fire)
+ * @param {object} watch - { operator, threshold }
+ * @param {number|null} value - Current value
+ * @returns {boolean}
+ */
+export function isConditionMet(watch, value) {
+    if (value === null || value === undefined || watch.threshold === null || watch.threshold === undefined) return false;
+    return watch.operator === WATCH_OPERATORS.below ? value < watch.threshold : value > watch.threshold;
+}
+
+/**
+ * Condition as text, e.g. "Best Over odds above -115"
+ * @param {object} watch - Watch
+ * @returns {string}
+ */
+export function describeCondition(watch) {
+    if (watch.threshold === null || watch.threshold === undefined) return `${watch.fieldLabel} (no alert)`;
+    return `${watch.fieldLabel} ${watch.operator} ${formatWatchValue(watch.threshold, watch.type)}`;
+}
+
+// A player watch's value is its best matched row for the condition - the highest when
+// alerting above a threshold, the lowest when alerting below
+function summarizePlayerWatch(watch) {
+    const matches = Object.values(watch.matches || {}).filter(match => match.value !== null);
+    if (matches.length === 0) {
+        return { ...watch, value: watch.value ?? null, matchLabel: watch.matchLabel ?? null };
+    }
+
+    const best = matches.reduce((a, b) => {
+        const better = watch.operator === WATCH_OPERATORS.below ? b.value < a.value : b.value > a.value;
+        return better ? b : a;
+    });
+    return { ...watch, value: best.value, matchLabel: best.label };
+}
+
+/**
+ * Add (or replace) a watch. It starts armed only if its condition doesn't already hold,
+ * so adding a watch never fires immediately.
+ * @param {object} watch - { id, source, rowId, label, field, fieldLabel, type, operator, threshold, value },
+ *   or { id, playerKey, ... } without source/rowId for a player watch
+ * @returns {Promise<object>} Stored watch
+ */
+export async function addWatch(watch) {
+    const stored = {
+        ...watch,
+        operator: watch.operator || WATCH_OPERATORS.above,
+        threshold: watch.threshold ?? null,
+        value: watch.value ?? null,
+        matchLabel: watch.matchLabel ?? null,
+        triggered: isConditionMet(watch, watch.value),
+        triggeredAt: null,
+        checkedAt: Date.now(),
+        createdAt: watch.createdAt || Date.now()
+    };
+
+    watches.set(stored.id, stored);
+    notify();
+    await cacheManager.putWatch(stored);
+    return stored;
+}
+
+/**
+ * Edit a watch's condition; it re-arms against the last seen value
+ * @param {string} id - Watch id
+ * @param {object} changes - { operator?, threshold? }
+ */
+export async function updateWatch(id, changes) {
+    const watch = watches.get(id);
+    if (!watch) return;
+
+    // A player watch's best row depends on the operator
+    const updated = watch.playerKey ? summarizePlayerWatch({ ...watch, ...changes }) : { ...watch, ...changes };
+    updated.triggered = isConditionMet(updated, updated.value);
+    watches.set(id, updated);
+    notify();
+    await cacheManager.putWatch(updated);
+}
+
+export async function removeWatch(id) {
+    if (!watches.has(id)) return;
+    watches.delete(id);
+    notify();
+    await cacheManager.deleteWatch(id);
+}
+
+export async function clearWatches() {
+    const ids = Array.from(watches.keys());
+    watches.clear();
+    notify();
+    await Promise.all(ids.map(id => cacheManager.deleteWatch(id)));
+}
+
+// Rows grouped by player key, built only when there are player watches to check
+function groupByPlayer(records) {
+    const rows = new Map();
+    records.forEach(record => {
+        if (!record["Player Name"]) return;
+        const key = getPlayerKey(record["Player Name"], record["Player Team"]);
+        rows.set(key, [...(rows.get(key) || []), record]);
+    });
+    return rows;
+}
+
+// A player watch keeps the value of each matched row (keyed by source and _rowId) so delta and
+// realtime fetches, which only carry changed rows, update their rows without losing the others.
+// A full fetch replaces everything the watch had from that source.
+function evaluatePlayerWatch(watch, source, rows, options) {
+    const matched = rows.filter(record => record[watch.field] !== undefined);
+    const prefix = `${source}|`;
+    const matches = { ...(watch.matches || {}) };
+    const hadSource = Object.keys(matches).some(key => key.startsWith(prefix));
+    if (matched.length === 0 && !(options.full && hadSource)) return null;
+
+    if (options.full) {
+        Object.keys(matches).filter(key => key.startsWith(prefix)).forEach(key => delete matches[key]);
+    }
+    matched.forEach(record => {
+        matches[`${prefix}${record._rowId}`] = {
+            value: toWatchValue(record[watch.field], watch.type),
+            label: options.getLabel ? options.getLabel(record) : record["Player Name"]
+        };
+    });
+    return summarizePlayerWatch({ ...watch, matches });
+}
+
+/**
+ * Re-evaluate watches against freshly fetched rows: the table's row watches and every
+ * player watch on a player in the rows
+ * @param {string} source - Table endpoint the rows came from
+ * @param {object[]} records - Rows with _rowId
+ * @param {object} [options] - { full: the rows are the whole table, getLabel(record): row description }
+ * @returns {Promise<object[]>} Watches that fired
+ */
+export async function evaluateWatches(source, records, options = {}) {
+    await loadWatches();
+    const active = getWatches().filter(watch => watch.source === source || watch.playerKey);
+    if (active.length === 0) return [];
+
+    const byRowId = new Map(records.map(record => [record._rowId, record]));
+    const byPlayer = active.some(watch => watch.playerKey) ? groupByPlayer(records) : null;
+    const changed = [];
+    const triggered = [];
+    const now = Date.now();
+
+    active.forEach(watch => {
+        let next;
+        if (watch.playerKey) {
+            next = evaluatePlayerWatch(watch, source, byPlayer.get(watch.playerKey) || [], options);
+        } else {
+            const record = byRowId.get(watch.rowId);
+            next = record ? { ...watch, value: toWatchValue(record[watch.field], watch.type) } : null;
+        }
+        if (!next) return;
+
+        const met = isConditionMet(next, next.value);
+        const updated = { ...next, checkedAt: now, triggered: met };
+        if (met && !watch.triggered) {
+            updated.triggeredAt = now;
+            triggered.push(updated);
+        }
+        if (updated.value !== watch.value || met !== watch.triggered ||
+            JSON.stringify(updated.matches) !== JSON.stringify(watch.matches)) {
+            changed.push(updated);
+        }
+        watches.set(watch.id, updated);
+    });
+
+    if (changed.length > 0) {
+        notify();
+        await Promise.all(changed.map(watch => cacheManager.putWatch(watch)));
+    }
+    if (triggered.length > 0) {
+        notifyTriggered(triggered);
+    }
+    return triggered;
+}
+
+export function isWatchNotifyEnabled() {
+    return settings.notify;
+}
+
+/**
+ * Turn browser notifications for fired watches on or off (asks for permission when turning on)
+ * @param {boolean} enabled - Desired state
+ * @returns {Promise<boolean>} Whether notifications are now on
+ */
+export async function setWatchNotify(enabled) {
+    let notifyEnabled = enabled;
+    if (enabled) {
+        if (typeof Notification === 'undefined') {
+            notifyEnabled = false;
+        } else if (Notification.permission !== 'granted') {
+            notifyEnabled = await Notification.requestPermission() === 'granted';
+        }
+    }
+
+    settings = { ...settings, notify: notifyEnabled };
+    try {
+        localStorage.setItem(CONFIG.WATCHLIST.settingsKey, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save watchlist settings:', error);
+    }
+    return notifyEnabled;
+}
+
+/**
+ * Subscribe to watchlist changes (added, edited, removed or re-evaluated watches)
+ * @param {function} listener - Called with the current watches
+ * @returns {function} Unsubscribe function
+ */
+export function onWatchesChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Subscribe to watches firing
+ * @param {function} listener - Called with the watches whose condition just became true
+ * @returns {function} Unsubscribe function
+ */
+export function onWatchTriggered(listener) {
+    triggerListeners.add(listener);
+    return () => triggerListeners.delete(listener);
+}
+
+export default {
+    WATCH_OPERATORS,
+    loadWatches,
+    getWatches,
+    getRowWatches,
+    createWatchId,
+    getPlayerWatches,
+    createPlayerWatchId,
+    toWatchValue,
+    formatWatchValue,
+    isConditionMet,
+    describeCondition,
+    addWatch,
+    updateWatch,
+    removeWatch,
+    clearWatches,
+    evaluateWatches,
+    isWatchNotifyEnabled,
+    setWatchNotify,
+    onWatchesChange,
+    onWatchTriggered
+};
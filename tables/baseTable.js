@@ -1,86 +1,53 @@
 // tables/baseTable.js - Base Table Class for Basketball Props (matching baseball pattern)
-import { API_CONFIG, TEAM_NAME_MAP, isMobile, isTablet, getDeviceType } from '../shared/config.js';
+// UPDATED: Delta sync - expired caches fetch only rows changed since the last sync
+//          (per-endpoint updated-at column in CONFIG.DELTA_SYNC) and merge them by generateRowId
+// UPDATED: Optional realtime subscription - subclasses set realtimeEnabled to patch rows in place
+// UPDATED: Row history store in IndexedDB - subclasses snapshot rows via onRecordsFetched
+// UPDATED: CacheManager moved to shared/cacheManager.js (shared with the bet slip)
+// UPDATED: Shared Kelly "Stake" column that redraws when the bankroll settings change
+// UPDATED: Shared "Track" column that adds rows to the bet slip
+// UPDATED: getViewState/applyViewState + onViewStateChange for the shareable URL hash
+// UPDATED: Saved filter presets (filters, sort, hidden columns) via setupPresets()
+// UPDATED: CSV/XLSX/JSON export of the filtered view via setupToolbar()
+// UPDATED: Name cells get a profile button that opens the player profile modal
+// UPDATED: DK/FD tables (dfsSite set) get a Lineup select column and upload CSV export
+// UPDATED: DK/FD projection overrides - editable Med/High cells, tinted overrides, CSV import
+// UPDATED: Lineup alerts - refreshed rows are diffed against the previous snapshot for status flips,
+//          and rows of affected players are highlighted (wrapRowFormatter)
+// UPDATED: Watchlist - 🔔 button in the Track column; watches are re-evaluated on every fetch
+// UPDATED: Column chooser - saved per-table column order/visibility (applyColumnLayout, setupColumnChooser)
+// UPDATED: Player Name filter/click hooks for linked split-view panes (getPlayerFilter, onPlayerSelected)
+// UPDATED: Delta merges replace the row a changed row supersedes (primary key, then getMarketKey)
+// UPDATED: Realtime - moved lines replace their old row, deletes match on the primary key, channels
+//          close while the tab is hidden and on pagehide (pauseRealtime/resumeRealtime)
+// UPDATED: Watch editor can also watch the row's player across every table (player watches)
+import { CONFIG, API_CONFIG, TEAM_NAME_MAP, isMobile, isTablet, getDeviceType, getDeltaSyncColumn } from '../shared/config.js';
+import { RealtimeChannel } from '../shared/realtimeClient.js';
+import { onBankrollChange } from '../shared/bankroll.js';
+import { cacheManager, CACHE_DURATION } from '../shared/cacheManager.js';
+import { getPicks, isTracked, togglePick, createPickId, onPicksChange, updateClosingOdds } from '../shared/betSlip.js';
+import { getPreset, getDefaultPresetName } from '../shared/filterPresets.js';
+import { createPresetControl } from '../components/presetControl.js';
+import { getExportSheet, downloadSheets } from '../shared/exporter.js';
+import { createExportMenu } from '../components/exportMenu.js';
+import { openPlayerProfile } from '../components/playerProfileModal.js';
+import { createLineupExportControl } from '../components/lineupExportControl.js';
+import {
+    applyProjectionOverride, setProjectionOverride, getProjectionFields, onProjectionOverridesChange
+} from '../shared/projectionOverrides.js';
+import { createProjectionOverrideControl } from '../components/projectionOverrideControl.js';
+import { getWatches, getRowWatches, toWatchValue, evaluateWatches, onWatchesChange } from '../shared/watchlist.js';
+import { openWatchEditor } from '../components/watchEditor.js';
+import {
+    getLayoutEntries, getColumnLayout, setColumnLayout, resetColumnLayout, getOrderedKeys, arrangeColumns
+} from '../shared/columnLayout.js';
+import { createColumnChooser } from '../components/columnChooser.js';
+import {
+    ALERT_KINDS, getPlayerKey, diffLineupStatuses, addLineupAlerts, getActiveAlert, onLineupAlertsChange
+} from '../shared/lineupAlerts.js';
 
 // Global data cache to persist between tab switches
 const dataCache = new Map();
-const CACHE_DURATION = 15 * 60 * 1000; // 15 minutes
-
-// IndexedDB for persistent caching
-const DB_NAME = 'BasketballTabulatorCache';
-const DB_VERSION = 1;
-const STORE_NAME = 'tableData';
-
-class CacheManager {
-    constructor() {
-        this.db = null;
-        this.initDB();
-    }
-
-    async initDB() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
-            
-            request.onerror = () => {
-                console.error('Failed to open IndexedDB');
-                reject(request.error);
-            };
-            
-            request.onsuccess = () => {
-                this.db = request.result;
-                resolve();
-            };
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains(STORE_NAME)) {
-                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
-                    store.createIndex('timestamp', 'timestamp', { unique: false });
-                }
-            };
-        });
-    }
-
-    async getCachedData(key) {
-        if (!this.db) await this.initDB();
-        
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.get(key);
-            
-            request.onsuccess = () => {
-                const result = request.result;
-                if (result && Date.now() - result.timestamp < CACHE_DURATION) {
-                    console.log(`IndexedDB cache hit for ${key}`);
-                    resolve(result.data);
-                } else {
-                    resolve(null);
-                }
-            };
-            
-            request.onerror = () => reject(request.error);
-        });
-    }
-
-    async setCachedData(key, data) {
-        if (!this.db) await this.initDB();
-        
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.put({
-                key: key,
-                data: data,
-                timestamp: Date.now()
-            });
-            
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
-    }
-}
-
-const cacheManager = new CacheManager();
 
 export class BaseTable {
     constructor(elementId, endpoint) {
@@ -101,6 +68,17 @@ export class BaseTable {
         this.restorationAttempts = 0;
         this.maxRestorationAttempts = 3;
         
+        // Realtime updates (opt-in per subclass)
+        this.realtimeEnabled = false;
+        this.realtimeHighlightFields = [];
+        this.realtimeChannel = null;
+        this.realtimePersistTimeout = null;
+        
+        // DFS site ('dk' | 'fd') for tables whose rows can be picked into an upload lineup
+        this.dfsSite = null;
+        this.lineupExportControl = null;
+        this.projectionOverrideControl = null;
+        
         // Store the base config
         this.tableConfig = this.getBaseConfig();
     }
@@ -109,7 +87,6 @@ export class BaseTable {
     getBaseConfig() {
         const self = this;
         const url = API_CONFIG.baseURL + this.endpoint;
-        const cacheKey = `basketball_${this.endpoint}`;
         
         return {
             height: "600px",
@@ -130,6 +107,8 @@ export class BaseTable {
             resizableRows: false,
             movableColumns: false,
             placeholder: "Loading data...",
+            // Stable row index so delta updates can be applied with updateOrAddData
+            index: "_rowId",
             
             ajaxURL: url,
             ajaxConfig: {
@@ -139,33 +118,7 @@ export class BaseTable {
             
             // Custom request function with caching
             ajaxRequestFunc: async function(url, config, params) {
-                // Check memory cache first
-                const memoryCached = self.getCachedData(cacheKey);
-                if (memoryCached) {
-                    console.log(`Memory cache hit for ${self.endpoint}`);
-                    self.dataLoaded = true;
-                    return memoryCached;
-                }
-                
-                // Check IndexedDB cache
-                const dbCached = await cacheManager.getCachedData(cacheKey);
-                if (dbCached) {
-                    console.log(`IndexedDB cache hit for ${self.endpoint}`);
-                    self.setCachedData(cacheKey, dbCached);
-                    self.dataLoaded = true;
-                    return dbCached;
-                }
-                
-                // Fetch from API
-                console.log(`No cache found for ${self.endpoint}, fetching from API...`);
-                const allRecords = await self.fetchAllRecords(url, config);
-                
-                // Store in both caches
-                self.setCachedData(cacheKey, allRecords);
-                await cacheManager.setCachedData(cacheKey, allRecords);
-                
-                self.dataLoaded = true;
-                return allRecords;
+                return self.loadData(url);
             },
             
             dataFiltering: () => {
@@ -226,14 +179,537 @@ export class BaseTable {
         };
     }
     
+    getCacheKey() {
+        return `basketball_${this.endpoint}`;
+    }
+    
+    // Load this table's dataset: memory cache -> IndexedDB -> delta sync -> full fetch
+    // Usable without a Tabulator instance (e.g., for cross-table lookups)
+    async loadData(url = API_CONFIG.baseURL + this.endpoint) {
+        const cacheKey = this.getCacheKey();
+        
+        // Check memory cache first
+        const memoryCached = this.getCachedData(cacheKey);
+        if (memoryCached) {
+            console.log(`Memory cache hit for ${this.endpoint}`);
+            this.dataLoaded = true;
+            return memoryCached;
+        }
+        
+        // Check IndexedDB cache
+        let dbEntry = null;
+        try {
+            dbEntry = await cacheManager.getCachedEntry(cacheKey);
+        } catch (error) {
+            console.warn(`IndexedDB unavailable for ${this.endpoint}:`, error);
+        }
+        
+        if (dbEntry && Date.now() - dbEntry.timestamp < CACHE_DURATION) {
+            console.log(`IndexedDB cache hit for ${this.endpoint}`);
+            // Snapshots cached before row indexing was added have no _rowId yet
+            this.stampRowIds(dbEntry.data);
+            this.setCachedData(cacheKey, dbEntry.data, dbEntry);
+            this.dataLoaded = true;
+            return dbEntry.data;
+        }
+        
+        // Cache expired - only fetch what changed since the last sync when we can
+        const staleEntry = this.getStaleCachedEntry(cacheKey) || dbEntry;
+        if (this.canDeltaSync(staleEntry)) {
+            try {
+                const { records } = await this.syncDelta(url, staleEntry);
+                this.dataLoaded = true;
+                return records;
+            } catch (error) {
+                console.error(`Delta sync failed for ${this.endpoint}, falling back to full fetch:`, error);
+            }
+        }
+        
+        // Fetch from API
+        console.log(`No cache found for ${this.endpoint}, fetching from API...`);
+        const fetchStartedAt = new Date().toISOString();
+        const allRecords = await this.fetchAllRecords(url);
+        this.stampRowIds(allRecords);
+        this.notifyRecordsFetched(allRecords, { full: true, previous: this.getLineupBaseline(staleEntry) });
+        
+        const syncMeta = {
+            syncedAt: this.getLatestUpdatedAt(allRecords) || fetchStartedAt,
+            fullSyncedAt: Date.now()
+        };
+        
+        // Store in both caches
+        await this.storeRecords(allRecords, syncMeta);
+        
+        this.dataLoaded = true;
+        return allRecords;
+    }
+    
+    // Toolbar row directly above the table for table-specific controls (created on first use)
+    getToolbar() {
+        const element = document.querySelector(this.elementId);
+        if (!element || !element.parentElement) return null;
+        
+        let toolbar = element.parentElement.querySelector(`:scope > .table-toolbar[data-table="${this.elementId}"]`);
+        if (!toolbar) {
+            toolbar = document.createElement('div');
+            toolbar.className = 'table-toolbar';
+            toolbar.setAttribute('data-table', this.elementId);
+            toolbar.style.cssText = 'display: flex; flex-wrap: wrap; align-items: center; gap: 10px; padding: 6px 0; width: 100%;';
+            element.parentElement.insertBefore(toolbar, element);
+        }
+        return toolbar;
+    }
+    
+    // Hook for subclasses: called with rows freshly received from the server
+    // (full fetch, delta sync or realtime change) - never for cache hits.
+    // meta.previous is the dataset (or row) they replace, when there's a recent one.
+    onRecordsFetched(records, meta) {}
+    
+    notifyRecordsFetched(records, meta) {
+        if (!records || records.length === 0) return;
+        try {
+            this.onRecordsFetched(records, meta);
+        } catch (error) {
+            console.error(`Error in onRecordsFetched for ${this.endpoint}:`, error);
+        }
+        
+        if (meta.previous) {
+            this.detectLineupChanges(meta.previous, records);
+        }
+        
+        // Check watchlist thresholds against the new values
+        evaluateWatches(this.endpoint, records, { full: meta.full, getLabel: record => this.getWatchLabel(record) })
+            .catch(error => console.warn(`Could not check watchlist for ${this.endpoint}:`, error));
+        
+        // Keep the closing line of tracked picks current for CLV
+        updateClosingOdds(this.endpoint, records, (record, side) => this.getClosingOdds(record, side))
+            .catch(error => console.warn(`Could not update closing odds for ${this.endpoint}:`, error));
+    }
+    
+    // Previous snapshot to diff lineup statuses against - skipped when it's too old to
+    // be the same slate (e.g. the first load of the day)
+    getLineupBaseline(entry) {
+        if (!entry || !entry.data || !entry.timestamp) return null;
+        return Date.now() - entry.timestamp < CONFIG.LINEUP_ALERTS.maxSnapshotAge ? entry.data : null;
+    }
+    
+    // Hook for subclasses: lineup status per player in a set of rows,
+    // key -> { label, team, status, playerName }. Players with several rows
+    // (one per prop) collapse to one entry.
+    getLineupStatuses(records) {
+        const statuses = new Map();
+        records.forEach(record => {
+            if (!record["Player Name"] || !record["Lineup Status"]) return;
+            const key = getPlayerKey(record["Player Name"], record["Player Team"]);
+            if (statuses.has(key)) return;
+            statuses.set(key, {
+                label: record["Player Name"],
+                team: record["Player Team"] || '',
+                status: record["Lineup Status"],
+                playerName: record["Player Name"]
+            });
+        });
+        return statuses;
+    }
+    
+    // Record status flips between the previous rows and the refreshed ones
+    detectLineupChanges(previousRecords, records) {
+        try {
+            const next = this.getLineupStatuses(records);
+            if (next.size === 0) return;
+            const changes = diffLineupStatuses(this.getLineupStatuses(previousRecords), next);
+            if (changes.length > 0) {
+                const added = addLineupAlerts(changes, this.endpoint);
+                if (added.length > 0) {
+                    console.log(`${added.length} lineup change(s) on ${this.endpoint}`);
+                }
+            }
+        } catch (error) {
+            console.error(`Could not check lineup changes for ${this.endpoint}:`, error);
+        }
+    }
+    
+    // Hook for subclasses: alert keys a row is highlighted for (see getActiveAlert)
+    getLineupAlertKeys(data) {
+        return data["Player Name"] ? [getPlayerKey(data["Player Name"], data["Player Team"])] : [];
+    }
+    
+    // Tint rows of players with a recent lineup alert (background and left border in the
+    // alert's colors - red for newly Out, amber for a role change, blue for Confirmed)
+    applyLineupHighlight(row) {
+        const element = row.getElement();
+        if (!element) return;
+        
+        const alert = getActiveAlert(this.getLineupAlertKeys(row.getData()));
+        if (alert) {
+            const kind = ALERT_KINDS[alert.kind];
+            element.classList.add('lineup-alert-row');
+            element.style.backgroundColor = kind.background;
+            element.style.boxShadow = `inset 4px 0 0 ${kind.color}`;
+            element.title = `Lineup: ${alert.from} → ${alert.to}`;
+        } else if (element.classList.contains('lineup-alert-row')) {
+            element.classList.remove('lineup-alert-row');
+            element.style.backgroundColor = '';
+            element.style.boxShadow = '';
+            element.removeAttribute('title');
+        }
+    }
+    
+    // Wrap a table's rowFormatter so rendered rows get the lineup alert highlight;
+    // rows already on screen are re-checked whenever alerts change
+    wrapRowFormatter(formatter) {
+        if (!this.lineupAlertsUnsubscribe) {
+            this.lineupAlertsUnsubscribe = onLineupAlertsChange(() => {
+                if (!this.table) return;
+                this.table.getRows().forEach(row => this.applyLineupHighlight(row));
+            });
+        }
+        
+        return (row) => {
+            if (formatter) formatter(row);
+            this.applyLineupHighlight(row);
+        };
+    }
+    
+    // Hook for subclasses: median odds for one side of a row, used as the pick's closing line
+    getClosingOdds(record, side) {
+        return null;
+    }
+    
+    // Persist row history snapshots (see CacheManager.appendHistorySnapshots)
+    async recordHistorySnapshots(entries) {
+        try {
+            await cacheManager.appendHistorySnapshots(entries);
+        } catch (error) {
+            console.warn(`Could not record history for ${this.endpoint}:`, error);
+        }
+    }
+    
+    async getRowHistory(key) {
+        try {
+            return await cacheManager.getRowHistory(key);
+        } catch (error) {
+            console.warn(`Could not read history for ${key}:`, error);
+            return [];
+        }
+    }
+    
+    // Delta sync is possible when the endpoint has an updated-at column, we have a
+    // previous snapshot to merge into, and the periodic full re-download isn't due
+    canDeltaSync(entry) {
+        if (!getDeltaSyncColumn(this.endpoint)) return false;
+        if (!entry || !entry.data || !entry.syncedAt || !entry.fullSyncedAt) return false;
+        return Date.now() - entry.fullSyncedAt < CONFIG.DELTA_SYNC.fullResyncInterval;
+    }
+    
+    // Fetch rows changed since the entry's last sync and merge them into its dataset
+    // Returns the merged dataset and the changed rows
+    async syncDelta(url, entry) {
+        const column = getDeltaSyncColumn(this.endpoint);
+        const filterQuery = `${encodeURIComponent(column)}=gt.${encodeURIComponent(entry.syncedAt)}&order=${encodeURIComponent(column)}.asc&`;
+        
+        console.log(`Delta sync for ${this.endpoint}: fetching rows with ${column} > ${entry.syncedAt}`);
+        const changed = await this.fetchAllRecords(url, null, filterQuery);
+        this.stampRowIds(changed);
+        this.notifyRecordsFetched(changed, { full: false, previous: this.getLineupBaseline(entry) });
+        
+        const replaced = [];
+        const records = this.mergeRecords(entry.data, changed, replaced);
+        const syncMeta = {
+            syncedAt: this.getLatestUpdatedAt(changed) || entry.syncedAt,
+            fullSyncedAt: entry.fullSyncedAt
+        };
+        
+        await this.storeRecords(records, syncMeta);
+        
+        console.log(`Delta sync for ${this.endpoint}: ${changed.length} changed rows merged into ${records.length}`);
+        return { records, changed, replaced };
+    }
+    
+    // Hook for subclasses whose row ID includes a value that can change in place (the line on
+    // Prop Odds / Game Odds): the market a row belongs to without that value, or null
+    getMarketKey(data) {
+        return null;
+    }
+    
+    // Merge changed rows into an existing dataset (replace or append). A changed row replaces
+    // the row with the same generateRowId; failing that, the row with the same primary key
+    // (CONFIG.DELTA_SYNC.primaryKey) - a line that moved keeps its primary key but gets a new row
+    // ID. Rows without a primary key fall back to getMarketKey, replacing the market's row only
+    // when it has exactly one (with alt lines there's no telling which line moved).
+    // Row IDs of rows replaced under a different ID are pushed to `replaced`.
+    mergeRecords(existing, changed, replaced = []) {
+        if (!changed || changed.length === 0) return existing;
+        
+        const primaryKey = CONFIG.DELTA_SYNC.primaryKey;
+        const hasPrimaryKey = (row) => !!primaryKey && row[primaryKey] !== undefined && row[primaryKey] !== null;
+        
+        const merged = existing.slice();
+        const positions = new Map();
+        const keyPositions = new Map();
+        const marketPositions = new Map();
+        merged.forEach((row, index) => {
+            positions.set(row._rowId || this.generateRowId(row), index);
+            if (hasPrimaryKey(row)) {
+                keyPositions.set(row[primaryKey], index);
+            }
+            const marketKey = this.getMarketKey(row);
+            if (marketKey !== null) {
+                marketPositions.set(marketKey, (marketPositions.get(marketKey) || []).concat(index));
+            }
+        });
+        
+        const replacedPositions = new Set();
+        const findReplaced = (row) => {
+            if (hasPrimaryKey(row)) {
+                return keyPositions.has(row[primaryKey]) ? keyPositions.get(row[primaryKey]) : -1;
+            }
+            const marketRows = marketPositions.get(this.getMarketKey(row));
+            return marketRows && marketRows.length === 1 && !replacedPositions.has(marketRows[0]) ? marketRows[0] : -1;
+        };
+        
+        changed.forEach(row => {
+            const rowId = row._rowId || this.generateRowId(row);
+            if (positions.has(rowId)) {
+                merged[positions.get(rowId)] = row;
+                return;
+            }
+            
+            const index = findReplaced(row);
+            if (index >= 0) {
+                const oldRowId = merged[index]._rowId || this.generateRowId(merged[index]);
+                positions.delete(oldRowId);
+                positions.set(rowId, index);
+                replacedPositions.add(index);
+                replaced.push(oldRowId);
+                merged[index] = row;
+            } else {
+                positions.set(rowId, merged.length);
+                merged.push(row);
+            }
+        });
+        
+        return merged;
+    }
+    
+    // Attach the stable row index used by updateOrAddData
+    stampRowIds(records) {
+        records.forEach(row => {
+            row._rowId = this.generateRowId(row);
+            this.deriveFields(row);
+        });
+        return records;
+    }
+    
+    // Hook for subclasses: add computed fields to a raw record before it reaches the table.
+    // Runs on every load path (cache, full fetch, delta sync, realtime) so updates stay in sync.
+    deriveFields(record) {}
+    
+    // Latest updated-at value in a set of rows (used as the next delta cursor)
+    getLatestUpdatedAt(records) {
+        const column = getDeltaSyncColumn(this.endpoint);
+        if (!column || !records || records.length === 0) return null;
+        
+        let latest = null;
+        let latestTime = -Infinity;
+        records.forEach(row => {
+            const value = row[column];
+            if (!value) return;
+            const time = Date.parse(value);
+            if (!isNaN(time) && time > latestTime) {
+                latestTime = time;
+                latest = value;
+            }
+        });
+        
+        return latest;
+    }
+    
+    // Write a dataset to both the memory and IndexedDB caches
+    async storeRecords(records, syncMeta) {
+        const cacheKey = this.getCacheKey();
+        this.setCachedData(cacheKey, records, syncMeta);
+        try {
+            await cacheManager.setCachedData(cacheKey, records, syncMeta);
+        } catch (error) {
+            console.warn(`Could not persist ${this.endpoint} to IndexedDB:`, error);
+        }
+    }
+    
+    // Subscribe to realtime changes on this table's endpoint
+    // options.transport overrides the websocket factory (e.g., a mock server for testing)
+    startRealtime(options = {}) {
+        if (!this.realtimeEnabled || !CONFIG.REALTIME.enabled) return;
+        if (this.realtimeChannel) return;
+        
+        console.log(`Starting realtime updates for ${this.endpoint}`);
+        this.realtimeOptions = options;
+        this.realtimeChannel = new RealtimeChannel(this.endpoint, options);
+        this.realtimeChannel.subscribe(change => {
+            this.applyRealtimeChange(change).catch(error => {
+                console.error(`Error applying realtime change for ${this.endpoint}:`, error);
+            });
+        });
+        
+        // Close the socket when the page goes away; reopen if it comes back from the back/forward cache
+        if (!this.realtimePageHandlers) {
+            this.realtimePageHandlers = true;
+            window.addEventListener('pagehide', () => this.pauseRealtime());
+            window.addEventListener('pageshow', (event) => {
+                if (event.persisted && this.table && this.table.element.offsetParent !== null) {
+                    this.resumeRealtime();
+                }
+            });
+        }
+    }
+    
+    stopRealtime() {
+        if (!this.realtimeChannel) return;
+        this.realtimeChannel.unsubscribe();
+        this.realtimeChannel = null;
+        console.log(`Stopped realtime updates for ${this.endpoint}`);
+    }
+    
+    // Close the channel while the table is off screen (TabManager calls this when its tab is hidden)
+    pauseRealtime() {
+        if (!this.realtimeChannel) return;
+        this.stopRealtime();
+        this.realtimePaused = true;
+    }
+    
+    // Reopen a paused channel and catch up on what changed meanwhile with a delta refresh
+    resumeRealtime() {
+        if (!this.realtimePaused) return;
+        this.realtimePaused = false;
+        this.startRealtime(this.realtimeOptions);
+        this.refreshData().catch(error => {
+            console.error(`Could not refresh ${this.endpoint} after resuming realtime:`, error);
+        });
+    }
+    
+    // Row ID of the live row a realtime record refers to. Matched on the primary key
+    // (CONFIG.DELTA_SYNC.primaryKey) first: without REPLICA IDENTITY FULL on the Supabase table,
+    // old_record only carries the primary key. Falls back to generateRowId of the record.
+    findRealtimeRowId(record) {
+        if (!record) return null;
+        
+        const primaryKey = CONFIG.DELTA_SYNC.primaryKey;
+        if (primaryKey && record[primaryKey] !== undefined && record[primaryKey] !== null) {
+            const match = this.table.getData().find(row => row[primaryKey] === record[primaryKey]);
+            if (match) return match._rowId || this.generateRowId(match);
+        }
+        
+        const rowId = this.generateRowId(record);
+        return this.table.getRow(rowId) ? rowId : null;
+    }
+    
+    // Patch a single realtime change into the live table and the caches
+    async applyRealtimeChange(change) {
+        if (!this.table) return;
+        
+        if (change.type === 'DELETE') {
+            const rowId = this.findRealtimeRowId(change.oldRecord);
+            if (!rowId) {
+                console.warn(`Realtime delete on ${this.endpoint} matched no row - rows need a "${CONFIG.DELTA_SYNC.primaryKey}" column or the table needs REPLICA IDENTITY FULL`);
+                return;
+            }
+            this.table.getRow(rowId).delete();
+            this.patchCachedRecords([], rowId);
+            console.log(`Realtime delete on ${this.endpoint}: ${rowId}`);
+            return;
+        }
+        
+        const record = change.record;
+        if (!record) return;
+        record._rowId = this.generateRowId(record);
+        this.deriveFields(record);
+        this.applyProjectionOverrides([record]);
+        
+        // An UPDATE that moved the line changes the row ID - find the row it replaces
+        const oldRowId = change.type === 'UPDATE' ? this.findRealtimeRowId(change.oldRecord || record) : null;
+        const replacedRowId = oldRowId && oldRowId !== record._rowId ? oldRowId : null;
+        
+        // Snapshot the highlighted fields before the update so we can flash what moved
+        const existingRow = this.table.getRow(replacedRowId || record._rowId);
+        const previous = existingRow ? { ...existingRow.getData() } : null;
+        
+        if (replacedRowId) {
+            existingRow.delete();
+        }
+        await this.table.updateOrAddData([record]);
+        this.patchCachedRecords([record], replacedRowId);
+        this.notifyRecordsFetched([record], { full: false, realtime: true, previous: previous ? [previous] : null });
+        
+        const row = this.table.getRow(record._rowId);
+        if (row) {
+            this.highlightChangedCells(row, previous, record);
+        }
+    }
+    
+    // Flash the configured cells whose value changed (green = up, red = down)
+    highlightChangedCells(row, previous, record) {
+        this.realtimeHighlightFields.forEach(field => {
+            if (previous && previous[field] === record[field]) return;
+            
+            const cell = row.getCell(field);
+            if (!cell) return;
+            const element = cell.getElement();
+            if (!element) return;
+            
+            let color = '#fef3c7'; // New row or non-numeric change
+            if (previous) {
+                const before = parseFloat(previous[field]);
+                const after = parseFloat(record[field]);
+                if (!isNaN(before) && !isNaN(after)) {
+                    color = after > before ? '#d4edda' : '#f8d7da';
+                }
+            }
+            
+            element.style.transition = 'background-color 0.4s ease';
+            element.style.backgroundColor = color;
+            setTimeout(() => {
+                element.style.backgroundColor = '';
+            }, CONFIG.REALTIME.highlightDuration);
+        });
+    }
+    
+    // Merge realtime rows into the cached dataset; IndexedDB writes are debounced
+    patchCachedRecords(changed, deletedRowId = null) {
+        const cacheKey = this.getCacheKey();
+        const entry = this.getStaleCachedEntry(cacheKey);
+        if (!entry || !entry.data) return;
+        
+        let records = this.mergeRecords(entry.data, changed);
+        if (deletedRowId) {
+            records = records.filter(row => (row._rowId || this.generateRowId(row)) !== deletedRowId);
+        }
+        
+        const latest = this.getLatestUpdatedAt(changed);
+        const syncMeta = {
+            syncedAt: latest && (!entry.syncedAt || Date.parse(latest) > Date.parse(entry.syncedAt)) ? latest : entry.syncedAt,
+            fullSyncedAt: entry.fullSyncedAt
+        };
+        
+        this.setCachedData(cacheKey, records, syncMeta);
+        
+        clearTimeout(this.realtimePersistTimeout);
+        this.realtimePersistTimeout = setTimeout(() => {
+            cacheManager.setCachedData(cacheKey, records, syncMeta).catch(error => {
+                console.warn(`Could not persist realtime changes for ${this.endpoint}:`, error);
+            });
+        }, CONFIG.REALTIME.persistDelay);
+    }
+    
     // Fetch all records with pagination
-    async fetchAllRecords(url, config) {
+    // filterQuery is an optional PostgREST query prefix (e.g., "updated_at=gt.X&")
+    async fetchAllRecords(url, config, filterQuery = '') {
         const allRecords = [];
         const pageSize = 1000;
         let offset = 0;
         let hasMore = true;
         let retryCount = 0;
         const maxRetries = 3;
+        let failure = null;
         
         console.log(`Starting data fetch from ${url}...`);
         
@@ -253,7 +729,7 @@ export class BaseTable {
         
         while (hasMore) {
             try {
-                const requestUrl = `${url}?limit=${pageSize}&offset=${offset}`;
+                const requestUrl = `${url}?${filterQuery}limit=${pageSize}&offset=${offset}`;
                 
                 const response = await fetch(requestUrl, {
                     method: "GET",
@@ -294,6 +770,7 @@ export class BaseTable {
                 
                 if (retryCount >= maxRetries) {
                     console.error('Max retries reached, stopping fetch');
+                    failure = error;
                     hasMore = false;
                 } else {
                     // Wait before retry
@@ -308,6 +785,12 @@ export class BaseTable {
             progressDiv.remove();
         }
         
+        // A filtered (delta) fetch that gave up must not read as "nothing changed" -
+        // throwing lets loadData/refreshData fall back to a full fetch
+        if (failure && filterQuery) {
+            throw failure;
+        }
+        
         console.log(`Fetch complete: ${allRecords.length} total records`);
         return allRecords;
     }
@@ -321,12 +804,19 @@ export class BaseTable {
         return null;
     }
     
-    setCachedData(key, data) {
+    setCachedData(key, data, syncMeta = {}) {
         dataCache.set(key, {
             data: data,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            syncedAt: syncMeta.syncedAt || null,
+            fullSyncedAt: syncMeta.fullSyncedAt || null
         });
     }
+    
+    // Memory cache entry regardless of age (delta sync baseline)
+    getStaleCachedEntry(key) {
+        return dataCache.get(key) || null;
+    }
 
     // Generate unique row ID
     generateRowId(data) {
@@ -346,6 +836,11 @@ export class BaseTable {
         return keys.slice(0, 5).map(k => `${k}:${data[k]}`).join('|');
     }
 
+    // Short description of a row for the global player search popover
+    getSearchLabel(data) {
+        return [data["Player Prop"], data["Split"]].filter(Boolean).join(' · ');
+    }
+
     // Create name formatter with expand icon
     createNameFormatter() {
         const self = this;
@@ -373,11 +868,311 @@ export class BaseTable {
             
             container.appendChild(icon);
             container.appendChild(text);
+            container.appendChild(self.createProfileButton(data));
             
             return container;
         };
     }
 
+    // Small button inside the name cell that opens the player profile modal.
+    // Stops the click so it doesn't toggle the row's subtable.
+    createProfileButton(data) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'player-profile-button';
+        button.title = 'Player profile';
+        button.setAttribute('aria-label', `Open profile for ${data["Player Name"]}`);
+        button.textContent = 'ⓘ';
+        button.style.cssText = 'margin-left: 4px; padding: 0 2px; border: none; background: none; color: #9ca3af; font-size: 12px; line-height: 1; cursor: pointer; flex-shrink: 0;';
+        
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openPlayerProfile(data["Player Name"], data["Player Team"] || '');
+        });
+        
+        return button;
+    }
+
+    // Kelly "Stake" column - getStake(data) returns { stake, side? } or null.
+    // The value is computed at render time so bankroll changes only need a redraw.
+    createStakeColumn(getStake) {
+        if (!this.bankrollUnsubscribe) {
+            this.bankrollUnsubscribe = onBankrollChange(() => {
+                if (this.table) {
+                    this.table.redraw(true);
+                }
+            });
+        }
+        
+        const stakeValue = (data) => {
+            const result = getStake(data);
+            return result ? result.stake : 0;
+        };
+        
+        return {
+            title: "Stake", 
+            field: "Player Stake", 
+            widthGrow: 0,
+            minWidth: 60,
+            sorter: (a, b, aRow, bRow) => stakeValue(aRow.getData()) - stakeValue(bRow.getData()),
+            resizable: false,
+            hozAlign: "center",
+            formatter: (cell) => {
+                const result = getStake(cell.getRow().getData());
+                if (!result || result.stake <= 0) return '-';
+                const side = result.side ? ` ${result.side === 'Over' ? 'O' : 'U'}` : '';
+                return `$${result.stake.toFixed(2)}${side}`;
+            }
+        };
+    }
+
+    // Hook for subclasses: fields of a row that can be watched, [{ field, label, type }]
+    // with type 'odds', 'percent' (0-1 fraction shown as %) or 'number'
+    getWatchFields() {
+        return [];
+    }
+    
+    // Hook for subclasses: how a watched row is described in the watchlist
+    getWatchLabel(data) {
+        return [data["Player Name"], [data["Player Prop"], data["Player Prop Value"]].filter(Boolean).join(' '), data["Split"]]
+            .filter(Boolean).join(' · ');
+    }
+    
+    editRowWatches(anchor, data) {
+        openWatchEditor(anchor, {
+            source: this.endpoint,
+            rowId: data._rowId || this.generateRowId(data),
+            label: this.getWatchLabel(data),
+            player: data["Player Name"] ? {
+                key: getPlayerKey(data["Player Name"], data["Player Team"]),
+                label: [data["Player Name"], data["Player Team"]].filter(Boolean).join(' · ')
+            } : null,
+            fields: this.getWatchFields().map(field => ({ ...field, value: toWatchValue(data[field.field], field.type) }))
+        });
+    }
+    
+    // rowId -> ids of this table's picks/watches on that row, to tell which rows a change touched
+    groupRowIds(entries) {
+        const rows = new Map();
+        entries.filter(entry => entry.source === this.endpoint).forEach(entry => {
+            rows.set(entry.rowId, [...(rows.get(entry.rowId) || []), entry.id]);
+        });
+        rows.forEach((ids, rowId) => rows.set(rowId, ids.sort().join('|')));
+        return rows;
+    }
+    
+    // Re-run the formatters of the rows whose entry differs between two groupRowIds() maps
+    reformatChangedRows(previous, next) {
+        if (!this.table) return;
+        
+        new Set([...previous.keys(), ...next.keys()]).forEach(rowId => {
+            if (previous.get(rowId) === next.get(rowId)) return;
+            const row = this.table.getRow(rowId);
+            if (row) row.reformat();
+        });
+    }
+    
+    // "Track" column - getCandidates(data) returns partial picks ({ side, label, player, market,
+    // line, book, odds, stake, ... }); one toggle button is rendered per candidate, plus a
+    // 🔔 button that opens the watch editor when the table has watchable fields
+    createTrackColumn(getCandidates) {
+        if (!this.picksUnsubscribe) {
+            this.trackedPickRows = this.groupRowIds(getPicks());
+            this.picksUnsubscribe = onPicksChange((picks) => {
+                const next = this.groupRowIds(picks);
+                this.reformatChangedRows(this.trackedPickRows, next);
+                this.trackedPickRows = next;
+            });
+        }
+        
+        const canWatch = this.getWatchFields().length > 0;
+        if (canWatch && !this.watchesUnsubscribe) {
+            this.watchedRows = this.groupRowIds(getWatches());
+            this.watchesUnsubscribe = onWatchesChange((watches) => {
+                const next = this.groupRowIds(watches);
+                this.reformatChangedRows(this.watchedRows, next);
+                this.watchedRows = next;
+            });
+        }
+        
+        const toPicks = (data) => getCandidates(data).map(candidate => ({
+            ...candidate,
+            id: createPickId(this.endpoint, data._rowId || this.generateRowId(data), candidate.side),
+            source: this.endpoint,
+            rowId: data._rowId || this.generateRowId(data),
+            closingOdds: this.getClosingOdds(data, candidate.side)
+        }));
+        
+        return {
+            title: "Track", 
+            field: "_track", 
+            widthGrow: 0,
+            minWidth: 50,
+            headerSort: false,
+            resizable: false,
+            hozAlign: "center",
+            formatter: (cell) => {
+                const data = cell.getRow().getData();
+                const picks = toPicks(data).map((pick, index) => {
+                    const tracked = isTracked(pick.id);
+                    const text = pick.label ? `${tracked ? '★' : '☆'}${pick.label}` : (tracked ? '★' : '☆');
+                    return `<button type="button" data-pick-index="${index}" title="${tracked ? 'Remove from' : 'Add to'} bet slip" style="border: none; background: none; cursor: pointer; padding: 0 2px; color: ${tracked ? '#f97316' : '#999'}; font-weight: 600;">${text}</button>`;
+                }).join('');
+                if (!canWatch) return picks;
+                
+                const watched = getRowWatches(this.endpoint, data._rowId || this.generateRowId(data)).length > 0;
+                return `${picks}<button type="button" data-watch title="${watched ? 'Edit watch' : 'Watch this row'}" style="border: none; background: none; cursor: pointer; padding: 0 2px; opacity: ${watched ? 1 : 0.35};">🔔</button>`;
+            },
+            cellClick: (e, cell) => {
+                const watchButton = e.target.closest('button[data-watch]');
+                if (watchButton) {
+                    e.stopPropagation();
+                    this.editRowWatches(watchButton, cell.getRow().getData());
+                    return;
+                }
+                
+                const button = e.target.closest('button[data-pick-index]');
+                if (!button) return;
+                e.stopPropagation();
+                
+                const pick = toPicks(cell.getRow().getData())[parseInt(button.dataset.pickIndex, 10)];
+                if (pick) {
+                    togglePick(pick).catch(error => console.error('Could not update bet slip:', error));
+                }
+            }
+        };
+    }
+
+    // "Lineup" column for DFS tables - ticked rows (Tabulator row selection) form the lineup
+    // exported by the toolbar's lineup control. Clicking doesn't expand the row.
+    createLineupSelectColumn() {
+        return {
+            title: "Lineup", 
+            field: "_lineup", 
+            widthGrow: 0,
+            minWidth: 55,
+            headerSort: false,
+            resizable: false,
+            hozAlign: "center",
+            formatter: (cell) => {
+                const checked = cell.getRow().isSelected() ? ' checked' : '';
+                return `<input type="checkbox"${checked} title="Add to lineup" style="cursor: pointer;">`;
+            },
+            cellClick: (e, cell) => {
+                e.stopPropagation();
+                const row = cell.getRow();
+                row.toggleSelect();
+                
+                const checkbox = cell.getElement().querySelector('input');
+                if (checkbox) checkbox.checked = row.isSelected();
+            }
+        };
+    }
+
+    clearLineupSelection() {
+        if (!this.table) return;
+        
+        this.table.getSelectedRows().forEach(row => {
+            const cell = row.getCell("_lineup");
+            const checkbox = cell ? cell.getElement().querySelector('input') : null;
+            if (checkbox) checkbox.checked = false;
+        });
+        this.table.deselectRow();
+    }
+
+    // Apply projection overrides to loaded DFS rows. Overrides can change after the rows were
+    // cached, so DK/FD tables call this on every load rather than from deriveFields.
+    applyProjectionOverrides(records) {
+        if (!this.dfsSite || !records) return records;
+        records.forEach(record => applyProjectionOverride(record, this.dfsSite));
+        return records;
+    }
+
+    // Re-apply overrides to the cached rows after an edit/import, push the rows that changed
+    // into the table and re-run sort and filters against the new values
+    refreshProjectionOverrides() {
+        const entry = this.getStaleCachedEntry(this.getCacheKey());
+        if (!this.dfsSite || !entry || !entry.data) return;
+        
+        const fields = getProjectionFields(this.dfsSite);
+        const updates = [];
+        entry.data.forEach(record => {
+            const wasOverridden = (record._overriddenFields || []).length > 0;
+            const isOverridden = applyProjectionOverride(record, this.dfsSite);
+            if (!wasOverridden && !isOverridden) return;
+            
+            const update = { _rowId: record._rowId, _overriddenFields: record._overriddenFields, _projectionBase: record._projectionBase };
+            fields.forEach(field => {
+                update[field] = record[field];
+            });
+            updates.push(update);
+        });
+        
+        if (!this.table || updates.length === 0) return;
+        this.table.updateData(updates).then(() => {
+            const sorters = this.table.getSorters().map(sorter => ({ column: sorter.field, dir: sorter.dir }));
+            if (sorters.length > 0) {
+                this.table.setSort(sorters);
+            }
+            this.table.refreshFilter();
+        }).catch(error => console.error(`Could not apply projection overrides to ${this.elementId}:`, error));
+    }
+
+    // Formatter wrapper for DFS projection/ratio cells: tinted while the value is an override,
+    // with the site's own value in the tooltip
+    createOverrideFormatter(formatter) {
+        return (cell, formatterParams, onRendered) => {
+            const data = cell.getRow().getData();
+            const field = cell.getField();
+            const element = cell.getElement();
+            const overridden = (data._overriddenFields || []).includes(field);
+            
+            element.style.backgroundColor = overridden ? '#ede9fe' : '';
+            element.style.fontStyle = overridden ? 'italic' : '';
+            if (overridden) {
+                const siteValue = parseFloat(data._projectionBase ? data._projectionBase[field] : NaN);
+                element.title = `Override (site: ${isNaN(siteValue) ? '-' : siteValue.toFixed(field.includes('Ratio') ? 2 : 1)})`;
+            } else {
+                element.removeAttribute('title');
+            }
+            
+            return formatter(cell, formatterParams, onRendered);
+        };
+    }
+
+    // Inline editor settings for an overridable projection column (part: 'median' | 'high').
+    // The edit is stored as the player's override; clearing the cell reverts to the site value.
+    getProjectionEditor(part) {
+        return {
+            editor: "number",
+            editorParams: { min: 0, step: 0.1, selectContents: true },
+            cellEdited: (cell) => {
+                const data = cell.getRow().getData();
+                setProjectionOverride(this.dfsSite, data["Player Name"], data["Player Team"], { [part]: cell.getValue() });
+            }
+        };
+    }
+
+    // "Your minutes" input in a DFS subtable - scales the player's projections (blank reverts)
+    createMinutesOverrideInput(data) {
+        const overridden = (data._overriddenFields || []).includes("Player Median Minutes");
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.5';
+        input.value = overridden ? data["Player Median Minutes"] : '';
+        input.placeholder = 'Site';
+        input.title = 'Override projected minutes - every projection scales with it';
+        input.style.cssText = `width: 60px; font-size: 12px; padding: 1px 4px; border: 1px solid #ccc; border-radius: 3px; background: ${overridden ? '#ede9fe' : 'white'};`;
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('change', () => {
+            setProjectionOverride(this.dfsSite, data["Player Name"], data["Player Team"], { minutes: input.value });
+            input.style.backgroundColor = input.value === '' ? 'white' : '#ede9fe';
+        });
+        return input;
+    }
+
     // Create team formatter
     createTeamFormatter() {
         return (cell) => {
@@ -430,6 +1225,7 @@ export class BaseTable {
             }
             
             console.log(`Row ${data._expanded ? 'expanded' : 'collapsed'}: ${rowId}`);
+            self.notifyViewStateChange();
         });
     }
 
@@ -456,6 +1252,381 @@ export class BaseTable {
         }
     }
 
+    // Serializable view state (header filters, sort, expanded row IDs) for the URL hash
+    getViewState() {
+        if (!this.table) return { filters: [], sort: [], expanded: [] };
+
+        const filters = this.table.getHeaderFilters()
+            .filter(filter => filter.value !== '' && filter.value !== null && filter.value !== undefined)
+            .map(filter => ({ field: filter.field, value: filter.value }));
+        const sort = this.table.getSorters()
+            .map(sorter => ({ field: sorter.field, dir: sorter.dir }));
+        const expanded = this.table.getData()
+            .filter(data => data._expanded)
+            .map(data => data._rowId || this.generateRowId(data));
+
+        return { filters, sort, expanded };
+    }
+
+    // Apply a view state from getViewState(), waiting for data so rows can be expanded.
+    // Missing keys leave the current filters/sort alone; expanded rows are matched by row ID.
+    async applyViewState(state = {}) {
+        if (!this.table) return;
+
+        // Set before waiting so load-time filter/sort events don't overwrite the URL
+        this.isApplyingViewState = true;
+
+        try {
+            await this.whenDataReady();
+
+            if (Array.isArray(state.filters)) {
+                this.table.clearHeaderFilter();
+                state.filters.forEach(filter => {
+                    try {
+                        this.table.setHeaderFilterValue(filter.field, filter.value);
+                    } catch (e) {
+                        console.warn("Could not apply filter:", filter.field);
+                    }
+                });
+            }
+
+            if (Array.isArray(state.sort)) {
+                if (state.sort.length > 0) {
+                    this.table.setSort(state.sort.map(sorter => ({ column: sorter.field, dir: sorter.dir })));
+                } else {
+                    this.table.clearSort();
+                }
+            }
+
+            if (Array.isArray(state.expanded)) {
+                const expandedIds = new Set(state.expanded);
+                this.table.getRows().forEach(row => {
+                    const data = row.getData();
+                    const shouldExpand = expandedIds.has(data._rowId || this.generateRowId(data));
+                    if (!!data._expanded !== shouldExpand) {
+                        this.setRowExpanded(row, shouldExpand);
+                    }
+                });
+            }
+        } catch (error) {
+            console.error(`Error applying view state for ${this.elementId}:`, error);
+        } finally {
+            this.isApplyingViewState = false;
+        }
+    }
+
+    // Resolve once the table has rows (or after ~10s, for genuinely empty tables)
+    whenDataReady() {
+        return new Promise(resolve => {
+            let attempts = 0;
+            const check = () => {
+                attempts++;
+                if ((this.table && this.table.getDataCount() > 0) || attempts >= 50) {
+                    resolve();
+                } else {
+                    setTimeout(check, 200);
+                }
+            };
+            check();
+        });
+    }
+
+    // Expand or collapse a row programmatically (same bookkeeping as a Player Name click)
+    setRowExpanded(row, expanded) {
+        const data = row.getData();
+        this.rememberRowExpanded(data, expanded);
+
+        row.update(data);
+        row.reformat();
+    }
+
+    // Mark a row expanded/collapsed and keep the expanded-rows cache and the cross-tab
+    // global state in step - shared by every setRowExpanded override
+    rememberRowExpanded(data, expanded) {
+        data._expanded = expanded;
+
+        const rowId = data._rowId || this.generateRowId(data);
+        if (expanded) {
+            this.expandedRowsCache.add(rowId);
+            if (window.globalExpandedState) {
+                window.globalExpandedState.set(`${this.elementId}_${rowId}`, true);
+            }
+        } else {
+            this.expandedRowsCache.delete(rowId);
+            if (window.globalExpandedState) {
+                window.globalExpandedState.delete(`${this.elementId}_${rowId}`);
+            }
+        }
+    }
+
+    // Fields of columns currently hidden (saved with filter presets)
+    getHiddenColumns() {
+        if (!this.table) return [];
+        return this.table.getColumns()
+            .filter(column => column.getField() && !column.isVisible())
+            .map(column => column.getField());
+    }
+
+    // Show every column except the given fields, then re-fit the layout.
+    // Columns hidden with the column chooser stay hidden.
+    setHiddenColumns(fields = []) {
+        if (!this.table) return;
+
+        const hidden = new Set([...fields, ...this.getLayoutHiddenFields()]);
+        let changed = false;
+        this.table.getColumns().forEach(column => {
+            const field = column.getField();
+            if (!field) return;
+
+            const shouldHide = hidden.has(field);
+            if (shouldHide === column.isVisible()) {
+                shouldHide ? column.hide() : column.show();
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.refreshColumnLayout();
+        }
+    }
+
+    // Column definitions to build the table with: getColumns() rearranged by the saved
+    // column layout. The original definitions are kept so the layout can change later.
+    applyColumnLayout(columns) {
+        this.columnDefinitions = columns;
+        return arrangeColumns(columns, getColumnLayout(this.endpoint));
+    }
+
+    // Leaf fields of the columns hidden in the saved column layout
+    getLayoutHiddenFields() {
+        if (!this.columnDefinitions) return [];
+
+        const { hidden } = getColumnLayout(this.endpoint);
+        return getLayoutEntries(this.columnDefinitions)
+            .filter(entry => hidden.includes(entry.key))
+            .flatMap(entry => entry.fields);
+    }
+
+    // Movable/hideable columns in their current order, for the column chooser
+    // [{ key, title, fields, hidden }]
+    getColumnChooserEntries() {
+        if (!this.columnDefinitions) return [];
+
+        const layout = getColumnLayout(this.endpoint);
+        const entries = new Map(getLayoutEntries(this.columnDefinitions).map(entry => [entry.key, entry]));
+        return getOrderedKeys(this.columnDefinitions, layout).map(key => ({
+            ...entries.get(key),
+            hidden: layout.hidden.includes(key)
+        }));
+    }
+
+    // Save a column layout ({ order, hidden } column keys, or null to reset) and apply it
+    // to the live table. Reordering rebuilds the columns, so filters, sort and columns hidden
+    // by a preset are carried over; visibility-only changes just show/hide the columns.
+    async updateColumnLayout(layout) {
+        if (!this.columnDefinitions) return;
+
+        const previous = getColumnLayout(this.endpoint);
+        if (layout) {
+            setColumnLayout(this.endpoint, layout);
+        } else {
+            resetColumnLayout(this.endpoint);
+        }
+        const next = getColumnLayout(this.endpoint);
+        if (!this.table) return;
+
+        const entries = getLayoutEntries(this.columnDefinitions);
+        const fieldsOf = (keys) => entries.filter(entry => keys.includes(entry.key)).flatMap(entry => entry.fields);
+        const shown = new Set(fieldsOf(previous.hidden.filter(key => !next.hidden.includes(key))));
+        const orderChanged = getOrderedKeys(this.columnDefinitions, previous).join('|')
+            !== getOrderedKeys(this.columnDefinitions, next).join('|');
+
+        if (orderChanged) {
+            const { filters, sort } = this.getViewState();
+            const hiddenColumns = this.getHiddenColumns().filter(field => !shown.has(field));
+
+            this.table.setColumns(arrangeColumns(this.columnDefinitions, next));
+            hiddenColumns.forEach(field => {
+                const column = this.table.getColumn(field);
+                if (column) column.hide();
+            });
+            await this.applyViewState({ filters, sort });
+        } else {
+            shown.forEach(field => {
+                const column = this.table.getColumn(field);
+                if (column) column.show();
+            });
+            fieldsOf(next.hidden.filter(key => !previous.hidden.includes(key))).forEach(field => {
+                const column = this.table.getColumn(field);
+                if (column) column.hide();
+            });
+        }
+
+        this.refreshColumnLayout();
+    }
+
+    // Re-run the subclass width fitting (same sequence TabManager uses after a tab switch)
+    refreshColumnLayout() {
+        if (!this.table || this.table.getDataCount() === 0) return;
+
+        if (this.forceRecalculateWidths) {
+            this.forceRecalculateWidths();
+            return;
+        }
+        if (this.scanDataForMaxWidths) {
+            this.scanDataForMaxWidths(this.table.getData());
+        }
+        if (this.equalizeClusteredColumns) {
+            this.equalizeClusteredColumns();
+        }
+        if (this.calculateAndApplyWidths) {
+            this.calculateAndApplyWidths();
+        }
+    }
+
+    // Toolbar controls shared by every table (called by TabManager once the table is built)
+    setupToolbar({ applyDefaultPreset = true } = {}) {
+        this.setupPresets({ applyDefault: applyDefaultPreset });
+        this.setupColumnChooser();
+        this.setupExport();
+        this.setupLineupExport();
+        this.setupProjectionOverrides();
+    }
+
+    // Saved filter presets: picker in the toolbar, default preset applied on load
+    // unless the view comes from a shared link (applyDefault: false)
+    setupPresets({ applyDefault = true } = {}) {
+        if (!this.table || this.presetControl) return;
+
+        const toolbar = this.getToolbar();
+        if (!toolbar) return;
+        this.presetControl = createPresetControl(toolbar, this);
+
+        const defaultName = getDefaultPresetName(this.endpoint);
+        const preset = defaultName ? getPreset(this.endpoint, defaultName) : null;
+        if (applyDefault && preset) {
+            console.log(`Applying default view "${preset.name}" for ${this.elementId}`);
+            this.applyPreset(preset);
+        }
+    }
+
+    // Column chooser in the toolbar (tables whose columns go through applyColumnLayout)
+    setupColumnChooser() {
+        if (!this.table || !this.columnDefinitions || this.columnChooser) return;
+
+        const toolbar = this.getToolbar();
+        if (!toolbar) return;
+        this.columnChooser = createColumnChooser(toolbar, this);
+    }
+
+    // Export menu in the toolbar
+    setupExport() {
+        if (!this.table || this.exportMenu) return;
+
+        const toolbar = this.getToolbar();
+        if (!toolbar) return;
+        this.exportMenu = createExportMenu(toolbar, this);
+    }
+
+    // Lineup count/salary and upload CSV export for DFS tables (see createLineupSelectColumn)
+    setupLineupExport() {
+        if (!this.dfsSite || !this.table || this.lineupExportControl) return;
+
+        const toolbar = this.getToolbar();
+        if (!toolbar) return;
+        this.lineupExportControl = createLineupExportControl(toolbar, this, this.dfsSite);
+    }
+
+    // Projection override count / CSV import for DFS tables; the table follows every change
+    setupProjectionOverrides() {
+        if (!this.dfsSite || !this.table || this.projectionOverrideControl) return;
+
+        const toolbar = this.getToolbar();
+        if (!toolbar) return;
+        this.projectionOverrideControl = createProjectionOverrideControl(toolbar, this.dfsSite);
+        onProjectionOverridesChange(() => this.refreshProjectionOverrides());
+    }
+
+    // Sheets for the current (filtered, sorted) view - subclasses with subtables add
+    // flattened sheets by implementing getExportSubtables({ formatted })
+    getExportSheets({ formatted = true, includeSubtables = false } = {}) {
+        const sheets = [{ name: this.endpoint, ...getExportSheet(this.table, { formatted }) }];
+        if (includeSubtables && this.getExportSubtables) {
+            sheets.push(...this.getExportSubtables({ formatted }));
+        }
+        return sheets;
+    }
+
+    // Download the current view - format is 'csv', 'xlsx' or 'json'
+    exportView({ format = 'csv', formatted = true, includeSubtables = false } = {}) {
+        if (!this.table) return;
+
+        const date = new Date().toISOString().slice(0, 10);
+        downloadSheets(this.getExportSheets({ formatted, includeSubtables }), format, `${this.endpoint}-${date}`);
+    }
+
+    // Apply a saved preset: columns, then filters and sort (expanded rows are left alone)
+    async applyPreset(preset) {
+        if (!this.table) return;
+
+        await this.whenDataReady();
+        this.setHiddenColumns(preset.hiddenColumns || []);
+        await this.applyViewState({ filters: preset.filters || [], sort: preset.sort || [] });
+        this.notifyViewStateChange();
+    }
+
+    // Subscribe to filter/sort/expansion changes - callback() is debounced by the caller
+    onViewStateChange(callback) {
+        if (!this.viewStateListeners) {
+            this.viewStateListeners = new Set();
+
+            if (this.table) {
+                this.table.on("dataFiltered", () => this.notifyViewStateChange());
+                this.table.on("dataSorted", () => this.notifyViewStateChange());
+            }
+        }
+
+        this.viewStateListeners.add(callback);
+        return () => this.viewStateListeners.delete(callback);
+    }
+
+    notifyViewStateChange() {
+        if (this.isApplyingViewState || !this.viewStateListeners) return;
+        this.viewStateListeners.forEach(callback => callback());
+    }
+
+    // Whether the table has a filterable Player Name column (split-view player link)
+    hasPlayerColumn() {
+        if (!this.table) return false;
+        return this.table.getColumns().some(column =>
+            column.getField() === "Player Name" && column.getDefinition().headerFilter
+        );
+    }
+
+    getPlayerFilter() {
+        if (!this.hasPlayerColumn()) return '';
+        return this.table.getHeaderFilterValue("Player Name") || '';
+    }
+
+    setPlayerFilter(value) {
+        if (!this.hasPlayerColumn()) return;
+        this.table.setHeaderFilterValue("Player Name", value || '');
+    }
+
+    // Subscribe to clicks on a Player Name cell - callback(playerName)
+    onPlayerSelected(callback) {
+        if (!this.table) return () => {};
+
+        const handler = (e, cell) => {
+            if (cell.getField() !== "Player Name") return;
+            // "(Out)"/"(OFS)" suffixes would stop the name matching in the other table
+            const name = String(cell.getValue() || '').replace(/\((out|ofs)\)/ig, '').trim();
+            if (name) callback(name);
+        };
+        this.table.on("cellClick", handler);
+        return () => this.table.off("cellClick", handler);
+    }
+
     // Save temporary expanded state (before filter/sort operations)
     saveTemporaryExpandedState() {
         this.temporaryExpandedRows.clear();
@@ -538,10 +1709,34 @@ export class BaseTable {
     }
 
     // Refresh data
+    // With delta sync, only changed rows are fetched and patched into the live table,
+    // which keeps expanded rows and scroll position intact
     async refreshData() {
         if (!this.table) return;
         
-        const cacheKey = `basketball_${this.endpoint}`;
+        const cacheKey = this.getCacheKey();
+        const staleEntry = this.getStaleCachedEntry(cacheKey);
+        
+        if (this.canDeltaSync(staleEntry)) {
+            try {
+                const url = API_CONFIG.baseURL + this.endpoint;
+                const { changed, replaced } = await this.syncDelta(url, staleEntry);
+                // Rows whose line moved come back under a new row ID - drop the old-line rows
+                replaced.forEach(rowId => {
+                    const row = this.table.getRow(rowId);
+                    if (row) row.delete();
+                });
+                if (changed.length > 0) {
+                    // Fresh rows carry the site's projections - re-apply overrides before patching
+                    // so the cells, their tint/tooltip and sorting use the overridden values
+                    await this.table.updateOrAddData(this.applyProjectionOverrides(changed));
+                }
+                return;
+            } catch (error) {
+                console.error(`Delta refresh failed for ${this.endpoint}, reloading all data:`, error);
+            }
+        }
+        
         dataCache.delete(cacheKey);
         
         await this.table.setData();
@@ -0,0 +1,488 @@
+// tables/basketDfsOptimizer.js - DFS Lineup Optimizer tab
+// Player pool built from the DraftKings or FanDuel DFS data (one row per player for the chosen
+// split) with Lock / Exclude toggles and per-player max exposure. "Build Lineups" runs the
+// branch-and-bound optimizer (shared/lineupOptimizer.js) in a Web Worker and lists the lineups
+// below the pool; each player's exposure across the built lineups is written back to the pool.
+// The lineups export as the site's bulk-upload CSV (shared/dfsExport.js). Projections include
+// the analyst overrides from the DK/FD tabs and the pool reloads when they change.
+//
+// There is no Supabase table behind this tab: loadData() reads the site's DFS endpoint through
+// a private DK/FD table instance, so it shares that endpoint's memory/IndexedDB cache.
+
+import { BaseTable } from './baseTable.js';
+import { BasketPlayerDKTable } from './basketPlayerDK.js';
+import { BasketPlayerFDTable } from './basketPlayerFD.js';
+import { createCustomMultiSelect } from '../components/customMultiSelect.js';
+import { createMinMaxFilter, minMaxFilterFunction } from '../components/minMaxFilter.js';
+import { createOptimizerPanel } from '../components/optimizerPanel.js';
+import { createLineupResults } from '../components/lineupResults.js';
+import { CONFIG } from '../shared/config.js';
+import { parsePositions, runLineupOptimizer } from '../shared/lineupOptimizer.js';
+import { exportLineupsCSV } from '../shared/dfsExport.js';
+import { onProjectionOverridesChange } from '../shared/projectionOverrides.js';
+
+const SOURCE_TABLES = {
+    dk: BasketPlayerDKTable,
+    fd: BasketPlayerFDTable
+};
+
+// Lineup statuses left out of the pool when "Skip Out" is on
+const INACTIVE_STATUS = /\b(out|ofs)\b/i;
+
+function parseSalary(value) {
+    if (value === null || value === undefined || value === '') return NaN;
+    return parseFloat(String(value).replace(/[$,]/g, ''));
+}
+
+export class BasketDfsOptimizerTable extends BaseTable {
+    constructor(elementId, endpoint = 'BasketDfsOptimizer') {
+        super(elementId, endpoint);
+
+        // Optimizer settings (edited through the settings bar)
+        this.settings = {
+            site: 'dk',
+            projection: CONFIG.DFS.projections[0],
+            split: null,
+            count: CONFIG.DFS.defaultLineups,
+            maxCount: CONFIG.DFS.maxLineups,
+            maxExposure: 100,
+            maxPerTeam: null,
+            minStack: null,
+            skipInactive: true
+        };
+
+        // Per-player choices, keyed by pool row ID (site-specific)
+        this.locks = new Set();
+        this.excludes = new Set();
+        this.exposureOverrides = new Map();
+
+        // Site data is read through the DK/FD tables' loaders (no Tabulator is built for them)
+        this.sources = {};
+        this.splits = [];
+
+        this.lineups = [];
+        this.lineupSite = null;
+        this.job = null;
+        this.optimizerPanel = null;
+        this.lineupResults = null;
+    }
+
+    getSite() {
+        return CONFIG.DFS.sites[this.settings.site];
+    }
+
+    getSource() {
+        const key = this.settings.site;
+        if (!this.sources[key]) {
+            this.sources[key] = new SOURCE_TABLES[key](`#${key}-optimizer-source`, CONFIG.DFS.sites[key].endpoint);
+        }
+        return this.sources[key];
+    }
+
+    // Pool rows are per site and player (the split is a setting, not part of the row)
+    generateRowId(data) {
+        return `dfs_${this.settings.site}_${data["Player Name"]}_${data["Player Team"] || ''}`;
+    }
+
+    // Global player search: "PG $7,400 · 45.2"
+    getSearchLabel(data) {
+        const salary = isNaN(data["Player Salary"]) ? '' : `$${Number(data["Player Salary"]).toLocaleString()}`;
+        const projection = isNaN(data["Player Projection"]) ? '' : Number(data["Player Projection"]).toFixed(1);
+        return [[data["Player Position"], salary].filter(Boolean).join(' '), projection].filter(Boolean).join(' · ');
+    }
+
+    // The pool comes from the selected site's DFS data, not from this.endpoint
+    async loadData() {
+        const records = await this.getSource().loadData();
+        this.dataLoaded = true;
+        return this.buildPool(records || []);
+    }
+
+    async refreshData() {
+        if (!this.table) return;
+        await this.table.setData();
+    }
+
+    buildPool(records) {
+        const site = this.getSite();
+        const prefix = site.fieldPrefix;
+
+        this.splits = [...new Set(records.map(record => record["Split"]).filter(Boolean))];
+        if (!this.splits.includes(this.settings.split)) {
+            this.settings.split = this.splits.includes('Full Season') ? 'Full Season' : (this.splits[0] || null);
+        }
+        if (this.optimizerPanel) {
+            this.optimizerPanel.setSplits(this.splits, this.settings.split);
+        }
+
+        const pool = new Map();
+        records.forEach(record => {
+            if (this.settings.split && record["Split"] !== this.settings.split) return;
+            if (this.settings.skipInactive && INACTIVE_STATUS.test(record["Lineup Status"] || '')) return;
+
+            const row = {
+                "Player Name": record["Player Name"],
+                "Player Team": record["Player Team"],
+                "Player Position": record[`${prefix} Position`],
+                "Player ID": record[site.idField] ?? null,
+                "Player Salary": parseSalary(record[`${prefix} Price`]),
+                "Player Projection": parseFloat(record[`${prefix} ${this.settings.projection}`]),
+                "Lineup Status": record["Lineup Status"],
+                "Matchup": record["Matchup"]
+            };
+            row["Player Value"] = row["Player Salary"] > 0 ? row["Player Projection"] / row["Player Salary"] * 1000 : NaN;
+            row._rowId = this.generateRowId(row);
+
+            if (!row["Player Name"] || pool.has(row._rowId)) return;
+            this.applyPlayerChoices(row);
+            pool.set(row._rowId, row);
+        });
+
+        return [...pool.values()];
+    }
+
+    // Copy lock/exclude/exposure choices and the last run's exposure onto a pool row
+    applyPlayerChoices(row) {
+        row._lock = this.locks.has(row._rowId);
+        row._exclude = this.excludes.has(row._rowId);
+        row["Player Max Exposure"] = this.exposureOverrides.has(row._rowId) ? this.exposureOverrides.get(row._rowId) : null;
+        row["Player Exposure"] = this.getLineupExposure(row._rowId);
+        return row;
+    }
+
+    getLineupExposure(rowId) {
+        if (this.lineups.length === 0 || this.lineupSite !== this.settings.site) return null;
+        const count = this.lineups.filter(lineup => lineup.slots.some(entry => entry.player.id === rowId)).length;
+        return count / this.lineups.length * 100;
+    }
+
+    togglePlayerFlag(row, flag) {
+        const rowId = row.getData()._rowId;
+        const [set, other] = flag === 'lock' ? [this.locks, this.excludes] : [this.excludes, this.locks];
+
+        if (set.has(rowId)) {
+            set.delete(rowId);
+        } else {
+            set.add(rowId);
+            other.delete(rowId);
+        }
+
+        row.update({ _lock: this.locks.has(rowId), _exclude: this.excludes.has(rowId) });
+    }
+
+    updateSettings(changes) {
+        const reloadPool = ['site', 'split', 'projection', 'skipInactive'].some(key => key in changes);
+        Object.assign(this.settings, changes);
+
+        if (reloadPool && this.table) {
+            this.table.setData();
+        } else if ('maxExposure' in changes && this.table) {
+            // Max % cells without an override show the default
+            this.table.redraw(true);
+        }
+    }
+
+    async runOptimizer() {
+        if (this.job || !this.table) return;
+
+        const site = this.getSite();
+        const rows = this.table.getData();
+        const players = rows
+            .filter(row => !row._exclude)
+            .map(row => ({
+                id: row._rowId,
+                name: row["Player Name"],
+                team: row["Player Team"],
+                game: row["Matchup"] || row["Player Team"],
+                positions: parsePositions(row["Player Position"]),
+                salary: row["Player Salary"],
+                projection: row["Player Projection"],
+                uploadId: row["Player ID"]
+            }));
+
+        const exposures = {};
+        rows.forEach(row => {
+            if (row["Player Max Exposure"] !== null && row["Player Max Exposure"] !== undefined) {
+                exposures[row._rowId] = row["Player Max Exposure"] / 100;
+            }
+        });
+
+        const rules = {
+            salaryCap: site.salaryCap,
+            slots: site.slots,
+            maxPerTeam: site.maxPerTeam,
+            minTeams: site.minTeams,
+            minGames: site.minGames
+        };
+        const options = {
+            count: this.settings.count,
+            locks: [...this.locks],
+            maxExposure: this.settings.maxExposure / 100,
+            exposures,
+            maxPerTeam: this.settings.maxPerTeam,
+            minStack: this.settings.minStack,
+            nodeLimit: CONFIG.DFS.nodeLimit
+        };
+
+        const siteKey = this.settings.site;
+        this.optimizerPanel.setRunning(true);
+        this.optimizerPanel.setStatus(`Building ${options.count} ${site.label} lineups from ${players.length} players...`);
+
+        this.job = runLineupOptimizer(players, rules, options, ({ built, count }) => {
+            this.optimizerPanel.setStatus(`Building lineups... ${built}/${count}`);
+        });
+
+        try {
+            const { lineups, nodeLimitHit } = await this.job.promise;
+            this.lineups = lineups;
+            this.lineupSite = siteKey;
+            this.lineupResults.update(lineups, site.label);
+            this.updatePoolExposure();
+
+            let message = lineups.length === 0
+                ? 'No valid lineups - loosen the locks, exposure or stacking limits'
+                : `Built ${lineups.length} of ${options.count} lineups`;
+            if (lineups.length > 0 && lineups.length < options.count) {
+                message += ' (no more lineups satisfy the limits)';
+            }
+            if (nodeLimitHit) {
+                message += ' - search limit reached, some lineups may not be optimal';
+            }
+            this.optimizerPanel.setStatus(message, lineups.length === 0);
+        } catch (error) {
+            if (error.message === 'Cancelled') {
+                this.optimizerPanel.setStatus('Stopped');
+            } else {
+                console.error('Lineup optimizer failed:', error);
+                this.optimizerPanel.setStatus(error.message, true);
+            }
+        } finally {
+            this.job = null;
+            this.optimizerPanel.setRunning(false);
+        }
+    }
+
+    // Built lineups as the site's bulk-upload CSV (validated before writing)
+    exportLineups() {
+        if (this.lineups.length === 0) {
+            throw new Error('Build lineups first');
+        }
+        const { count, missingIds } = exportLineupsCSV(
+            this.lineups.map(lineup => lineup.slots.map(entry => entry.player)),
+            this.lineupSite
+        );
+        return missingIds.length > 0
+            ? `Exported ${count} lineups - ${missingIds.length} players without a site ID were written by name`
+            : `Exported ${count} lineups`;
+    }
+
+    cancelOptimizer() {
+        if (this.job) {
+            this.job.cancel();
+        }
+    }
+
+    updatePoolExposure() {
+        if (!this.table) return;
+        this.table.updateData(this.table.getData().map(row => ({
+            _rowId: row._rowId,
+            "Player Exposure": this.getLineupExposure(row._rowId)
+        })));
+    }
+
+    initialize() {
+        const baseConfig = this.getBaseConfig();
+
+        const config = {
+            ...baseConfig,
+            renderHorizontal: "basic",
+            layout: "fitData",
+            height: "500px",
+            maxHeight: "500px",
+            placeholder: "Loading DFS player pool...",
+            columns: this.getColumns(),
+            initialSort: [
+                {column: "Player Projection", dir: "desc"}
+            ],
+            ajaxError: (error) => {
+                console.error("Error loading DFS optimizer pool:", error);
+            }
+        };
+
+        this.table = new Tabulator(this.elementId, config);
+
+        // Projection overrides edited or imported on the DK/FD tabs change the pool
+        onProjectionOverridesChange(() => {
+            if (this.table) {
+                this.table.setData();
+            }
+        });
+
+        this.table.on("tableBuilt", () => {
+            const toolbar = this.getToolbar();
+            if (toolbar && !this.optimizerPanel) {
+                this.optimizerPanel = createOptimizerPanel(toolbar, {
+                    sites: CONFIG.DFS.sites,
+                    projections: CONFIG.DFS.projections,
+                    settings: this.settings,
+                    onSettingsChange: (changes) => this.updateSettings(changes),
+                    onRun: () => this.runOptimizer(),
+                    onCancel: () => this.cancelOptimizer()
+                });
+                this.optimizerPanel.setSplits(this.splits, this.settings.split);
+            }
+
+            const element = document.querySelector(this.elementId);
+            if (element && element.parentElement && !this.lineupResults) {
+                this.lineupResults = createLineupResults(element.parentElement, {
+                    onExport: () => this.exportLineups()
+                });
+            }
+        });
+    }
+
+    getColumns() {
+        const self = this;
+
+        const toggleFormatter = (symbol, color) => (cell) => {
+            const active = !!cell.getValue();
+            return `<span style="cursor: pointer; font-size: 13px; color: ${active ? color : '#d1d5db'};">${symbol}</span>`;
+        };
+
+        const numberFormatter = (decimals, prefix = '', suffix = '') => (cell) => {
+            const value = cell.getValue();
+            if (value === null || value === undefined || value === '' || isNaN(value)) return '-';
+            return prefix + (prefix === '$' ? Number(value).toLocaleString() : Number(value).toFixed(decimals)) + suffix;
+        };
+
+        return [
+            {
+                title: "Lock",
+                field: "_lock",
+                width: 48,
+                hozAlign: "center",
+                headerSort: false,
+                resizable: false,
+                formatter: toggleFormatter('🔒', '#ea580c'),
+                cellClick: (e, cell) => self.togglePlayerFlag(cell.getRow(), 'lock')
+            },
+            {
+                title: "Excl",
+                field: "_exclude",
+                width: 44,
+                hozAlign: "center",
+                headerSort: false,
+                resizable: false,
+                formatter: toggleFormatter('✕', '#b91c1c'),
+                cellClick: (e, cell) => self.togglePlayerFlag(cell.getRow(), 'exclude')
+            },
+            {
+                title: "Name",
+                field: "Player Name",
+                frozen: true,
+                minWidth: 120,
+                sorter: "string",
+                headerFilter: true,
+                resizable: false,
+                hozAlign: "left"
+            },
+            {
+                title: "Team",
+                field: "Player Team",
+                minWidth: 45,
+                sorter: "string",
+                headerFilter: createCustomMultiSelect,
+                resizable: false,
+                hozAlign: "center"
+            },
+            {
+                title: "Position",
+                field: "Player Position",
+                minWidth: 60,
+                sorter: "string",
+                headerFilter: createCustomMultiSelect,
+                resizable: false,
+                hozAlign: "center"
+            },
+            {
+                title: "Salary",
+                field: "Player Salary",
+                minWidth: 70,
+                sorter: "number",
+                headerFilter: createMinMaxFilter,
+                headerFilterFunc: minMaxFilterFunction,
+                headerFilterLiveFilter: false,
+                resizable: false,
+                hozAlign: "center",
+                formatter: numberFormatter(0, '$')
+            },
+            {
+                title: "Proj",
+                field: "Player Projection",
+                minWidth: 55,
+                sorter: "number",
+                headerFilter: createMinMaxFilter,
+                headerFilterFunc: minMaxFilterFunction,
+                headerFilterLiveFilter: false,
+                resizable: false,
+                hozAlign: "center",
+                formatter: numberFormatter(1)
+            },
+            {
+                title: "Pts/$1K",
+                field: "Player Value",
+                minWidth: 60,
+                sorter: "number",
+                resizable: false,
+                hozAlign: "center",
+                formatter: numberFormatter(2)
+            },
+            {
+                title: "Max %",
+                field: "Player Max Exposure",
+                minWidth: 55,
+                sorter: "number",
+                resizable: false,
+                hozAlign: "center",
+                editor: "number",
+                editorParams: { min: 0, max: 100, step: 5 },
+                formatter: (cell) => {
+                    const value = cell.getValue();
+                    return value === null || value === undefined || value === ''
+                        ? `<span style="color: #bbb;">${self.settings.maxExposure}%</span>`
+                        : `${value}%`;
+                },
+                cellEdited: (cell) => {
+                    const rowId = cell.getRow().getData()._rowId;
+                    const value = parseFloat(cell.getValue());
+                    if (isNaN(value)) {
+                        self.exposureOverrides.delete(rowId);
+                        cell.getRow().update({ "Player Max Exposure": null });
+                    } else {
+                        const clamped = Math.min(100, Math.max(0, value));
+                        self.exposureOverrides.set(rowId, clamped);
+                        if (clamped !== value) cell.getRow().update({ "Player Max Exposure": clamped });
+                    }
+                }
+            },
+            {
+                title: "Exp %",
+                field: "Player Exposure",
+                minWidth: 55,
+                sorter: "number",
+                resizable: false,
+                hozAlign: "center",
+                formatter: numberFormatter(0, '', '%')
+            },
+            {
+                title: "Lineup",
+                field: "Lineup Status",
+                minWidth: 70,
+                sorter: "string",
+                headerFilter: createCustomMultiSelect,
+                resizable: false,
+                hozAlign: "center"
+            }
+        ];
+    }
+}
@@ -1,5 +1,12 @@
 // tables/basketGameOdds.js - Basketball Game Odds Table
 // Simple flat table with no expandable rows or grouped headers
+// UPDATED: getMarketKey (game/market/side/book) so a moved line replaces its old row on delta sync
+// UPDATED: Column chooser hides/reorders columns; hidden columns are skipped when equalizing widths
+// UPDATED: Best, median and book odds can be watched with threshold alerts (🔔 in the Track column)
+// UPDATED: Book heatmap - one game + market pivoted to books x side/line, shaded by distance from the median
+// UPDATED: Arbitrage/middle scanner - "Signal" badge column plus an opportunities panel with stake splits
+// UPDATED: "Track" column adds the row's book price to the bet slip
+// UPDATED: Live odds via Supabase Realtime - changed prices are patched in place and highlighted
 // UPDATED: Left-justified with content-based width, scanDataForMaxWidths for proper column sizing
 // FIXED: Desktop container width reset on tab switch - prevents grey/blue space
 // UPDATED: Mobile/tablet shows abbreviated team names (e.g., "LAC @ BOS" instead of full names)
@@ -8,11 +15,28 @@
 import { BaseTable } from './baseTable.js';
 import { createCustomMultiSelect } from '../components/customMultiSelect.js';
 import { createMinMaxFilter, minMaxFilterFunction } from '../components/minMaxFilter.js';
-import { isMobile, isTablet } from '../shared/config.js';
+import { CONFIG, isMobile, isTablet } from '../shared/config.js';
+import { findOpportunities, getRowSignals } from '../shared/arbitrage.js';
+import { parseAmericanOdds } from '../shared/utils.js';
+import { createArbitragePanel } from '../components/arbitragePanel.js';
+import { createOddsHeatmapPanel } from '../components/oddsHeatmapPanel.js';
 
 export class BasketGameOddsTable extends BaseTable {
-    constructor(elementId) {
-        super(elementId, 'BasketGameOdds');
+    constructor(elementId, endpoint = 'BasketGameOdds') {
+        super(elementId, endpoint);
+        
+        // Live odds: patch rows from the Supabase Realtime channel and flash moved prices
+        this.realtimeEnabled = true;
+        this.realtimeHighlightFields = ["Game Prop Odds", "Game Median Odds", "Game Best Odds"];
+        
+        // Cross-book arbitrage/middle scanner state
+        this.arbitrageBankroll = CONFIG.ARBITRAGE.defaultBankroll;
+        this.opportunities = [];
+        this.arbitragePanel = null;
+        this.flaggedRowFilter = (data) => !!data["Game Signal"];
+        
+        // Book heatmap panel (books x side/line for one game + market)
+        this.heatmapPanel = null;
         
         // Team full name to abbreviation mapping
         this.teamAbbrevMap = {
@@ -51,6 +75,48 @@ export class BasketGameOddsTable extends BaseTable {
         };
     }
 
+    // One row per game/market/side/line/book - row ID must include all of them
+    // so delta sync merges don't collapse different books or lines together
+    generateRowId(data) {
+        return `gameodds_${[
+            data["Game Matchup"],
+            data["Game Prop Type"],
+            data["Game Label"],
+            data["Game Line"],
+            data["Game Book"]
+        ].map(v => v ?? '').join('_')}`;
+    }
+
+    // Market without the line (game/market/side/book) - lets a delta-synced row whose
+    // line moved replace the old-line row
+    getMarketKey(data) {
+        return `${this.endpoint}_${[
+            data["Game Matchup"],
+            data["Game Prop Type"],
+            data["Game Label"],
+            data["Game Book"]
+        ].map(v => v ?? '').join('_')}`;
+    }
+
+    // Closing line for tracked picks: the market median for this row's side
+    getClosingOdds(record, side) {
+        return parseAmericanOdds(record["Game Median Odds"]);
+    }
+
+    // Fields the 🔔 watch editor offers - best and median are per market, book odds per row
+    getWatchFields() {
+        return [
+            { field: "Game Best Odds", label: "Best odds", type: 'odds' },
+            { field: "Game Median Odds", label: "Median odds", type: 'odds' },
+            { field: "Game Prop Odds", label: "Book odds", type: 'odds' }
+        ];
+    }
+
+    getWatchLabel(data) {
+        const side = [data["Game Label"], data["Game Line"]].filter(value => value !== null && value !== undefined && value !== '').join(' ');
+        return [this.abbreviateMatchup(data["Game Matchup"]), data["Game Prop Type"], side, data["Game Book"]].filter(Boolean).join(' · ');
+    }
+
     // Convert full team names in matchup string to abbreviations
     abbreviateMatchup(matchup) {
         if (!matchup) return '-';
@@ -91,7 +157,7 @@ export class BasketGameOddsTable extends BaseTable {
             // fitData: columns size to content only (not full width)
             layout: "fitData",
             
-            columns: this.getColumns(isSmallScreen),
+            columns: this.applyColumnLayout(this.getColumns(isSmallScreen)),
             initialSort: [
                 {column: "Game Matchup", dir: "asc"}
             ],
@@ -126,6 +192,30 @@ export class BasketGameOddsTable extends BaseTable {
         this.table.on("tableBuilt", () => {
             console.log("Game Odds table built");
             
+            // Start listening for live odds changes
+            this.startRealtime();
+            
+            // Opportunities panel above the table
+            const toolbar = this.getToolbar();
+            if (toolbar && !this.arbitragePanel) {
+                this.arbitragePanel = createArbitragePanel(toolbar, {
+                    bankroll: this.arbitrageBankroll,
+                    formatMatchup: (matchup) => (isSmallScreen ? this.abbreviateMatchup(matchup) : matchup),
+                    onBankrollChange: (bankroll) => {
+                        this.arbitrageBankroll = bankroll;
+                        this.scanOpportunities();
+                    },
+                    onFlaggedOnlyChange: (flaggedOnly) => this.setFlaggedOnly(flaggedOnly)
+                });
+            }
+            if (toolbar && !this.heatmapPanel) {
+                this.heatmapPanel = createOddsHeatmapPanel(toolbar, {
+                    parseOdds: (value) => this.parseOddsValue(value),
+                    formatMatchup: (matchup) => (isSmallScreen ? this.abbreviateMatchup(matchup) : matchup)
+                });
+                this.refreshHeatmap();
+            }
+            
             // Desktop-specific width calculations
             if (!isMobile() && !isTablet()) {
                 setTimeout(() => {
@@ -139,6 +229,17 @@ export class BasketGameOddsTable extends BaseTable {
             }
         });
         
+        // Rescan whenever prices change (delta refresh, realtime patches)
+        const rescan = this.debounce(() => this.scanOpportunities(), 300);
+        this.table.on("dataLoaded", rescan);
+        this.table.on("dataChanged", rescan);
+        
+        // Heatmap follows price changes and the Matchup filter
+        const refreshHeatmap = this.debounce(() => this.refreshHeatmap(), 300);
+        this.table.on("dataLoaded", refreshHeatmap);
+        this.table.on("dataChanged", refreshHeatmap);
+        this.table.on("dataFiltered", refreshHeatmap);
+        
         this.table.on("renderComplete", () => {
             // Recalculate widths after render (handles tab switching) - desktop only
             if (!isMobile() && !isTablet()) {
@@ -156,6 +257,65 @@ export class BasketGameOddsTable extends BaseTable {
         }, 250));
     }
 
+    // Find arbitrage/middle opportunities across books and tag the rows involved.
+    // Only rows whose badge changed are updated, so the dataChanged rescan settles.
+    scanOpportunities() {
+        if (!this.table) return;
+        
+        const rows = this.table.getData();
+        this.opportunities = findOpportunities(rows, { bankroll: this.arbitrageBankroll });
+        const signals = getRowSignals(this.opportunities);
+        
+        const updates = [];
+        rows.forEach(row => {
+            const signal = signals.get(row._rowId) || null;
+            if ((row["Game Signal"] || null) !== signal) {
+                updates.push({ _rowId: row._rowId, "Game Signal": signal });
+            }
+        });
+        
+        if (updates.length > 0) {
+            this.table.updateData(updates);
+        }
+        
+        if (this.arbitragePanel) {
+            this.arbitragePanel.update(this.opportunities);
+        }
+        
+        console.log(`Game Odds: ${this.opportunities.length} arbitrage/middle opportunities, ${signals.size} rows flagged`);
+    }
+
+    // Feed the heatmap every book's rows for the games passing the Matchup filter. Other
+    // filters (Book, odds ranges, flagged only) are ignored so no book drops out of the pivot.
+    refreshHeatmap() {
+        if (!this.table || !this.heatmapPanel) return;
+        
+        const filter = this.table.getHeaderFilters().find(f => f.field === "Game Matchup");
+        const value = filter ? filter.value : '';
+        let allowed = null;
+        if (value === "IMPOSSIBLE_VALUE_THAT_MATCHES_NOTHING") {
+            allowed = [];
+        } else if (Array.isArray(value)) {
+            allowed = value.map(v => String(v));
+        } else if (value) {
+            allowed = [String(value)];
+        }
+        
+        const rows = this.table.getData();
+        this.heatmapPanel.update(allowed ? rows.filter(row => allowed.includes(String(row["Game Matchup"] || ''))) : rows);
+    }
+
+    // Limit the table to rows carrying an Arb/Middle badge (works alongside header filters)
+    setFlaggedOnly(flaggedOnly) {
+        if (!this.table) return;
+        
+        if (flaggedOnly) {
+            this.table.addFilter(this.flaggedRowFilter);
+        } else {
+            this.table.removeFilter(this.flaggedRowFilter);
+        }
+    }
+
     // Debounce helper
     debounce(func, wait) {
         let timeout;
@@ -241,22 +401,28 @@ export class BasketGameOddsTable extends BaseTable {
         console.log('Game Odds Max width scan complete');
     }
 
+    // Parse odds with a +/- prefix - null when missing (shared by the sorter and the heatmap)
+    parseOddsValue(val) {
+        if (val === null || val === undefined || val === '' || val === '-') return null;
+        const str = String(val).trim();
+        
+        if (str.startsWith('+')) {
+            const parsed = parseInt(str.substring(1), 10);
+            return isNaN(parsed) ? null : parsed;
+        } else if (str.startsWith('-')) {
+            const parsed = parseInt(str, 10);
+            return isNaN(parsed) ? null : parsed;
+        }
+        
+        const num = parseInt(str, 10);
+        return isNaN(num) ? null : num;
+    }
+
     // Custom sorter for odds with +/- prefix
     oddsSorter(a, b, aRow, bRow, column, dir, sorterParams) {
         const getOddsNum = (val) => {
-            if (val === null || val === undefined || val === '' || val === '-') return -99999;
-            const str = String(val).trim();
-            
-            if (str.startsWith('+')) {
-                const parsed = parseInt(str.substring(1), 10);
-                return isNaN(parsed) ? -99999 : parsed;
-            } else if (str.startsWith('-')) {
-                const parsed = parseInt(str, 10);
-                return isNaN(parsed) ? -99999 : parsed;
-            }
-            
-            const num = parseInt(str, 10);
-            return isNaN(num) ? -99999 : num;
+            const num = this.parseOddsValue(val);
+            return num === null ? -99999 : num;
         };
         
         const aNum = getOddsNum(a);
@@ -286,6 +452,18 @@ export class BasketGameOddsTable extends BaseTable {
             return num.toFixed(1);
         };
 
+        // Signal formatter - badge for rows that are part of an arb or middle
+        const signalFormatter = (cell) => {
+            const value = cell.getValue();
+            if (!value) return '';
+            const colors = {
+                'Arb': 'background: #dcfce7; color: #15803d;',
+                'Middle': 'background: #dbeafe; color: #1d4ed8;',
+                'Arb + Middle': 'background: #fef3c7; color: #b45309;'
+            };
+            return `<span style="${colors[value] || ''} font-weight: 700; padding: 1px 6px; border-radius: 3px;">${value}</span>`;
+        };
+
         // Matchup formatter - abbreviates team names on mobile/tablet only
         const matchupFormatter = (cell) => {
             const value = cell.getValue();
@@ -413,7 +591,28 @@ export class BasketGameOddsTable extends BaseTable {
                 resizable: false,
                 hozAlign: "center",
                 cssClass: "cluster-best-odds"
-            }
+            },
+            {
+                title: "Signal", 
+                field: "Game Signal", 
+                widthGrow: 0,
+                minWidth: 70,
+                sorter: "string",
+                resizable: false,
+                hozAlign: "center",
+                formatter: signalFormatter
+            },
+            this.createTrackColumn((data) => [{
+                side: data["Game Label"],
+                player: null,
+                team: null,
+                matchup: data["Game Matchup"],
+                market: data["Game Prop Type"],
+                line: data["Game Line"] === null || data["Game Line"] === '' ? null : parseFloat(data["Game Line"]),
+                book: data["Game Book"],
+                odds: parseAmericanOdds(data["Game Prop Odds"]),
+                stake: null
+            }])
         ];
     }
 
@@ -435,7 +634,7 @@ export class BasketGameOddsTable extends BaseTable {
             
             fields.forEach(field => {
                 const column = this.table.getColumn(field);
-                if (column) {
+                if (column && column.isVisible()) {
                     const width = column.getWidth();
                     if (width > maxWidth) {
                         maxWidth = width;
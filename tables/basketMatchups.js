@@ -12,14 +12,22 @@
 // - Defense rank cells now have conditional background colors (green/white/red)
 // - Fixed parseMatchup to handle text month date formats (e.g., "Jan 5")
 // - FIXED: Desktop scrollbar space reservation - prevents horizontal scrollbar when subtables expand
+// - Export can flatten the defense and player subtables (getExportSubtables)
+// - getMatchupPlayers() exposes player subtable rows to the player profile modal
+// - "SGP" button in the Matchup cell opens the same-game parlay builder for that game
+// - Lineup status flips (game rows and player subtable) raise lineup alerts; affected games are highlighted
+// - Defense/player subtable data is refetched on every load and refresh (dataLoaded event, refreshData)
 
 import { BaseTable } from './baseTable.js';
 import { isMobile, isTablet } from '../shared/config.js';
 import { getRankBackgroundColor } from '../shared/utils.js';
+import { getExportColumns, getExportValue, recordsToSheet } from '../shared/exporter.js';
+import { openParlayBuilder } from '../components/parlayBuilderModal.js';
+import { getPlayerKey, getTeamKey, diffLineupStatuses, addLineupAlerts } from '../shared/lineupAlerts.js';
 
 export class BasketMatchupsTable extends BaseTable {
-    constructor(elementId) {
-        super(elementId, 'BasketMatchupsGame');
+    constructor(elementId, endpoint = 'BasketMatchupsGame') {
+        super(elementId, endpoint);
         
         // Additional endpoints for subtable data
         this.ENDPOINTS = {
@@ -120,20 +128,7 @@ export class BasketMatchupsTable extends BaseTable {
             initialSort: [
                 {column: "Matchup ID", dir: "asc"}
             ],
-            rowFormatter: this.createRowFormatter(),
-            dataLoaded: (data) => {
-                this.dataLoaded = true;
-                
-                // Initialize expansion state for each row
-                data.forEach(row => {
-                    if (row._expanded === undefined) {
-                        row._expanded = false;
-                    }
-                });
-                
-                // Pre-fetch defense and player data for all matchups
-                this.prefetchSubtableData(data);
-            },
+            rowFormatter: this.wrapRowFormatter(this.createRowFormatter()),
             ajaxError: (error) => {
                 console.error("Error loading matchups data:", error);
             }
@@ -142,6 +137,21 @@ export class BasketMatchupsTable extends BaseTable {
         this.table = new Tabulator(this.elementId, config);
         this.setupRowExpansion();
         
+        // Every (re)load refetches the defense and player subtables, so player status flips
+        // in the subtables are diffed against the previous load
+        this.table.on("dataLoaded", (data) => {
+            this.dataLoaded = true;
+            
+            // Initialize expansion state for each row
+            data.forEach(row => {
+                if (row._expanded === undefined) {
+                    row._expanded = false;
+                }
+            });
+            
+            this.prefetchSubtableData(data);
+        });
+        
         this.table.on("tableBuilt", () => {
             // Setup MutationObserver for subtable preservation
             this.setupSubtableObserver();
@@ -473,11 +483,33 @@ export class BasketMatchupsTable extends BaseTable {
             
             container.appendChild(icon);
             container.appendChild(text);
+            if (data["Matchup ID"] != null) {
+                container.appendChild(self.createParlayButton(data));
+            }
             
             return container;
         };
     }
 
+    // Small button inside the matchup cell that opens the same-game parlay builder.
+    // Stops the click so it doesn't toggle the row's subtables.
+    createParlayButton(data) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'parlay-button';
+        button.title = 'Same-game parlay builder';
+        button.setAttribute('aria-label', `Build a same-game parlay for ${data["Matchup"]}`);
+        button.textContent = 'SGP';
+        button.style.cssText = 'margin-left: 6px; padding: 0 4px; border: 1px solid #fdba74; border-radius: 3px; background: white; color: #ea580c; font-size: 10px; font-weight: 600; line-height: 14px; cursor: pointer; flex-shrink: 0;';
+        
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openParlayBuilder(data["Matchup ID"], data["Matchup"]);
+        });
+        
+        return button;
+    }
+
     // Row formatter for expanded state - CRITICAL for state preservation
     // This is called every time Tabulator renders/re-renders a row
     createRowFormatter() {
@@ -673,6 +705,7 @@ export class BasketMatchupsTable extends BaseTable {
             
             // Handle expansion/collapse
             self.handleRowExpansion(row, isExpanded);
+            self.notifyViewStateChange();
             
             // Reformat the row to update the icon via the cell formatter
             // Use setTimeout to ensure DOM operations from handleRowExpansion complete first
@@ -682,6 +715,15 @@ export class BasketMatchupsTable extends BaseTable {
         });
     }
 
+    // Programmatic expand/collapse (URL state) - matchups build subtables outside the row formatter
+    setRowExpanded(row, expanded) {
+        this.rememberRowExpanded(row.getData(), expanded);
+        this.handleRowExpansion(row, expanded);
+        setTimeout(() => {
+            row.reformat();
+        }, 0);
+    }
+
     // Handle row expansion/collapse
     handleRowExpansion(row, expanded) {
         const self = this;
@@ -766,13 +808,55 @@ export class BasketMatchupsTable extends BaseTable {
         return null;
     }
 
+    // Matchup row a team plays in (team abbreviation, e.g. from a player's "Player Team")
+    findTeamMatchup(records, teamAbbrev) {
+        const fullName = this.getTeamFullName(teamAbbrev);
+        return records.find(record => {
+            const { away, home } = this.parseMatchup(record["Matchup"]);
+            return away === fullName || home === fullName;
+        }) || null;
+    }
+
     // Get full team name from abbreviation
     getTeamFullName(abbrev) {
         return this.teamNameMap[abbrev] || abbrev;
     }
 
-    // Prefetch defense and player data for all matchups
-    async prefetchSubtableData(mainData) {
+    // Delta refreshes patch rows without firing dataLoaded - refetch the subtables here too
+    // (a full reload fires dataLoaded, which shares the in-flight prefetch)
+    async refreshData() {
+        await super.refreshData();
+        if (this.table) {
+            await this.prefetchSubtableData(this.table.getData());
+        }
+    }
+
+    // Rows of a subtable endpoint grouped by "Matchup ID"
+    groupByMatchup(rows) {
+        const byMatchup = new Map();
+        rows.forEach(row => {
+            const matchupId = row["Matchup ID"];
+            if (!byMatchup.has(matchupId)) {
+                byMatchup.set(matchupId, []);
+            }
+            byMatchup.get(matchupId).push(row);
+        });
+        return byMatchup;
+    }
+
+    // Prefetch defense and player data for all matchups. Both caches are rebuilt on every
+    // call; overlapping calls (dataLoaded during a refresh) share one fetch.
+    prefetchSubtableData(mainData) {
+        if (!this.subtablePrefetch) {
+            this.subtablePrefetch = this.fetchSubtableData(mainData)
+                .finally(() => {
+                    this.subtablePrefetch = null;
+                });
+        }
+        return this.subtablePrefetch;
+    }
+
+    async fetchSubtableData(mainData) {
         const matchupIds = mainData.map(row => row["Matchup ID"]).filter(id => id != null);
         
         if (matchupIds.length === 0) return;
@@ -781,25 +865,18 @@ export class BasketMatchupsTable extends BaseTable {
             // Fetch defense data
             const defenseData = await this.fetchFromEndpoint(this.ENDPOINTS.DEFENSE);
             if (defenseData && defenseData.length > 0) {
-                defenseData.forEach(row => {
-                    const matchupId = row["Matchup ID"];
-                    if (!this.defenseDataCache.has(matchupId)) {
-                        this.defenseDataCache.set(matchupId, []);
-                    }
-                    this.defenseDataCache.get(matchupId).push(row);
-                });
+                this.defenseDataCache = this.groupByMatchup(defenseData);
             }
             
-            // Fetch player data
+            // Fetch player data (diffed against the previous load for lineup alerts)
             const playerData = await this.fetchFromEndpoint(this.ENDPOINTS.PLAYERS);
             if (playerData && playerData.length > 0) {
-                playerData.forEach(row => {
-                    const matchupId = row["Matchup ID"];
-                    if (!this.playersDataCache.has(matchupId)) {
-                        this.playersDataCache.set(matchupId, []);
-                    }
-                    this.playersDataCache.get(matchupId).push(row);
-                });
+                const playersByMatchup = this.groupByMatchup(playerData);
+                
+                if (this.playersDataCache.size > 0) {
+                    this.detectSubtableLineupChanges(this.playersDataCache, playersByMatchup);
+                }
+                this.playersDataCache = playersByMatchup;
             }
             
             // Mark cache as ready
@@ -818,6 +895,97 @@ export class BasketMatchupsTable extends BaseTable {
         }
     }
 
+    // Team lineup status per game row ("Lineup Status Away/Home") - a whole team's
+    // lineup going from Expected to Confirmed is one alert
+    getLineupStatuses(records) {
+        const statuses = new Map();
+        records.forEach(record => {
+            const { away, home } = this.parseMatchup(record["Matchup"]);
+            [[away, record["Lineup Status Away"]], [home, record["Lineup Status Home"]]].forEach(([fullName, status]) => {
+                const abbrev = fullName ? this.getTeamAbbrev(fullName) : null;
+                if (!abbrev || !status) return;
+                statuses.set(getTeamKey(abbrev), {
+                    label: `${fullName} lineup`,
+                    team: abbrev,
+                    status
+                });
+            });
+        });
+        return statuses;
+    }
+    
+    // A game row lights up for its teams' lineup alerts and any of their players' alerts
+    getLineupAlertKeys(data) {
+        const { away, home } = this.parseMatchup(data["Matchup"]);
+        return [away, home]
+            .map(fullName => fullName ? this.getTeamAbbrev(fullName) : null)
+            .filter(Boolean)
+            .map(getTeamKey);
+    }
+    
+    // Player status in the subtable rows: Starter/Bench from "Lineup", or Out/OFS for
+    // "Injury" rows (marked by the "(Out)"/"(OFS)" name suffix)
+    getSubtableLineupStatuses(playersByMatchup) {
+        const statuses = new Map();
+        playersByMatchup.forEach(rows => {
+            rows.forEach(row => {
+                const name = row["Player"] || '';
+                const lineup = row["Lineup"] || '';
+                if (!name || !lineup) return;
+                
+                const key = getPlayerKey(name, row["Team"]);
+                if (statuses.has(key)) return;
+                const playerName = name.replace(/\s*\((Out|OFS)\)/i, '').trim();
+                statuses.set(key, {
+                    label: playerName,
+                    team: row["Team"] || '',
+                    status: lineup === 'Injury' ? (name.includes('(OFS)') ? 'OFS' : 'Out') : lineup,
+                    playerName
+                });
+            });
+        });
+        return statuses;
+    }
+    
+    detectSubtableLineupChanges(previous, next) {
+        try {
+            const changes = diffLineupStatuses(this.getSubtableLineupStatuses(previous), this.getSubtableLineupStatuses(next));
+            if (changes.length > 0) {
+                addLineupAlerts(changes, this.ENDPOINTS.PLAYERS);
+            }
+        } catch (error) {
+            console.error("Could not check player subtable lineup changes:", error);
+        }
+    }
+
+    // Player subtable rows of one matchup, for callers outside the table (player profile).
+    // Uses the prefetched cache when ready, otherwise fetches the players endpoint once
+    // without touching the cache the subtables render from.
+    async getMatchupPlayers(matchupId) {
+        if (this.subtableDataReady) {
+            return this.playersDataCache.get(matchupId) || [];
+        }
+
+        if (!this.playersLookupPromise) {
+            this.playersLookupPromise = this.fetchFromEndpoint(this.ENDPOINTS.PLAYERS)
+                .then(rows => {
+                    const byMatchup = new Map();
+                    (rows || []).forEach(row => {
+                        if (!byMatchup.has(row["Matchup ID"])) byMatchup.set(row["Matchup ID"], []);
+                        byMatchup.get(row["Matchup ID"]).push(row);
+                    });
+                    return byMatchup;
+                })
+                .catch(error => {
+                    this.playersLookupPromise = null;
+                    throw error;
+                });
+        }
+
+        const byMatchup = await this.playersLookupPromise;
+        return byMatchup.get(matchupId) || [];
+    }
+
     // Restore subtables for any rows that are marked as expanded
     restoreExpandedSubtables() {
         if (!this.table || !this.subtableDataReady || this.isScrolling) return;
@@ -835,6 +1003,44 @@ export class BasketMatchupsTable extends BaseTable {
         });
     }
 
+    // Export: flatten the defense and player subtables, one row per subtable row
+    // prefixed with the matchup columns of the visible (filtered, sorted) matchups
+    getExportSubtables({ formatted = true } = {}) {
+        if (!this.subtableDataReady) {
+            throw new Error('Matchup defense and player data is still loading - try again in a moment');
+        }
+        
+        const columns = getExportColumns(this.table);
+        const rows = this.table.getRows('active');
+        
+        const flatten = (name, cache) => {
+            const prefixes = [];
+            const records = [];
+            
+            rows.forEach(row => {
+                const prefix = columns.map(column => getExportValue(this.table, row, column, formatted));
+                (cache.get(row.getData()["Matchup ID"]) || []).forEach(record => {
+                    prefixes.push(prefix);
+                    records.push(formatted && record["Team"]
+                        ? { ...record, "Team": this.getTeamFullName(record["Team"]) }
+                        : record);
+                });
+            });
+            
+            const sheet = recordsToSheet(records);
+            return {
+                name,
+                headers: [...columns.map(column => column.title), ...sheet.headers],
+                rows: sheet.rows.map((values, index) => [...prefixes[index], ...values])
+            };
+        };
+        
+        return [
+            flatten('Defense', this.defenseDataCache),
+            flatten('Players', this.playersDataCache)
+        ];
+    }
+
     // Fetch data from a specific endpoint
     async fetchFromEndpoint(endpoint) {
         const url = `https://hcwolbvmffkmjcxsumwn.supabase.co/rest/v1/${endpoint}`;
@@ -4,19 +4,41 @@
 // UPDATED: Left-justified with content-based width, scanDataForMaxWidths for proper column sizing
 // UPDATED: Rank columns now have conditional background colors (green/white/red)
 // FIXED: Desktop container width reset on tab switch - prevents grey/blue space
+// UPDATED: Kelly "Stake" column driven by the shared bankroll settings
+// UPDATED: "Track" column adds the Over/Under side to the bet slip
+// UPDATED: Name cell has a profile button (BaseTable.createProfileButton)
+// UPDATED: Rows of players with a recent lineup status change are highlighted (lineup alerts)
+// UPDATED: Best Over/Under odds and Clearance can be watched with threshold alerts (getWatchFields)
+// UPDATED: Column chooser hides/reorders column groups; hidden columns are skipped when fitting widths
 
 import { BaseTable } from './baseTable.js';
 import { createCustomMultiSelect } from '../components/customMultiSelect.js';
 import { createMinMaxFilter, minMaxFilterFunction } from '../components/minMaxFilter.js';
 import { isMobile, isTablet } from '../shared/config.js';
-import { getRankBackgroundColor } from '../shared/utils.js';
+import { getRankBackgroundColor, parseAmericanOdds } from '../shared/utils.js';
+import { getClearanceStake } from '../shared/bankroll.js';
+import { getClearancePickCandidates } from '../shared/betSlip.js';
 
 // Minimum width needed to display subtables in a single row
 const SUBTABLE_MIN_WIDTH = 550;
 
 export class BasketPlayerDDTDTable extends BaseTable {
-    constructor(elementId) {
-        super(elementId, 'BasketPlayerDDTD');
+    constructor(elementId, endpoint = 'BasketPlayerDDTD') {
+        super(elementId, endpoint);
+    }
+
+    // Closing line for tracked picks: the median odds of the tracked side
+    getClosingOdds(record, side) {
+        return parseAmericanOdds(record[`Player Median ${side} Odds`]);
+    }
+
+    // Fields the 🔔 watch editor offers (clearance thresholds are entered in %)
+    getWatchFields() {
+        return [
+            { field: "Player Best Over Odds", label: "Best Over odds", type: 'odds' },
+            { field: "Player Best Under Odds", label: "Best Under odds", type: 'odds' },
+            { field: "Player Clearance", label: "Clearance", type: 'percent' }
+        ];
     }
 
     initialize() {
@@ -45,13 +67,13 @@ export class BasketPlayerDDTDTable extends BaseTable {
             // fitData: columns size to content only (not full width)
             layout: "fitData",
             
-            columns: this.getColumns(isSmallScreen),
+            columns: this.applyColumnLayout(this.getColumns(isSmallScreen)),
             initialSort: [
                 {column: "Player Name", dir: "asc"},
                 {column: "Player Team", dir: "asc"},
                 {column: "Player Prop", dir: "asc"}
             ],
-            rowFormatter: this.createRowFormatter(),
+            rowFormatter: this.wrapRowFormatter(this.createRowFormatter()),
             dataLoaded: (data) => {
                 console.log(`DD-TD table loaded ${data.length} records successfully`);
                 this.dataLoaded = true;
@@ -172,7 +194,7 @@ export class BasketPlayerDDTDTable extends BaseTable {
             // Find max width in this cluster
             fields.forEach(field => {
                 const column = this.table.getColumn(field);
-                if (column) {
+                if (column && column.isVisible()) {
                     const width = column.getWidth();
                     if (width > maxWidth) {
                         maxWidth = width;
@@ -243,6 +265,9 @@ export class BasketPlayerDDTDTable extends BaseTable {
             let nameColumnWidth = 0;
             
             columns.forEach(col => {
+                // Columns hidden by the column chooser or a preset take no space
+                if (!col.isVisible()) return;
+                
                 const field = col.getField();
                 const width = col.getWidth();
                 
@@ -345,6 +370,7 @@ export class BasketPlayerDDTDTable extends BaseTable {
         // Add padding for cell padding, expand icon (for Name), and some buffer
         const CELL_PADDING = 16; // 8px on each side
         const EXPAND_ICON_WIDTH = 18; // For the ▶ icon and margin
+        const PROFILE_BUTTON_WIDTH = 18; // For the profile button
         const BUFFER = 10; // Extra safety buffer
         
         // Apply minimum widths to columns
@@ -356,7 +382,7 @@ export class BasketPlayerDDTDTable extends BaseTable {
                     
                     // Add expand icon width for Name column
                     if (field === "Player Name") {
-                        requiredWidth += EXPAND_ICON_WIDTH;
+                        requiredWidth += EXPAND_ICON_WIDTH + PROFILE_BUTTON_WIDTH;
                     }
                     
                     const currentWidth = column.getWidth();
@@ -726,7 +752,13 @@ export class BasketPlayerDDTDTable extends BaseTable {
                         cssClass: "cluster-c-best"
                     }
                 ]
-            }
+            },
+
+            // =====================================================
+            // STAKE - Kelly sizing of the better side at the clearance rate
+            // =====================================================
+            this.createStakeColumn(getClearanceStake),
+            this.createTrackColumn(getClearancePickCandidates)
         ];
     }
 
@@ -761,6 +793,7 @@ export class BasketPlayerDDTDTable extends BaseTable {
             
             container.appendChild(icon);
             container.appendChild(text);
+            container.appendChild(self.createProfileButton(data));
             
             return container;
         };
@@ -812,6 +845,7 @@ export class BasketPlayerDDTDTable extends BaseTable {
                     console.log(`DD-TD Row ${data._expanded ? 'expanded' : 'collapsed'}: ${data["Player Name"]}`);
                     
                     row.update(data);
+                    self.notifyViewStateChange();
                     
                     const cellElement = cell.getElement();
                     const expanderIcon = cellElement.querySelector('.expand-icon');
@@ -4,6 +4,11 @@
 // UPDATED: Added min/max filter to Price column
 // UPDATED: Rank columns now have conditional background colors (green/white/red)
 // FIXED: Desktop container width reset on tab switch - prevents grey/blue space
+// UPDATED: Name cell has a profile button (BaseTable.createProfileButton)
+// UPDATED: Med/High editable as projection overrides; overridden cells and ratios are tinted
+// UPDATED: Lineup column - ticked rows export as a DraftKings upload CSV (toolbar lineup control)
+// UPDATED: Rows of players with a recent lineup status change are highlighted (lineup alerts)
+// UPDATED: Column chooser hides/reorders column groups; hidden columns are skipped when fitting widths
 
 import { BaseTable } from './baseTable.js';
 import { createCustomMultiSelect } from '../components/customMultiSelect.js';
@@ -16,8 +21,21 @@ import { getRankBackgroundColor } from '../shared/utils.js';
 const SUBTABLE_MIN_WIDTH = 1100;
 
 export class BasketPlayerDKTable extends BaseTable {
-    constructor(elementId) {
-        super(elementId, 'BasketPlayerDK');
+    constructor(elementId, endpoint = 'BasketPlayerDK') {
+        super(elementId, endpoint);
+        this.dfsSite = 'dk';
+    }
+
+    // Projection overrides can change after the rows were cached - apply them on every load
+    async loadData(url) {
+        const records = await super.loadData(url);
+        return this.applyProjectionOverrides(records);
+    }
+
+    // Global player search: "PG $7,400 · All"
+    getSearchLabel(data) {
+        const price = data["Player DK Price"] != null ? `$${Number(data["Player DK Price"]).toLocaleString()}` : '';
+        return [[data["Player DK Position"], price].filter(Boolean).join(' '), data["Split"]].filter(Boolean).join(' · ');
     }
 
     initialize() {
@@ -46,12 +64,12 @@ export class BasketPlayerDKTable extends BaseTable {
             // fitData: columns size to content only (not full width)
             layout: "fitData",
             
-            columns: this.getColumns(isSmallScreen),
+            columns: this.applyColumnLayout(this.getColumns(isSmallScreen)),
             initialSort: [
                 {column: "Player Name", dir: "asc"},
                 {column: "Player Team", dir: "asc"}
             ],
-            rowFormatter: this.createRowFormatter(),
+            rowFormatter: this.wrapRowFormatter(this.createRowFormatter()),
             dataLoaded: (data) => {
                 console.log(`DK DFS table loaded ${data.length} records successfully`);
                 this.dataLoaded = true;
@@ -155,7 +173,7 @@ export class BasketPlayerDKTable extends BaseTable {
             
             fields.forEach(field => {
                 const column = this.table.getColumn(field);
-                if (column) {
+                if (column && column.isVisible()) {
                     const width = column.getWidth();
                     if (width > maxWidth) {
                         maxWidth = width;
@@ -224,6 +242,9 @@ export class BasketPlayerDKTable extends BaseTable {
             let nameColumnWidth = 0;
             
             columns.forEach(col => {
+                // Columns hidden by the column chooser or a preset take no space
+                if (!col.isVisible()) return;
+                
                 const field = col.getField();
                 const width = col.getWidth();
                 
@@ -331,6 +352,7 @@ export class BasketPlayerDKTable extends BaseTable {
         
         const CELL_PADDING = 16;
         const EXPAND_ICON_WIDTH = 18;
+        const PROFILE_BUTTON_WIDTH = 18; // For the profile button
         const BUFFER = 10;
         
         Object.keys(maxWidths).forEach(field => {
@@ -340,7 +362,7 @@ export class BasketPlayerDKTable extends BaseTable {
                     let requiredWidth = maxWidths[field] + CELL_PADDING + BUFFER;
                     
                     if (field === "Player Name") {
-                        requiredWidth += EXPAND_ICON_WIDTH;
+                        requiredWidth += EXPAND_ICON_WIDTH + PROFILE_BUTTON_WIDTH;
                     }
                     
                     const currentWidth = column.getWidth();
@@ -548,7 +570,8 @@ export class BasketPlayerDKTable extends BaseTable {
                         minWidth: 45,
                         sorter: "number",
                         resizable: false,
-                        formatter: oneDecimalFormatter,
+                        formatter: self.createOverrideFormatter(oneDecimalFormatter),
+                        ...self.getProjectionEditor('median'),
                         hozAlign: "center",
                         cssClass: "cluster-stats"
                     },
@@ -559,7 +582,7 @@ export class BasketPlayerDKTable extends BaseTable {
                         minWidth: 45,
                         sorter: "number",
                         resizable: false,
-                        formatter: oneDecimalFormatter,
+                        formatter: self.createOverrideFormatter(oneDecimalFormatter),
                         hozAlign: "center",
                         cssClass: "cluster-stats"
                     },
@@ -570,7 +593,8 @@ export class BasketPlayerDKTable extends BaseTable {
                         minWidth: 45,
                         sorter: "number",
                         resizable: false,
-                        formatter: oneDecimalFormatter,
+                        formatter: self.createOverrideFormatter(oneDecimalFormatter),
+                        ...self.getProjectionEditor('high'),
                         hozAlign: "center",
                         cssClass: "cluster-stats"
                     },
@@ -581,7 +605,7 @@ export class BasketPlayerDKTable extends BaseTable {
                         minWidth: 45,
                         sorter: "number",
                         resizable: false,
-                        formatter: oneDecimalFormatter,
+                        formatter: self.createOverrideFormatter(oneDecimalFormatter),
                         hozAlign: "center",
                         cssClass: "cluster-stats"
                     }
@@ -634,7 +658,7 @@ export class BasketPlayerDKTable extends BaseTable {
                             return self.ratioSorter(a, b, aRow, bRow, column, dir, sorterParams);
                         },
                         resizable: false,
-                        formatter: ratioFormatter,
+                        formatter: self.createOverrideFormatter(ratioFormatter),
                         hozAlign: "center",
                         cssClass: "cluster-ratio"
                     },
@@ -647,12 +671,13 @@ export class BasketPlayerDKTable extends BaseTable {
                             return self.ratioSorter(a, b, aRow, bRow, column, dir, sorterParams);
                         },
                         resizable: false,
-                        formatter: ratioFormatter,
+                        formatter: self.createOverrideFormatter(ratioFormatter),
                         hozAlign: "center",
                         cssClass: "cluster-ratio"
                     }
                 ]
-            }
+            },
+            this.createLineupSelectColumn()
         ];
     }
 
@@ -684,6 +709,7 @@ export class BasketPlayerDKTable extends BaseTable {
             
             container.appendChild(icon);
             container.appendChild(text);
+            container.appendChild(self.createProfileButton(data));
             
             return container;
         };
@@ -732,6 +758,7 @@ export class BasketPlayerDKTable extends BaseTable {
                     console.log(`DK DFS Row ${data._expanded ? 'expanded' : 'collapsed'}: ${data["Player Name"]}`);
                     
                     row.update(data);
+                    self.notifyViewStateChange();
                     
                     const cellElement = cell.getElement();
                     const expanderIcon = cellElement.querySelector('.expand-icon');
@@ -866,7 +893,8 @@ export class BasketPlayerDKTable extends BaseTable {
         const total = this.formatMatchupTotal(data["Matchup Total"]);
         
         const gamesPlayed = data["Player Games Played"] || '-';
-        const medianMinutes = this.formatMinutes(data["Player Median Minutes"]);
+        const baseData = data._projectionBase || data;
+        const medianMinutes = this.formatMinutes(baseData["Player Median Minutes"]);
         const avgMinutes = this.formatMinutes(data["Player Average Minutes"]);
         
         const player2PtFT = this.formatPercentage(data["Player 2Pt/FT Per"]);
@@ -952,9 +980,15 @@ export class BasketPlayerDKTable extends BaseTable {
                         <div style="margin-bottom: 4px;"><strong>Games Played:</strong> ${gamesPlayed}</div>
                         <div style="margin-bottom: 4px;"><strong>Median:</strong> ${medianMinutes}</div>
                         <div><strong>Average:</strong> ${avgMinutes}</div>
+                        <div style="margin-top: 4px;" data-role="minutes-override"><strong>Your Minutes:</strong> </div>
                     </div>
                 </div>
             </div>
         `;
+        
+        const minutesOverride = container.querySelector('[data-role="minutes-override"]');
+        if (minutesOverride) {
+            minutesOverride.appendChild(this.createMinutesOverrideInput(data));
+        }
     }
 }
@@ -13,20 +13,111 @@
 // - UPDATED: Rank columns now display with "#" prefix (e.g., "#5 (12.3)")
 // - UPDATED: Rank columns now have conditional background colors (green/white/red)
 // - FIXED: Desktop container width reset on tab switch - prevents grey/blue space
+// - UPDATED: No-vig fair odds and EV% columns computed from the median/best odds and clearance
+// - UPDATED: Kelly "Stake" column driven by the shared bankroll settings
+// - UPDATED: "Track" column adds the Over/Under side to the bet slip
+// - UPDATED: Name cell has a profile button (BaseTable.createProfileButton)
+// - UPDATED: Monte Carlo "Sim %" column (Web Worker) and simulated outcome histogram in the subtable
+// - UPDATED: Rows of players with a recent lineup status change are highlighted (lineup alerts)
+// - UPDATED: Best Over/Under odds and Clearance can be watched with threshold alerts (getWatchFields)
+// - UPDATED: Column chooser hides/reorders column groups; hidden columns are skipped when fitting widths
 
 import { BaseTable } from './baseTable.js';
 import { createCustomMultiSelect } from '../components/customMultiSelect.js';
 import { createMinMaxFilter, minMaxFilterFunction } from '../components/minMaxFilter.js';
 import { isMobile, isTablet } from '../shared/config.js';
-import { getRankBackgroundColor } from '../shared/utils.js';
+import { getRankBackgroundColor, parseAmericanOdds, americanToImpliedProbability, probabilityToAmerican, removeVig, expectedValue, createHistogram } from '../shared/utils.js';
+import { getClearanceStake } from '../shared/bankroll.js';
+import { getClearancePickCandidates } from '../shared/betSlip.js';
+import { fitPropInputs, simulateProp, probabilityOver, runPropSimulation } from '../shared/propSimulator.js';
 
-// Minimum width needed for subtables (3 boxes + gaps)
-// Matchup Details (~180px) + Minutes Data (~150px) + Best Books (~150px) + gaps (30px)
-const SUBTABLE_MIN_WIDTH = 550;
+// Minimum width needed for subtables (4 boxes + gaps)
+// Matchup Details (~180px) + Minutes Data (~150px) + Best Books (~150px) + Simulation (~250px) + gaps (45px)
+const SUBTABLE_MIN_WIDTH = 780;
 
 export class BasketPlayerPropClearancesTable extends BaseTable {
-    constructor(elementId) {
-        super(elementId, 'BasketPlayerPropClearances');
+    constructor(elementId, endpoint = 'BasketPlayerPropClearances') {
+        super(elementId, endpoint);
+        this.simulationJob = null;
+    }
+
+    // Closing line for tracked picks: the median odds of the tracked side
+    getClosingOdds(record, side) {
+        return parseAmericanOdds(record[`Player Median ${side} Odds`]);
+    }
+
+    // Fields the 🔔 watch editor offers (clearance thresholds are entered in %)
+    getWatchFields() {
+        return [
+            { field: "Player Best Over Odds", label: "Best Over odds", type: 'odds' },
+            { field: "Player Best Under Odds", label: "Best Under odds", type: 'odds' },
+            { field: "Player Clearance", label: "Clearance", type: 'percent' }
+        ];
+    }
+
+    // Computed pricing fields (percent units so the min/max filters take e.g. "5" for 5%):
+    // implied probability of each median side, no-vig fair odds from the median pair,
+    // and EV% of the best price against the clearance rate and against the fair probability
+    deriveFields(record) {
+        const toPercent = (value) => (value === null ? null : Math.round(value * 1000) / 10);
+        
+        record["Player Over Implied"] = toPercent(americanToImpliedProbability(record["Player Median Over Odds"]));
+        record["Player Under Implied"] = toPercent(americanToImpliedProbability(record["Player Median Under Odds"]));
+        
+        const fair = removeVig(record["Player Median Over Odds"], record["Player Median Under Odds"]);
+        record["Player Over Fair Odds"] = fair ? probabilityToAmerican(fair.over) : null;
+        record["Player Under Fair Odds"] = fair ? probabilityToAmerican(fair.under) : null;
+        
+        const clearance = parseFloat(String(record["Player Clearance"] ?? '').replace('%', ''));
+        const hasClearance = !isNaN(clearance);
+        record["Player Over EV Clearance"] = hasClearance ? toPercent(expectedValue(clearance, record["Player Best Over Odds"])) : null;
+        record["Player Under EV Clearance"] = hasClearance ? toPercent(expectedValue(1 - clearance, record["Player Best Under Odds"])) : null;
+        record["Player Over EV Fair"] = fair ? toPercent(expectedValue(fair.over, record["Player Best Over Odds"])) : null;
+        record["Player Under EV Fair"] = fair ? toPercent(expectedValue(fair.under, record["Player Best Under Odds"])) : null;
+    }
+
+    // Fill "Sim %" for every row from the prop simulation (Web Worker); a reload cancels
+    // the previous run. Values are in percent units like the other computed columns.
+    runSimulation() {
+        if (!this.table) return;
+        if (this.simulationJob) {
+            this.simulationJob.cancel();
+        }
+        
+        const inputs = this.table.getData().map(fitPropInputs).filter(Boolean);
+        if (inputs.length === 0) return;
+        
+        const startedAt = Date.now();
+        const job = runPropSimulation(inputs);
+        this.simulationJob = job;
+        
+        job.promise.then(results => {
+            if (this.simulationJob !== job) return;
+            this.simulationJob = null;
+            console.log(`Simulated ${results.length} props in ${Date.now() - startedAt}ms`);
+            
+            const updates = results.map(result => ({
+                _rowId: result.id,
+                "Player Sim Over": Math.round(result.over * 1000) / 10
+            }));
+            return this.table.updateData(updates).then(() => {
+                // Re-sort when the view is sorted by the column that just filled in
+                const sorters = this.table.getSorters();
+                if (sorters.some(sorter => sorter.field === "Player Sim Over")) {
+                    this.table.setSort(sorters.map(sorter => ({ column: sorter.field, dir: sorter.dir })));
+                }
+            });
+        }).catch(error => {
+            if (error.message !== 'Cancelled') {
+                console.error('Prop simulation failed:', error);
+            }
+        });
+    }
+
+    // Global player search: "Points 24.5 · Home"
+    getSearchLabel(data) {
+        const prop = [data["Player Prop"], data["Player Prop Value"]].filter(value => value != null).join(' ');
+        return [prop, data["Split"]].filter(Boolean).join(' · ');
     }
 
     initialize() {
@@ -56,14 +147,14 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
             // fitData: columns size to content only, table width = sum of column widths
             layout: "fitData",
             
-            columns: this.getColumns(isSmallScreen),
+            columns: this.applyColumnLayout(this.getColumns(isSmallScreen)),
             initialSort: [
                 {column: "Player Name", dir: "asc"},
                 {column: "Player Team", dir: "asc"},
                 {column: "Player Prop", dir: "asc"},
                 {column: "Player Prop Value", dir: "asc"}
             ],
-            rowFormatter: this.createRowFormatter(),
+            rowFormatter: this.wrapRowFormatter(this.createRowFormatter()),
             dataLoaded: (data) => {
                 console.log(`Basketball table loaded ${data.length} records successfully`);
                 this.dataLoaded = true;
@@ -137,6 +228,8 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
         
         // Also run width calculation after data loads
         this.table.on("dataLoaded", () => {
+            this.runSimulation();
+            
             setTimeout(() => {
                 console.log("Data loaded event, recalculating widths...");
                 const data = this.table.getData();
@@ -171,11 +264,13 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
         // Define clusters by field names
         // Note: Odds columns separated into two clusters (Median vs Best) for better sizing
         const clusters = {
-            'cluster-a': ['Player Clearance', 'Player Games'],
+            'cluster-a': ['Player Clearance', 'Player Games', 'Player Sim Over'],
             'cluster-b': ['Opponent Prop Rank', 'Opponent Pace Rank'],
             'cluster-c': ['Player Prop Median', 'Player Prop Average', 'Player Prop High', 'Player Prop Low', 'Player Prop Mode'],
             'cluster-d-median': ['Player Median Over Odds', 'Player Median Under Odds'],
-            'cluster-d-best': ['Player Best Over Odds', 'Player Best Under Odds']
+            'cluster-d-best': ['Player Best Over Odds', 'Player Best Under Odds'],
+            'cluster-e-novig': ['Player Over Implied', 'Player Under Implied', 'Player Over Fair Odds', 'Player Under Fair Odds'],
+            'cluster-f-ev': ['Player Over EV Clearance', 'Player Under EV Clearance', 'Player Over EV Fair', 'Player Under EV Fair']
         };
         
         // For each cluster, find the max width and apply to all columns in cluster
@@ -186,7 +281,7 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
             // Find max width in this cluster
             fields.forEach(field => {
                 const column = this.table.getColumn(field);
-                if (column) {
+                if (column && column.isVisible()) {
                     const width = column.getWidth();
                     if (width > maxWidth) {
                         maxWidth = width;
@@ -257,6 +352,9 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
             let nameColumnWidth = 0;
             
             columns.forEach(col => {
+                // Columns hidden by the column chooser or a preset take no space
+                if (!col.isVisible()) return;
+                
                 const field = col.getField();
                 const width = col.getWidth();
                 
@@ -361,6 +459,7 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
         // Add padding for cell padding, expand icon (for Name), and some buffer
         const CELL_PADDING = 16; // 8px on each side
         const EXPAND_ICON_WIDTH = 18; // For the ▶ icon and margin
+        const PROFILE_BUTTON_WIDTH = 18; // For the profile button
         const BUFFER = 10; // Extra safety buffer
         
         // Apply minimum widths to columns
@@ -372,7 +471,7 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
                     
                     // Add expand icon width for Name column
                     if (field === "Player Name") {
-                        requiredWidth += EXPAND_ICON_WIDTH;
+                        requiredWidth += EXPAND_ICON_WIDTH + PROFILE_BUTTON_WIDTH;
                     }
                     
                     const currentWidth = column.getWidth();
@@ -512,6 +611,41 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
             return num > 0 ? `+${num}` : `${num}`;
         };
 
+        // Percent formatter for computed probability columns (already in percent units)
+        const percentFormatter = (cell) => {
+            const value = cell.getValue();
+            if (value === null || value === undefined || value === '') return '-';
+            return `${Number(value).toFixed(1)}%`;
+        };
+
+        // EV formatter - signed percent, green when positive
+        const evFormatter = (cell) => {
+            const value = cell.getValue();
+            if (value === null || value === undefined || value === '') return '-';
+            const num = Number(value);
+            if (num > 0) {
+                cell.getElement().style.color = '#15803d';
+                cell.getElement().style.fontWeight = '600';
+            }
+            return `${num > 0 ? '+' : ''}${num.toFixed(1)}%`;
+        };
+
+        // Computed columns share the same sortable min/max column shape
+        const computedColumn = (title, field, formatter, cssClass) => ({
+            title: title,
+            field: field,
+            widthGrow: 0,
+            minWidth: 45,
+            sorter: "number",
+            headerFilter: createMinMaxFilter,
+            headerFilterFunc: minMaxFilterFunction,
+            headerFilterLiveFilter: false,
+            resizable: false,
+            formatter: formatter,
+            hozAlign: "center",
+            cssClass: cssClass
+        });
+
         // Rank formatter - prepends "#" to rank values and applies background color
         const rankFormatter = (cell) => {
             const value = cell.getValue();
@@ -650,7 +784,8 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
                         resizable: false,
                         hozAlign: "center",
                         cssClass: "cluster-a"
-                    }
+                    },
+                    computedColumn("Sim %", "Player Sim Over", percentFormatter, "cluster-a")
                 ]
             },
 
@@ -835,7 +970,39 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
                         cssClass: "cluster-d-best"
                     }
                 ]
-            }
+            },
+
+            // =====================================================
+            // NO-VIG GROUP - implied % of the median odds and fair price with the vig removed
+            // =====================================================
+            {
+                title: "No-Vig", 
+                columns: [
+                    computedColumn("Imp Over", "Player Over Implied", percentFormatter, "cluster-e-novig"),
+                    computedColumn("Imp Under", "Player Under Implied", percentFormatter, "cluster-e-novig"),
+                    computedColumn("Fair Over", "Player Over Fair Odds", oddsFormatter, "cluster-e-novig"),
+                    computedColumn("Fair Under", "Player Under Fair Odds", oddsFormatter, "cluster-e-novig")
+                ]
+            },
+
+            // =====================================================
+            // EV GROUP - best price vs clearance rate and vs no-vig fair probability
+            // =====================================================
+            {
+                title: "EV %", 
+                columns: [
+                    computedColumn("Clr Over", "Player Over EV Clearance", evFormatter, "cluster-f-ev"),
+                    computedColumn("Clr Under", "Player Under EV Clearance", evFormatter, "cluster-f-ev"),
+                    computedColumn("Fair Over", "Player Over EV Fair", evFormatter, "cluster-f-ev"),
+                    computedColumn("Fair Under", "Player Under EV Fair", evFormatter, "cluster-f-ev")
+                ]
+            },
+
+            // =====================================================
+            // STAKE - Kelly sizing of the better side at the clearance rate
+            // =====================================================
+            this.createStakeColumn(getClearanceStake),
+            this.createTrackColumn(getClearancePickCandidates)
         ];
     }
 
@@ -870,6 +1037,7 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
             
             container.appendChild(icon);
             container.appendChild(text);
+            container.appendChild(self.createProfileButton(data));
             
             return container;
         };
@@ -928,6 +1096,7 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
                     
                     // Update row data
                     row.update(data);
+                    self.notifyViewStateChange();
                     
                     // Update icon immediately
                     const cellElement = cell.getElement();
@@ -1093,6 +1262,8 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
         const bestOverBook = data["Player Best Over Odds Books"] || '-';
         const bestUnderBook = data["Player Best Under Odds Books"] || '-';
         
+        const simulation = this.createSimulationContent(data);
+        
         // UPDATED: flex-nowrap ensures subtables stay in a single row
         container.innerHTML = `
             <div style="display: flex; flex-wrap: nowrap; gap: 15px; justify-content: flex-start;">
@@ -1118,6 +1289,59 @@ export class BasketPlayerPropClearancesTable extends BaseTable {
                         <div><strong>Under:</strong> ${bestUnderBook}</div>
                     </div>
                 </div>
+                <div style="background: white; padding: 12px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); display: inline-block; min-width: fit-content; flex-shrink: 0;">
+                    <h4 style="margin: 0 0 8px 0; color: #f97316; font-size: 13px; font-weight: 600;">Simulation</h4>
+                    ${simulation}
+                </div>
+            </div>
+        `;
+    }
+
+    // Simulated outcomes (bars over the line highlighted) and P(over) at the lines around it,
+    // for comparing against the alternate lines on Prop Odds
+    createSimulationContent(data) {
+        const inputs = fitPropInputs(data);
+        if (!inputs) {
+            return '<div style="font-size: 12px; color: #999;">Not enough data to simulate</div>';
+        }
+        
+        const result = simulateProp(inputs, { histogram: true });
+        const histogram = createHistogram(result.histogram, { line: inputs.line });
+        
+        const ladder = [-2, -1, 0, 1, 2]
+            .map(offset => inputs.line + offset)
+            .filter(line => line >= 0)
+            .map(line => {
+                const over = probabilityOver(result.histogram, line);
+                const fair = probabilityToAmerican(over);
+                const style = line === inputs.line ? 'font-weight: 700;' : '';
+                return `
+                    <tr style="${style}">
+                        <td style="padding: 1px 6px;">O ${line}</td>
+                        <td style="padding: 1px 6px; text-align: right;">${(over * 100).toFixed(1)}%</td>
+                        <td style="padding: 1px 6px; text-align: right; color: #666;">${fair === null ? '-' : (fair > 0 ? `+${fair}` : fair)}</td>
+                    </tr>
+                `;
+            }).join('');
+        
+        return `
+            <div style="display: flex; gap: 12px; align-items: flex-start; font-size: 12px; color: #333;">
+                <div>
+                    ${histogram}
+                    <div style="font-size: 11px; color: #666; margin-top: 2px;">
+                        Mean ${result.mean.toFixed(1)} · SD ${result.sd.toFixed(1)} · ${result.draws.toLocaleString()} sims
+                    </div>
+                </div>
+                <table style="font-size: 11px; border-collapse: collapse;">
+                    <thead>
+                        <tr style="color: #666;">
+                            <th style="padding: 1px 6px; text-align: left; font-weight: 600;">Line</th>
+                            <th style="padding: 1px 6px; text-align: right; font-weight: 600;">Sim</th>
+                            <th style="padding: 1px 6px; text-align: right; font-weight: 600;">Fair</th>
+                        </tr>
+                    </thead>
+                    <tbody>${ladder}</tbody>
+                </table>
             </div>
         `;
     }
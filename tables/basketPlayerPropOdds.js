@@ -1,5 +1,14 @@
 // tables/basketPlayerPropOdds.js - Basketball Player Prop Odds Table
-// Simple flat table with no expandable rows or grouped headers
+// Flat table with no grouped headers - click a name to expand its line-movement history
+// UPDATED: getMarketKey (player/team/prop/side/book) so a moved line replaces its old row on delta sync
+// UPDATED: Column chooser hides/reorders columns; hidden columns are skipped when equalizing widths
+// UPDATED: Best, median and book odds can be watched with threshold alerts (🔔 in the Track column)
+// UPDATED: Rows of players with a recent lineup status change are highlighted (lineup alerts)
+// UPDATED: Ladder button in the Prop cell opens the player's alt-line ladder for that prop
+// UPDATED: Line history snapshots stored in IndexedDB on every fetch, shown with a sparkline
+// UPDATED: Kelly "Stake" column from the de-vigged median over/under probability and best odds
+// UPDATED: "Track" column adds the row's book price to the bet slip
+// UPDATED: Live odds via Supabase Realtime - changed prices are patched in place and highlighted
 // UPDATED: Left-justified with content-based width, scanDataForMaxWidths for proper column sizing
 // FIXED: Desktop container width reset on tab switch - prevents grey/blue space
 // UPDATED: Mobile/tablet shows abbreviated team names in Matchup column (e.g., "LAC @ BOS")
@@ -9,10 +18,17 @@ import { BaseTable } from './baseTable.js';
 import { createCustomMultiSelect } from '../components/customMultiSelect.js';
 import { createMinMaxFilter, minMaxFilterFunction } from '../components/minMaxFilter.js';
 import { isMobile, isTablet } from '../shared/config.js';
+import { formatOdds, parseAmericanOdds, createSparkline, removeVig } from '../shared/utils.js';
+import { calculateKellyStake } from '../shared/bankroll.js';
+import { openPropLadder } from '../components/propLadderModal.js';
 
 export class BasketPlayerPropOddsTable extends BaseTable {
-    constructor(elementId) {
-        super(elementId, 'BasketPlayerPropOdds');
+    constructor(elementId, endpoint = 'BasketPlayerPropOdds') {
+        super(elementId, endpoint);
+        
+        // Live odds: patch rows from the Supabase Realtime channel and flash moved prices
+        this.realtimeEnabled = true;
+        this.realtimeHighlightFields = ["Player Prop Odds", "Player Median Odds", "Player Best Odds"];
         
         // Team full name to abbreviation mapping
         this.teamAbbrevMap = {
@@ -51,6 +67,161 @@ export class BasketPlayerPropOddsTable extends BaseTable {
         };
     }
 
+    // One row per player/prop/side/line/book - row ID must include all of them
+    // so delta sync merges don't collapse different books or lines together
+    generateRowId(data) {
+        return `propodds_${[
+            data["Player Name"],
+            data["Player Team"],
+            data["Player Prop Type"],
+            data["Player Over/Under"],
+            data["Player Prop Line"],
+            data["Player Book"]
+        ].map(v => v ?? '').join('_')}`;
+    }
+
+    // Market without the line - lets a delta-synced row whose line moved replace the old-line row
+    getMarketKey(data) {
+        return this.getHistoryKey(data);
+    }
+
+    // History is tracked per market (player/team/prop/side/book) so line moves
+    // show up as one series instead of rows appearing and disappearing
+    getHistoryKey(data) {
+        return `${this.endpoint}_${[
+            data["Player Name"],
+            data["Player Team"],
+            data["Player Prop Type"],
+            data["Player Over/Under"],
+            data["Player Book"]
+        ].map(v => v ?? '').join('_')}`;
+    }
+
+    // Snapshot every fetched market: all offered lines with their odds, plus the
+    // main line (the one priced closest to even money)
+    onRecordsFetched(records, meta) {
+        const markets = new Map();
+        
+        records.forEach(record => {
+            const key = this.getHistoryKey(record);
+            if (!markets.has(key)) markets.set(key, {});
+            
+            const line = parseFloat(record["Player Prop Line"]);
+            const odds = parseAmericanOdds(record["Player Prop Odds"]);
+            if (!isNaN(line) && odds !== null) {
+                markets.get(key)[String(line)] = odds;
+            }
+        });
+        
+        const timestamp = Date.now();
+        const entries = Array.from(markets, ([key, lines]) => ({
+            key,
+            build: (last) => {
+                // Partial updates (delta sync, realtime) only carry the changed lines
+                const merged = meta.full || !last ? lines : { ...last.lines, ...lines };
+                if (Object.keys(merged).length === 0) return null;
+                if (last && this.sameLines(last.lines, merged)) return null;
+                
+                const mainLine = this.findMainLine(merged);
+                return { t: timestamp, line: mainLine, odds: merged[String(mainLine)], lines: merged };
+            }
+        }));
+        
+        this.recordHistorySnapshots(entries);
+    }
+
+    sameLines(a, b) {
+        const aKeys = Object.keys(a || {});
+        const bKeys = Object.keys(b || {});
+        return aKeys.length === bKeys.length && aKeys.every(key => a[key] === b[key]);
+    }
+
+    findMainLine(lines) {
+        let mainLine = null;
+        let bestDistance = Infinity;
+        
+        Object.keys(lines).forEach(line => {
+            const odds = lines[line];
+            const implied = odds < 0 ? -odds / (-odds + 100) : 100 / (odds + 100);
+            const distance = Math.abs(implied - 0.5);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                mainLine = parseFloat(line);
+            }
+        });
+        
+        return mainLine;
+    }
+
+    // Key for one side of a market across books (medians are shared by every book)
+    getSideKey(data, side) {
+        return [
+            data["Player Name"],
+            data["Player Team"],
+            data["Player Prop Type"],
+            data["Player Prop Line"],
+            String(side || '').trim().toLowerCase()
+        ].map(v => v ?? '').join('|');
+    }
+
+    // De-vigged probability of each row's side from the median over/under pair.
+    // Needs the opposite side's row, so it runs over the whole table after loads/changes;
+    // only changed rows are updated so the dataChanged rescan settles.
+    computeFairProbabilities() {
+        if (!this.table) return;
+        
+        const rows = this.table.getData();
+        const medians = new Map();
+        rows.forEach(row => {
+            medians.set(this.getSideKey(row, row["Player Over/Under"]), row["Player Median Odds"]);
+        });
+        
+        const updates = [];
+        rows.forEach(row => {
+            const side = String(row["Player Over/Under"] || '').trim().toLowerCase();
+            const opposite = side.startsWith('over') ? 'under' : side.startsWith('under') ? 'over' : null;
+            
+            let probability = null;
+            if (opposite) {
+                // removeVig returns the first argument's side as "over"
+                const fair = removeVig(row["Player Median Odds"], medians.get(this.getSideKey(row, opposite)));
+                probability = fair ? Math.round(fair.over * 10000) / 10000 : null;
+            }
+            
+            if ((row._fairProbability ?? null) !== probability) {
+                updates.push({ _rowId: row._rowId, _fairProbability: probability });
+            }
+        });
+        
+        if (updates.length > 0) {
+            this.table.updateData(updates);
+        }
+    }
+
+    // Closing line for tracked picks: the market median for this row's side
+    getClosingOdds(record, side) {
+        return parseAmericanOdds(record["Player Median Odds"]);
+    }
+
+    // Fields the 🔔 watch editor offers - best and median are per market, book odds per row
+    getWatchFields() {
+        return [
+            { field: "Player Best Odds", label: "Best odds", type: 'odds' },
+            { field: "Player Median Odds", label: "Median odds", type: 'odds' },
+            { field: "Player Prop Odds", label: "Book odds", type: 'odds' }
+        ];
+    }
+
+    getWatchLabel(data) {
+        const market = [data["Player Prop Type"], data["Player Over/Under"], data["Player Prop Line"]].filter(Boolean).join(' ');
+        return [data["Player Name"], market, data["Player Book"]].filter(Boolean).join(' · ');
+    }
+
+    getStakeForRow(data) {
+        if (!data._fairProbability) return null;
+        return { stake: calculateKellyStake(data._fairProbability, data["Player Best Odds"]) };
+    }
+
     // Convert full team names in matchup string to abbreviations
     abbreviateMatchup(matchup) {
         if (!matchup) return '-';
@@ -66,6 +237,15 @@ export class BasketPlayerPropOddsTable extends BaseTable {
         return abbreviated;
     }
 
+    // Global player search: "Points Over 24.5 -110 (DraftKings)"
+    getSearchLabel(data) {
+        const odds = data["Player Prop Odds"] != null ? formatOdds(data["Player Prop Odds"]) : '';
+        const book = data["Player Book"] ? `(${data["Player Book"]})` : '';
+        return [data["Player Prop Type"], data["Player Over/Under"], data["Player Prop Line"], odds, book]
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .join(' ');
+    }
+
     initialize() {
         const mobile = isMobile();
         const tablet = isTablet();
@@ -91,14 +271,21 @@ export class BasketPlayerPropOddsTable extends BaseTable {
             // fitData: columns size to content only (not full width)
             layout: "fitData",
             
-            columns: this.getColumns(isSmallScreen),
+            columns: this.applyColumnLayout(this.getColumns(isSmallScreen)),
             initialSort: [
                 {column: "Player Name", dir: "asc"}
             ],
+            rowFormatter: this.wrapRowFormatter(this.createRowFormatter()),
             dataLoaded: (data) => {
                 console.log(`Player Prop Odds table loaded ${data.length} records successfully`);
                 this.dataLoaded = true;
                 
+                data.forEach(row => {
+                    if (row._expanded === undefined) {
+                        row._expanded = false;
+                    }
+                });
+                
                 if (data.length > 0) {
                     console.log('DEBUG - Player Prop Odds First row sample:', {
                         'Player Name': data[0]["Player Name"],
@@ -122,10 +309,14 @@ export class BasketPlayerPropOddsTable extends BaseTable {
         };
 
         this.table = new Tabulator(this.elementId, config);
+        this.setupRowExpansion();
         
         this.table.on("tableBuilt", () => {
             console.log("Player Prop Odds table built");
             
+            // Start listening for live odds changes
+            this.startRealtime();
+            
             // Desktop-specific width calculations
             if (!isMobile() && !isTablet()) {
                 setTimeout(() => {
@@ -139,6 +330,11 @@ export class BasketPlayerPropOddsTable extends BaseTable {
             }
         });
         
+        // Fair probabilities depend on both sides of a market - recompute on any data change
+        const recomputeFair = this.debounce(() => this.computeFairProbabilities(), 300);
+        this.table.on("dataLoaded", recomputeFair);
+        this.table.on("dataChanged", recomputeFair);
+        
         this.table.on("renderComplete", () => {
             // Recalculate widths after render (handles tab switching) - desktop only
             if (!isMobile() && !isTablet()) {
@@ -224,12 +420,17 @@ export class BasketPlayerPropOddsTable extends BaseTable {
         
         const CELL_PADDING = 16;
         const BUFFER = 10;
+        const EXPAND_ICON_WIDTH = 18;
+        const PROFILE_BUTTON_WIDTH = 18; // For the profile button
+        const LADDER_BUTTON_WIDTH = 16; // For the ladder button in the Prop cell
         
         Object.keys(maxWidths).forEach(field => {
             if (maxWidths[field] > 0) {
                 const column = this.table.getColumn(field);
                 if (column) {
-                    const requiredWidth = maxWidths[field] + CELL_PADDING + BUFFER;
+                    const iconWidth = field === "Player Name" ? EXPAND_ICON_WIDTH + PROFILE_BUTTON_WIDTH
+                        : field === "Player Prop Type" ? LADDER_BUTTON_WIDTH : 0;
+                    const requiredWidth = maxWidths[field] + CELL_PADDING + BUFFER + iconWidth;
                     const currentWidth = column.getWidth();
                     
                     if (requiredWidth > currentWidth) {
@@ -288,6 +489,40 @@ export class BasketPlayerPropOddsTable extends BaseTable {
             return num.toFixed(1);
         };
 
+        // Prop formatter - prop type plus a button opening the alt-line ladder for it
+        const propTypeFormatter = (cell) => {
+            const value = cell.getValue();
+            if (value === null || value === undefined || value === '') return '-';
+            const data = cell.getRow().getData();
+            
+            const container = document.createElement('div');
+            container.style.cssText = 'display: flex; align-items: center; justify-content: center;';
+            
+            const text = document.createElement('span');
+            text.textContent = value;
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'prop-ladder-button';
+            button.title = 'Alt-line ladder';
+            button.setAttribute('aria-label', `Open ${value} ladder for ${data["Player Name"]}`);
+            button.textContent = '☰';
+            button.style.cssText = 'margin-left: 4px; padding: 0 2px; border: none; background: none; color: #9ca3af; font-size: 11px; line-height: 1; cursor: pointer; flex-shrink: 0;';
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openPropLadder({
+                    name: data["Player Name"],
+                    team: data["Player Team"] || '',
+                    propType: value,
+                    side: data["Player Over/Under"]
+                });
+            });
+            
+            container.appendChild(text);
+            container.appendChild(button);
+            return container;
+        };
+
         // Matchup formatter - abbreviates team names on mobile/tablet only
         const matchupFormatter = (cell) => {
             const value = cell.getValue();
@@ -312,6 +547,7 @@ export class BasketPlayerPropOddsTable extends BaseTable {
                 sorter: "string", 
                 headerFilter: true,
                 resizable: false,
+                formatter: this.createNameFormatter(),
                 hozAlign: "left"
             },
             {
@@ -343,7 +579,8 @@ export class BasketPlayerPropOddsTable extends BaseTable {
                 sorter: "string", 
                 headerFilter: createCustomMultiSelect,
                 resizable: false,
-                hozAlign: "center"
+                hozAlign: "center",
+                formatter: propTypeFormatter
             },
             {
                 title: "O/U", 
@@ -433,7 +670,19 @@ export class BasketPlayerPropOddsTable extends BaseTable {
                 resizable: false,
                 hozAlign: "center",
                 cssClass: "cluster-best-odds"
-            }
+            },
+            this.createStakeColumn((data) => this.getStakeForRow(data)),
+            this.createTrackColumn((data) => [{
+                side: data["Player Over/Under"],
+                player: data["Player Name"],
+                team: data["Player Team"],
+                matchup: data["Player Matchup"],
+                market: data["Player Prop Type"],
+                line: parseFloat(data["Player Prop Line"]),
+                book: data["Player Book"],
+                odds: parseAmericanOdds(data["Player Prop Odds"]),
+                stake: (this.getStakeForRow(data) || {}).stake || null
+            }])
         ];
     }
 
@@ -455,7 +704,7 @@ export class BasketPlayerPropOddsTable extends BaseTable {
             
             fields.forEach(field => {
                 const column = this.table.getColumn(field);
-                if (column) {
+                if (column && column.isVisible()) {
                     const width = column.getWidth();
                     if (width > maxWidth) {
                         maxWidth = width;
@@ -525,4 +774,176 @@ export class BasketPlayerPropOddsTable extends BaseTable {
             console.error('Error in Player Prop Odds calculateAndApplyWidths:', error);
         }
     }
+
+    // Expand/collapse on Player Name click (same pattern as the clearances tables)
+    setupRowExpansion() {
+        if (!this.table) return;
+        
+        const self = this;
+        let expansionTimeout;
+        
+        this.table.on("cellClick", (e, cell) => {
+            if (cell.getField() !== "Player Name") return;
+            
+            e.preventDefault();
+            e.stopPropagation();
+            
+            if (expansionTimeout) {
+                clearTimeout(expansionTimeout);
+            }
+            
+            expansionTimeout = setTimeout(() => {
+                const row = cell.getRow();
+                const data = row.getData();
+                
+                self.rememberRowExpanded(data, !data._expanded);
+                
+                row.update(data);
+                self.notifyViewStateChange();
+                
+                requestAnimationFrame(() => {
+                    row.reformat();
+                    
+                    requestAnimationFrame(() => {
+                        const cellElement = cell.getElement();
+                        const icon = cellElement ? cellElement.querySelector('.expand-icon') : null;
+                        if (icon) {
+                            icon.style.transform = data._expanded ? 'rotate(90deg)' : '';
+                        }
+                    });
+                });
+            }, 50);
+        });
+    }
+
+    // Subtable lives INSIDE the row element so virtual scrolling keeps it anchored
+    createRowFormatter() {
+        const self = this;
+        
+        return (row) => {
+            const data = row.getData();
+            const rowElement = row.getElement();
+            
+            if (data._expanded) {
+                rowElement.classList.add('row-expanded');
+                if (rowElement.querySelector('.subrow-container')) return;
+                
+                requestAnimationFrame(() => {
+                    if (rowElement.querySelector('.subrow-container')) return;
+                    
+                    const holderEl = document.createElement("div");
+                    holderEl.classList.add('subrow-container');
+                    holderEl.style.cssText = `
+                        padding: 15px 20px;
+                        background: linear-gradient(135deg, #fff7ed 0%, #ffedd5 100%);
+                        border-top: 2px solid #f97316;
+                        margin: 0;
+                        display: block;
+                        width: 100%;
+                        position: relative;
+                        z-index: 1;
+                    `;
+                    
+                    rowElement.appendChild(holderEl);
+                    
+                    self.createSubtableContent(holderEl, data)
+                        .catch(error => {
+                            console.error("Error creating line history:", error);
+                            holderEl.innerHTML = '<div style="padding: 10px; color: red;">Error loading line history</div>';
+                        })
+                        .finally(() => {
+                            setTimeout(() => row.normalizeHeight(), 50);
+                        });
+                });
+            } else {
+                rowElement.classList.remove('row-expanded');
+                const existingSubrow = rowElement.querySelector('.subrow-container');
+                if (existingSubrow) {
+                    existingSubrow.remove();
+                    setTimeout(() => row.normalizeHeight(), 50);
+                }
+            }
+        };
+    }
+
+    formatLine(value) {
+        if (value === null || value === undefined || isNaN(value)) return '-';
+        return Number(value).toFixed(1);
+    }
+
+    formatSnapshotTime(timestamp) {
+        return new Date(timestamp).toLocaleString([], {
+            month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+    }
+
+    // Line-movement panel: opening vs current main line, this row's odds over time and a sparkline
+    async createSubtableContent(container, data) {
+        container.innerHTML = '<div style="font-size: 12px; color: #666;">Loading line history...</div>';
+        
+        const snapshots = await this.getRowHistory(this.getHistoryKey(data));
+        const rowLine = String(parseFloat(data["Player Prop Line"]));
+        const boxStyle = 'background: white; padding: 12px; border-radius: 6px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); display: inline-block; min-width: fit-content; flex-shrink: 0;';
+        const headingStyle = 'margin: 0 0 8px 0; color: #f97316; font-size: 13px; font-weight: 600;';
+        
+        if (snapshots.length === 0) {
+            container.innerHTML = '<div style="font-size: 12px; color: #666;">No line history recorded yet for this market.</div>';
+            return;
+        }
+        
+        const opening = snapshots[0];
+        const current = snapshots[snapshots.length - 1];
+        const lineChange = current.line - opening.line;
+        const lineChangeText = lineChange === 0 ? 'No change' : `${lineChange > 0 ? '+' : ''}${lineChange.toFixed(1)}`;
+        
+        const rowOdds = snapshots.map(s => (s.lines && s.lines[rowLine] !== undefined ? s.lines[rowLine] : null));
+        const sparkline = createSparkline(rowOdds, { width: 140, height: 32 });
+        const seenOdds = rowOdds.filter(v => v !== null);
+        
+        // Most recent snapshots first
+        const recent = snapshots.slice(-10).reverse();
+        const historyRows = recent.map(s => `
+            <tr>
+                <td style="padding: 2px 8px 2px 0;">${this.formatSnapshotTime(s.t)}</td>
+                <td style="padding: 2px 8px; text-align: center;">${this.formatLine(s.line)}</td>
+                <td style="padding: 2px 8px; text-align: center;">${formatOdds(s.odds)}</td>
+                <td style="padding: 2px 0 2px 8px; text-align: center;">${formatOdds(s.lines ? s.lines[rowLine] : null)}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div style="display: flex; flex-wrap: nowrap; gap: 15px; justify-content: flex-start;">
+                <div style="${boxStyle}">
+                    <h4 style="${headingStyle}">Line Movement</h4>
+                    <div style="font-size: 12px; color: #333;">
+                        <div style="margin-bottom: 4px;"><strong>Opening:</strong> ${this.formatLine(opening.line)} (${formatOdds(opening.odds)})</div>
+                        <div style="margin-bottom: 4px;"><strong>Current:</strong> ${this.formatLine(current.line)} (${formatOdds(current.odds)})</div>
+                        <div><strong>Change:</strong> ${lineChangeText}</div>
+                    </div>
+                </div>
+                <div style="${boxStyle}">
+                    <h4 style="${headingStyle}">Odds at ${this.formatLine(parseFloat(rowLine))}</h4>
+                    <div style="font-size: 12px; color: #333;">
+                        <div style="margin-bottom: 4px;"><strong>First Seen:</strong> ${formatOdds(seenOdds[0])}</div>
+                        <div style="margin-bottom: 4px;"><strong>Latest:</strong> ${formatOdds(seenOdds[seenOdds.length - 1])}</div>
+                        ${sparkline || '<div style="color: #666;">Not enough snapshots to chart</div>'}
+                    </div>
+                </div>
+                <div style="${boxStyle}">
+                    <h4 style="${headingStyle}">Snapshots (${snapshots.length})</h4>
+                    <table style="font-size: 12px; color: #333; border-collapse: collapse;">
+                        <thead>
+                            <tr>
+                                <th style="padding: 2px 8px 2px 0; text-align: left;">Time</th>
+                                <th style="padding: 2px 8px;">Main Line</th>
+                                <th style="padding: 2px 8px;">Odds</th>
+                                <th style="padding: 2px 0 2px 8px;">Odds at ${this.formatLine(parseFloat(rowLine))}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${historyRows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
 }